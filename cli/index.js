@@ -6,8 +6,20 @@
 
 import { EmailService } from '../src/EmailService.js';
 import { EmailQueue } from '../src/EmailQueue.js';
-import { getConfig, getQueueConfig } from '../config/index.js';
-import { readFileSync } from 'fs';
+import { DeadLetterQueue } from '../src/DeadLetterQueue.js';
+import { TemplateStore } from '../src/TemplateStore.js';
+import { SuppressionList, formatCsv, parseCsv } from '../src/SuppressionList.js';
+import { MessageLedger } from '../src/MessageLedger.js';
+import {
+  getConfig,
+  getQueueConfig,
+  emailTemplates,
+  templateConfig,
+  suppressionConfig,
+  ledgerConfig,
+  idempotencyConfig
+} from '../config/index.js';
+import { readFileSync, writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -23,6 +35,9 @@ const commands = {
   send: sendEmail,
   queue: queueEmail,
   status: showStatus,
+  dlq: deadLetterCommand,
+  suppression: suppressionCommand,
+  message: messageCommand,
   test: runTest,
   help: showHelp
 };
@@ -43,62 +58,62 @@ async function main() {
 
 async function sendEmail(args) {
   const options = parseArgs(args);
-  
-  if (!options.to || !options.subject || !options.body) {
-    console.error('❌ Required: --to, --subject, --body');
-    process.exit(1);
-  }
+  const email = buildEmail(options);
   
   const config = getConfig(options.env || 'development');
-  const emailService = new EmailService(config);
-  
-  const email = {
-    to: options.to,
-    subject: options.subject,
-    body: options.body,
-    from: options.from || 'noreply@example.com'
-  };
+  const emailService = new EmailService({
+    ...config,
+    templates: await loadTemplates(),
+    suppressions: suppressionConfig,
+    ledger: ledgerConfig,
+    idempotencyStorage: idempotencyConfig.storage
+  });
   
   console.log('📧 Sending email...');
   console.log(`   To: ${email.to}`);
-  console.log(`   Subject: ${email.subject}`);
+  console.log(`   ${email.template ? `Template: ${email.template}` : `Subject: ${email.subject}`}`);
   
   const result = await emailService.sendEmail(email);
   
   console.log('✅ Email sent successfully!');
   console.log(`   Message ID: ${result.messageId}`);
   console.log(`   Provider: ${result.provider}`);
+  if (result.suppressed.length > 0) {
+    console.log(`   Suppressed: ${result.suppressed.map(({ address, reason }) => `${address} (${reason})`).join(', ')}`);
+  }
+  if (result.template) {
+    console.log(`   Template: ${result.template.name} v${result.template.version}`);
+  }
   console.log(`   Timestamp: ${result.timestamp}`);
 }
 
 async function queueEmail(args) {
   const options = parseArgs(args);
-  
-  if (!options.to || !options.subject || !options.body) {
-    console.error('❌ Required: --to, --subject, --body');
-    process.exit(1);
-  }
+  const email = buildEmail(options);
   
   const config = getConfig(options.env || 'development');
   const queueConfig = getQueueConfig(options.env || 'development');
   
   const queue = new EmailQueue({
-    emailServiceOptions: config,
+    emailServiceOptions: {
+      ...config,
+      templates: await loadTemplates(),
+      suppressions: suppressionConfig,
+      ledger: ledgerConfig,
+      idempotencyStorage: idempotencyConfig.storage
+    },
     ...queueConfig
   });
   
-  const email = {
-    to: options.to,
-    subject: options.subject,
-    body: options.body,
-    from: options.from || 'noreply@example.com'
-  };
-  
   const queueOptions = {
     priority: parseInt(options.priority) || 0,
     maxAttempts: parseInt(options.maxAttempts) || 3
   };
   
+  if (options['send-at']) {
+    queueOptions.sendAt = options['send-at'];
+  }
+  
   console.log('📬 Adding email to queue...');
   
   const id = await queue.addEmail(email, queueOptions);
@@ -106,6 +121,9 @@ async function queueEmail(args) {
   console.log(`✅ Email queued with ID: ${id}`);
   console.log(`   Priority: ${queueOptions.priority}`);
   console.log(`   Max Attempts: ${queueOptions.maxAttempts}`);
+  if (queueOptions.sendAt) {
+    console.log(`   Send At: ${new Date(queueOptions.sendAt).toISOString()}`);
+  }
   
   if (options.process) {
     console.log('🔄 Starting queue processing...');
@@ -121,6 +139,75 @@ async function queueEmail(args) {
     
     await processingPromise;
   }
+  
+  await queue.close();
+}
+
+/**
+ * Build the email from --to and either --subject/--body/--html or --template/--data,
+ * plus any --attach files
+ * @param {Object} options - Parsed arguments
+ * @returns {Object} - Email
+ */
+function buildEmail(options) {
+  if (!options.to || (!options.template && (!options.subject || (!options.body && !options.html)))) {
+    console.error('❌ Required: --to, and --subject with --body and/or --html, or --template');
+    process.exit(1);
+  }
+  
+  const email = {
+    to: options.to,
+    from: options.from || 'noreply@example.com'
+  };
+  
+  for (const [option, field] of [['cc', 'cc'], ['bcc', 'bcc'], ['reply-to', 'replyTo']]) {
+    if (options[option]) {
+      email[field] = options[option];
+    }
+  }
+  
+  if (options.template) {
+    email.template = options.template;
+    email.data = options.data ? JSON.parse(options.data) : {};
+  } else {
+    email.subject = options.subject;
+    if (options.body) {
+      email.body = options.body;
+    }
+    if (options.html) {
+      email.html = options.html;
+    }
+  }
+  
+  if (options.attach) {
+    email.attachments = options.attach.split(',').map(file => ({ path: file.trim() }));
+  }
+  
+  if (options.tags) {
+    email.tags = options.tags.split(',').map(tag => tag.trim());
+  }
+  if (options.metadata) {
+    email.metadata = JSON.parse(options.metadata);
+  }
+  if (options['list-unsubscribe']) {
+    email.listUnsubscribe = options['list-unsubscribe'].split(',').map(url => url.trim());
+  }
+  if (options.category) {
+    email.category = options.category;
+  }
+  
+  return email;
+}
+
+/**
+ * Load the configured templates (emailTemplates plus TEMPLATES_DIR)
+ * @returns {Promise<TemplateStore>} - Template store
+ */
+async function loadTemplates() {
+  const templates = new TemplateStore({ templates: emailTemplates, ...templateConfig });
+  await templates.load();
+  await templates.init();
+  return templates;
 }
 
 async function showStatus(args) {
@@ -130,7 +217,7 @@ async function showStatus(args) {
   
   console.log('📊 Email Service Status\n');
   
-  const status = emailService.getStatus();
+  const status = await emailService.getStatus();
   
   console.log('🔧 Configuration:');
   console.log(`   Environment: ${options.env || 'development'}`);
@@ -152,6 +239,269 @@ async function showStatus(args) {
   console.log(`   Uptime: ${Math.floor(status.uptime)}s`);
 }
 
+async function deadLetterCommand(args) {
+  const [subcommand, ...rest] = args;
+  const id = rest[0] && !rest[0].startsWith('--') ? rest.shift() : null;
+  const options = parseArgs(rest);
+  
+  const env = options.env || 'development';
+  const queueConfig = getQueueConfig(env);
+  const deadLetterStorage = options.store
+    ? { type: options.store.endsWith('.db') ? 'sqlite' : 'file', path: options.store }
+    : queueConfig.deadLetterStorage;
+  
+  if (!deadLetterStorage || deadLetterStorage.type === 'memory') {
+    console.log(`⚠️  Dead-letter storage for "${env}" is in memory, use --store <path> or configure deadLetterStorage`);
+  }
+  
+  const deadLetterQueue = new DeadLetterQueue({ storage: deadLetterStorage, logLevel: 'error' });
+  
+  try {
+    switch (subcommand) {
+      case 'list': {
+        const entries = await deadLetterQueue.list({
+          errorCode: options.code,
+          limit: parseInt(options.limit) || undefined
+        });
+        
+        console.log(`📭 Dead-letter queue: ${entries.length} entries\n`);
+        for (const entry of entries) {
+          console.log(`   ${entry.id}`);
+          console.log(`     To: ${entry.email.to}`);
+          console.log(`     Subject: ${entry.email.subject}`);
+          console.log(`     Attempts: ${entry.attempts}`);
+          console.log(`     Last Provider: ${entry.lastProvider || 'n/a'}`);
+          console.log(`     Error: ${entry.error}${entry.errorCode ? ` (${entry.errorCode})` : ''}`);
+          console.log(`     Dead-lettered: ${entry.deadLetteredAt.toISOString()}`);
+        }
+        break;
+      }
+      
+      case 'show': {
+        if (!id) {
+          throw new Error('Usage: dlq show <id>');
+        }
+        const entry = await deadLetterQueue.get(id);
+        if (!entry) {
+          throw new Error(`Dead-letter entry not found: ${id}`);
+        }
+        console.log(JSON.stringify(entry, null, 2));
+        break;
+      }
+      
+      case 'replay': {
+        if (!id && !options.all) {
+          throw new Error('Usage: dlq replay <id|--all>');
+        }
+        
+        const queue = new EmailQueue({
+          emailServiceOptions: getConfig(env),
+          ...queueConfig,
+          deadLetterQueue,
+          logLevel: 'error'
+        });
+        
+        const ids = options.all
+          ? await queue.replayAllDeadLetters()
+          : [await queue.replayDeadLetter(id)].filter(Boolean);
+        
+        if (!options.all && ids.length === 0) {
+          throw new Error(`Dead-letter entry not found: ${id}`);
+        }
+        
+        console.log(`🔁 Replayed ${ids.length} email(s)`);
+        ids.forEach(newId => console.log(`   Queued as ${newId}`));
+        await queue.close();
+        break;
+      }
+      
+      case 'purge': {
+        const olderThan = options['older-than'] ? parseInt(options['older-than']) : undefined;
+        const purged = await deadLetterQueue.purge({ olderThan });
+        console.log(`🗑️  Purged ${purged} entries`);
+        break;
+      }
+      
+      default:
+        throw new Error('Usage: dlq <list|show|replay|purge> [options]');
+    }
+  } finally {
+    await deadLetterQueue.close();
+  }
+}
+
+async function suppressionCommand(args) {
+  const [subcommand, ...rest] = args;
+  const target = rest[0] && !rest[0].startsWith('--') ? rest.shift() : null;
+  const options = parseArgs(rest);
+  
+  const storage = options.store
+    ? { type: options.store.endsWith('.db') ? 'sqlite' : 'file', path: options.store }
+    : suppressionConfig.storage;
+  
+  if (storage.type === 'memory') {
+    console.log('⚠️  Suppression storage is in memory, use --store <path> or set SUPPRESSION_STORE');
+  }
+  
+  const suppressions = new SuppressionList({ storage, overrides: suppressionConfig.overrides, logLevel: 'error' });
+  const tenant = options.tenant || undefined;
+  
+  try {
+    switch (subcommand) {
+      case 'list': {
+        const entries = await suppressions.list({
+          reason: options.reason,
+          tenant,
+          limit: parseInt(options.limit) || undefined
+        });
+        
+        console.log(`🚫 Suppression list: ${entries.length} entries\n`);
+        for (const entry of entries) {
+          console.log(`   ${entry.address}${entry.tenant ? ` [${entry.tenant}]` : ''}`);
+          console.log(`     Reason: ${entry.reason} (${entry.source})`);
+          console.log(`     Since: ${entry.createdAt.toISOString()}`);
+        }
+        break;
+      }
+      
+      case 'add': {
+        if (!target) {
+          throw new Error('Usage: suppression add <address> [--reason <reason>]');
+        }
+        const entry = await suppressions.add(target, { reason: options.reason, source: options.source || 'cli', tenant });
+        console.log(`🚫 Suppressed ${entry.address} (${entry.reason})`);
+        break;
+      }
+      
+      case 'remove': {
+        if (!target) {
+          throw new Error('Usage: suppression remove <address>');
+        }
+        if (!await suppressions.remove(target, { tenant })) {
+          throw new Error(`Address is not suppressed: ${target}`);
+        }
+        console.log(`✅ Removed ${target} from the suppression list`);
+        break;
+      }
+      
+      case 'import': {
+        if (!target) {
+          throw new Error('Usage: suppression import <file.csv|file.json>');
+        }
+        const text = readFileSync(target, 'utf8');
+        const parsed = target.endsWith('.json') ? JSON.parse(text) : parseCsv(text);
+        const entries = Array.isArray(parsed) ? parsed : parsed.entries;
+        
+        const { imported, errors } = await suppressions.import(entries, {
+          reason: options.reason,
+          source: options.source,
+          tenant
+        });
+        console.log(`📥 Imported ${imported} entries`);
+        errors.forEach(({ index, address, message }) => console.log(`   Skipped #${index} ${address ?? ''}: ${message}`));
+        break;
+      }
+      
+      case 'export': {
+        const format = options.format || (target?.endsWith('.json') ? 'json' : 'csv');
+        if (!['csv', 'json'].includes(format)) {
+          throw new Error('--format must be csv or json');
+        }
+        const entries = await suppressions.list({ reason: options.reason, tenant });
+        const output = format === 'csv' ? formatCsv(entries) : `${JSON.stringify(entries, null, 2)}\n`;
+        
+        if (target) {
+          writeFileSync(target, output);
+          console.log(`📤 Exported ${entries.length} entries to ${target}`);
+        } else {
+          process.stdout.write(output);
+        }
+        break;
+      }
+      
+      default:
+        throw new Error('Usage: suppression <list|add|remove|import|export> [options]');
+    }
+  } finally {
+    await suppressions.close();
+  }
+}
+
+async function messageCommand(args) {
+  const [subcommand, ...rest] = args;
+  const id = rest[0] && !rest[0].startsWith('--') ? rest.shift() : null;
+  const options = parseArgs(rest);
+  
+  const storage = options.store
+    ? { type: options.store.endsWith('.db') ? 'sqlite' : 'file', path: options.store }
+    : ledgerConfig.storage;
+  
+  if (storage.type === 'memory') {
+    console.log('⚠️  Message ledger is in memory, use --store <path> or set MESSAGE_LEDGER_STORE');
+  }
+  
+  const ledger = new MessageLedger({ storage, logLevel: 'error' });
+  
+  try {
+    switch (subcommand) {
+      case 'show': {
+        if (!id) {
+          throw new Error('Usage: message show <messageId>');
+        }
+        const message = await ledger.get(id);
+        if (!message) {
+          throw new Error(`Message not found: ${id}`);
+        }
+        
+        if (options.json) {
+          console.log(JSON.stringify(message, null, 2));
+          break;
+        }
+        console.log(`✉️  ${message.messageId}: ${message.status}`);
+        console.log(`   To: ${message.recipients.join(', ')}`);
+        console.log(`   Subject: ${message.subject ?? ''}`);
+        console.log(`   Provider: ${message.provider || 'n/a'}`);
+        if (message.tenant) {
+          console.log(`   Tenant: ${message.tenant}`);
+        }
+        console.log(`   Trace ID: ${message.traceId || 'n/a'}`);
+        console.log('\n   History:');
+        for (const event of message.history) {
+          const details = [event.recipient, event.source, event.status === 'sent' && event.provider, event.code, event.diagnostic]
+            .filter(Boolean)
+            .join(', ');
+          const ignored = event.applied === false ? ' (out of order)' : '';
+          console.log(`     ${event.at.toISOString()}  ${event.status}${ignored}${details ? `  ${details}` : ''}`);
+        }
+        break;
+      }
+      
+      case 'list': {
+        const messages = await ledger.list({
+          recipient: options.to,
+          status: options.status,
+          tenant: options.tenant || undefined,
+          limit: parseInt(options.limit) || 20
+        });
+        
+        console.log(`✉️  ${messages.length} message(s)\n`);
+        for (const message of messages) {
+          console.log(`   ${message.messageId}  ${message.status}`);
+          console.log(`     To: ${message.recipients.join(', ')}`);
+          console.log(`     Subject: ${message.subject ?? ''}`);
+          console.log(`     Updated: ${message.updatedAt.toISOString()}`);
+        }
+        break;
+      }
+      
+      default:
+        throw new Error('Usage: message <show|list> [options]');
+    }
+  } finally {
+    await ledger.close();
+  }
+}
+
 async function runTest(args) {
   const options = parseArgs(args);
   const config = getConfig('test');
@@ -219,26 +569,67 @@ function showHelp() {
   console.log('  send     Send an email immediately');
   console.log('  queue    Add an email to the queue');
   console.log('  status   Show service status');
+  console.log('  dlq      Inspect and replay dead-lettered emails');
+  console.log('  suppression  Manage the bounce, complaint and unsubscribe suppression list');
+  console.log('  message  Show the delivery status of sent messages');
   console.log('  test     Run a quick test');
   console.log('  help     Show this help message');
   console.log();
   console.log('Send Options:');
-  console.log('  --to <email>         Recipient email address');
+  console.log('  --to <emails>        Recipients, comma-separated, e.g. \'Ana <ana@example.com>, bo@example.com\'');
+  console.log('  --cc <emails>        Copy recipients');
+  console.log('  --bcc <emails>       Blind copy recipients, not shown in the message');
+  console.log('  --reply-to <emails>  Where replies should go');
   console.log('  --subject <subject>  Email subject');
-  console.log('  --body <body>        Email body');
+  console.log('  --body <body>        Email body (plain text)');
+  console.log('  --html <html>        HTML body, sent alongside --body when both are given');
+  console.log('  --attach <files>     Comma-separated files to attach');
+  console.log('  --tags <tags>        Comma-separated tags, e.g. password-reset,transactional');
+  console.log('  --metadata <json>    Metadata kept with the email, e.g. \'{"userId":"42"}\'');
+  console.log('  --list-unsubscribe <urls>  Comma-separated mailto: or https: unsubscribe URLs');
+  console.log('  --category <name>    Email category, e.g. transactional still reaches unsubscribed addresses');
   console.log('  --from <email>       Sender email address');
+  console.log('  --template <name>    Render a template instead of --subject/--body');
+  console.log('  --data <json>        Template data, e.g. \'{"userName":"Ana"}\'');
   console.log('  --env <env>          Environment (development, production, test)');
   console.log();
   console.log('Queue Options:');
   console.log('  --priority <num>     Email priority (higher = sent first)');
   console.log('  --max-attempts <num> Maximum retry attempts');
+  console.log('  --send-at <time>     Schedule delivery (ISO date or timestamp)');
   console.log('  --process            Start processing queue');
   console.log('  --timeout <ms>       Processing timeout (default: 10000)');
   console.log();
+  console.log('Dead-Letter Commands:');
+  console.log('  dlq list             List dead-lettered emails (--code <code>, --limit <num>)');
+  console.log('  dlq show <id>        Show an entry with every attempt');
+  console.log('  dlq replay <id>      Requeue an entry (--all for every entry)');
+  console.log('  dlq purge            Remove entries (--older-than <ms>)');
+  console.log('  --store <path>       Dead-letter journal (.db for SQLite), defaults to --env config');
+  console.log();
+  console.log('Suppression Commands:');
+  console.log('  suppression list             List entries (--reason <reason>, --tenant <id>, --limit <num>)');
+  console.log('  suppression add <address>    Suppress an address (--reason hard-bounce|complaint|unsubscribe|manual)');
+  console.log('  suppression remove <address> Allow sending to an address again');
+  console.log('  suppression import <file>    Add entries from a CSV or .json file (--reason, --source defaults)');
+  console.log('  suppression export [file]    Write entries as CSV or JSON (--format csv|json), stdout without a file');
+  console.log('  --store <path>       Suppression journal (.db for SQLite), defaults to SUPPRESSION_STORE');
+  console.log('  --tenant <id>        Tenant whose entries are managed, global entries when omitted');
+  console.log();
+  console.log('Message Commands:');
+  console.log('  message show <id>    Show a message\'s delivery status and history (--json for raw output)');
+  console.log('  message list         List recent messages (--to <email>, --status <state>, --limit <num>)');
+  console.log('  --store <path>       Message ledger journal (.db for SQLite), defaults to MESSAGE_LEDGER_STORE');
+  console.log();
   console.log('Examples:');
   console.log('  node cli/index.js send --to user@example.com --subject "Hello" --body "Test message"');
   console.log('  node cli/index.js queue --to user@example.com --subject "Hello" --body "Test" --priority 5');
+  console.log('  node cli/index.js send --to user@example.com --subject "Report" --html "<p>Attached</p>" --attach report.pdf');
+  console.log('  node cli/index.js send --to user@example.com --template welcome --data \'{"userName":"Ana","serviceName":"Acme","userEmail":"user@example.com"}\'');
   console.log('  node cli/index.js status --env production');
+  console.log('  node cli/index.js dlq replay --all --env production');
+  console.log('  node cli/index.js message list --to user@example.com --store data/messages.journal');
+  console.log('  node cli/index.js suppression import bounces.csv --reason hard-bounce --store data/suppressions.journal');
   console.log('  node cli/index.js test');
 }
 
@@ -249,10 +640,12 @@ function parseArgs(args) {
     const key = args[i]?.replace(/^--/, '');
     const value = args[i + 1];
     
-    if (key && value) {
+    if (key && value && !value.startsWith('--')) {
       options[key] = value;
     } else if (key) {
+      // Flag without a value
       options[key] = true;
+      i--;
     }
   }
   
@@ -5,6 +5,27 @@
  * to customize the behavior of the email service.
  */
 
+import { assertSqliteAvailable } from '../src/SqliteQueueStore.js';
+
+/**
+ * Storage config from an environment variable: unset keeps data in memory,
+ * a .db path uses sqlite and any other path a file journal
+ * @param {string} name - Environment variable holding the path
+ * @returns {Object} - Storage config ({ type, path })
+ * @throws {Error} - When a .db path is set and node:sqlite is not available
+ */
+function storageFromEnv(name) {
+  const storePath = process.env[name];
+  if (!storePath) {
+    return { type: 'memory' };
+  }
+  if (storePath.endsWith('.db')) {
+    assertSqliteAvailable(`${name}=${storePath}`);
+    return { type: 'sqlite', path: storePath };
+  }
+  return { type: 'file', path: storePath };
+}
+
 // Development configuration - more lenient settings for testing
 export const developmentConfig = {
   maxRetries: 2,
@@ -76,6 +97,33 @@ export const highVolumeConfig = {
   ]
 };
 
+// SMTP configuration - delivers through a real SMTP relay
+export const smtpConfig = {
+  maxRetries: 3,
+  baseDelay: 1000,
+  maxDelay: 30000,
+  rateLimit: 500,
+  rateLimitWindow: 60000, // 1 minute
+  logLevel: 'info',
+  idempotencyTtl: 3600000, // 1 hour
+  circuitBreakerThreshold: 5,
+  circuitBreakerTimeout: 60000, // 1 minute
+  providers: [
+    {
+      name: 'SmtpRelay',
+      type: 'smtp',
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true', // Implicit TLS, usually port 465
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : null,
+      from: process.env.SMTP_FROM || 'noreply@example.com',
+      timeout: 30000
+    }
+  ]
+};
+
 // Queue configuration examples
 export const queueConfigs = {
   development: {
@@ -89,7 +137,10 @@ export const queueConfigs = {
     processInterval: 1000,
     maxConcurrency: 10,
     retryAttempts: 5,
-    logLevel: 'info'
+    logLevel: 'info',
+    // Durable storage so pending emails survive restarts (memory, file or sqlite)
+    storage: { type: 'file', path: 'data/email-queue.journal' },
+    deadLetterStorage: { type: 'file', path: 'data/email-dead-letter.journal' }
   },
   
   highVolume: {
@@ -106,7 +157,8 @@ export function getConfig(environment = 'development') {
     development: developmentConfig,
     production: productionConfig,
     test: testConfig,
-    'high-volume': highVolumeConfig
+    'high-volume': highVolumeConfig,
+    smtp: smtpConfig
   };
   
   return configs[environment] || developmentConfig;
@@ -162,6 +214,99 @@ Customer Service`
   }
 };
 
+// Extra templates loaded from a directory (see TemplateStore), added to emailTemplates, and where
+// template versions added over the API are kept, e.g. TEMPLATE_STORE=data/templates.journal (a .db path uses sqlite)
+export const templateConfig = {
+  directory: process.env.TEMPLATES_DIR || null,
+  storage: storageFromEnv('TEMPLATE_STORE')
+};
+
+// Message size limits, checked before any provider is tried
+export const messageConfig = {
+  maxMessageSize: parseInt(process.env.MAX_MESSAGE_SIZE) || 10 * 1024 * 1024, // 10 MB, encoded
+  maxAttachmentSize: parseInt(process.env.MAX_ATTACHMENT_SIZE) || 10 * 1024 * 1024, // 10 MB
+  maxAttachments: parseInt(process.env.MAX_ATTACHMENTS) || 20,
+  maxRecipients: parseInt(process.env.MAX_RECIPIENTS) || 50, // to + cc + bcc per message
+  maxRequestSize: process.env.MAX_REQUEST_SIZE || '15mb' // HTTP bodies carry attachments as base64
+};
+
+// Suppression list checked before every send, e.g. SUPPRESSION_STORE=data/suppressions.journal (a .db path uses sqlite)
+export const suppressionConfig = {
+  storage: storageFromEnv('SUPPRESSION_STORE'),
+  // Reasons each email category ignores: password resets still reach unsubscribed addresses
+  overrides: { transactional: ['unsubscribe'] }
+};
+
+// Delivery status of sent messages, e.g. MESSAGE_LEDGER_STORE=data/messages.journal (a .db path uses sqlite)
+export const ledgerConfig = {
+  storage: storageFromEnv('MESSAGE_LEDGER_STORE'),
+  maxEntries: parseInt(process.env.MESSAGE_LEDGER_MAX_ENTRIES) || 100000
+};
+
+// Idempotency records shared by every instance using the store, e.g. IDEMPOTENCY_STORE=data/idempotency.db
+// (a .db path uses sqlite, any other path a journal only one process may use)
+export const idempotencyConfig = {
+  storage: storageFromEnv('IDEMPOTENCY_STORE'),
+  lockTtl: parseInt(process.env.IDEMPOTENCY_LOCK_TTL) || 120000, // 2 minutes, frees the keys of crashed senders
+  waitTimeout: parseInt(process.env.IDEMPOTENCY_WAIT_TIMEOUT) || 30000 // 30 seconds a duplicate waits for an in-flight send
+};
+
+// Bounce and complaint reports posted to /inbound, which requires INBOUND_TOKEN in production
+export const inboundConfig = {
+  token: process.env.INBOUND_TOKEN || null,
+  maxTracked: parseInt(process.env.INBOUND_MAX_TRACKED) || 10000 // Sent messages remembered for linking reports
+};
+
+// API key tenants for the HTTP server, e.g. API_TENANTS='[{"id":"acme","key":"...","allowedFromDomains":["acme.com"],"rateLimit":100}]'
+export const authConfig = {
+  tenants: process.env.API_TENANTS ? JSON.parse(process.env.API_TENANTS) : []
+};
+
+// Delivery event webhooks, e.g. WEBHOOKS='[{"url":"https://example.com/hooks","events":["sent","failed"],"secret":"..."}]'.
+// Tenants registering through POST /webhooks can only use public hosts, or those in WEBHOOK_ALLOWED_HOSTS
+export const webhookConfig = {
+  allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean),
+  maxAttempts: 5,
+  baseDelay: 1000, // 1 second
+  maxDelay: 60000, // 1 minute
+  timeout: 10000, // 10 seconds
+  logSize: 1000,
+  subscriptions: process.env.WEBHOOKS ? JSON.parse(process.env.WEBHOOKS) : []
+};
+
+// Prometheus metrics on /metrics, protected by METRICS_TOKEN when set
+export const metricsConfig = {
+  enabled: process.env.METRICS_ENABLED !== 'false',
+  token: process.env.METRICS_TOKEN || null
+};
+
+// Structured logging, e.g. LOG_TRANSPORTS=stdout,file LOG_FILE=logs/email-service.log
+export const loggingConfig = {
+  level: process.env.LOG_LEVEL || 'info',
+  format: process.env.LOG_FORMAT || 'json', // json or text
+  redact: process.env.LOG_REDACT !== 'false', // Mask recipient addresses, drop message bodies
+  transports: (process.env.LOG_TRANSPORTS || 'stdout').split(',').map(type => ({
+    type: type.trim(),
+    path: process.env.LOG_FILE || 'logs/email-service.log',
+    maxSize: parseInt(process.env.LOG_MAX_SIZE) || 10 * 1024 * 1024, // 10 MB
+    maxFiles: parseInt(process.env.LOG_MAX_FILES) || 5,
+    limit: 1000 // memory transport
+  }))
+};
+
+// Tracing spans, exported as OTLP/JSON to a collector, e.g. TRACING_ENABLED=true
+export const tracingConfig = {
+  enabled: process.env.TRACING_ENABLED === 'true',
+  exporter: {
+    type: process.env.TRACING_EXPORTER || 'otlp', // otlp or memory
+    url: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT || 'http://localhost:4318/v1/traces',
+    serviceName: process.env.OTEL_SERVICE_NAME || 'resilient-email-service',
+    maxBatchSize: 512,
+    flushInterval: 5000, // 5 seconds
+    timeout: 10000 // 10 seconds
+  }
+};
+
 // Rate limiting presets
 export const rateLimitPresets = {
   conservative: { limit: 100, window: 60000 },   // 100 per minute
@@ -175,9 +320,21 @@ export default {
   productionConfig,
   testConfig,
   highVolumeConfig,
+  smtpConfig,
   queueConfigs,
   getConfig,
   getQueueConfig,
   emailTemplates,
+  templateConfig,
+  messageConfig,
+  suppressionConfig,
+  ledgerConfig,
+  idempotencyConfig,
+  inboundConfig,
+  authConfig,
+  webhookConfig,
+  metricsConfig,
+  loggingConfig,
+  tracingConfig,
   rateLimitPresets
 };
@@ -240,7 +240,7 @@ async function monitoringExample() {
   }
   
   console.log('Sending results:', results);
-  console.log('Service status:', emailService.getStatus());
+  console.log('Service status:', await emailService.getStatus());
 }
 
 // Example 8: Provider Health Simulation
@@ -137,7 +137,7 @@ async function demonstrateFeatures() {
   console.log('\n📊 6. SERVICE STATUS');
   console.log('-'.repeat(30));
   
-  const status = emailService.getStatus();
+  const status = await emailService.getStatus();
   console.log(`🏭 Active Provider: ${status.providers[status.currentProvider]?.name}`);
   console.log(`📨 Emails Sent: ${status.sentEmails}`);
   console.log(`🚦 Rate Limit Remaining: ${status.rateLimiter.remaining}`);
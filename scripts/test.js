@@ -15,20 +15,53 @@ async function runTests() {
   console.log('🧪 Running Email Service Tests\n');
   
   const testFiles = [
+    'tests/errors.test.js',
+    'tests/traceContext.test.js',
+    'tests/addresses.test.js',
+    'tests/metadata.test.js',
+    'tests/bounces.test.js',
     'tests/Logger.test.js',
+    'tests/LogTransports.test.js',
+    'tests/Tracer.test.js',
+    'tests/TraceExporters.test.js',
+    'tests/TemplateEngine.test.js',
+    'tests/TemplateStore.test.js',
+    'tests/Metrics.test.js',
+    'tests/ApiKeyAuth.test.js',
     'tests/CircuitBreaker.test.js',
     'tests/RateLimiter.test.js',
     'tests/MockEmailProvider.test.js',
+    'tests/MimeBuilder.test.js',
+    'tests/SmtpEmailProvider.test.js',
+    'tests/HttpApiEmailProvider.test.js',
+    'tests/ProviderRegistry.test.js',
+    'tests/WebhookDispatcher.test.js',
     'tests/EmailService.test.js',
-    'tests/EmailQueue.test.js'
+    'tests/QueueStore.test.js',
+    'tests/IdempotencyStore.test.js',
+    'tests/DeadLetterQueue.test.js',
+    'tests/SuppressionList.test.js',
+    'tests/MessageLedger.test.js',
+    'tests/BounceProcessor.test.js',
+    'tests/EmailQueue.test.js',
+    'tests/EmailMetrics.test.js',
+    'tests/app.test.js'
   ];
   
+  const skipped = [];
+  
   for (const testFile of testFiles) {
     console.log(`\n📋 Running ${testFile}...`);
     
     try {
-      await runTestFile(testFile);
+      const output = await runTestFile(testFile);
       console.log(`✅ ${testFile} passed`);
+      
+      // Skipped suites are not counted in the totals, so name them
+      for (const { name, reason } of findSkipped(output)) {
+        console.log(`⚠️  Skipped ${name}${reason ? `: ${reason}` : ''}`);
+        skipped.push(`${testFile}: ${name}`);
+      }
     } catch (error) {
       console.error(`❌ ${testFile} failed:`, error.message);
       process.exit(1);
@@ -36,6 +69,18 @@ async function runTests() {
   }
   
   console.log('\n🎉 All tests passed!');
+  if (skipped.length > 0) {
+    console.log(`⚠️  ${skipped.length} skipped:\n${skipped.map(name => `   - ${name}`).join('\n')}`);
+  }
+}
+
+/**
+ * Find skipped tests and suites in TAP output
+ * @param {string} output - Output of node --test
+ * @returns {Array<Object>} - { name, reason } of each skipped test or suite
+ */
+function findSkipped(output) {
+  return [...output.matchAll(/^\s*ok \d+ - (.+?) # SKIP\s*(.*)$/gm)].map(([, name, reason]) => ({ name, reason }));
 }
 
 function runTestFile(testFile) {
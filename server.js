@@ -1,42 +1,156 @@
-import express from "express";
-import bodyParser from "body-parser";
 import { EmailService } from "./src/EmailService.js";
-import { MockEmailProvider } from "./src/MockEmailProvider.js";
+import { EmailQueue } from "./src/EmailQueue.js";
+import { ApiKeyAuth } from "./src/ApiKeyAuth.js";
+import { WebhookDispatcher } from "./src/WebhookDispatcher.js";
+import { EmailMetrics } from "./src/EmailMetrics.js";
+import { createLogger } from "./src/Logger.js";
+import { Tracer } from "./src/Tracer.js";
+import { TemplateStore } from "./src/TemplateStore.js";
+import { SuppressionList } from "./src/SuppressionList.js";
+import { MessageLedger } from "./src/MessageLedger.js";
+import { createIdempotencyStore } from "./src/IdempotencyStore.js";
+import { BounceProcessor } from "./src/BounceProcessor.js";
+import { createExporter } from "./src/TraceExporters.js";
+import { createApp } from "./src/app.js";
+import {
+  authConfig,
+  webhookConfig,
+  metricsConfig,
+  loggingConfig,
+  tracingConfig,
+  emailTemplates,
+  templateConfig,
+  messageConfig,
+  suppressionConfig,
+  ledgerConfig,
+  idempotencyConfig,
+  inboundConfig,
+  getConfig,
+  getQueueConfig,
+} from "./config/index.js";
 
-const app = express();
 const PORT = process.env.PORT || 3000;
+const environment = process.env.NODE_ENV || "development";
+const logger = createLogger(loggingConfig);
 
-app.use(bodyParser.json());
+// Without tenants anyone who can reach the server can send mail
+let auth;
+if (authConfig.tenants.length > 0) {
+  auth = new ApiKeyAuth(authConfig);
+} else if (environment === "production") {
+  throw new Error("API_TENANTS must be configured in production");
+} else {
+  logger.warn("No API_TENANTS configured, the API is unauthenticated");
+}
 
-const emailService = new EmailService([
-  new MockEmailProvider("DevProvider-A"),
-  new MockEmailProvider("DevProvider-B"),
-]);
+const tracer = new Tracer({
+  exporter: tracingConfig.enabled
+    ? createExporter({ ...tracingConfig.exporter, logger: logger.child({ component: "tracing" }) })
+    : null,
+  logger: logger.child({ component: "tracing" }),
+});
 
-app.post("/send-email", async (req, res) => {
-  const { to, subject, body } = req.body;
+const templates = new TemplateStore({ templates: emailTemplates, ...templateConfig });
+await templates.load();
+await templates.init();
 
-  if (!to || !subject || !body) {
-    return res.status(400).json({ error: "Missing fields: to, subject, body" });
-  }
+const webhooks = new WebhookDispatcher({
+  ...webhookConfig,
+  logger: logger.child({ component: "webhooks" }),
+});
+const suppressions = new SuppressionList({
+  ...suppressionConfig,
+  logger: logger.child({ component: "suppressions" }),
+});
+await suppressions.init();
+
+const ledger = new MessageLedger({
+  ...ledgerConfig,
+  logger: logger.child({ component: "ledger" }),
+});
+await ledger.init();
+
+const idempotencyStore = createIdempotencyStore(idempotencyConfig.storage);
+await idempotencyStore.open();
 
-  try {
-    const result = await emailService.sendEmail({ to, subject, body });
-    res.json({
-      success: true,
-      provider: result.provider,
-      messageId: result.messageId,
-      timestamp: result.timestamp,
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, error: error.message });
+const emailService = new EmailService({
+  ...getConfig(environment),
+  maxMessageSize: messageConfig.maxMessageSize,
+  maxAttachmentSize: messageConfig.maxAttachmentSize,
+  maxAttachments: messageConfig.maxAttachments,
+  maxRecipients: messageConfig.maxRecipients,
+  suppressions,
+  ledger,
+  idempotencyStore,
+  idempotencyLockTtl: idempotencyConfig.lockTtl,
+  idempotencyWaitTimeout: idempotencyConfig.waitTimeout,
+  webhooks,
+  tracer,
+  templates,
+  logger: logger.child({ component: "email-service" }),
+});
+const emailQueue = new EmailQueue({
+  emailService,
+  ...getQueueConfig(environment),
+  logger: logger.child({ component: "email-queue" }),
+});
+
+// Anyone who can post reports could suppress any address
+let bounces;
+if (inboundConfig.token || environment !== "production") {
+  bounces = new BounceProcessor({
+    emailService,
+    maxTracked: inboundConfig.maxTracked,
+    logger: logger.child({ component: "bounces" }),
+  });
+  if (!inboundConfig.token) {
+    logger.warn("No INBOUND_TOKEN configured, /inbound accepts unauthenticated reports");
   }
+} else {
+  logger.warn("INBOUND_TOKEN is not configured, /inbound is disabled");
+}
+
+const metrics = metricsConfig.enabled
+  ? new EmailMetrics({ emailService, emailQueue })
+  : null;
+
+// Restore persisted items before serving requests
+await emailQueue.init();
+emailQueue.startProcessing().catch((error) => {
+  logger.error("Queue processing stopped", { error });
 });
 
-app.get("/", (req, res) => {
-  res.send("Resilient Email Service is running!");
+const app = createApp({
+  emailService,
+  emailQueue,
+  auth,
+  metrics,
+  metricsToken: metricsConfig.token,
+  bounces,
+  inboundToken: inboundConfig.token,
+  maxRequestSize: messageConfig.maxRequestSize,
+  logger: logger.child({ component: "http" }),
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
+const server = app.listen(PORT, () => {
+  logger.info(`Server running on http://localhost:${PORT}`);
 });
+
+const shutdown = () => {
+  server.close();
+  Promise.allSettled([
+    emailQueue.close(),
+    suppressions.close(),
+    ledger.close(),
+    templates.close(),
+    idempotencyStore.close(),
+    webhooks.close(),
+    tracer.shutdown(),
+  ]).finally(() => {
+    logger.close();
+    process.exit(0);
+  });
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
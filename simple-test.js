@@ -31,7 +31,7 @@ try {
   
   // Show service status
   console.log('\n📊 Service Status:');
-  const status = emailService.getStatus();
+  const status = await emailService.getStatus();
   console.log('   Current Provider:', status.providers[status.currentProvider].name);
   console.log('   Sent Emails:', status.sentEmails);
   console.log('   Rate Limit Remaining:', status.rateLimiter.remaining);
@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import { domainToASCII } from 'url';
+import { parseAddress } from './addresses.js';
+
+/**
+ * API key authentication for the HTTP server.
+ *
+ * Each key maps to a tenant:
+ *   { id, key, allowedFromDomains, defaultFrom, rateLimit }
+ * Keys are kept as SHA-256 digests and compared in constant time.
+ */
+export class ApiKeyAuth {
+  constructor(options = {}) {
+    this.tenants = new Map();
+
+    for (const tenant of options.tenants || []) {
+      this.addTenant(tenant);
+    }
+  }
+
+  /**
+   * Register a tenant and its API key(s)
+   * @param {Object} tenant - Tenant configuration
+   * @param {string} tenant.id - Tenant ID
+   * @param {string|Array<string>} tenant.key - API key, or several keys for rotation
+   * @param {Array<string>} tenant.allowedFromDomains - Domains the tenant may send from, empty allows any
+   * @param {string} tenant.defaultFrom - Sender used when a request has no `from`
+   * @param {number} tenant.rateLimit - Emails per rate limit window
+   */
+  addTenant(tenant) {
+    if (!tenant.id) {
+      throw new Error('Tenant requires an id');
+    }
+
+    const keys = [].concat(tenant.key || tenant.keys || []);
+    if (keys.length === 0) {
+      throw new Error(`Tenant ${tenant.id} requires an API key`);
+    }
+
+    const entry = {
+      id: tenant.id,
+      allowedFromDomains: (tenant.allowedFromDomains || []).map(domain => domainToASCII(domain) || domain.toLowerCase()),
+      defaultFrom: tenant.defaultFrom,
+      rateLimit: tenant.rateLimit
+    };
+
+    for (const key of keys) {
+      this.tenants.set(this.hashKey(key), entry);
+    }
+  }
+
+  /**
+   * Get every configured tenant
+   * @returns {Array<Object>} - Tenants
+   */
+  getTenants() {
+    return [...new Set(this.tenants.values())];
+  }
+
+  /**
+   * Resolve an API key to its tenant
+   * @param {string} key - API key
+   * @returns {Object|null} - Tenant, or null for unknown keys
+   */
+  authenticate(key) {
+    if (!key) {
+      return null;
+    }
+
+    const digest = Buffer.from(this.hashKey(key), 'hex');
+    for (const [hash, tenant] of this.tenants) {
+      if (crypto.timingSafeEqual(digest, Buffer.from(hash, 'hex'))) {
+        return tenant;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a tenant may send from an address
+   * @param {Object} tenant - Tenant
+   * @param {string} from - Sender address
+   * @returns {boolean} - Whether the sender is allowed
+   */
+  isSenderAllowed(tenant, from) {
+    if (tenant.allowedFromDomains.length === 0) {
+      return true;
+    }
+    if (!from) {
+      return false;
+    }
+
+    // Parsed addresses have lower-case ASCII domains, `Name <addr>` forms included
+    let address;
+    try {
+      ({ address } = parseAddress(from));
+    } catch {
+      return false;
+    }
+    return tenant.allowedFromDomains.includes(address.slice(address.lastIndexOf('@') + 1));
+  }
+
+  /**
+   * Read the API key from `Authorization: Bearer <key>` or `X-API-Key`
+   * @param {Object} req - Express request
+   * @returns {string|null} - API key
+   */
+  getRequestKey(req) {
+    const authorization = req.get('authorization');
+    if (authorization && /^bearer /i.test(authorization)) {
+      return authorization.slice(7).trim();
+    }
+    return req.get('x-api-key') || null;
+  }
+
+  /**
+   * Express middleware that sets `req.tenant` or rejects the request
+   * @returns {Function} - Middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      const tenant = this.authenticate(this.getRequestKey(req));
+      if (!tenant) {
+        const error = new Error('A valid API key is required');
+        error.code = 'UNAUTHORIZED';
+        return next(error);
+      }
+
+      req.tenant = tenant;
+      next();
+    };
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+}
@@ -0,0 +1,192 @@
+import { EventEmitter } from 'events';
+import { Logger } from './Logger.js';
+import { EVENTS, emitSafely } from './events.js';
+import { parseDsn, parseWebhook } from './bounces.js';
+import { ValidationError } from './errors.js';
+
+// Ledger state each feedback type moves a message to
+const MESSAGE_STATE = {
+  'hard-bounce': 'bounced',
+  'soft-bounce': 'deferred',
+  complaint: 'complained',
+  delivered: 'delivered',
+  opened: 'opened'
+};
+
+/**
+ * Consumes bounce, complaint and delivery reports (see bounces.js): links
+ * each one to the send it is about, moves the message along in the ledger,
+ * suppresses hard-bounced and complaining addresses and reports `bounced`
+ * and `complained` webhook events.
+ *
+ * Sends are linked by the messageId sendEmail returned, remembered from
+ * the attempt-succeeded events of the observed EmailService or found in the
+ * message ledger. Suppressions are scoped to the tenant of the linked send,
+ * global when it is unknown. Soft bounces are reported but never suppress.
+ *
+ * Emits feedback-received (see events.js) for every processed event.
+ */
+export class BounceProcessor extends EventEmitter {
+  /**
+   * @param {Object} options - Processor options
+   * @param {EmailService} options.emailService - Service whose sends are linked, its suppression list and webhooks are the defaults
+   * @param {SuppressionList} options.suppressions - Suppression list fed with hard bounces and complaints
+   * @param {MessageLedger} options.ledger - Ledger whose messages move to delivered, deferred, bounced, complained or opened
+   * @param {WebhookDispatcher} options.webhooks - Receives bounced and complained events
+   * @param {number} options.maxTracked - Most sent messages remembered for linking
+   * @param {Logger} options.logger - Logger
+   */
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || new Logger(options.logLevel || 'info');
+    this.suppressions = options.suppressions || options.emailService?.suppressions || null;
+    this.webhooks = options.webhooks || options.emailService?.webhooks || null;
+    this.ledger = options.ledger || options.emailService?.ledger || null;
+    this.maxTracked = options.maxTracked || 10000;
+
+    this.messages = new Map();
+    this.listeners = [];
+    if (options.emailService) {
+      this.observe(options.emailService);
+    }
+  }
+
+  /**
+   * Remember the messages an email service sends
+   * @param {EmailService} emailService - Email service
+   */
+  observe(emailService) {
+    const listener = ({ messageId, provider, idempotencyKey, tenant, traceId, timestamp }) => {
+      this.track(messageId, { provider, idempotencyKey, tenant, traceId, sentAt: timestamp });
+    };
+    emailService.on(EVENTS.ATTEMPT_SUCCEEDED, listener);
+    this.listeners.push(() => emailService.off(EVENTS.ATTEMPT_SUCCEEDED, listener));
+  }
+
+  /**
+   * Remember a sent message, forgetting the oldest beyond maxTracked
+   * @param {string} messageId - Message ID returned by sendEmail
+   * @param {Object} details - { provider, idempotencyKey, tenant, traceId, sentAt }
+   */
+  track(messageId, details) {
+    if (!messageId) {
+      return;
+    }
+    this.messages.delete(messageId);
+    this.messages.set(messageId, { messageId, ...details });
+    if (this.messages.size > this.maxTracked) {
+      this.messages.delete(this.messages.keys().next().value);
+    }
+  }
+
+  /**
+   * Look up a sent message
+   * @param {string} messageId - Message ID returned by sendEmail
+   * @returns {Object|null} - { messageId, provider, idempotencyKey, tenant, traceId, sentAt } or null
+   */
+  getMessage(messageId) {
+    return (messageId && this.messages.get(messageId)) || null;
+  }
+
+  /**
+   * Process a bounce or complaint message (RFC 3464 or RFC 5965)
+   * @param {string|Buffer} raw - Message as received
+   * @returns {Promise<Array<Object>>} - Processed events
+   */
+  processDsn(raw) {
+    return this.process(parseDsn(raw));
+  }
+
+  /**
+   * Process a provider webhook payload
+   * @param {string} format - Payload format, see WEBHOOK_FORMATS
+   * @param {Object|Array} payload - Parsed JSON body
+   * @returns {Promise<Array<Object>>} - Processed events
+   */
+  processWebhook(format, payload) {
+    return this.process(parseWebhook(format, payload));
+  }
+
+  /**
+   * Link, record, suppress and report feedback events
+   * @param {Array<Object>} events - Feedback events from bounces.js
+   * @returns {Promise<Array<Object>>} - Events with tenant, traceId, linked, suppressed and the message status
+   */
+  async process(events) {
+    const processed = [];
+    for (const event of events) {
+      const message = this.getMessage(event.messageId) || await this.ledger?.get(event.messageId) || null;
+      const result = {
+        ...event,
+        tenant: message?.tenant || null,
+        traceId: message?.traceId || null,
+        linked: Boolean(message),
+        suppressed: false
+      };
+
+      // Only hard bounces and complaints stop further mail to a recipient
+      const problem = result.type === 'hard-bounce' || result.type === 'complaint';
+      if (problem && this.suppressions) {
+        try {
+          await this.suppressions.add(result.recipient, {
+            reason: result.type,
+            source: result.source,
+            tenant: result.tenant,
+            createdAt: result.timestamp
+          });
+          result.suppressed = true;
+        } catch (error) {
+          if (!(error instanceof ValidationError)) {
+            throw error;
+          }
+          this.logger.warn('Feedback recipient not suppressed', { recipient: result.recipient, error: error.message });
+        }
+      }
+
+      const recorded = await this.ledger?.transition(result.messageId, MESSAGE_STATE[result.type], {
+        recipient: result.recipient,
+        source: result.source,
+        ...(result.status !== null && { code: result.status }),
+        ...(result.diagnostic !== null && { diagnostic: result.diagnostic }),
+        at: result.timestamp
+      });
+      result.messageStatus = recorded?.entry.status || null;
+
+      this.logger[problem ? 'warn' : 'info']('Delivery feedback received', {
+        type: result.type,
+        recipient: result.recipient,
+        messageId: result.messageId,
+        status: result.status,
+        linked: result.linked,
+        tenant: result.tenant
+      });
+
+      const webhookEvent = { 'hard-bounce': 'bounced', 'soft-bounce': 'bounced', complaint: 'complained' }[result.type];
+      if (webhookEvent) {
+        this.webhooks?.emit(webhookEvent, {
+          messageId: result.messageId,
+          tenant: result.tenant,
+          traceId: result.traceId,
+          to: result.recipient,
+          ...(webhookEvent === 'bounced' && { bounceType: result.type === 'hard-bounce' ? 'hard' : 'soft' }),
+          status: result.status,
+          diagnostic: result.diagnostic,
+          source: result.source,
+          suppressed: result.suppressed
+        });
+      }
+      emitSafely(this, EVENTS.FEEDBACK_RECEIVED, { ...result, reportedAt: result.timestamp }, this.logger);
+
+      processed.push(result);
+    }
+    return processed;
+  }
+
+  /**
+   * Stop observing email services
+   */
+  close() {
+    this.listeners.forEach(remove => remove());
+    this.listeners = [];
+  }
+}
@@ -1,11 +1,22 @@
+import { EventEmitter } from 'events';
+import { EVENTS, emitSafely } from './events.js';
+import { Tracer } from './Tracer.js';
+
 /**
  * Circuit breaker implementation to prevent cascading failures
+ *
+ * Emits `circuit-state-changed` on every state transition and records a
+ * `CircuitBreaker.decision` span for every call it lets through or blocks.
  */
-export class CircuitBreaker {
+export class CircuitBreaker extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.failureThreshold = options.failureThreshold || 5;
     this.resetTimeout = options.resetTimeout || 60000; // 1 minute
     this.monitoringPeriod = options.monitoringPeriod || 10000; // 10 seconds
+    this.isFailure = options.isFailure || (() => true); // Which errors count towards opening
+    this.name = options.name || null;
+    this.tracer = options.tracer || new Tracer();
     
     this.state = 'CLOSED'; // CLOSED, OPEN, HALF_OPEN
     this.failureCount = 0;
@@ -16,14 +27,21 @@ export class CircuitBreaker {
   /**
    * Execute a function with circuit breaker protection
    * @param {Function} fn - Function to execute
+   * @param {Span} parentSpan - Span the decision span belongs to
    * @returns {Promise} - Result of function execution
    */
-  async execute(fn) {
+  async execute(fn, parentSpan = null) {
     if (this.state === 'OPEN') {
       if (Date.now() < this.nextAttempt) {
-        throw new Error('Circuit breaker is OPEN - blocking execution');
+        this.recordDecision('rejected', parentSpan);
+        const error = new Error('Circuit breaker is OPEN - blocking execution');
+        error.code = 'CIRCUIT_OPEN';
+        throw error;
       }
-      this.state = 'HALF_OPEN';
+      this.transition('HALF_OPEN');
+      this.recordDecision('trial', parentSpan);
+    } else {
+      this.recordDecision('allowed', parentSpan);
     }
 
     try {
@@ -31,15 +49,20 @@ export class CircuitBreaker {
       this.onSuccess();
       return result;
     } catch (error) {
-      this.onFailure();
+      if (this.isFailure(error)) {
+        this.onFailure();
+      } else {
+        // The call was answered, only the request itself was rejected
+        this.onSuccess();
+      }
       throw error;
     }
   }
 
   onSuccess() {
     this.failureCount = 0;
-    this.state = 'CLOSED';
     this.nextAttempt = null;
+    this.transition('CLOSED');
   }
 
   onFailure() {
@@ -47,8 +70,43 @@ export class CircuitBreaker {
     this.lastFailureTime = Date.now();
 
     if (this.failureCount >= this.failureThreshold) {
-      this.state = 'OPEN';
       this.nextAttempt = Date.now() + this.resetTimeout;
+      this.transition('OPEN');
+    }
+  }
+
+  /**
+   * Record whether a call was let through as a zero-length span
+   * @param {string} decision - allowed, trial (half-open) or rejected
+   * @param {Span} parentSpan - Parent span
+   */
+  recordDecision(decision, parentSpan) {
+    const span = this.tracer.startSpan('CircuitBreaker.decision', {
+      parent: parentSpan,
+      attributes: {
+        'circuit_breaker.name': this.name,
+        'circuit_breaker.state': this.state,
+        'circuit_breaker.decision': decision,
+        'circuit_breaker.failure_count': this.failureCount
+      }
+    });
+    span.end();
+  }
+
+  /**
+   * Change state and emit circuit-state-changed
+   * @param {string} state - New state
+   */
+  transition(state) {
+    const previousState = this.state;
+    this.state = state;
+    if (state !== previousState) {
+      emitSafely(this, EVENTS.CIRCUIT_STATE_CHANGED, {
+        state,
+        previousState,
+        failureCount: this.failureCount,
+        nextAttempt: this.nextAttempt
+      });
     }
   }
 
@@ -0,0 +1,167 @@
+import { Logger } from './Logger.js';
+import { createQueueStore } from './QueueStore.js';
+
+/**
+ * Dead-letter store for queue items that exhausted their attempts or
+ * failed permanently. Entries keep the full email and every attempt's
+ * error and provider until they are replayed or purged.
+ *
+ * Uses the same storage adapters as EmailQueue (memory, file or sqlite).
+ */
+export class DeadLetterQueue {
+  constructor(options = {}) {
+    this.logger = options.logger || new Logger(options.logLevel || 'info');
+    this.store = options.store || createQueueStore(options.storage);
+    this.ready = null;
+  }
+
+  /**
+   * Open the underlying store
+   * @returns {Promise} - Resolves when the store is open
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.store.open().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Move a failed queue item into the dead-letter store
+   * @param {Object} queueItem - Failed queue item
+   * @returns {Promise<Object>} - Dead-letter entry
+   */
+  async add(queueItem) {
+    await this.init();
+
+    const entry = {
+      id: queueItem.id,
+      email: queueItem.email,
+      options: queueItem.options,
+      priority: queueItem.priority,
+      attempts: queueItem.attempts,
+      maxAttempts: queueItem.maxAttempts,
+      attemptHistory: queueItem.attemptHistory || [],
+      error: queueItem.error,
+      errorCode: queueItem.errorCode,
+      createdAt: queueItem.createdAt,
+      failedAt: queueItem.failedAt || new Date(),
+      deadLetteredAt: new Date(),
+      status: 'dead'
+    };
+
+    // Replace an older entry for the same item
+    await this.store.upsert(entry);
+
+    this.logger.warn('Queue item dead-lettered', {
+      id: entry.id,
+      attempts: entry.attempts,
+      error: entry.error
+    });
+
+    return entry;
+  }
+
+  /**
+   * List dead-letter entries, most recent first
+   * @param {Object} filter - Filter options (errorCode, limit)
+   * @returns {Promise<Array>} - Entry summaries
+   */
+  async list(filter = {}) {
+    let entries = await this.getEntries();
+
+    if (filter.errorCode) {
+      entries = entries.filter(entry => entry.errorCode === filter.errorCode);
+    }
+
+    if (filter.limit) {
+      entries = entries.slice(0, filter.limit);
+    }
+
+    return entries.map(entry => {
+      const lastAttempt = entry.attemptHistory[entry.attemptHistory.length - 1];
+      return {
+        id: entry.id,
+        attempts: entry.attempts,
+        error: entry.error,
+        errorCode: entry.errorCode,
+        lastProvider: lastAttempt?.provider || null,
+        deadLetteredAt: entry.deadLetteredAt,
+        email: {
+          to: entry.email.to,
+          subject: entry.email.subject
+        }
+      };
+    });
+  }
+
+  /**
+   * Get a full dead-letter entry
+   * @param {string} id - Entry ID (the original queue item ID)
+   * @returns {Promise<Object|null>} - Entry or null
+   */
+  async get(id) {
+    const entries = await this.getEntries();
+    return entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} - Whether the entry was removed
+   */
+  async remove(id) {
+    await this.init();
+    return this.store.remove(id);
+  }
+
+  /**
+   * Remove entries
+   * @param {Object} options - Purge options
+   * @param {number} options.olderThan - Only purge entries dead-lettered more than this many ms ago
+   * @returns {Promise<number>} - Number of purged entries
+   */
+  async purge(options = {}) {
+    const entries = await this.getEntries();
+    const cutoff = options.olderThan ? Date.now() - options.olderThan : Infinity;
+
+    let purged = 0;
+    for (const entry of entries) {
+      if (entry.deadLetteredAt.getTime() <= cutoff && await this.store.remove(entry.id)) {
+        purged++;
+      }
+    }
+
+    this.logger.info('Dead-letter queue purged', { purged });
+    return purged;
+  }
+
+  /**
+   * Count entries
+   * @returns {Promise<number>} - Number of entries
+   */
+  async size() {
+    return (await this.getEntries()).length;
+  }
+
+  /**
+   * Load all entries, most recently dead-lettered first
+   * @returns {Promise<Array>} - Entries
+   */
+  async getEntries() {
+    await this.init();
+    const entries = await this.store.list();
+    return entries.sort((a, b) => b.deadLetteredAt - a.deadLetteredAt);
+  }
+
+  /**
+   * Close the underlying store
+   */
+  async close() {
+    await this.store.close();
+    this.ready = null;
+  }
+}
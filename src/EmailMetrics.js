@@ -0,0 +1,203 @@
+import { MetricsRegistry } from './Metrics.js';
+import { EVENTS } from './events.js';
+
+const CIRCUIT_STATES = { CLOSED: 0, HALF_OPEN: 1, OPEN: 2 };
+
+/**
+ * Prometheus metrics for EmailService and EmailQueue.
+ *
+ * Counters and histograms are fed from the lifecycle events, gauges
+ * (circuit state, queue depth, oldest pending item) are read at scrape time.
+ */
+export class EmailMetrics {
+  /**
+   * @param {Object} options - Metrics options
+   * @param {EmailService} options.emailService - Email service to observe
+   * @param {EmailQueue} options.emailQueue - Email queue to observe
+   * @param {MetricsRegistry} options.registry - Registry to add the metrics to
+   * @param {string} options.prefix - Metric name prefix
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || new MetricsRegistry();
+    this.emailService = options.emailService || null;
+    this.emailQueue = options.emailQueue || null;
+
+    const prefix = options.prefix || 'email_';
+    const registry = this.registry;
+
+    this.sends = registry.counter(
+      `${prefix}provider_sends_total`,
+      'Provider send attempts by outcome',
+      ['provider', 'outcome']
+    );
+    this.failures = registry.counter(
+      `${prefix}provider_failures_total`,
+      'Failed provider send attempts by error class',
+      ['provider', 'error_class']
+    );
+    this.retries = registry.counter(
+      `${prefix}provider_retries_total`,
+      'Send attempts that retried the same provider',
+      ['provider']
+    );
+    this.fallbacks = registry.counter(
+      `${prefix}provider_fallbacks_total`,
+      'Sends that moved on to the next provider',
+      ['from', 'to']
+    );
+    this.latency = registry.histogram(
+      `${prefix}provider_send_duration_seconds`,
+      'Provider send latency',
+      ['provider', 'outcome']
+    );
+    this.rateLimited = registry.counter(
+      `${prefix}rate_limited_total`,
+      'Sends refused by the rate limiter'
+    );
+    this.duplicates = registry.counter(
+      `${prefix}duplicates_suppressed_total`,
+      'Sends answered from an idempotency record'
+    );
+    this.suppressed = registry.counter(
+      `${prefix}recipients_suppressed_total`,
+      'Recipients removed by the suppression list',
+      ['reason']
+    );
+    this.circuitTransitions = registry.counter(
+      `${prefix}circuit_breaker_transitions_total`,
+      'Circuit breaker state changes',
+      ['provider', 'state']
+    );
+    this.circuitState = registry.gauge(
+      `${prefix}circuit_breaker_state`,
+      'Circuit breaker state (0 closed, 1 half-open, 2 open)',
+      ['provider'],
+      gauge => this.collectCircuitState(gauge)
+    );
+
+    this.queueRetries = registry.counter(
+      `${prefix}queue_retries_total`,
+      'Queue items rescheduled after a failed attempt'
+    );
+    this.queueCompleted = registry.counter(
+      `${prefix}queue_items_completed_total`,
+      'Queue items that reached a final state',
+      ['status']
+    );
+    this.queueDepth = registry.gauge(
+      `${prefix}queue_depth`,
+      'Queue items by status',
+      ['status'],
+      gauge => this.collectQueueDepth(gauge)
+    );
+    this.oldestPending = registry.gauge(
+      `${prefix}queue_oldest_pending_age_seconds`,
+      'How long the longest-waiting due queue item has waited since it became due',
+      [],
+      gauge => this.collectOldestPending(gauge)
+    );
+
+    this.listeners = [];
+    if (this.emailService) {
+      this.observeService(this.emailService);
+    }
+    if (this.emailQueue) {
+      this.observeQueue(this.emailQueue);
+    }
+  }
+
+  /**
+   * Subscribe to EmailService events
+   * @param {EmailService} emailService - Email service
+   */
+  observeService(emailService) {
+    this.listen(emailService, EVENTS.ATTEMPT_STARTED, ({ provider, attempt }) => {
+      if (attempt > 1) {
+        this.retries.inc({ provider });
+      }
+    });
+    this.listen(emailService, EVENTS.ATTEMPT_SUCCEEDED, ({ provider, duration }) => {
+      this.sends.inc({ provider, outcome: 'success' });
+      this.latency.observe({ provider, outcome: 'success' }, duration / 1000);
+    });
+    this.listen(emailService, EVENTS.ATTEMPT_FAILED, ({ provider, code, duration }) => {
+      this.sends.inc({ provider, outcome: 'failure' });
+      this.failures.inc({ provider, error_class: code || 'UNKNOWN' });
+      this.latency.observe({ provider, outcome: 'failure' }, duration / 1000);
+    });
+    this.listen(emailService, EVENTS.PROVIDER_FALLBACK, ({ from, to }) => {
+      this.fallbacks.inc({ from, to });
+    });
+    this.listen(emailService, EVENTS.RATE_LIMITED, () => this.rateLimited.inc());
+    this.listen(emailService, EVENTS.DUPLICATE_SUPPRESSED, () => this.duplicates.inc());
+    this.listen(emailService, EVENTS.RECIPIENTS_SUPPRESSED, ({ recipients }) => {
+      for (const { reason } of recipients) {
+        this.suppressed.inc({ reason });
+      }
+    });
+    this.listen(emailService, EVENTS.CIRCUIT_STATE_CHANGED, ({ provider, state }) => {
+      this.circuitTransitions.inc({ provider, state });
+    });
+  }
+
+  /**
+   * Subscribe to EmailQueue events
+   * @param {EmailQueue} emailQueue - Email queue
+   */
+  observeQueue(emailQueue) {
+    this.listen(emailQueue, EVENTS.ITEM_RETRYING, () => this.queueRetries.inc());
+    this.listen(emailQueue, EVENTS.ITEM_COMPLETED, ({ status }) => {
+      this.queueCompleted.inc({ status });
+    });
+  }
+
+  listen(emitter, event, listener) {
+    emitter.on(event, listener);
+    this.listeners.push({ emitter, event, listener });
+  }
+
+  collectCircuitState(gauge) {
+    if (!this.emailService) {
+      return;
+    }
+    this.emailService.providers.forEach((provider, index) => {
+      const { state } = this.emailService.circuitBreakers.get(index);
+      gauge.set({ provider: provider.name }, CIRCUIT_STATES[state]);
+    });
+  }
+
+  collectQueueDepth(gauge) {
+    if (!this.emailQueue) {
+      return;
+    }
+    const { statusCounts } = this.emailQueue.getStats();
+    for (const status of ['pending', 'processing', 'completed', 'failed', 'cancelled']) {
+      gauge.set({ status }, statusCounts[status] || 0);
+    }
+  }
+
+  collectOldestPending(gauge) {
+    if (!this.emailQueue) {
+      return;
+    }
+    gauge.set({}, this.emailQueue.getStats().oldestPendingAge / 1000);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    return this.registry.render();
+  }
+
+  /**
+   * Stop listening to the observed service and queue
+   */
+  close() {
+    for (const { emitter, event, listener } of this.listeners) {
+      emitter.off(event, listener);
+    }
+    this.listeners = [];
+  }
+}
@@ -1,14 +1,55 @@
+import { EventEmitter } from 'events';
 import { EmailService } from './EmailService.js';
 import { Logger } from './Logger.js';
+import { isPermanentError, ValidationError } from './errors.js';
+import { createQueueStore, sortItems } from './QueueStore.js';
+import { DeadLetterQueue } from './DeadLetterQueue.js';
+import { EVENTS, emitSafely } from './events.js';
+import { resolveTraceId } from './traceContext.js';
+import { Tracer, SPAN_KIND, SPAN_STATUS } from './Tracer.js';
+import { TemplateStore } from './TemplateStore.js';
+import { MimeBuilder, encodeAttachments } from './MimeBuilder.js';
+import { normalizeTags, validateMetadata, matchesLabels } from './metadata.js';
+import { listRecipients } from './addresses.js';
 
 /**
  * Email queue system for processing emails asynchronously
+ *
+ * Emits `item-retrying` when a failed item is rescheduled and
+ * `item-completed` when an item is sent or fails for good.
  */
-export class EmailQueue {
+export class EmailQueue extends EventEmitter {
   constructor(options = {}) {
-    this.logger = new Logger(options.logLevel || 'info');
+    super();
+    this.logger = options.logger || new Logger(options.logLevel || 'info');
     this.emailService = options.emailService || new EmailService(options.emailServiceOptions);
     
+    // Items are kept in memory and every state change is written to the store
+    this.store = options.store || createQueueStore(options.storage);
+    this.ready = null;
+    
+    // Items that exhausted their attempts are kept here for inspection and replay
+    this.deadLetterQueue = options.deadLetterQueue || new DeadLetterQueue({
+      storage: options.deadLetterStorage,
+      logLevel: options.logLevel,
+      logger: options.logger && this.logger.child({ component: 'dead-letter-queue' })
+    });
+    
+    // Delivery event webhooks, shared with the email service by default
+    this.webhooks = options.webhooks || this.emailService.webhooks || null;
+    
+    // Templates are rendered when an item is added, shared with the email service by default
+    this.templates = options.templates || this.emailService.templates || new TemplateStore();
+    
+    // Attachments are loaded and size-checked when an item is added, shared with the email service by default
+    this.mime = options.mime || this.emailService.mime || new MimeBuilder();
+    
+    // Queued emails are recorded in the message ledger, shared with the email service by default
+    this.ledger = options.ledger || this.emailService.ledger || null;
+    
+    // Spans for each processing attempt, shared with the email service by default
+    this.tracer = options.tracer || this.emailService.tracer || new Tracer({ logger: this.logger });
+    
     this.queue = [];
     this.processing = false;
     this.processInterval = options.processInterval || 1000; // 1 second
@@ -28,36 +69,149 @@ export class EmailQueue {
   }
 
   /**
-   * Add email to queue
-   * @param {Object} email - Email object
+   * Open the store and restore unfinished items
+   * @returns {Promise} - Resolves when the queue is ready
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = this.restore().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Load items from the store. Items that were processing when the
+   * process stopped are made pending again.
+   */
+  async restore() {
+    await this.store.open();
+    const items = await this.store.list();
+    
+    let recovered = 0;
+    for (const item of items) {
+      if (item.status === 'processing') {
+        item.status = 'pending';
+        await this.store.nack(item);
+        recovered++;
+      }
+    }
+    
+    // Keep items added before the store finished opening
+    const restoredIds = new Set(items.map(item => item.id));
+    this.queue = sortItems([...items, ...this.queue.filter(item => !restoredIds.has(item.id))]);
+    this.stats.pending = this.queue.filter(item => item.status === 'pending').length;
+    
+    if (items.length > 0) {
+      this.logger.info('Queue restored from storage', {
+        items: items.length,
+        pending: this.stats.pending,
+        recovered
+      });
+    }
+  }
+
+  /**
+   * Add email to queue. Template emails are rendered now, so template
+   * errors surface immediately and later template edits do not change queued mail.
+   * Attachments are read now as well (files and streams may be gone by the time
+   * the item is sent) and stored base64-encoded.
+   * @param {Object} email - Email object, or `{ template, templateVersion, data, to, ... }` to render a template
    * @param {Object} options - Queue options
+   * @param {number} options.priority - Higher priority is sent first
+   * @param {number} options.maxAttempts - Maximum send attempts
+   * @param {Date|string|number} options.sendAt - Do not send before this time
+   * @param {string} options.tenant - Tenant that owns the item
+   * @param {string} options.traceId - Correlation ID, generated when missing
+   * @param {Object} options.template - `{ name, version }` of the template an already rendered email came from
    * @returns {string} - Queue item ID
    */
   async addEmail(email, options = {}) {
+    const rendered = this.templates.renderEmail(email, { tenant: options.tenant });
+    email = rendered.email;
+    const template = rendered.template || options.template || null;
+    const tags = normalizeTags(email.tags);
+    validateMetadata(email.metadata);
+    email = encodeAttachments(await this.mime.prepare(tags ? { ...email, tags } : email));
+    const sendAt = this.parseSendAt(options.sendAt);
+    const traceId = resolveTraceId(options.traceId);
+    await this.init();
+    
+    // Every attempt is sent with the item's trace ID
     const queueItem = {
       id: this.generateId(),
       email,
-      options,
+      options: { ...options, traceId, template },
       attempts: 0,
       maxAttempts: options.maxAttempts || this.retryAttempts,
       priority: options.priority || 0,
+      tenant: options.tenant || null,
+      traceId,
+      template,
       createdAt: new Date(),
       status: 'pending'
     };
     
+    // Scheduled items stay invisible to the scheduler until sendAt
+    if (sendAt) {
+      queueItem.sendAt = sendAt;
+      queueItem.nextAttempt = sendAt;
+    }
+    
+    await this.store.enqueue(queueItem);
     this.queue.push(queueItem);
     this.sortQueue();
     this.stats.pending++;
+    await this.recordQueued(queueItem);
     
     this.logger.debug('Email added to queue', {
       id: queueItem.id,
+      traceId,
       to: email.to,
+      sendAt: queueItem.sendAt,
       queueSize: this.queue.length
     });
     
+    this.notifyWebhooks('queued', queueItem, {
+      priority: queueItem.priority,
+      sendAt: queueItem.sendAt || null
+    });
+    
     return queueItem.id;
   }
 
+  /**
+   * Parse the sendAt option
+   * @param {Date|string|number} sendAt - Scheduled send time
+   * @returns {Date|null} - Parsed date
+   */
+  parseSendAt(sendAt) {
+    if (sendAt === undefined || sendAt === null) {
+      return null;
+    }
+    
+    // Numeric strings (e.g. from the CLI) are epoch milliseconds
+    const value = typeof sendAt === 'string' && /^\d+$/.test(sendAt) ? Number(sendAt) : sendAt;
+    const date = value instanceof Date ? new Date(value.getTime()) : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new ValidationError(`Invalid sendAt: ${sendAt}`, { field: 'sendAt' });
+    }
+    return date;
+  }
+
+  /**
+   * Check whether an item can be picked up now. `nextAttempt` works as a
+   * visibility timeout: backed-off and scheduled items wait until it passes.
+   * @param {Object} item - Queue item
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} - Whether the item is due
+   */
+  isDue(item, now = Date.now()) {
+    return item.status === 'pending' && (!item.nextAttempt || item.nextAttempt.getTime() <= now);
+  }
+
   /**
    * Start processing queue
    */
@@ -70,6 +224,14 @@ export class EmailQueue {
     this.processing = true;
     this.logger.info('Starting queue processing');
     
+    try {
+      await this.init();
+    } catch (error) {
+      this.processing = false;
+      this.logger.error('Failed to open queue storage', { error: error.message });
+      throw error;
+    }
+    
     while (this.processing) {
       try {
         await this.processQueue();
@@ -93,13 +255,16 @@ export class EmailQueue {
    * Process emails in queue
    */
   async processQueue() {
+    await this.init();
+    
     if (this.queue.length === 0) {
       return;
     }
     
-    // Get items to process (up to maxConcurrency)
+    // Get due items to process (up to maxConcurrency)
+    const now = Date.now();
     const itemsToProcess = this.queue
-      .filter(item => item.status === 'pending')
+      .filter(item => this.isDue(item, now))
       .slice(0, this.maxConcurrency);
     
     if (itemsToProcess.length === 0) {
@@ -121,15 +286,54 @@ export class EmailQueue {
   async processQueueItem(queueItem) {
     queueItem.status = 'processing';
     queueItem.attempts++;
+    queueItem.claimedAt = new Date();
     
-    this.logger.debug('Processing queue item', {
-      id: queueItem.id,
+    // Another worker sharing the store may have claimed it first
+    if (!(await this.store.claim(queueItem))) {
+      queueItem.status = 'pending';
+      queueItem.attempts--;
+      delete queueItem.claimedAt;
+      return;
+    }
+    
+    const logger = this.logger.child({
+      queueItemId: queueItem.id,
+      tenant: queueItem.tenant || null,
+      traceId: queueItem.traceId
+    });
+    logger.debug('Processing queue item', {
       attempt: queueItem.attempts,
       to: queueItem.email.to
     });
     
+    const attempt = { attempt: queueItem.attempts, startedAt: queueItem.claimedAt };
+    queueItem.attemptHistory = queueItem.attemptHistory || [];
+    queueItem.attemptHistory.push(attempt);
+    
+    const span = this.tracer.startSpan('EmailQueue.processQueueItem', {
+      traceId: queueItem.traceId,
+      parentSpanId: queueItem.options?.parentSpanId,
+      kind: SPAN_KIND.CONSUMER,
+      attributes: {
+        'email.queue.item_id': queueItem.id,
+        'email.queue.attempt': queueItem.attempts,
+        'email.queue.max_attempts': queueItem.maxAttempts,
+        'email.tenant': queueItem.tenant
+      }
+    });
+    
     try {
-      const result = await this.emailService.sendEmail(queueItem.email, queueItem.options);
+      const result = await this.emailService.sendEmail(queueItem.email, {
+        ...queueItem.options,
+        queueId: queueItem.id,
+        queuedAt: queueItem.createdAt,
+        traceId: span.traceId,
+        parentSpanId: span.spanId,
+        logger
+      });
+      
+      attempt.finishedAt = new Date();
+      attempt.provider = result.provider;
       
       queueItem.status = 'completed';
       queueItem.result = result;
@@ -138,38 +342,227 @@ export class EmailQueue {
       this.stats.processed++;
       this.stats.pending--;
       
-      this.logger.info('Queue item processed successfully', {
-        id: queueItem.id,
+      logger.info('Queue item processed successfully', {
         messageId: result.messageId,
         to: queueItem.email.to
       });
       
     } catch (error) {
-      this.logger.warn('Queue item processing failed', {
-        id: queueItem.id,
+      const permanent = isPermanentError(error);
+      
+      attempt.finishedAt = new Date();
+      attempt.provider = error.provider || null;
+      attempt.error = error.message;
+      attempt.code = error.code;
+      if (error.providerErrors) {
+        attempt.providerErrors = error.providerErrors;
+        attempt.provider = error.providerErrors[error.providerErrors.length - 1]?.provider || null;
+      }
+      
+      logger.warn('Queue item processing failed', {
         attempt: queueItem.attempts,
         error: error.message,
+        permanent,
         to: queueItem.email.to
       });
       
-      if (queueItem.attempts >= queueItem.maxAttempts) {
+      // Permanent errors will not succeed on a later attempt
+      if (permanent || queueItem.attempts >= queueItem.maxAttempts) {
         queueItem.status = 'failed';
         queueItem.error = error.message;
+        queueItem.errorCode = error.code;
         queueItem.failedAt = new Date();
         
         this.stats.failed++;
         this.stats.pending--;
         
-        this.logger.error('Queue item failed permanently', {
-          id: queueItem.id,
+        logger.error('Queue item failed permanently', {
           attempts: queueItem.attempts,
           error: error.message
         });
       } else {
         queueItem.status = 'pending';
-        queueItem.nextAttempt = new Date(Date.now() + this.calculateRetryDelay(queueItem.attempts));
+        const delay = Math.max(this.calculateRetryDelay(queueItem.attempts), error.retryAfter || 0);
+        queueItem.nextAttempt = new Date(Date.now() + delay);
+        span.setAttribute('email.retry.delay_ms', Math.round(delay));
+      }
+      
+      span.recordException(error);
+    }
+    
+    span.setAttribute('email.outcome', queueItem.status === 'pending' ? 'retrying' : queueItem.status);
+    if (queueItem.status === 'completed') {
+      span.setStatus(SPAN_STATUS.OK);
+    }
+    span.end();
+    
+    // Record the outcome of this attempt
+    if (queueItem.status === 'completed') {
+      await this.store.ack(queueItem);
+    } else {
+      await this.store.nack(queueItem);
+    }
+    
+    if (queueItem.status !== 'pending') {
+      emitSafely(this, EVENTS.ITEM_COMPLETED, {
+        id: queueItem.id,
+        status: queueItem.status,
+        attempts: queueItem.attempts,
+        tenant: queueItem.tenant || null,
+        traceId: queueItem.traceId,
+        ...(queueItem.status === 'completed'
+          ? { result: queueItem.result }
+          : { error: queueItem.error, errorCode: queueItem.errorCode })
+      }, this.logger);
+    }
+    
+    if (queueItem.status === 'completed') {
+      this.notifyWebhooks('sent', queueItem, {
+        messageId: queueItem.result.messageId,
+        provider: queueItem.result.provider
+      });
+    } else if (queueItem.status === 'pending') {
+      emitSafely(this, EVENTS.ITEM_RETRYING, {
+        id: queueItem.id,
+        attempts: queueItem.attempts,
+        nextAttempt: queueItem.nextAttempt,
+        error: attempt.error,
+        errorCode: attempt.code,
+        tenant: queueItem.tenant || null,
+        traceId: queueItem.traceId
+      }, this.logger);
+      this.notifyWebhooks('retrying', queueItem, {
+        error: attempt.error,
+        errorCode: attempt.code,
+        nextAttempt: queueItem.nextAttempt
+      });
+    } else {
+      this.notifyWebhooks('failed', queueItem, {
+        error: queueItem.error,
+        errorCode: queueItem.errorCode
+      });
+      await this.recordOutcome(queueItem, 'failed', { code: queueItem.errorCode || null, error: queueItem.error });
+      await this.deadLetter(queueItem);
+    }
+  }
+
+  /**
+   * Send a lifecycle event for a queue item to webhook subscribers
+   * @param {string} event - Event name
+   * @param {Object} queueItem - Queue item
+   * @param {Object} data - Event-specific data
+   */
+  notifyWebhooks(event, queueItem, data = {}) {
+    this.webhooks?.emit(event, {
+      id: queueItem.id,
+      tenant: queueItem.tenant || null,
+      traceId: queueItem.traceId,
+      to: queueItem.email.to,
+      subject: queueItem.email.subject,
+      tags: queueItem.email.tags || [],
+      metadata: queueItem.email.metadata || {},
+      attempts: queueItem.attempts,
+      ...data
+    });
+  }
+
+  /**
+   * Add a queued item to the message ledger under its ID. The item is
+   * already queued, so a ledger failure is logged rather than failing it.
+   * @param {Object} queueItem - Queue item
+   */
+  async recordQueued(queueItem) {
+    try {
+      await this.ledger?.record(queueItem.id, {
+        recipients: listRecipients(queueItem.email),
+        subject: queueItem.email.subject,
+        tenant: queueItem.tenant,
+        traceId: queueItem.traceId,
+        idempotencyKey: queueItem.options.idempotencyKey,
+        template: queueItem.template,
+        tags: queueItem.email.tags || [],
+        queueId: queueItem.id,
+        queuedAt: queueItem.createdAt
+      });
+    } catch (error) {
+      this.logger.error('Failed to record queued message in the ledger', { id: queueItem.id, error: error.message });
+    }
+  }
+
+  /**
+   * Move an item that will not be sent to its final state in the message ledger
+   * @param {Object} queueItem - Queue item
+   * @param {string} status - 'failed' or 'cancelled'
+   * @param {Object} details - Event details
+   */
+  async recordOutcome(queueItem, status, details = {}) {
+    try {
+      await this.ledger?.transition(queueItem.id, status, details);
+    } catch (error) {
+      this.logger.error('Failed to record message in the ledger', { id: queueItem.id, status, error: error.message });
+    }
+  }
+
+  /**
+   * Copy a failed item to the dead-letter queue
+   * @param {Object} queueItem - Failed queue item
+   */
+  async deadLetter(queueItem) {
+    try {
+      const entry = await this.deadLetterQueue.add(queueItem);
+      this.notifyWebhooks('dead-lettered', queueItem, {
+        error: entry.error,
+        errorCode: entry.errorCode,
+        deadLetteredAt: entry.deadLetteredAt
+      });
+    } catch (error) {
+      this.logger.error('Failed to dead-letter queue item', {
+        id: queueItem.id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Requeue a dead-lettered email as a new queue item. It is sent again
+   * even though its idempotency key holds the permanent failure.
+   * @param {string} id - Dead-letter entry ID
+   * @returns {Promise<string|null>} - New queue item ID, or null if not found
+   */
+  async replayDeadLetter(id) {
+    const entry = await this.deadLetterQueue.get(id);
+    if (!entry) {
+      return null;
+    }
+    
+    const { sendAt, ...options } = entry.options || {};
+    const newId = await this.addEmail(entry.email, { ...options, retryFailed: true });
+    await this.deadLetterQueue.remove(id);
+    
+    // The failed original is superseded by the replayed item
+    const original = this.queue.find(item => item.id === id);
+    if (original && original.status === 'failed') {
+      this.removeItem(id);
+    }
+    
+    this.logger.info('Dead-lettered email replayed', { id, newId });
+    return newId;
+  }
+
+  /**
+   * Requeue every dead-lettered email
+   * @returns {Promise<Array<string>>} - New queue item IDs
+   */
+  async replayAllDeadLetters() {
+    const entries = await this.deadLetterQueue.list();
+    const ids = [];
+    for (const entry of entries) {
+      const newId = await this.replayDeadLetter(entry.id);
+      if (newId) {
+        ids.push(newId);
       }
     }
+    return ids;
   }
 
   /**
@@ -203,29 +596,60 @@ export class EmailQueue {
     const now = Date.now();
     const maxAge = 24 * 60 * 60 * 1000; // 24 hours
     
+    const expired = [];
     this.queue = this.queue.filter(item => {
-      if (item.status === 'completed' || item.status === 'failed') {
-        const age = now - (item.completedAt || item.failedAt || item.createdAt).getTime();
-        return age < maxAge;
+      if (item.status === 'completed' || item.status === 'failed' || item.status === 'cancelled') {
+        const age = now - (item.completedAt || item.failedAt || item.cancelledAt || item.createdAt).getTime();
+        if (age >= maxAge) {
+          expired.push(item);
+          return false;
+        }
       }
       return true;
     });
+    
+    this.removeFromStore(expired);
   }
 
   /**
    * Get queue statistics
+   * @param {Object} filter - Filter options (tenant)
    * @returns {Object} - Queue stats
    */
-  getStats() {
-    const statusCounts = this.queue.reduce((acc, item) => {
+  getStats(filter = {}) {
+    const items = filter.tenant ? this.queue.filter(item => item.tenant === filter.tenant) : this.queue;
+    const statusCounts = items.reduce((acc, item) => {
       acc[item.status] = (acc[item.status] || 0) + 1;
       return acc;
     }, {});
     
+    // Pending items waiting for their backoff or scheduled time
+    const now = Date.now();
+    const waiting = items.filter(item => item.status === 'pending' && !this.isDue(item, now));
+    
+    // How long the longest-waiting due item has waited since it became due,
+    // 0 when nothing is due. Scheduled and backed-off items are not late yet.
+    const oldestPending = items.reduce((oldest, item) => {
+      if (item.status !== 'pending' || !this.isDue(item, now)) {
+        return oldest;
+      }
+      const dueAt = item.nextAttempt || item.createdAt;
+      return !oldest || dueAt < oldest ? dueAt : oldest;
+    }, null);
+    
+    // The running counters cover every tenant, so count a tenant's own items instead
+    const stats = filter.tenant ? {
+      processed: statusCounts.completed || 0,
+      failed: statusCounts.failed || 0,
+      pending: statusCounts.pending || 0
+    } : this.stats;
+    
     return {
-      ...this.stats,
-      queueSize: this.queue.length,
+      ...stats,
+      queueSize: items.length,
       statusCounts,
+      waiting: waiting.length,
+      oldestPendingAge: oldestPending ? now - oldestPending.getTime() : 0,
       processing: this.processing
     };
   }
@@ -233,6 +657,11 @@ export class EmailQueue {
   /**
    * Get queue items with optional filtering
    * @param {Object} filter - Filter options
+   * @param {string} filter.status - Item status
+   * @param {string} filter.tenant - Tenant ID
+   * @param {string|Array<string>} filter.tag - Tags every item must have
+   * @param {Object} filter.metadata - Metadata values every item must have, e.g. { userId: '42' }
+   * @param {number} filter.limit - Most items returned
    * @returns {Array} - Filtered queue items
    */
   getQueueItems(filter = {}) {
@@ -242,6 +671,14 @@ export class EmailQueue {
       items = items.filter(item => item.status === filter.status);
     }
     
+    if (filter.tenant) {
+      items = items.filter(item => item.tenant === filter.tenant);
+    }
+    
+    if (filter.tag !== undefined || filter.metadata) {
+      items = items.filter(item => matchesLabels(item.email, filter));
+    }
+    
     if (filter.limit) {
       items = items.slice(0, filter.limit);
     }
@@ -250,7 +687,12 @@ export class EmailQueue {
       id: item.id,
       status: item.status,
       attempts: item.attempts,
+      traceId: item.traceId,
+      template: item.template || null,
+      tags: item.email.tags || [],
+      metadata: item.email.metadata || {},
       createdAt: item.createdAt,
+      nextAttempt: item.nextAttempt,
       email: {
         to: item.email.to,
         subject: item.email.subject
@@ -258,6 +700,74 @@ export class EmailQueue {
     }));
   }
 
+  /**
+   * Get a single queue item
+   * @param {string} id - Queue item ID
+   * @returns {Object|null} - Queue item details, or null if not found
+   */
+  getQueueItem(id) {
+    const item = this.queue.find(queueItem => queueItem.id === id);
+    if (!item) {
+      return null;
+    }
+    
+    return {
+      id: item.id,
+      status: item.status,
+      priority: item.priority,
+      tenant: item.tenant,
+      traceId: item.traceId,
+      template: item.template || null,
+      tags: item.email.tags || [],
+      metadata: item.email.metadata || {},
+      attempts: item.attempts,
+      maxAttempts: item.maxAttempts,
+      createdAt: item.createdAt,
+      sendAt: item.sendAt,
+      nextAttempt: item.nextAttempt,
+      completedAt: item.completedAt,
+      failedAt: item.failedAt,
+      cancelledAt: item.cancelledAt,
+      error: item.error,
+      errorCode: item.errorCode,
+      result: item.result,
+      attemptHistory: item.attemptHistory || [],
+      email: {
+        to: item.email.to,
+        from: item.email.from,
+        subject: item.email.subject
+      }
+    };
+  }
+
+  /**
+   * Cancel a pending queue item
+   * @param {string} id - Queue item ID
+   * @returns {Promise<Object|null>} - Cancelled item details, or null if not found
+   * @throws {Error} - With code QUEUE_ITEM_NOT_CANCELLABLE when the item is not pending
+   */
+  async cancelItem(id) {
+    const item = this.queue.find(queueItem => queueItem.id === id);
+    if (!item) {
+      return null;
+    }
+    
+    if (item.status !== 'pending') {
+      const error = new Error(`Queue item ${id} is ${item.status} and cannot be cancelled`);
+      error.code = 'QUEUE_ITEM_NOT_CANCELLABLE';
+      throw error;
+    }
+    
+    item.status = 'cancelled';
+    item.cancelledAt = new Date();
+    this.stats.pending--;
+    await this.store.nack(item);
+    await this.recordOutcome(item, 'cancelled');
+    
+    this.logger.info('Queue item cancelled', { id });
+    return this.getQueueItem(id);
+  }
+
   /**
    * Remove item from queue
    * @param {string} id - Queue item ID
@@ -271,6 +781,7 @@ export class EmailQueue {
         this.stats.pending--;
       }
       this.queue.splice(index, 1);
+      this.removeFromStore([item]);
       return true;
     }
     return false;
@@ -282,8 +793,10 @@ export class EmailQueue {
    */
   clear(status = null) {
     if (status) {
+      this.removeFromStore(this.queue.filter(item => item.status === status));
       this.queue = this.queue.filter(item => item.status !== status);
     } else {
+      this.removeFromStore(this.queue);
       this.queue = [];
       this.stats = {
         processed: 0,
@@ -293,6 +806,30 @@ export class EmailQueue {
     }
   }
 
+  /**
+   * Delete items from the store in the background
+   * @param {Array} items - Removed queue items
+   */
+  removeFromStore(items) {
+    for (const item of items) {
+      this.store.remove(item.id).catch(error => {
+        this.logger.error('Failed to remove item from queue storage', {
+          id: item.id,
+          error: error.message
+        });
+      });
+    }
+  }
+
+  /**
+   * Close the queue storage
+   */
+  async close() {
+    this.stopProcessing();
+    await this.store.close();
+    await this.deadLetterQueue.close();
+  }
+
   /**
    * Generate unique ID
    * @returns {string} - Unique ID
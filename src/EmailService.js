@@ -1,15 +1,46 @@
 import crypto from 'crypto';
-import { MockEmailProvider } from './MockEmailProvider.js';
+import { EventEmitter } from 'events';
+import { providerRegistry } from './ProviderRegistry.js';
 import { CircuitBreaker } from './CircuitBreaker.js';
 import { RateLimiter } from './RateLimiter.js';
 import { Logger } from './Logger.js';
+import { resolveTraceId, formatTraceparent } from './traceContext.js';
+import { Tracer, SPAN_KIND, SPAN_STATUS } from './Tracer.js';
+import { TemplateStore } from './TemplateStore.js';
+import { MimeBuilder } from './MimeBuilder.js';
+import { SuppressionList } from './SuppressionList.js';
+import { MessageLedger } from './MessageLedger.js';
+import { createIdempotencyStore } from './IdempotencyStore.js';
+import {
+  RECIPIENT_FIELDS,
+  parseAddress,
+  parseAddressList,
+  formatAddressList,
+  parseRecipients,
+  listRecipients
+} from './addresses.js';
+import { normalizeTags, validateMetadata, validateCategory } from './metadata.js';
+import {
+  ValidationError,
+  SuppressedError,
+  PermanentProviderError,
+  IdempotencyInProgressError,
+  IdempotencyKeyMismatchError,
+  isPermanentError
+} from './errors.js';
+import { EVENTS, emitSafely } from './events.js';
 
 /**
  * Resilient email service with retry, fallback, and rate limiting
+ *
+ * Emits attempt-started, attempt-succeeded, attempt-failed, provider-fallback,
+ * duplicate-suppressed, recipients-suppressed, rate-limited and
+ * circuit-state-changed (see events.js).
  */
-export class EmailService {
+export class EmailService extends EventEmitter {
   constructor(options = {}) {
-    this.logger = new Logger(options.logLevel || 'info');
+    super();
+    this.logger = options.logger || new Logger(options.logLevel || 'info');
     
     // Configuration
     this.maxRetries = options.maxRetries || 3;
@@ -17,6 +48,7 @@ export class EmailService {
     this.maxDelay = options.maxDelay || 10000; // 10 seconds
     
     // Initialize providers
+    this.providerRegistry = options.providerRegistry || providerRegistry;
     this.providers = this.initializeProviders(options.providers);
     this.currentProviderIndex = 0;
     
@@ -26,18 +58,64 @@ export class EmailService {
       window: options.rateLimitWindow || 60000
     });
     
+    // Delivery event webhooks (WebhookDispatcher): sent and failed for direct sends, circuit-opened
+    this.webhooks = options.webhooks || null;
+    
+    // Templates for `{ template, data }` emails, a TemplateStore or templates by name
+    this.templates = options.templates instanceof TemplateStore
+      ? options.templates
+      : new TemplateStore({ templates: options.templates });
+    
+    // Attachment loading and message size limits, checked before any provider is tried
+    this.mime = options.mime || new MimeBuilder({
+      maxMessageSize: options.maxMessageSize,
+      maxAttachmentSize: options.maxAttachmentSize,
+      maxAttachments: options.maxAttachments
+    });
+    
+    // Most to + cc + bcc addresses a single message may have
+    this.maxRecipients = options.maxRecipients || 50;
+    
+    // Bounced, complained and unsubscribed addresses, a SuppressionList or its options
+    this.suppressions = options.suppressions instanceof SuppressionList
+      ? options.suppressions
+      : new SuppressionList({ ...options.suppressions, logger: this.logger });
+    
+    // Delivery status of every sent message, a MessageLedger or its options
+    this.ledger = options.ledger instanceof MessageLedger
+      ? options.ledger
+      : new MessageLedger({ ...options.ledger, logger: this.logger });
+    
+    // Spans for each send, provider attempt and circuit breaker decision
+    this.tracer = options.tracer || new Tracer({ logger: this.logger });
+    
     // Circuit breakers for each provider
     this.circuitBreakers = new Map();
     this.providers.forEach((provider, index) => {
-      this.circuitBreakers.set(index, new CircuitBreaker({
+      const circuitBreaker = new CircuitBreaker({
+        name: provider.name,
+        tracer: this.tracer,
         failureThreshold: options.circuitBreakerThreshold || 5,
-        resetTimeout: options.circuitBreakerTimeout || 60000
-      }));
+        resetTimeout: options.circuitBreakerTimeout || 60000,
+        // A rejected message says nothing about the provider's health
+        isFailure: error => !isPermanentError(error)
+      });
+      circuitBreaker.on(EVENTS.CIRCUIT_STATE_CHANGED, ({ timestamp, ...change }) => {
+        emitSafely(this, EVENTS.CIRCUIT_STATE_CHANGED, { ...change, provider: provider.name }, this.logger);
+        if (change.state === 'OPEN') {
+          this.onCircuitOpened(provider, circuitBreaker);
+        }
+      });
+      this.circuitBreakers.set(index, circuitBreaker);
     });
     
-    // Idempotency tracking
-    this.sentEmails = new Map();
+    // Idempotency records, shared by every service using the same store
+    this.idempotencyStore = options.idempotencyStore || createIdempotencyStore(options.idempotencyStorage);
+    this.idempotencyReady = null;
     this.idempotencyTtl = options.idempotencyTtl || 3600000; // 1 hour
+    this.idempotencyLockTtl = options.idempotencyLockTtl || 120000; // 2 minutes, frees the keys of crashed senders
+    this.idempotencyWaitTimeout = options.idempotencyWaitTimeout ?? 30000; // 30 seconds
+    this.idempotencyPollInterval = options.idempotencyPollInterval || 100;
     
     this.logger.info('EmailService initialized', {
       providers: this.providers.length,
@@ -47,8 +125,8 @@ export class EmailService {
   }
 
   /**
-   * Initialize email providers
-   * @param {Array} providerConfigs - Provider configurations
+   * Initialize email providers from the provider registry
+   * @param {Array} providerConfigs - Provider configurations, `type` selects the factory
    * @returns {Array} - Initialized providers
    */
   initializeProviders(providerConfigs) {
@@ -58,37 +136,199 @@ export class EmailService {
     ];
     
     const configs = providerConfigs || defaultProviders;
-    return configs.map(config => new MockEmailProvider(config.name, config));
+    
+    // Validate every config before creating any provider
+    configs.forEach(config => this.providerRegistry.validate(config));
+    
+    return configs.map(config => this.providerRegistry.create(config));
   }
 
   /**
    * Send email with retry logic and fallback
+   * @param {Object} email - Email object, or `{ template, data, to, ... }` to render a template
+   * @param {Object} options - Send options
+   * @param {string} options.idempotencyKey - Deduplicates repeated sends
+   * @param {string} options.tenant - Tenant ID, scopes idempotency records and the rate limit bucket
+   * @param {string} options.traceId - Correlation ID, generated when missing
+   * @param {string} options.parentSpanId - Span the send belongs to, e.g. a queue item's
+   * @param {Logger} options.logger - Logger for this send, e.g. a child bound to a request or queue item
+   * @param {Object} options.template - `{ name, version }` of the template an already rendered email came from
+   * @param {string} options.queueId - Queue item the email is sent from, its ledger entry is moved to sent
+   * @param {Date} options.queuedAt - When that item was queued
+   * @param {boolean} options.retryFailed - Send again when the key holds a permanently failed send, e.g. a dead letter replay
+   * @returns {Promise<Object>} - Send result, including its traceId, template, tags and metadata
+   */
+  async sendEmail(email, options = {}) {
+    const traceId = resolveTraceId(options.traceId);
+    const logger = (options.logger || this.logger).child({ traceId });
+    
+    return this.tracer.withSpan('EmailService.sendEmail', {
+      traceId,
+      parentSpanId: options.parentSpanId,
+      attributes: { 'email.tenant': options.tenant }
+    }, span => this.deliver(email, options, { traceId, logger, span }));
+  }
+
+  /**
+   * Body of sendEmail, inside its span
    * @param {Object} email - Email object
    * @param {Object} options - Send options
+   * @param {Object} trace - { traceId, logger, span } of this send
    * @returns {Promise<Object>} - Send result
    */
-  async sendEmail(email, options = {}) {
-    // Validate email
-    this.validateEmail(email);
+  async deliver(email, options, { traceId, logger, span }) {
+    const acceptedAt = new Date();
+    const rendered = this.templates.renderEmail(email, { tenant: options.tenant });
+    email = rendered.email;
+    const template = rendered.template || options.template || null;
+    if (template) {
+      span.setAttributes({ 'email.template': template.name, 'email.template.version': template.version });
+    }
+    
+    // Validate email and load its attachments, so retries and fallbacks reuse them
+    email = this.validateEmail(email);
+    email = await this.mime.prepare(email);
+    if (email.tags) {
+      span.setAttribute('email.tags', email.tags.join(','));
+    }
+    
+    // Generate idempotency key, the fingerprint tells a retry from another email reusing a key
+    const fingerprint = this.generateIdempotencyKey(email);
+    const idempotencyKey = options.idempotencyKey || fingerprint;
+    const recordKey = this.getRecordKey(idempotencyKey, options.tenant);
+    span.setAttribute('email.idempotency_key', idempotencyKey);
     
-    // Generate idempotency key
-    const idempotencyKey = options.idempotencyKey || this.generateIdempotencyKey(email);
+    // Drop suppressed recipients, refusing the email when none are left
+    const { email: deliverable, suppressed } = await this.applySuppressions(email, options.tenant, { traceId, logger, span });
+    email = deliverable;
     
-    // Check for duplicate
-    if (this.isDuplicate(idempotencyKey)) {
-      this.logger.warn('Duplicate email detected', { idempotencyKey });
-      return this.sentEmails.get(idempotencyKey);
+    // Queued emails are in the ledger under their queue item ID, direct sends once they hold the key
+    const ledgerId = options.queueId || crypto.randomUUID();
+    const message = {
+      recipients: listRecipients(email),
+      subject: email.subject,
+      tenant: options.tenant,
+      traceId,
+      idempotencyKey,
+      template,
+      tags: email.tags || [],
+      acceptedAt,
+      queueId: options.queueId,
+      queuedAt: options.queuedAt
+    };
+    
+    // Take the key, or reuse the outcome of the send holding it
+    const claim = await this.claimIdempotencyKey(recordKey, options.tenant, {
+      idempotencyKey,
+      fingerprint,
+      retryFailed: options.retryFailed,
+      traceId,
+      logger
+    });
+    if (claim.record?.status === 'failed') {
+      const error = this.toReplayedError(claim.record, traceId);
+      span.setAttributes({ 'email.outcome': 'rejected', 'email.replayed': true });
+      logger.warn('Replaying the failure of a duplicate email', { idempotencyKey, tenant: options.tenant, code: error.code });
+      emitSafely(this, EVENTS.DUPLICATE_SUPPRESSED, {
+        idempotencyKey,
+        tenant: options.tenant || null,
+        messageId: null,
+        error: error.code,
+        traceId
+      }, this.logger);
+      throw error;
+    }
+    if (claim.record) {
+      const record = this.toSentEmail(claim.record);
+      span.setAttributes({ 'email.outcome': 'duplicate', 'email.message_id': record.messageId });
+      logger.warn('Duplicate email detected', { idempotencyKey, tenant: options.tenant });
+      if (options.queueId) {
+        await this.recordSent(ledgerId, record, message, logger);
+      }
+      emitSafely(this, EVENTS.DUPLICATE_SUPPRESSED, {
+        idempotencyKey,
+        tenant: options.tenant || null,
+        messageId: record.messageId,
+        traceId
+      }, this.logger);
+      return record;
     }
     
+    if (!options.queueId) {
+      await this.recordMessage(ledgerId, message, logger);
+    }
+    
+    const stopExtending = this.extendIdempotencyKey(recordKey, claim.owner, logger);
+    const webhookContext = { id: ledgerId, tenant: options.tenant, traceId };
+    try {
+      const result = await this.sendToProviders(email, options, {
+        idempotencyKey,
+        recordKey,
+        owner: claim.owner,
+        fingerprint,
+        template,
+        suppressed,
+        ledgerId,
+        message,
+        traceId,
+        logger,
+        span
+      });
+      // EmailQueue reports queued emails once they are sent or fail for good
+      if (!options.queueId) {
+        this.notifyWebhooks('sent', email, webhookContext, { messageId: result.messageId, provider: result.provider });
+      }
+      return result;
+    } catch (error) {
+      // Queued emails are retried, EmailQueue records when they fail for good
+      if (!options.queueId) {
+        await this.recordFailure(ledgerId, error, logger);
+        this.notifyWebhooks('failed', email, webhookContext, { error: error.message, errorCode: error.code || null });
+      }
+      // A rejected email fails the same way every time, anything else may succeed on retry
+      if (isPermanentError(error)) {
+        await this.trackFailedEmail(recordKey, error, { tenant: options.tenant, owner: claim.owner, fingerprint, logger });
+      } else {
+        await this.releaseIdempotencyKey(recordKey, claim.owner, logger);
+      }
+      throw error;
+    } finally {
+      stopExtending();
+    }
+  }
+
+  /**
+   * Rate limit the send, then try each provider with retries. Runs while
+   * the send holds its idempotency key.
+   * @param {Object} email - Validated email, without suppressed recipients
+   * @param {Object} options - Send options
+   * @param {Object} context - { idempotencyKey, recordKey, owner, fingerprint, template, suppressed, ledgerId, message, traceId, logger, span }
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendToProviders(email, options, context) {
+    const { idempotencyKey, recordKey, owner, fingerprint, template, suppressed, ledgerId, message, traceId, logger, span } = context;
+    
     // Check rate limit
-    if (!this.rateLimiter.isAllowed(email.from || 'default')) {
+    const bucket = this.getRateLimitBucket(email, options.tenant);
+    if (!this.rateLimiter.isAllowed(bucket)) {
+      emitSafely(this, EVENTS.RATE_LIMITED, {
+        identifier: bucket,
+        limit: this.rateLimiter.getLimit(bucket),
+        window: this.rateLimiter.window,
+        to: email.to,
+        tenant: options.tenant || null,
+        traceId
+      }, this.logger);
       const error = new Error('Rate limit exceeded');
       error.code = 'RATE_LIMIT_EXCEEDED';
-      this.logger.warn('Rate limit exceeded', { email: email.to });
+      error.traceId = traceId;
+      span.setAttribute('email.outcome', 'rate_limited');
+      logger.warn('Rate limit exceeded', { email: email.to });
       throw error;
     }
     
     const startTime = Date.now();
+    const providerErrors = [];
     let lastError;
     
     // Try each provider with retry logic
@@ -97,21 +337,41 @@ export class EmailService {
       const provider = this.providers[actualProviderIndex];
       const circuitBreaker = this.circuitBreakers.get(actualProviderIndex);
       
-      this.logger.debug('Attempting provider', { 
+      logger.debug('Attempting provider', { 
         provider: provider.name, 
         attempt: providerIndex + 1 
       });
       
       try {
-        const result = await this.sendWithRetry(email, provider, circuitBreaker, idempotencyKey);
+        const result = await this.sendWithRetry(email, provider, circuitBreaker, {
+          idempotencyKey,
+          tenant: options.tenant,
+          traceId,
+          logger,
+          parentSpan: span
+        });
+        result.traceId = traceId;
+        result.template = template;
+        result.tags = email.tags || [];
+        result.metadata = email.metadata || {};
+        result.suppressed = suppressed.map(({ address, reason }) => ({ address, reason }));
+        span.setAttributes({
+          'email.outcome': 'sent',
+          'email.provider': provider.name,
+          'email.message_id': result.messageId,
+          'email.providers_tried': providerIndex + 1
+        });
         
         // Success - update provider preference and track email
         this.currentProviderIndex = actualProviderIndex;
-        this.trackSentEmail(idempotencyKey, result);
+        await this.trackSentEmail(recordKey, result, { tenant: options.tenant, owner, fingerprint, logger });
+        await this.recordSent(ledgerId, result, message, logger);
         
-        this.logger.info('Email sent successfully', {
+        logger.info('Email sent successfully', {
           provider: provider.name,
           messageId: result.messageId,
+          ...(template && { template: template.name, templateVersion: template.version }),
+          ...(email.tags && { tags: email.tags }),
           duration: Date.now() - startTime,
           to: email.to
         });
@@ -119,51 +379,165 @@ export class EmailService {
         return result;
       } catch (error) {
         lastError = error;
-        this.logger.warn('Provider failed', {
+        error.traceId = traceId;
+        providerErrors.push({ provider: provider.name, error: error.message, code: error.code });
+        
+        // The message was rejected, other providers would reject it too
+        if (isPermanentError(error)) {
+          span.setAttributes({ 'email.outcome': 'rejected', 'email.provider': provider.name });
+          logger.error('Email rejected permanently', {
+            provider: provider.name,
+            error: error.message,
+            email: email.to,
+            duration: Date.now() - startTime
+          });
+          throw error;
+        }
+        
+        logger.warn('Provider failed', {
           provider: provider.name,
           error: error.message,
           attempt: providerIndex + 1
         });
+        
+        if (providerIndex < this.providers.length - 1) {
+          emitSafely(this, EVENTS.PROVIDER_FALLBACK, {
+            from: provider.name,
+            to: this.providers[(actualProviderIndex + 1) % this.providers.length].name,
+            error: error.message,
+            idempotencyKey,
+            traceId
+          }, this.logger);
+        }
       }
     }
     
     // All providers failed
-    this.logger.error('All providers failed', {
+    logger.error('All providers failed', {
       email: email.to,
       duration: Date.now() - startTime,
       lastError: lastError.message
     });
     
-    throw new Error(`Failed to send email after trying all providers: ${lastError.message}`);
+    const error = new Error(`Failed to send email after trying all providers: ${lastError.message}`, {
+      cause: lastError
+    });
+    error.code = 'ALL_PROVIDERS_FAILED';
+    error.providerErrors = providerErrors;
+    error.traceId = traceId;
+    span.setAttributes({ 'email.outcome': 'failed', 'email.providers_tried': providerErrors.length });
+    throw error;
   }
 
   /**
    * Send email through provider with retry logic
    * @param {Object} email - Email object
-   * @param {MockEmailProvider} provider - Email provider
+   * @param {Object} provider - Email provider
    * @param {CircuitBreaker} circuitBreaker - Circuit breaker
-   * @param {string} idempotencyKey - Idempotency key
+   * @param {Object} context - Send context
+   * @param {string} context.idempotencyKey - Idempotency key
+   * @param {string} context.tenant - Tenant ID
+   * @param {string} context.traceId - Correlation ID, passed on to the provider
+   * @param {Logger} context.logger - Logger bound to this send
+   * @param {Span} context.parentSpan - Span of the send, each attempt gets a child span
    * @returns {Promise<Object>} - Send result
    */
-  async sendWithRetry(email, provider, circuitBreaker, idempotencyKey) {
+  async sendWithRetry(email, provider, circuitBreaker, context = {}) {
+    const { idempotencyKey, logger = this.logger, parentSpan = null } = context;
+    const traceId = parentSpan?.traceId || context.traceId || resolveTraceId();
+    const tenant = context.tenant || null;
+    
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      const span = this.tracer.startSpan('EmailService.sendWithRetry', {
+        parent: parentSpan,
+        traceId,
+        kind: SPAN_KIND.CLIENT,
+        attributes: {
+          'email.provider': provider.name,
+          'email.attempt': attempt,
+          'circuit_breaker.state': circuitBreaker.state
+        }
+      });
+      
+      emitSafely(this, EVENTS.ATTEMPT_STARTED, {
+        provider: provider.name,
+        attempt,
+        idempotencyKey,
+        to: email.to,
+        tenant,
+        traceId
+      }, this.logger);
+      
+      const startedAt = Date.now();
       try {
-        return await circuitBreaker.execute(async () => {
-          return await provider.sendEmail(email);
-        });
+        // The provider sees this attempt's span as its parent
+        const result = await circuitBreaker.execute(async () => {
+          return await provider.sendEmail(email, {
+            idempotencyKey,
+            traceId,
+            traceparent: formatTraceparent(traceId, span.spanId)
+          });
+        }, span);
+        
+        span.setAttributes({ 'email.outcome': 'success', 'email.message_id': result.messageId });
+        span.setStatus(SPAN_STATUS.OK);
+        span.end();
+        
+        emitSafely(this, EVENTS.ATTEMPT_SUCCEEDED, {
+          provider: provider.name,
+          attempt,
+          idempotencyKey,
+          messageId: result.messageId,
+          duration: Date.now() - startedAt,
+          tenant,
+          traceId
+        }, this.logger);
+        
+        return result;
       } catch (error) {
-        this.logger.debug('Send attempt failed', {
+        logger.debug('Send attempt failed', {
           provider: provider.name,
           attempt,
-          error: error.message
+          error: error.message,
+          code: error.code
+        });
+        
+        emitSafely(this, EVENTS.ATTEMPT_FAILED, {
+          provider: provider.name,
+          attempt,
+          idempotencyKey,
+          duration: Date.now() - startedAt,
+          error: error.message,
+          code: error.code,
+          permanent: isPermanentError(error),
+          tenant,
+          traceId
+        }, this.logger);
+        
+        span.recordException(error);
+        span.setAttributes({
+          'email.outcome': isPermanentError(error) ? 'rejected' : 'failure',
+          'email.error_code': error.code
         });
         
-        if (attempt === this.maxRetries) {
+        // Retrying cannot help a rejected message or an open circuit
+        if (attempt === this.maxRetries || isPermanentError(error) || error.code === 'CIRCUIT_OPEN') {
+          span.end();
           throw error;
         }
         
-        // Exponential backoff with jitter
-        const delay = this.calculateDelay(attempt);
+        // Exponential backoff with jitter, or the provider's Retry-After when throttled
+        let delay = this.calculateDelay(attempt);
+        if (error.retryAfter != null) {
+          if (error.retryAfter > this.maxDelay) {
+            // Waiting that long would stall the send, fall back to the next provider
+            span.end();
+            throw error;
+          }
+          delay = Math.max(delay, error.retryAfter);
+        }
+        span.setAttribute('email.retry.delay_ms', Math.round(delay));
+        span.end();
         await this.delay(delay);
       }
     }
@@ -180,27 +554,86 @@ export class EmailService {
     return Math.min(exponentialDelay + jitter, this.maxDelay);
   }
 
+  /**
+   * Check the recipients against the suppression list and remove the
+   * suppressed ones from to, cc and bcc
+   * @param {Object} email - Validated email
+   * @param {string} tenant - Tenant ID
+   * @param {Object} trace - { traceId, logger, span } of this send
+   * @returns {Promise<Object>} - { email, suppressed }: the email left to send and the matching entries
+   * @throws {SuppressedError} - When every recipient is suppressed
+   */
+  async applySuppressions(email, tenant, { traceId, logger, span }) {
+    const suppressed = await this.suppressions.check(listRecipients(email), { tenant, category: email.category });
+    if (suppressed.length === 0) {
+      return { email, suppressed };
+    }
+    
+    const addresses = new Set(suppressed.map(entry => entry.address));
+    const remaining = { ...email };
+    for (const field of RECIPIENT_FIELDS) {
+      if (email[field] !== undefined) {
+        const mailboxes = parseAddressList(email[field], field)
+          .filter(mailbox => !addresses.has(mailbox.address.toLowerCase()));
+        remaining[field] = mailboxes.length > 0 ? formatAddressList(mailboxes) : undefined;
+      }
+    }
+    
+    const blocked = listRecipients(remaining).length === 0;
+    span.setAttribute('email.suppressed', suppressed.length);
+    emitSafely(this, EVENTS.RECIPIENTS_SUPPRESSED, {
+      recipients: suppressed.map(({ address, reason }) => ({ address, reason })),
+      blocked,
+      tenant: tenant || null,
+      traceId
+    }, this.logger);
+    
+    if (blocked) {
+      span.setAttribute('email.outcome', 'suppressed');
+      logger.warn('Email suppressed', { to: email.to, reasons: suppressed.map(entry => entry.reason) });
+      const error = new SuppressedError(
+        // Addresses stay out of the message, which ends up in logs and queue items
+        `Every recipient is suppressed: ${suppressed.length} address${suppressed.length === 1 ? '' : 'es'} (${[...new Set(suppressed.map(entry => entry.reason))].join(', ')})`,
+        { suppressed }
+      );
+      error.traceId = traceId;
+      throw error;
+    }
+    
+    logger.info('Suppressed recipients removed', { recipients: [...addresses] });
+    return { email: remaining, suppressed };
+  }
+
   /**
    * Validate email object
    * @param {Object} email - Email to validate
+   * @returns {Object} - The email with its address fields normalized to address lists
+   * @throws {ValidationError} - When the email is invalid, InvalidAddressError for bad addresses
    */
   validateEmail(email) {
     if (!email || typeof email !== 'object') {
-      throw new Error('Email must be an object');
+      throw new ValidationError('Email must be an object');
     }
     
-    const required = ['to', 'subject', 'body'];
+    const required = ['to', 'subject'];
     for (const field of required) {
       if (!email[field]) {
-        throw new Error(`Email ${field} is required`);
+        throw new ValidationError(`Email ${field} is required`, { field });
       }
     }
-    
-    // Basic email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email.to)) {
-      throw new Error('Invalid email address format');
+    if (!email.body && !email.text && !email.html) {
+      throw new ValidationError('Email body, text or html is required', { field: 'body' });
     }
+    
+    // Every address of to, cc, bcc, replyTo and from, and the recipient count
+    const addresses = parseRecipients(email, { maxRecipients: this.maxRecipients });
+    const tags = normalizeTags(email.tags);
+    validateMetadata(email.metadata);
+    validateCategory(email.category);
+    
+    // Content types, headers and attachments, sizes only where known without reading them
+    this.mime.validate(email);
+    return { ...email, ...addresses, ...(tags && { tags }) };
   }
 
   /**
@@ -211,48 +644,378 @@ export class EmailService {
   generateIdempotencyKey(email) {
     const content = JSON.stringify({
       to: email.to,
+      cc: email.cc,
+      bcc: email.bcc,
+      replyTo: email.replyTo,
+      headers: email.headers,
+      listUnsubscribe: email.listUnsubscribe,
       subject: email.subject,
       body: email.body,
-      from: email.from
+      from: email.from,
+      text: email.text,
+      html: email.html,
+      attachments: email.attachments?.map(attachment => ({
+        filename: attachment.filename,
+        cid: attachment.cid,
+        content: Buffer.isBuffer(attachment.content)
+          ? crypto.createHash('sha256').update(attachment.content).digest('hex')
+          : attachment.path
+      }))
     });
     return crypto.createHash('sha256').update(content).digest('hex');
   }
 
   /**
-   * Check if email is duplicate
+   * Key under which an idempotency record is stored. Tenants get their own
+   * namespace so equal keys from different tenants never collide.
    * @param {string} idempotencyKey - Idempotency key
-   * @returns {boolean} - Whether email is duplicate
+   * @param {string} tenant - Tenant ID
+   * @returns {string} - Record key
    */
-  isDuplicate(idempotencyKey) {
-    const record = this.sentEmails.get(idempotencyKey);
-    if (!record) return false;
-    
-    // Check if record is still valid (not expired)
-    if (Date.now() - record.timestamp > this.idempotencyTtl) {
-      this.sentEmails.delete(idempotencyKey);
-      return false;
+  getRecordKey(idempotencyKey, tenant) {
+    return tenant ? `${tenant}:${idempotencyKey}` : idempotencyKey;
+  }
+
+  /**
+   * Rate limiter bucket for a send, one per tenant or else per sender
+   * @param {Object} email - Email object
+   * @param {string} tenant - Tenant ID
+   * @returns {string} - Rate limiter identifier
+   */
+  getRateLimitBucket(email, tenant) {
+    return tenant ? `tenant:${tenant}` : email.from ? parseAddress(email.from).address : 'default';
+  }
+
+  /**
+   * Give a tenant its own rate limit
+   * @param {string} tenant - Tenant ID
+   * @param {number} limit - Emails per rate limit window
+   */
+  setTenantRateLimit(tenant, limit) {
+    this.rateLimiter.setLimit(`tenant:${tenant}`, limit);
+  }
+
+  /**
+   * Open the idempotency store once
+   * @returns {Promise} - Resolves when the store is open
+   */
+  openIdempotencyStore() {
+    if (!this.idempotencyReady) {
+      this.idempotencyReady = this.idempotencyStore.open().catch(error => {
+        this.idempotencyReady = null;
+        throw error;
+      });
     }
+    return this.idempotencyReady;
+  }
+
+  /**
+   * Take an idempotency key for a send. While another send holds it, wait
+   * for that send's outcome, taking the key over if it failed temporarily.
+   * A permanently failed send is replayed, or with `retryFailed` forgotten.
+   * @param {string} recordKey - Record key, see getRecordKey
+   * @param {string} tenant - Tenant ID
+   * @param {Object} context - { idempotencyKey, fingerprint, retryFailed, traceId, logger } of the send
+   * @returns {Promise<Object>} - { owner } once the key is held, or { record } of the completed or failed send
+   * @throws {IdempotencyKeyMismatchError} - When the key was used for a different email
+   * @throws {IdempotencyInProgressError} - When the other send is still in flight after idempotencyWaitTimeout
+   */
+  async claimIdempotencyKey(recordKey, tenant, { idempotencyKey, fingerprint, retryFailed, traceId, logger = this.logger }) {
+    await this.openIdempotencyStore();
+    const owner = crypto.randomUUID();
+    const deadline = Date.now() + this.idempotencyWaitTimeout;
+    let waiting = false;
     
-    return true;
+    for (;;) {
+      const now = Date.now();
+      const { acquired, record } = await this.idempotencyStore.acquire({
+        key: recordKey,
+        tenant: tenant || null,
+        status: 'in-flight',
+        owner,
+        fingerprint,
+        result: null,
+        createdAt: now,
+        expiresAt: now + this.idempotencyLockTtl
+      });
+      if (acquired) {
+        return { owner };
+      }
+      if (record.fingerprint && record.fingerprint !== fingerprint) {
+        const error = new IdempotencyKeyMismatchError(
+          `Idempotency key ${idempotencyKey} was already used for a different email`,
+          { idempotencyKey }
+        );
+        error.traceId = traceId;
+        logger.warn('Idempotency key reused for a different email', { idempotencyKey, tenant });
+        throw error;
+      }
+      if (record.status === 'failed' && retryFailed) {
+        logger.info('Retrying an email that failed permanently', { idempotencyKey, tenant, code: record.error?.code });
+        await this.idempotencyStore.remove(recordKey, 'failed');
+        continue;
+      }
+      if (record.status !== 'in-flight') {
+        return { record };
+      }
+      
+      if (now >= deadline) {
+        const error = new IdempotencyInProgressError(
+          `A send with idempotency key ${idempotencyKey} is still in progress`,
+          { idempotencyKey }
+        );
+        error.traceId = traceId;
+        logger.warn('Idempotency key still in flight', { idempotencyKey, tenant });
+        throw error;
+      }
+      if (!waiting) {
+        waiting = true;
+        logger.info('Waiting for the in-flight send with the same idempotency key', { idempotencyKey, tenant });
+      }
+      await this.delay(this.idempotencyPollInterval);
+    }
   }
 
   /**
-   * Track sent email for idempotency
+   * Keep extending the lock on an idempotency key while the send runs, so
+   * retries and fallbacks taking longer than idempotencyLockTtl do not let a
+   * duplicate take the key. Only a crashed sender's lock expires.
+   * @param {string} recordKey - Record key
+   * @param {string} owner - Owner the key was taken with
+   * @param {Logger} logger - Logger of the send
+   * @returns {Function} - Stops extending the lock
+   */
+  extendIdempotencyKey(recordKey, owner, logger = this.logger) {
+    const timer = setInterval(async () => {
+      try {
+        const extended = await this.idempotencyStore.extend(recordKey, owner, Date.now() + this.idempotencyLockTtl);
+        if (!extended) {
+          logger.warn('Idempotency key lock expired during the send', { recordKey });
+          clearInterval(timer);
+        }
+      } catch (error) {
+        logger.error('Failed to extend idempotency key lock', { error: error.message });
+      }
+    }, Math.max(Math.floor(this.idempotencyLockTtl / 3), 1));
+    timer.unref();
+    return () => clearInterval(timer);
+  }
+
+  /**
+   * Give up an idempotency key after a failed send, so a retry can take it
+   * @param {string} recordKey - Record key
+   * @param {string} owner - Owner the key was taken with
+   * @param {Logger} logger - Logger of the send
+   */
+  async releaseIdempotencyKey(recordKey, owner, logger = this.logger) {
+    try {
+      await this.idempotencyStore.release(recordKey, owner);
+    } catch (error) {
+      // The record expires after idempotencyLockTtl
+      logger.error('Failed to release idempotency key', { error: error.message });
+    }
+  }
+
+  /**
+   * Send result stored in a completed idempotency record
+   * @param {Object} record - Idempotency record
+   * @returns {Object} - Send result, with the tenant that sent it
+   */
+  toSentEmail(record) {
+    return { ...record.result, ...(record.tenant && { tenant: record.tenant }) };
+  }
+
+  /**
+   * Error stored in a failed idempotency record, thrown again for duplicates
+   * @param {Object} record - Idempotency record
+   * @param {string} traceId - Correlation ID of the duplicate send
+   * @returns {PermanentProviderError} - Error with the original message, code and provider, `replayed` set
+   */
+  toReplayedError(record, traceId) {
+    const { message, ...details } = record.error;
+    const error = new PermanentProviderError(message, details);
+    error.replayed = true;
+    error.traceId = traceId;
+    return error;
+  }
+
+  /**
+   * Look up an idempotency record
    * @param {string} idempotencyKey - Idempotency key
+   * @param {string} tenant - Tenant ID, only that tenant's records are visible
+   * @returns {Promise<Object|null>} - Send result recorded for the key, or null
+   */
+  async getSentEmail(idempotencyKey, tenant) {
+    await this.openIdempotencyStore();
+    const record = await this.idempotencyStore.get(this.getRecordKey(idempotencyKey, tenant));
+    return record?.status === 'completed' ? this.toSentEmail(record) : null;
+  }
+
+  /**
+   * Check if email is duplicate
+   * @param {string} recordKey - Record key, see getRecordKey
+   * @returns {Promise<boolean>} - Whether a send with the key is in flight, completed or failed
+   */
+  async isDuplicate(recordKey) {
+    await this.openIdempotencyStore();
+    return Boolean(await this.idempotencyStore.get(recordKey));
+  }
+
+  /**
+   * Track sent email for idempotency, replacing the in-flight record
+   * @param {string} recordKey - Record key, see getRecordKey
    * @param {Object} result - Send result
+   * @param {Object} context - { tenant, owner, fingerprint, logger } of the send
    */
-  trackSentEmail(idempotencyKey, result) {
-    this.sentEmails.set(idempotencyKey, {
-      ...result,
-      timestamp: Date.now()
+  async trackSentEmail(recordKey, result, context = {}) {
+    await this.storeOutcome(recordKey, { status: 'completed', result }, context);
+  }
+
+  /**
+   * Track a permanently rejected email, so duplicates fail the same way
+   * without reaching a provider
+   * @param {string} recordKey - Record key, see getRecordKey
+   * @param {Error} error - Permanent error
+   * @param {Object} context - { tenant, owner, fingerprint, logger } of the send
+   */
+  async trackFailedEmail(recordKey, error, context = {}) {
+    const { message, code, provider, statusCode, responseCode } = error;
+    await this.storeOutcome(recordKey, {
+      status: 'failed',
+      error: { message, code, provider, statusCode, responseCode }
+    }, context);
+  }
+
+  /**
+   * Replace the in-flight record with the outcome of the send. The provider
+   * already answered, so a store failure is logged rather than failing the send.
+   * @param {string} recordKey - Record key
+   * @param {Object} outcome - { status, result } or { status, error }
+   * @param {Object} context - { tenant, owner, fingerprint, logger } of the send
+   */
+  async storeOutcome(recordKey, outcome, { tenant, owner, fingerprint, logger = this.logger }) {
+    const now = Date.now();
+    try {
+      const stored = await this.idempotencyStore.complete({
+        key: recordKey,
+        tenant: tenant || null,
+        owner,
+        fingerprint,
+        result: null,
+        ...outcome,
+        createdAt: now,
+        expiresAt: now + this.idempotencyTtl
+      });
+      // The lock expired and another send took the key, its record stands
+      if (!stored) {
+        logger.warn('Idempotency key was taken over by another send', { status: outcome.status });
+      }
+    } catch (error) {
+      logger.error('Failed to store idempotency record', { status: outcome.status, error: error.message });
+    }
+  }
+
+  /**
+   * Add an accepted message to the ledger. A ledger failure is logged
+   * rather than failing the send.
+   * @param {string} id - Ledger entry ID
+   * @param {Object} message - Message details, see MessageLedger.record
+   * @param {Logger} logger - Logger of the send
+   */
+  async recordMessage(id, message, logger) {
+    try {
+      await this.ledger.record(id, message);
+    } catch (error) {
+      logger.error('Failed to record message in the ledger', { id, error: error.message });
+    }
+  }
+
+  /**
+   * Move a message to sent in the ledger, recording it first when it is
+   * missing (e.g. queued before the ledger tracked queued emails). The
+   * provider already accepted it, so a ledger failure is logged rather than
+   * failing the send.
+   * @param {string} id - Ledger entry ID
+   * @param {Object} result - Send result
+   * @param {Object} message - Message details, see MessageLedger.record
+   * @param {Logger} logger - Logger of the send
+   */
+  async recordSent(id, result, message, logger) {
+    const sent = {
+      messageId: result.messageId,
+      provider: result.provider,
+      recipients: message.recipients,
+      sentAt: result.timestamp ? new Date(result.timestamp) : undefined
+    };
+    try {
+      if (!(await this.ledger.markSent(id, sent))) {
+        await this.ledger.record(id, message);
+        await this.ledger.markSent(id, sent);
+      }
+    } catch (error) {
+      logger.error('Failed to record message in the ledger', { id, messageId: result.messageId, error: error.message });
+    }
+  }
+
+  /**
+   * Move a message that could not be sent to failed in the ledger
+   * @param {string} id - Ledger entry ID
+   * @param {Error} error - Send error
+   * @param {Logger} logger - Logger of the send
+   */
+  async recordFailure(id, error, logger) {
+    try {
+      await this.ledger.transition(id, 'failed', { code: error.code || null, error: error.message });
+    } catch (ledgerError) {
+      logger.error('Failed to record message in the ledger', { id, error: ledgerError.message });
+    }
+  }
+
+  /**
+   * Send a lifecycle event for a direct send to webhook subscribers, with
+   * the payload EmailQueue sends for queued emails
+   * @param {string} event - Event name
+   * @param {Object} email - Email sent
+   * @param {Object} context - { id, tenant, traceId } of the send, id is its ledger entry ID
+   * @param {Object} data - Event-specific data
+   */
+  notifyWebhooks(event, email, { id, tenant, traceId }, data = {}) {
+    this.webhooks?.emit(event, {
+      id,
+      tenant: tenant || null,
+      traceId,
+      to: email.to,
+      subject: email.subject,
+      tags: email.tags || [],
+      metadata: email.metadata || {},
+      ...data
+    });
+  }
+
+  /**
+   * Report a provider whose circuit breaker just opened
+   * @param {Object} provider - Email provider
+   * @param {CircuitBreaker} circuitBreaker - Provider's circuit breaker
+   */
+  onCircuitOpened(provider, circuitBreaker) {
+    this.logger.warn('Circuit breaker opened', {
+      provider: provider.name,
+      failureCount: circuitBreaker.failureCount
+    });
+    
+    this.webhooks?.emit('circuit-opened', {
+      provider: provider.name,
+      failureCount: circuitBreaker.failureCount,
+      retryAt: new Date(circuitBreaker.nextAttempt).toISOString()
     });
   }
 
   /**
    * Get service status and statistics
-   * @returns {Object} - Service status
+   * @param {string} tenant - Limit rate limit and idempotency figures to this tenant
+   * @returns {Promise<Object>} - Service status
    */
-  getStatus() {
+  async getStatus(tenant) {
     const providerStats = this.providers.map((provider, index) => ({
       ...provider.getStats(),
       circuitBreaker: this.circuitBreakers.get(index).getState()
@@ -262,9 +1025,9 @@ export class EmailService {
       providers: providerStats,
       currentProvider: this.currentProviderIndex,
       rateLimiter: {
-        remaining: this.rateLimiter.getRemaining()
+        remaining: this.rateLimiter.getRemaining(tenant ? `tenant:${tenant}` : 'default')
       },
-      sentEmails: this.sentEmails.size,
+      sentEmails: await this.countSentEmails(tenant),
       uptime: process.uptime()
     };
   }
@@ -278,15 +1041,22 @@ export class EmailService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  /**
+   * Count completed idempotency records
+   * @param {string} tenant - Only count this tenant's records
+   * @returns {Promise<number>} - Number of records
+   */
+  async countSentEmails(tenant) {
+    await this.openIdempotencyStore();
+    return this.idempotencyStore.count({ tenant, status: 'completed' });
+  }
+
   /**
    * Cleanup expired idempotency records
+   * @returns {Promise<number>} - Number of records removed
    */
-  cleanup() {
-    const now = Date.now();
-    for (const [key, record] of this.sentEmails.entries()) {
-      if (now - record.timestamp > this.idempotencyTtl) {
-        this.sentEmails.delete(key);
-      }
-    }
+  async cleanup() {
+    await this.openIdempotencyStore();
+    return this.idempotencyStore.purge();
   }
 }
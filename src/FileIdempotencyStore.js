@@ -0,0 +1,43 @@
+import { FileQueueStore } from './FileQueueStore.js';
+import { MemoryIdempotencyStore } from './MemoryIdempotencyStore.js';
+
+/**
+ * Idempotency store persisted to an append-only journal, so records survive
+ * restarts. Records are kept in memory and every change is appended to a
+ * FileQueueStore journal as an `{ id, record }` item.
+ *
+ * The journal is only read on open, so it must not be shared by several
+ * processes; use SqliteIdempotencyStore for that.
+ */
+export class FileIdempotencyStore extends MemoryIdempotencyStore {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('FileIdempotencyStore requires a journal path');
+    }
+    super();
+    this.journal = new FileQueueStore(options);
+  }
+
+  /**
+   * Replay the journal, dropping expired records
+   */
+  async open() {
+    await this.journal.open();
+    this.records = new Map((await this.journal.list()).map(({ record }) => [record.key, record]));
+    await this.purge();
+  }
+
+  async write(record) {
+    await super.write(record);
+    await this.journal.enqueue({ id: record.key, record });
+  }
+
+  async delete(key) {
+    await super.delete(key);
+    await this.journal.remove(key);
+  }
+
+  async close() {
+    await this.journal.close();
+  }
+}
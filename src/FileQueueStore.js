@@ -0,0 +1,219 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { serializeItem, deserializeItem, sortItems } from './QueueStore.js';
+
+/**
+ * Queue store backed by an append-only JSON lines journal.
+ *
+ * Each state change is appended as one line and the current state is
+ * rebuilt by replaying the journal on open. The journal is rewritten
+ * with only live items once it grows past `compactThreshold` lines.
+ */
+export class FileQueueStore {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('FileQueueStore requires a journal path');
+    }
+
+    this.path = options.path;
+    this.fsync = options.fsync !== false; // Flush every write to disk
+    this.compactThreshold = options.compactThreshold || 1000; // Journal lines
+
+    this.items = new Map();
+    this.handle = null;
+    this.journalLines = 0;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Replay the journal and open it for appending
+   */
+  async open() {
+    if (this.handle) {
+      return;
+    }
+
+    await fs.mkdir(path.dirname(this.path), { recursive: true });
+
+    let content = '';
+    try {
+      content = await fs.readFile(this.path, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    this.items = new Map();
+    const lines = content.split('\n').filter(Boolean);
+    let torn = false;
+    for (const [index, line] of lines.entries()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // A crash can leave a torn final line, anything earlier is corruption
+        if (index < lines.length - 1) {
+          throw new Error(`Corrupt queue journal ${this.path} at line ${index + 1}`);
+        }
+        torn = true;
+        break;
+      }
+      this.apply(entry);
+    }
+    this.journalLines = lines.length;
+
+    this.handle = await fs.open(this.path, 'a');
+
+    // Drop the torn line so new entries do not get appended to it
+    if (torn) {
+      await this.compact();
+    }
+  }
+
+  /**
+   * Apply a journal entry to the in-memory state
+   * @param {Object} entry - Journal entry
+   */
+  apply(entry) {
+    if (entry.op === 'remove') {
+      this.items.delete(entry.id);
+    } else {
+      this.items.set(entry.item.id, entry.item);
+    }
+  }
+
+  /**
+   * Apply and append a journal entry
+   * @param {Object} entry - Journal entry
+   */
+  async append(entry) {
+    this.apply(entry);
+    const line = `${JSON.stringify(entry)}\n`;
+
+    // Chain writes so lines land in the order they were issued
+    await this.enqueueWrite(async () => {
+      await this.handle.appendFile(line);
+      if (this.fsync) {
+        await this.handle.datasync();
+      }
+      this.journalLines++;
+    });
+
+    if (this.journalLines > this.compactThreshold && this.journalLines > this.items.size * 2) {
+      await this.compact();
+    }
+  }
+
+  async enqueue(item) {
+    await this.append({ op: 'enqueue', item: serializeItem(item) });
+  }
+
+  async upsert(item) {
+    await this.append({ op: 'upsert', item: serializeItem(item) });
+  }
+
+  async claim(item) {
+    const stored = this.items.get(item.id);
+    if (!stored || stored.status !== 'pending') {
+      return false;
+    }
+    await this.append({ op: 'claim', item: serializeItem(item) });
+    return true;
+  }
+
+  async ack(item) {
+    await this.append({ op: 'ack', item: serializeItem(item) });
+  }
+
+  async nack(item) {
+    await this.append({ op: 'nack', item: serializeItem(item) });
+  }
+
+  async remove(id) {
+    if (!this.items.has(id)) {
+      return false;
+    }
+    await this.append({ op: 'remove', id });
+    return true;
+  }
+
+  async list(filter = {}) {
+    const items = [...this.items.values()]
+      .filter(item => !filter.status || item.status === filter.status)
+      .map(deserializeItem);
+    return sortItems(items);
+  }
+
+  /**
+   * Rewrite the journal with one entry per live item. The new journal is on
+   * disk before it replaces the old one, and the rename is on disk before
+   * appends continue, so a crash leaves one complete journal or the other.
+   */
+  async compact() {
+    await this.enqueueWrite(async () => {
+      const tempPath = `${this.path}.tmp`;
+      const content = [...this.items.values()]
+        .map(item => `${JSON.stringify({ op: 'enqueue', item })}\n`)
+        .join('');
+
+      const temp = await fs.open(tempPath, 'w');
+      try {
+        await temp.writeFile(content);
+        if (this.fsync) {
+          await temp.sync();
+        }
+      } finally {
+        await temp.close();
+      }
+      await this.syncDirectory();
+
+      await this.handle.close();
+      await fs.rename(tempPath, this.path);
+      await this.syncDirectory();
+
+      this.handle = await fs.open(this.path, 'a');
+      this.journalLines = this.items.size;
+    });
+  }
+
+  /**
+   * Flush the journal's directory entries to disk
+   */
+  async syncDirectory() {
+    if (!this.fsync) {
+      return;
+    }
+    const directory = await fs.open(path.dirname(this.path), 'r');
+    try {
+      await directory.sync();
+    } catch (error) {
+      // Some platforms (Windows) cannot sync directories
+      if (!['EISDIR', 'EPERM', 'EINVAL'].includes(error.code)) {
+        throw error;
+      }
+    } finally {
+      await directory.close();
+    }
+  }
+
+  /**
+   * Run a write after all previously issued writes
+   * @param {Function} fn - Write operation
+   * @returns {Promise} - Resolves when the write completes
+   */
+  enqueueWrite(fn) {
+    const write = this.writes.then(fn);
+    // A failed write must not block the ones after it
+    this.writes = write.catch(() => {});
+    return write;
+  }
+
+  async close() {
+    await this.writes;
+    if (this.handle) {
+      await this.handle.close();
+      this.handle = null;
+    }
+  }
+}
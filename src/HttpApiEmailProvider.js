@@ -0,0 +1,380 @@
+import { resolveAttachments, customHeaders } from './MimeBuilder.js';
+import { TransientProviderError, PermanentProviderError, ThrottledError } from './errors.js';
+
+/**
+ * Email provider that sends through a vendor's HTTP/JSON API,
+ * configured with a request template instead of vendor-specific code
+ */
+export class HttpApiEmailProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.url = options.url;
+    this.method = (options.method || 'POST').toUpperCase();
+    this.headers = options.headers || {};
+    this.auth = options.auth || null; // { type: 'bearer' | 'basic' | 'header', ... }
+    this.format = options.format || 'json'; // json or form
+    // Placeholders see the email with `text` defaulting to `body`, address
+    // fields as address lists (`Ana <ana@example.com>, bo@example.com`),
+    // attachments as [{ filename, contentType, cid, content }], content in base64,
+    // and headers including List-Unsubscribe
+    this.body = options.body || {
+      from: '{{from}}',
+      to: '{{to}}',
+      cc: '{{cc}}',
+      bcc: '{{bcc}}',
+      replyTo: '{{replyTo}}',
+      subject: '{{subject}}',
+      text: '{{text}}',
+      html: '{{html}}',
+      attachments: '{{attachments}}',
+      headers: '{{headers}}',
+      tags: '{{tags}}',
+      metadata: '{{metadata}}'
+    };
+    this.from = options.from || null; // Default sender
+    this.messageIdPath = options.messageIdPath || 'id';
+    this.messageIdHeader = options.messageIdHeader || null;
+    this.permanentStatuses = options.permanentStatuses || [400, 413, 415, 422];
+    this.throttledStatuses = options.throttledStatuses || [429];
+    this.timeout = options.timeout || 10000; // 10 seconds
+    this.healthUrl = options.healthUrl || null;
+    this.isHealthy = options.isHealthy !== false;
+
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      totalLatency: 0
+    };
+  }
+
+  /**
+   * Send email through this provider
+   * @param {Object} email - Email object
+   * @param {Object} context - Send context from EmailService
+   * @param {string} context.traceparent - W3C trace context forwarded to the API
+   * @returns {Promise<Object>} - Send result, messageId is null when the vendor returned none
+   */
+  async sendEmail(email, context = {}) {
+    const startTime = Date.now();
+    try {
+      const { response, body } = await this.request(email, context);
+
+      this.stats.sent++;
+      this.stats.totalLatency += Date.now() - startTime;
+
+      return {
+        success: true,
+        messageId: this.extractMessageId(response, body),
+        provider: this.name,
+        timestamp: new Date().toISOString(),
+        statusCode: response.status,
+        email: {
+          to: email.to,
+          subject: email.subject
+        }
+      };
+    } catch (error) {
+      this.stats.failed++;
+      throw error;
+    }
+  }
+
+  /**
+   * Call the API and read its response
+   * @param {Object} email - Email object
+   * @param {Object} context - Send context from EmailService
+   * @returns {Promise<Object>} - { response, body } of a successful response
+   * @throws {ProviderError} - Typed by the response status, transient when the API could not be reached or read
+   */
+  async request(email, context) {
+    const attachments = email.attachments?.length
+      ? (await resolveAttachments(email.attachments)).map(({ content, ...attachment }) => ({
+        ...attachment,
+        content: content.toString('base64')
+      }))
+      : undefined;
+    const request = this.buildRequest({
+      ...email,
+      from: email.from || this.from,
+      text: email.text ?? email.body,
+      attachments,
+      headers: customHeaders(email)
+    });
+    if (context.traceparent) {
+      request.headers.traceparent = context.traceparent;
+    }
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        ...request,
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw new TransientProviderError(`${this.name} provider failed: Request ${this.describeFailure(error)}`, {
+        provider: this.name,
+        cause: error
+      });
+    }
+
+    let body;
+    try {
+      body = await this.parseResponse(response);
+    } catch (error) {
+      // The status still tells whether the message was rejected
+      if (!response.ok) {
+        throw this.createError(response, null);
+      }
+      throw new TransientProviderError(
+        `${this.name} provider failed: Reading the ${response.status} response ${this.describeFailure(error)}`,
+        { provider: this.name, statusCode: response.status, cause: error }
+      );
+    }
+
+    if (!response.ok) {
+      throw this.createError(response, body);
+    }
+    return { response, body };
+  }
+
+  /**
+   * Describe why a request or response read failed
+   * @param {Error} error - Fetch or body read error
+   * @returns {string} - Reason
+   */
+  describeFailure(error) {
+    return error.name === 'TimeoutError' ? `timed out after ${this.timeout}ms` : `failed: ${error.message}`;
+  }
+
+  /**
+   * Build fetch options from the request template
+   * @param {Object} email - Email object
+   * @returns {Object} - Fetch options
+   */
+  buildRequest(email) {
+    const payload = typeof this.body === 'function'
+      ? this.body(email)
+      : this.renderTemplate(this.body, email);
+
+    const headers = { ...this.headers, ...this.buildAuthHeader() };
+    let body;
+
+    if (this.format === 'form') {
+      headers['Content-Type'] = 'application/x-www-form-urlencoded';
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(payload)) {
+        for (const item of [].concat(value)) {
+          if (item !== undefined && item !== null) {
+            params.append(key, typeof item === 'object' ? JSON.stringify(item) : String(item));
+          }
+        }
+      }
+      body = params.toString();
+    } else {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(payload);
+    }
+
+    return { method: this.method, headers, body };
+  }
+
+  /**
+   * Replace `{{path}}` placeholders in a template with email values.
+   * A string that is exactly one placeholder keeps the value's type,
+   * so arrays and objects can be mapped as-is.
+   * @param {*} template - Template value
+   * @param {Object} email - Email object
+   * @returns {*} - Rendered value
+   */
+  renderTemplate(template, email) {
+    if (typeof template === 'string') {
+      const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+      if (whole) {
+        return this.getPath(email, whole[1]);
+      }
+      return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+        const value = this.getPath(email, path);
+        return value === undefined || value === null ? '' : String(value);
+      });
+    }
+
+    if (Array.isArray(template)) {
+      return template.map(item => this.renderTemplate(item, email));
+    }
+
+    if (template && typeof template === 'object') {
+      const rendered = {};
+      for (const [key, value] of Object.entries(template)) {
+        const result = this.renderTemplate(value, email);
+        if (result !== undefined) {
+          rendered[key] = result;
+        }
+      }
+      return rendered;
+    }
+
+    return template;
+  }
+
+  /**
+   * Build the authentication header
+   * @returns {Object} - Header name to value
+   */
+  buildAuthHeader() {
+    if (!this.auth) {
+      return {};
+    }
+
+    switch (this.auth.type) {
+      case 'bearer':
+        return { Authorization: `Bearer ${this.auth.token}` };
+      case 'basic': {
+        const credentials = Buffer.from(`${this.auth.user}:${this.auth.pass}`).toString('base64');
+        return { Authorization: `Basic ${credentials}` };
+      }
+      case 'header':
+        return { [this.auth.header]: this.auth.value };
+      default:
+        throw new Error(`${this.name} provider failed: Unsupported auth type "${this.auth.type}"`);
+    }
+  }
+
+  /**
+   * Parse the response body as JSON, falling back to text
+   * @param {Response} response - Fetch response
+   * @returns {Promise<*>} - Parsed body
+   */
+  async parseResponse(response) {
+    const text = await response.text();
+    if (!text) {
+      return null;
+    }
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /**
+   * Extract the vendor message ID from the response
+   * @param {Response} response - Fetch response
+   * @param {*} body - Parsed response body
+   * @returns {string|null} - Message ID, null when the vendor returned none
+   */
+  extractMessageId(response, body) {
+    if (this.messageIdHeader) {
+      const headerValue = response.headers.get(this.messageIdHeader);
+      if (headerValue) {
+        return headerValue;
+      }
+    }
+
+    const value = body && typeof body === 'object' ? this.getPath(body, this.messageIdPath) : undefined;
+    if (value !== undefined && value !== null) {
+      return String(value);
+    }
+
+    // An ID made up here would not match the vendor's bounce and delivery reports
+    return null;
+  }
+
+  /**
+   * Create an error describing a failed response. Statuses that reject the
+   * message itself are permanent, throttling statuses carry Retry-After, and
+   * anything else (auth, server errors) may succeed later or elsewhere.
+   * @param {Response} response - Fetch response
+   * @param {*} body - Parsed response body
+   * @returns {Error} - Provider error
+   */
+  createError(response, body) {
+    const detail = typeof body === 'string'
+      ? body
+      : body?.message || body?.error?.message || body?.error || response.statusText;
+    const message = `${this.name} provider failed: ${response.status} ${detail}`;
+    const options = { provider: this.name, statusCode: response.status };
+
+    if (this.permanentStatuses.includes(response.status)) {
+      return new PermanentProviderError(message, options);
+    }
+    if (this.throttledStatuses.includes(response.status)) {
+      return new ThrottledError(message, {
+        ...options,
+        retryAfter: this.parseRetryAfter(response.headers.get('retry-after'))
+      });
+    }
+    return new TransientProviderError(message, options);
+  }
+
+  /**
+   * Parse a Retry-After header into milliseconds
+   * @param {string|null} value - Header value (seconds or HTTP date)
+   * @returns {number|null} - Delay in milliseconds
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+    if (/^\d+$/.test(value.trim())) {
+      return parseInt(value, 10) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Read a dotted path from an object
+   * @param {Object} object - Source object
+   * @param {string} path - Dotted path
+   * @returns {*} - Value at path
+   */
+  getPath(object, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+  }
+
+  /**
+   * Check provider health against `healthUrl` when configured
+   * @returns {Promise<boolean>} - Health status
+   */
+  async checkHealth() {
+    if (!this.healthUrl) {
+      return this.isHealthy;
+    }
+
+    try {
+      const response = await fetch(this.healthUrl, {
+        headers: { ...this.headers, ...this.buildAuthHeader() },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      this.isHealthy = response.ok;
+    } catch (error) {
+      this.isHealthy = false;
+    }
+    return this.isHealthy;
+  }
+
+  /**
+   * Set provider health status
+   * @param {boolean} healthy - Health status
+   */
+  setHealth(healthy) {
+    this.isHealthy = healthy;
+  }
+
+  /**
+   * Get provider statistics
+   * @returns {Object} - Provider stats
+   */
+  getStats() {
+    const total = this.stats.sent + this.stats.failed;
+    return {
+      name: this.name,
+      url: this.url,
+      failureRate: total > 0 ? this.stats.failed / total : 0,
+      latency: this.stats.sent > 0 ? Math.round(this.stats.totalLatency / this.stats.sent) : 0,
+      isHealthy: this.isHealthy,
+      sent: this.stats.sent,
+      failed: this.stats.failed
+    };
+  }
+}
@@ -0,0 +1,83 @@
+import { MemoryIdempotencyStore } from './MemoryIdempotencyStore.js';
+import { FileIdempotencyStore } from './FileIdempotencyStore.js';
+import { SqliteIdempotencyStore } from './SqliteIdempotencyStore.js';
+
+export { MemoryIdempotencyStore };
+
+/**
+ * Storage adapters for EmailService idempotency records.
+ *
+ * A record is `{ key, tenant, status, owner, fingerprint, result, error,
+ * createdAt, expiresAt }`, with times in epoch milliseconds. A send first
+ * stores an `in-flight` record owned by it, then replaces it with a
+ * `completed` one holding the send result, or a `failed` one holding the
+ * error when the email was rejected permanently. The fingerprint is a hash
+ * of the email, telling a retry from another email reusing the key.
+ *
+ * Records past `expiresAt` are treated as missing: in-flight ones expire
+ * after the lock TTL so a crashed sender does not block a key forever,
+ * completed and failed ones after the idempotency TTL. A live sender
+ * extends its lock while the send runs.
+ *
+ * Every adapter implements the same async interface:
+ *   open()                - Prepare the storage (load journal, create tables)
+ *   acquire(record)       - Store the record unless a live one has its key, resolves { acquired, record }
+ *   complete(record)      - Store the completed or failed record, replacing the in-flight one held by
+ *                           record.owner or an expired one, resolves whether it did
+ *   extend(key, owner, expiresAt) - Move the expiry of an in-flight record held by owner, resolves whether it did
+ *   release(key, owner)   - Delete an in-flight record held by owner, resolves whether it did
+ *   remove(key, status)   - Delete a live record with that status, resolves whether it did
+ *   get(key)              - Load a live record, or null
+ *   count(filter)         - Count live records, optionally filtered by tenant and status
+ *   purge()               - Delete expired records, resolves how many
+ *   close()               - Release resources
+ */
+
+export const IDEMPOTENCY_STATUSES = Object.freeze(['in-flight', 'completed', 'failed']);
+
+/**
+ * Convert a record to a JSON-safe object
+ * @param {Object} record - Idempotency record
+ * @returns {Object} - Serializable record
+ */
+export function serializeRecord(record) {
+  return JSON.parse(JSON.stringify(record));
+}
+
+/**
+ * Check whether a record has not expired
+ * @param {Object} record - Idempotency record
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - Whether the record is live
+ */
+export function isLive(record, now = Date.now()) {
+  return Boolean(record) && record.expiresAt > now;
+}
+
+/**
+ * Check whether a record is the in-flight lock of a sender
+ * @param {Object} record - Idempotency record
+ * @param {string} owner - Owner the key was taken with
+ * @returns {boolean} - Whether owner holds the record
+ */
+export function isHeldBy(record, owner) {
+  return record.status === 'in-flight' && record.owner === owner;
+}
+
+/**
+ * Create an idempotency store from a storage config
+ * @param {Object} config - Storage config ({ type: 'memory' | 'file' | 'sqlite', path })
+ * @returns {Object} - Idempotency store
+ */
+export function createIdempotencyStore(config = {}) {
+  switch (config.type || 'memory') {
+    case 'memory':
+      return new MemoryIdempotencyStore();
+    case 'file':
+      return new FileIdempotencyStore(config);
+    case 'sqlite':
+      return new SqliteIdempotencyStore(config);
+    default:
+      throw new Error(`Unknown idempotency storage type "${config.type}"`);
+  }
+}
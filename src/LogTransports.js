@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Log transports. Each one receives finished log entries:
+ *   { timestamp, level, message, ...context, ...data }
+ * through `write(entry)`.
+ */
+
+/**
+ * Serialize an entry as one JSON line, turning errors into plain objects
+ * @param {Object} entry - Log entry
+ * @returns {string} - JSON line without the trailing newline
+ */
+export function formatJson(entry) {
+  return JSON.stringify(entry, (key, value) => {
+    if (value instanceof Error) {
+      return { name: value.name, message: value.message, code: value.code, stack: value.stack };
+    }
+    return value;
+  });
+}
+
+/**
+ * Writes to the process output. `text` keeps the classic
+ * `[timestamp] LEVEL: message {data}` console format, `json` writes JSON lines.
+ */
+export class StdoutTransport {
+  constructor(options = {}) {
+    this.format = options.format || 'text';
+    this.stream = options.stream || process.stdout;
+  }
+
+  write(entry) {
+    if (this.format === 'json') {
+      this.stream.write(`${formatJson(entry)}\n`);
+      return;
+    }
+
+    const { timestamp, level, message, ...data } = entry;
+    console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data);
+  }
+}
+
+/**
+ * Appends JSON lines to a file and rotates it once it reaches `maxSize`
+ * bytes: app.log -> app.log.1 -> app.log.2, keeping `maxFiles` old files.
+ */
+export class FileTransport {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('FileTransport requires a path');
+    }
+
+    this.path = options.path;
+    this.maxSize = options.maxSize || 10 * 1024 * 1024; // 10 MB
+    this.maxFiles = options.maxFiles ?? 5;
+
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+    this.fd = fs.openSync(this.path, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  write(entry) {
+    if (this.fd === null) {
+      return;
+    }
+
+    const line = `${formatJson(entry)}\n`;
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      this.rotate();
+    }
+
+    fs.writeSync(this.fd, line);
+    this.size += bytes;
+  }
+
+  /**
+   * Shift the numbered files up by one and start a new file
+   */
+  rotate() {
+    fs.closeSync(this.fd);
+
+    if (this.maxFiles > 0) {
+      fs.rmSync(`${this.path}.${this.maxFiles}`, { force: true });
+      for (let index = this.maxFiles - 1; index >= 1; index--) {
+        if (fs.existsSync(`${this.path}.${index}`)) {
+          fs.renameSync(`${this.path}.${index}`, `${this.path}.${index + 1}`);
+        }
+      }
+      fs.renameSync(this.path, `${this.path}.1`);
+    } else {
+      fs.rmSync(this.path, { force: true });
+    }
+
+    this.fd = fs.openSync(this.path, 'a');
+    this.size = 0;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Keeps entries in memory, for tests and debugging endpoints
+ */
+export class MemoryTransport {
+  constructor(options = {}) {
+    this.limit = options.limit || 1000;
+    this.entries = [];
+  }
+
+  write(entry) {
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.shift();
+    }
+  }
+
+  /**
+   * Find entries matching every given field
+   * @param {Object} fields - Fields to match, e.g. { level: 'error' }
+   * @returns {Array} - Matching entries
+   */
+  find(fields = {}) {
+    return this.entries.filter(entry => Object.entries(fields).every(([key, value]) => entry[key] === value));
+  }
+
+  clear() {
+    this.entries = [];
+  }
+}
+
+/**
+ * Create a transport from its configuration
+ * @param {Object} config - Transport config, `type` is stdout, file or memory
+ * @returns {Object} - Transport
+ */
+export function createTransport(config = {}) {
+  switch (config.type || 'stdout') {
+    case 'stdout':
+      return new StdoutTransport(config);
+    case 'file':
+      return new FileTransport(config);
+    case 'memory':
+      return new MemoryTransport(config);
+    default:
+      throw new Error(`Unknown log transport type: ${config.type}`);
+  }
+}
@@ -1,16 +1,59 @@
+import { StdoutTransport, createTransport } from './LogTransports.js';
+
+// Fields holding recipient addresses, masked to `j***@example.com`
+const ADDRESS_FIELDS = ['to', 'cc', 'bcc', 'replyTo', 'recipient', 'recipients', 'email', 'address'];
+
+// Fields holding message content, replaced entirely
+const CONTENT_FIELDS = ['body', 'html', 'text', 'content', 'attachments'];
+
+const EMAIL_PATTERN = /([^\s<>"',;:@]+)@([^\s<>"',;]+)/g;
+
 /**
  * Simple logger implementation for tracking operations
+ *
+ * Entries go to one or more transports (see LogTransports.js). Child
+ * loggers share the transports and add bound context to every entry.
  */
 export class Logger {
-  constructor(level = 'info') {
-    this.level = level;
+  /**
+   * @param {string|Object} options - Log level, or logger options
+   * @param {string} options.level - Minimum level (error, warn, info, debug)
+   * @param {string} options.format - stdout format when no transports are given (text or json)
+   * @param {Array} options.transports - Transports receiving each entry
+   * @param {Object} options.context - Fields added to every entry
+   * @param {boolean|Object} options.redact - Mask recipients and drop bodies, or { addressFields, contentFields }
+   */
+  constructor(options = 'info') {
+    if (typeof options === 'string') {
+      options = { level: options };
+    }
+
+    this.level = options.level || 'info';
     this.levels = { error: 0, warn: 1, info: 2, debug: 3 };
+    this.transports = options.transports || [new StdoutTransport({ format: options.format })];
+    this.context = options.context || {};
+    this.redact = options.redact || false;
+
+    if (this.redact) {
+      this.addressFields = new Set(this.redact.addressFields || ADDRESS_FIELDS);
+      this.contentFields = new Set(this.redact.contentFields || CONTENT_FIELDS);
+    }
   }
 
   log(level, message, data = {}) {
     if (this.levels[level] <= this.levels[this.level]) {
-      const timestamp = new Date().toISOString();
-      console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`, data);
+      const entry = {
+        timestamp: new Date().toISOString(),
+        level,
+        message,
+        ...this.context,
+        ...data
+      };
+
+      const redacted = this.redact ? this.redactValue(entry) : entry;
+      for (const transport of this.transports) {
+        transport.write(redacted);
+      }
     }
   }
 
@@ -29,4 +72,86 @@ export class Logger {
   debug(message, data) {
     this.log('debug', message, data);
   }
+
+  /**
+   * Create a logger that adds `context` to every entry
+   * @param {Object} context - Bound fields, e.g. { requestId, tenant, queueItemId }
+   * @returns {Logger} - Child logger sharing this logger's transports
+   */
+  child(context = {}) {
+    return new Logger({
+      level: this.level,
+      transports: this.transports,
+      context: { ...this.context, ...context },
+      redact: this.redact
+    });
+  }
+
+  /**
+   * Copy a value with recipient addresses masked and message content removed
+   * @param {*} value - Value to redact
+   * @param {string} key - Field name the value was found under
+   * @returns {*} - Redacted copy
+   */
+  redactValue(value, key = null) {
+    if (key && this.contentFields.has(key) && value != null) {
+      return '[REDACTED]';
+    }
+
+    if (typeof value === 'string') {
+      return key && this.addressFields.has(key) ? maskAddresses(value) : value;
+    }
+
+    if (Array.isArray(value)) {
+      return value.map(item => this.redactValue(item, key));
+    }
+
+    if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof Error)) {
+      return Object.fromEntries(
+        Object.entries(value).map(([field, fieldValue]) => [field, this.redactValue(fieldValue, field)])
+      );
+    }
+
+    return value;
+  }
+
+  /**
+   * Flush and release transports that hold resources
+   */
+  close() {
+    for (const transport of this.transports) {
+      transport.close?.();
+    }
+  }
+}
+
+/**
+ * Mask every address in a string, keeping the first character and domain
+ * @param {string} value - String containing addresses
+ * @returns {string} - Masked string
+ */
+export function maskAddresses(value) {
+  return value.replace(EMAIL_PATTERN, (match, local, domain) => `${local[0]}***@${domain}`);
+}
+
+/**
+ * Create a logger from configuration (see loggingConfig in config/index.js)
+ * @param {Object} config - Logger configuration
+ * @param {string} config.level - Minimum level
+ * @param {string} config.format - Format for stdout transports without their own
+ * @param {boolean|Object} config.redact - Redaction options
+ * @param {Array<Object>} config.transports - Transport configs ({ type: 'stdout' | 'file' | 'memory', ... })
+ * @returns {Logger} - Logger
+ */
+export function createLogger(config = {}) {
+  const transports = (config.transports || [{ type: 'stdout' }]).map(transport =>
+    createTransport({ format: config.format, ...transport })
+  );
+
+  return new Logger({
+    level: config.level,
+    transports,
+    redact: config.redact,
+    context: config.context
+  });
 }
@@ -0,0 +1,110 @@
+import { serializeRecord, isLive, isHeldBy } from './IdempotencyStore.js';
+
+/**
+ * In-memory store, the default. Nothing survives a restart and records are
+ * not shared with other processes.
+ */
+export class MemoryIdempotencyStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  async open() {}
+
+  async acquire(record) {
+    const stored = this.lookup(record.key);
+    if (stored) {
+      return { acquired: false, record: serializeRecord(stored) };
+    }
+    const data = serializeRecord(record);
+    await this.write(data);
+    return { acquired: true, record: serializeRecord(data) };
+  }
+
+  async complete(record) {
+    const stored = this.lookup(record.key);
+    if (stored && !isHeldBy(stored, record.owner)) {
+      return false;
+    }
+    await this.write(serializeRecord(record));
+    return true;
+  }
+
+  async extend(key, owner, expiresAt) {
+    const stored = this.lookup(key);
+    if (!stored || !isHeldBy(stored, owner)) {
+      return false;
+    }
+    await this.write(serializeRecord({ ...stored, expiresAt }));
+    return true;
+  }
+
+  async release(key, owner) {
+    const stored = this.records.get(key);
+    if (!stored || !isHeldBy(stored, owner)) {
+      return false;
+    }
+    await this.delete(key);
+    return true;
+  }
+
+  async remove(key, status) {
+    const stored = this.lookup(key);
+    if (!stored || stored.status !== status) {
+      return false;
+    }
+    await this.delete(key);
+    return true;
+  }
+
+  async get(key) {
+    const stored = this.lookup(key);
+    return stored ? serializeRecord(stored) : null;
+  }
+
+  async count(filter = {}) {
+    const now = Date.now();
+    return [...this.records.values()].filter(record =>
+      isLive(record, now) &&
+      (!filter.tenant || record.tenant === filter.tenant) &&
+      (!filter.status || record.status === filter.status)
+    ).length;
+  }
+
+  async purge() {
+    const now = Date.now();
+    const expired = [...this.records.values()].filter(record => !isLive(record, now));
+    for (const record of expired) {
+      await this.delete(record.key);
+    }
+    return expired.length;
+  }
+
+  async close() {}
+
+  /**
+   * Find a live record, synchronously so acquire cannot interleave with another
+   * @param {string} key - Record key
+   * @returns {Object|null} - Stored record or null
+   */
+  lookup(key) {
+    const stored = this.records.get(key);
+    return isLive(stored) ? stored : null;
+  }
+
+  /**
+   * Store a record, the in-memory state changes before any await
+   * @param {Object} record - Serialized record
+   */
+  async write(record) {
+    this.records.set(record.key, record);
+  }
+
+  /**
+   * Delete a record
+   * @param {string} key - Record key
+   */
+  async delete(key) {
+    this.records.delete(key);
+  }
+}
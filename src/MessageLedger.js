@@ -0,0 +1,362 @@
+import { Logger } from './Logger.js';
+import { createQueueStore } from './QueueStore.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Delivery status of every message, so support can tell whether a user got
+ * an email long after its idempotency record expired.
+ *
+ * An entry is recorded when a send is accepted or an email is queued, under
+ * an ID that stays the same for its lifetime (the queue item ID for queued
+ * emails), and gets the provider's messageId once it is sent. Lookups take
+ * either ID.
+ *
+ * A message moves through MESSAGE_STATES along MESSAGE_TRANSITIONS:
+ *
+ *   accepted -> queued -> sent -> deferred -> delivered -> opened
+ *       \          \        \-> bounced      \-> complained
+ *        \          \-> cancelled
+ *         \-> failed
+ *
+ * Provider feedback often arrives out of order (an open before the
+ * delivery report), so every event is kept in the history while the
+ * status only follows allowed transitions. Each recipient has its own
+ * status in `recipientStatus`, moved by the events about that recipient
+ * (or by events naming none, like a failed send). `status` is the
+ * message's: every event moves it when the transition allows, whichever
+ * recipient it is about, so a bounce for one recipient after another's
+ * delivery leaves it delivered and only shows in `recipientStatus`.
+ *
+ * Uses the same storage adapters as EmailQueue (memory, file or sqlite),
+ * with every entry kept in memory for lookups.
+ */
+
+export const MESSAGE_STATES = Object.freeze([
+  'accepted', 'queued', 'sent', 'failed', 'cancelled', 'delivered', 'deferred', 'bounced', 'complained', 'opened'
+]);
+
+export const MESSAGE_TRANSITIONS = Object.freeze({
+  accepted: ['queued', 'sent', 'failed'],
+  queued: ['sent', 'failed', 'cancelled'],
+  failed: [],
+  cancelled: [],
+  sent: ['delivered', 'deferred', 'bounced', 'complained', 'opened'],
+  deferred: ['deferred', 'delivered', 'bounced'],
+  delivered: ['opened', 'complained'],
+  opened: ['opened', 'complained'],
+  bounced: [],
+  complained: []
+});
+
+export class MessageLedger {
+  /**
+   * @param {Object} options - Ledger options
+   * @param {Object} options.storage - Storage config ({ type: 'memory' | 'file' | 'sqlite', path })
+   * @param {Object} options.store - Storage adapter, instead of options.storage
+   * @param {number} options.maxEntries - Most messages kept, the oldest are dropped beyond it
+   * @param {Logger} options.logger - Logger
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || new Logger(options.logLevel || 'info');
+    this.store = options.store || createQueueStore(options.storage);
+    this.maxEntries = options.maxEntries || 100000;
+    this.entries = new Map();
+    this.messageIds = new Map(); // Provider messageId to entry ID
+    this.ready = null;
+  }
+
+  /**
+   * Open the underlying store and load its entries
+   * @returns {Promise} - Resolves when the entries are loaded
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.store.open();
+        const stored = (await this.store.list()).map(reviveEntry).sort((a, b) => a.updatedAt - b.updatedAt);
+        this.entries = new Map(stored.map(entry => [entry.id, entry]));
+        this.messageIds = new Map();
+        stored.forEach(entry => this.index(entry));
+      })().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Record a message when its send is accepted or it is queued, before any
+   * provider sees it
+   * @param {string} id - Entry ID, the queue item ID for queued emails
+   * @param {Object} details - Message details
+   * @param {Array<string>} details.recipients - Recipient addresses
+   * @param {string} details.subject - Subject
+   * @param {string} details.tenant - Tenant ID
+   * @param {string} details.traceId - Correlation ID of the send
+   * @param {string} details.idempotencyKey - Idempotency key of the send
+   * @param {Object} details.template - `{ name, version }` of the template used
+   * @param {Array<string>} details.tags - Tags
+   * @param {Date} details.acceptedAt - When the send was requested, defaults to queuedAt or now
+   * @param {string} details.queueId - Queue item the message is sent from, the entry starts queued
+   * @param {Date} details.queuedAt - When it was queued
+   * @returns {Promise<Object>} - Entry
+   */
+  async record(id, details = {}) {
+    if (!id) {
+      throw new ValidationError('id is required', { field: 'id' });
+    }
+    const acceptedAt = details.acceptedAt || details.queuedAt || new Date();
+    const history = [
+      { status: 'accepted', at: acceptedAt },
+      ...(details.queueId ? [{ status: 'queued', at: details.queuedAt || acceptedAt, queueId: details.queueId }] : [])
+    ];
+
+    const entry = {
+      id,
+      messageId: null,
+      status: history.at(-1).status,
+      priority: 0,
+      recipients: details.recipients || [],
+      recipientStatus: Object.fromEntries((details.recipients || []).map(address => [address, history.at(-1).status])),
+      subject: details.subject ?? null,
+      provider: null,
+      tenant: details.tenant || null,
+      traceId: details.traceId || null,
+      idempotencyKey: details.idempotencyKey || null,
+      queueId: details.queueId || null,
+      template: details.template || null,
+      tags: details.tags || [],
+      createdAt: acceptedAt,
+      updatedAt: history.at(-1).at,
+      history
+    };
+
+    await this.init();
+    await this.save(entry);
+    await this.evict();
+    return toEntry(entry);
+  }
+
+  /**
+   * Move a message to sent once a provider accepted it
+   * @param {string} id - Entry ID
+   * @param {Object} details - Send details
+   * @param {string} details.messageId - Message ID the provider returned
+   * @param {string} details.provider - Provider that accepted the message
+   * @param {Array<string>} details.recipients - Recipients it went to, without suppressed ones
+   * @param {Date} details.sentAt - When the provider accepted it, defaults to now
+   * @returns {Promise<Object|null>} - { entry, changed }, null when the message is unknown
+   */
+  async markSent(id, details = {}) {
+    const { messageId, provider = null, recipients, sentAt = new Date() } = details;
+    return this.apply(id, 'sent', { at: sentAt, provider }, {
+      messageId: messageId || null,
+      provider,
+      ...(recipients && { recipients })
+    });
+  }
+
+  /**
+   * Move a message to another state, keeping the event in its history
+   * @param {string} id - Entry ID or provider message ID
+   * @param {string} status - One of MESSAGE_STATES
+   * @param {Object} details - Event details, e.g. { recipient, source, code, diagnostic, at }
+   * @returns {Promise<Object|null>} - { entry, changed }, null when the message is unknown
+   * @throws {ValidationError} - When the state is unknown
+   */
+  async transition(id, status, details = {}) {
+    return this.apply(id, status, details);
+  }
+
+  /**
+   * Get a message with its history
+   * @param {string} id - Entry ID or provider message ID
+   * @param {Object} options - Options
+   * @param {string} options.tenant - Only that tenant's messages are visible when set
+   * @returns {Promise<Object|null>} - Entry or null
+   */
+  async get(id, options = {}) {
+    await this.init();
+    const stored = this.find(id);
+    if (!stored || (options.tenant && stored.tenant !== options.tenant)) {
+      return null;
+    }
+    return toEntry(stored);
+  }
+
+  /**
+   * List messages, most recently updated first
+   * @param {Object} filter - Filter options
+   * @param {string} filter.status - Only messages in this state, or whose recipient is in it along with filter.recipient
+   * @param {string} filter.recipient - Only messages sent to this address
+   * @param {string} filter.tenant - Only this tenant's messages
+   * @param {number} filter.limit - Most messages returned
+   * @returns {Promise<Array<Object>>} - Entries
+   */
+  async list(filter = {}) {
+    await this.init();
+    let entries = [...this.entries.values()].reverse();
+
+    if (filter.recipient) {
+      const recipient = filter.recipient.toLowerCase();
+      entries = entries.filter(entry => entry.recipients.some(address => address.toLowerCase() === recipient));
+    }
+    if (filter.status) {
+      entries = entries.filter(entry => (filter.recipient ? recipientStatusOf(entry, filter.recipient) : entry.status) === filter.status);
+    }
+    if (filter.tenant) {
+      entries = entries.filter(entry => entry.tenant === filter.tenant);
+    }
+    if (filter.limit) {
+      entries = entries.slice(0, filter.limit);
+    }
+    return entries.map(toEntry);
+  }
+
+  /**
+   * Count messages
+   * @returns {Promise<number>} - Number of messages
+   */
+  async size() {
+    await this.init();
+    return this.entries.size;
+  }
+
+  /**
+   * Close the underlying store
+   */
+  async close() {
+    await this.store.close();
+    this.ready = null;
+  }
+
+  /**
+   * Move a message to another state, updating entry fields along with it
+   * @param {string} id - Entry ID or provider message ID
+   * @param {string} status - One of MESSAGE_STATES
+   * @param {Object} details - Event details
+   * @param {Object} fields - Entry fields set when the state changes
+   * @returns {Promise<Object|null>} - { entry, changed }, null when the message is unknown
+   */
+  async apply(id, status, details, fields = {}) {
+    if (!MESSAGE_STATES.includes(status)) {
+      throw new ValidationError(`Unknown message state: ${status}`, { field: 'status' });
+    }
+    await this.init();
+    const stored = this.find(id);
+    if (!stored) {
+      return null;
+    }
+
+    const { at = new Date(), ...rest } = details;
+    const messageChanged = MESSAGE_TRANSITIONS[stored.status].includes(status);
+    // A send drops suppressed recipients, they keep no status
+    const current = messageChanged && fields.recipients
+      ? Object.fromEntries(fields.recipients.map(address => [address, recipientStatusOf(stored, address) ?? stored.status]))
+      : stored.recipientStatus;
+    const recipients = moveRecipients(current, status, details.recipient);
+    const changed = messageChanged || recipients.changed;
+
+    const event = { ...rest, status, at: new Date(at), ...(!changed && { applied: false }) };
+    const updated = {
+      ...stored,
+      ...(messageChanged && fields),
+      status: messageChanged ? status : stored.status,
+      recipientStatus: recipients.recipientStatus,
+      updatedAt: new Date(),
+      history: [...stored.history, event]
+    };
+    await this.save(updated);
+
+    if (!changed) {
+      this.logger.debug('Message state unchanged', { id: stored.id, from: stored.status, to: status });
+    }
+    return { entry: toEntry(updated), changed };
+  }
+
+  /**
+   * Find a stored entry
+   * @param {string} id - Entry ID or provider message ID
+   * @returns {Object|undefined} - Stored entry
+   */
+  find(id) {
+    return id ? this.entries.get(id) || this.entries.get(this.messageIds.get(id)) : undefined;
+  }
+
+  /**
+   * Map an entry's provider message ID to it. The first entry sent with an
+   * ID keeps it, a queued duplicate of a send reuses the original message ID.
+   * @param {Object} entry - Stored entry
+   */
+  index(entry) {
+    if (entry.messageId && !this.messageIds.has(entry.messageId)) {
+      this.messageIds.set(entry.messageId, entry.id);
+    }
+  }
+
+  /**
+   * Replace an entry in the store and in memory, making it the most recent
+   * @param {Object} entry - Stored entry
+   */
+  async save(entry) {
+    await this.store.upsert(entry);
+    this.entries.delete(entry.id);
+    this.entries.set(entry.id, entry);
+    this.index(entry);
+  }
+
+  /**
+   * Drop the least recently updated entries beyond maxEntries
+   */
+  async evict() {
+    while (this.entries.size > this.maxEntries) {
+      const [oldest, entry] = this.entries.entries().next().value;
+      await this.store.remove(oldest);
+      this.entries.delete(oldest);
+      if (this.messageIds.get(entry.messageId) === oldest) {
+        this.messageIds.delete(entry.messageId);
+      }
+    }
+  }
+}
+
+/**
+ * Move the recipient an event is about, or every recipient when it names
+ * none, where the recipient's own transition allows
+ * @param {Object} recipientStatus - Status by recipient address
+ * @param {string} status - One of MESSAGE_STATES
+ * @param {string} recipient - Recipient the event is about
+ * @returns {Object} - { recipientStatus, changed }
+ */
+function moveRecipients(recipientStatus, status, recipient) {
+  let changed = false;
+  const moved = Object.fromEntries(Object.entries(recipientStatus).map(([address, current]) => {
+    const applies = (!recipient || address.toLowerCase() === recipient.toLowerCase()) &&
+      MESSAGE_TRANSITIONS[current].includes(status);
+    changed ||= applies;
+    return [address, applies ? status : current];
+  }));
+  return { recipientStatus: moved, changed };
+}
+
+// Addresses are matched case-insensitively, undefined when it is not a recipient
+function recipientStatusOf(entry, recipient) {
+  const address = Object.keys(entry.recipientStatus).find(key => key.toLowerCase() === recipient.toLowerCase());
+  return address === undefined ? undefined : entry.recipientStatus[address];
+}
+
+// Stores only revive the queue item date fields, entries stored before
+// recipients had their own status start from the message's
+function reviveEntry(stored) {
+  return {
+    ...stored,
+    recipientStatus: stored.recipientStatus || Object.fromEntries(stored.recipients.map(address => [address, stored.status])),
+    updatedAt: new Date(stored.updatedAt),
+    history: stored.history.map(event => ({ ...event, at: new Date(event.at) }))
+  };
+}
+
+function toEntry({ priority, ...entry }) {
+  return { ...entry, recipientStatus: { ...entry.recipientStatus }, history: entry.history.map(event => ({ ...event })) };
+}
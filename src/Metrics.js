@@ -0,0 +1,276 @@
+/**
+ * Minimal metrics registry rendering the Prometheus text exposition format
+ * (version 0.0.4). Supports counters, gauges and histograms with labels.
+ */
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds, suited to provider calls that take milliseconds to tens of seconds
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * Base class for a metric family with a fixed set of label names
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    for (const label of labelNames) {
+      if (!LABEL_PATTERN.test(label) || label === 'le') {
+        throw new Error(`Invalid label name for ${name}: ${label}`);
+      }
+    }
+
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // Serialized labels -> value
+  }
+
+  /**
+   * Key for a label set, validating that exactly the declared labels are given
+   * @param {Object} labels - Label values
+   * @returns {string} - Serialized labels
+   */
+  key(labels = {}) {
+    const names = Object.keys(labels);
+    if (names.length !== this.labelNames.length || names.some(name => !this.labelNames.includes(name))) {
+      throw new Error(`${this.name} expects labels [${this.labelNames.join(', ')}], got [${names.join(', ')}]`);
+    }
+    return JSON.stringify(this.labelNames.map(name => String(labels[name])));
+  }
+
+  /**
+   * Turn a serialized key back into a label string
+   * @param {string} key - Serialized labels
+   * @param {Object} extra - Additional labels (e.g. `le`)
+   * @returns {string} - `{a="1",b="2"}` or empty string
+   */
+  formatLabels(key, extra = {}) {
+    const values = JSON.parse(key);
+    const pairs = this.labelNames.map((name, index) => [name, values[index]]);
+    pairs.push(...Object.entries(extra));
+    if (pairs.length === 0) {
+      return '';
+    }
+    return `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+  }
+
+  /**
+   * Drop all recorded values
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    lines.push(...this.samples());
+    return lines.join('\n');
+  }
+}
+
+/**
+ * Monotonically increasing count
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels - Label values
+   * @param {number} value - Amount, must not be negative
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this.key(labels)) || 0;
+  }
+
+  samples() {
+    return [...this.values].map(([key, value]) => `${this.name}${this.formatLabels(key)} ${formatValue(value)}`);
+  }
+}
+
+/**
+ * Value that can go up and down. A `collect` callback can refresh it
+ * right before each scrape.
+ */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set(labels = {}, value) {
+    this.values.set(this.key(labels), value);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  get(labels = {}) {
+    return this.values.get(this.key(labels)) || 0;
+  }
+
+  samples() {
+    return [...this.values].map(([key, value]) => `${this.name}${this.formatLabels(key)} ${formatValue(value)}`);
+  }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  /**
+   * Record a value
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    const key = this.key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      entry.counts[index]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  get(labels = {}) {
+    const entry = this.values.get(this.key(labels));
+    return entry ? { sum: entry.sum, count: entry.count } : { sum: 0, count: 0 };
+  }
+
+  samples() {
+    const lines = [];
+    for (const [key, entry] of this.values) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += entry.counts[index];
+        lines.push(`${this.name}_bucket${this.formatLabels(key, { le: formatValue(bound) })} ${cumulative}`);
+      });
+      lines.push(`${this.name}_bucket${this.formatLabels(key, { le: '+Inf' })} ${entry.count}`);
+      lines.push(`${this.name}_sum${this.formatLabels(key)} ${formatValue(entry.sum)}`);
+      lines.push(`${this.name}_count${this.formatLabels(key)} ${entry.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered together on /metrics
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Create and register a counter
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @returns {Counter} - Counter
+   */
+  counter(name, help, labelNames = []) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * Create and register a gauge
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @param {Function} collect - Called with the gauge before each render
+   * @returns {Gauge} - Gauge
+   */
+  gauge(name, help, labelNames = [], collect = null) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  /**
+   * Create and register a histogram
+   * @param {string} name - Metric name
+   * @param {string} help - Description
+   * @param {Array<string>} labelNames - Label names
+   * @param {Array<number>} buckets - Bucket upper bounds
+   * @returns {Histogram} - Histogram
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  get(name) {
+    return this.metrics.get(name) || null;
+  }
+
+  /**
+   * Render every metric in the Prometheus text format
+   * @returns {string} - Exposition text
+   */
+  render() {
+    const blocks = [];
+    for (const metric of this.metrics.values()) {
+      if (metric.collect) {
+        metric.reset();
+        metric.collect(metric);
+      }
+      blocks.push(metric.render());
+    }
+    return `${blocks.join('\n')}\n`;
+  }
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+  return help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
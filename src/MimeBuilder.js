@@ -0,0 +1,563 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { ValidationError, MessageTooLargeError } from './errors.js';
+import { formatAddress, parseAddressList } from './addresses.js';
+
+/**
+ * Builds RFC 5322 / MIME messages from email objects:
+ *
+ *   { from, to, cc, bcc, replyTo, subject, text, html, attachments,
+ *     headers, listUnsubscribe, listUnsubscribePost }
+ *
+ * Address fields are parsed as address lists (see addresses.js); `bcc`
+ * never appears in the headers.
+ * `body` is the older name of `text` and is used when `text` is missing.
+ * With both `text` and `html` the message is multipart/alternative, inline
+ * attachments (those with a `cid`) are wrapped with it in multipart/related
+ * so the HTML can reference them as `cid:...`, and other attachments make
+ * the message multipart/mixed.
+ *
+ * An attachment is `{ filename, contentType, cid, content }` with content
+ * as a Buffer, a string (in `encoding`, utf8 by default) or a readable
+ * stream, or `{ filename, contentType, cid, path }` to read a file.
+ *
+ * `headers` adds custom headers such as `{ 'X-Campaign': 'spring' }`.
+ * `listUnsubscribe` is one or more mailto: or https: URLs for the
+ * List-Unsubscribe header, and `listUnsubscribePost: true` asks for RFC 8058
+ * one-click unsubscribe.
+ */
+
+const CONTENT_TYPES = {
+  '.csv': 'text/csv',
+  '.gif': 'image/gif',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.ics': 'text/calendar',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.webp': 'image/webp',
+  '.xml': 'application/xml',
+  '.zip': 'application/zip'
+};
+
+const CONTENT_TYPE_PATTERN = /^[\w.+-]+\/[\w.+-]+(\s*;\s*[\w.-]+=("[^"\r\n]*"|[\w.+-]+))*$/;
+const CONTENT_ID_PATTERN = /^[^\s<>()"\\,;:]+$/;
+const MAX_FILENAME_LENGTH = 255;
+const MAX_LINE_LENGTH = 78;
+
+// RFC 5322 field names: printable ASCII except the colon
+const HEADER_NAME_PATTERN = /^[\x21-\x39\x3B-\x7E]+$/;
+const MAX_HEADER_VALUE_LENGTH = 998;
+
+// Headers the builder writes itself, which custom headers may not replace
+const RESERVED_HEADERS = new Set([
+  'from', 'to', 'cc', 'bcc', 'reply-to', 'sender', 'subject', 'date', 'message-id', 'mime-version',
+  'content-type', 'content-transfer-encoding', 'content-disposition', 'content-id',
+  'list-unsubscribe', 'list-unsubscribe-post'
+]);
+
+/**
+ * Guess a content type from a file name
+ * @param {string} filename - File name
+ * @returns {string} - Content type, application/octet-stream when unknown
+ */
+export function guessContentType(filename) {
+  return CONTENT_TYPES[path.extname(filename || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Encode a header value as RFC 2047 encoded words when it is not printable
+ * ASCII. Words stay under the 75 character limit and are folded onto
+ * separate lines.
+ * @param {string} value - Header value
+ * @returns {string} - Encoded header value
+ */
+export function encodeHeaderValue(value) {
+  const text = String(value);
+  if (/^[\x20-\x7E]*$/.test(text)) {
+    return text;
+  }
+
+  // 45 bytes of UTF-8 become 60 base64 characters, plus 12 for =?UTF-8?B??=
+  const words = [];
+  let word = '';
+  for (const char of text) {
+    if (word && Buffer.byteLength(word + char) > 45) {
+      words.push(word);
+      word = '';
+    }
+    word += char;
+  }
+  words.push(word);
+
+  return words.map(part => `=?UTF-8?B?${Buffer.from(part).toString('base64')}?=`).join('\r\n ');
+}
+
+/**
+ * Format a header line, folding long ASCII values at spaces
+ * @param {string} name - Header name
+ * @param {string} value - Header value, already encoded and possibly folded
+ * @returns {string} - Header line(s) without the final CRLF
+ */
+function formatHeader(name, value) {
+  return `${name}: ${value}`.split('\r\n').map(foldLine).join('\r\n');
+}
+
+function foldLine(line) {
+  if (line.length <= MAX_LINE_LENGTH) {
+    return line;
+  }
+
+  const lines = [];
+  let current = null;
+  for (const word of line.split(' ')) {
+    if (current?.trim() && current.length + word.length + 1 > MAX_LINE_LENGTH) {
+      lines.push(current);
+      current = ` ${word}`;
+    } else {
+      current = current === null ? word : `${current} ${word}`;
+    }
+  }
+  lines.push(current);
+  return lines.join('\r\n');
+}
+
+/**
+ * Format an address field, encoding non-ASCII display names
+ * @param {string|Array} value - Address list
+ * @param {string} field - Email field, for errors
+ * @returns {string} - Header value
+ */
+function formatAddressHeader(value, field) {
+  return parseAddressList(value, field).map(({ name, address }) => (
+    name && !/^[\x20-\x7E]*$/.test(name) ? `${encodeHeaderValue(name)} <${address}>` : formatAddress({ name, address })
+  )).join(', ');
+}
+
+/**
+ * Format a Content-Type or Content-Disposition parameter, using RFC 2231
+ * encoding for values that cannot be quoted as plain ASCII
+ * @param {string} name - Parameter name
+ * @param {string} value - Parameter value
+ * @returns {string} - Parameter
+ */
+function formatParameter(name, value) {
+  if (/^[\x20-\x7E]*$/.test(value) && !/["\\]/.test(value)) {
+    return `${name}="${value}"`;
+  }
+  const encoded = encodeURIComponent(value).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${name}*=UTF-8''${encoded}`;
+}
+
+/**
+ * RFC 5322 date, e.g. `Mon, 19 Oct 2026 04:52:02 +0000`
+ * @param {Date} date - Date
+ * @returns {string} - Formatted date
+ */
+function formatDate(date) {
+  return date.toUTCString().replace(/GMT$/, '+0000');
+}
+
+function wrapBase64(buffer) {
+  return buffer.toString('base64').replace(/.{76}/g, '$&\r\n').replace(/\r\n$/, '');
+}
+
+/**
+ * Encode a text part: 7bit when it is short-lined ASCII, base64 otherwise
+ * @param {string} text - Text
+ * @returns {Object} - { encoding, body }
+ */
+function encodeText(text) {
+  const normalized = String(text).replace(/\r\n|\r|\n/g, '\r\n');
+  const isAscii = /^[\x01-\x7F]*$/.test(normalized);
+  if (isAscii && normalized.split('\r\n').every(line => line.length <= 998)) {
+    return { encoding: '7bit', body: normalized };
+  }
+  return { encoding: 'base64', body: wrapBase64(Buffer.from(normalized)) };
+}
+
+function isUnsubscribeUrl(url) {
+  if (typeof url !== 'string' || /[\s<>]/.test(url)) {
+    return false;
+  }
+  try {
+    return ['mailto:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isStream(value) {
+  return Boolean(value) && typeof value.pipe === 'function' && typeof value[Symbol.asyncIterator] === 'function';
+}
+
+/**
+ * Read a stream into a Buffer, giving up once it passes the size limit
+ * @param {Readable} stream - Readable stream
+ * @param {number} maxSize - Size limit in bytes
+ * @param {string} field - Field name for errors
+ * @returns {Promise<Buffer>} - Content
+ */
+async function readStream(stream, maxSize, field) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of stream) {
+    const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+    size += buffer.length;
+    if (size > maxSize) {
+      stream.destroy();
+      throw attachmentTooLarge(field, size, maxSize);
+    }
+    chunks.push(buffer);
+  }
+  return Buffer.concat(chunks);
+}
+
+function attachmentTooLarge(field, size, limit) {
+  return new MessageTooLargeError(`Attachment ${field} is larger than ${limit} bytes`, {
+    field: 'attachments',
+    size,
+    limit
+  });
+}
+
+/**
+ * Load attachment content into Buffers, so it can be measured and sent
+ * more than once (e.g. on retries)
+ * @param {Array<Object>} attachments - Attachments
+ * @param {number} maxSize - Largest allowed attachment in bytes
+ * @returns {Promise<Array<Object>>} - `{ filename, contentType, cid, content }` with Buffer content
+ */
+export async function resolveAttachments(attachments = [], maxSize = Infinity) {
+  const resolved = [];
+
+  for (const [index, attachment] of attachments.entries()) {
+    const field = `attachments[${index}]`;
+    let content = attachment.content;
+
+    if (typeof content === 'string') {
+      content = Buffer.from(content, attachment.encoding || 'utf8');
+    } else if (content instanceof Uint8Array && !Buffer.isBuffer(content)) {
+      content = Buffer.from(content);
+    } else if (isStream(content)) {
+      content = await readStream(content, maxSize, field);
+    } else if (attachment.path !== undefined) {
+      try {
+        const stats = await fs.stat(attachment.path);
+        if (stats.size > maxSize) {
+          throw attachmentTooLarge(field, stats.size, maxSize);
+        }
+        content = await fs.readFile(attachment.path);
+      } catch (error) {
+        if (error instanceof MessageTooLargeError) {
+          throw error;
+        }
+        throw new ValidationError(`Attachment ${field} could not be read: ${error.message}`, { field: 'attachments' });
+      }
+    }
+
+    if (content.length > maxSize) {
+      throw attachmentTooLarge(field, content.length, maxSize);
+    }
+
+    const filename = attachment.filename || (attachment.path ? path.basename(attachment.path) : `attachment-${index + 1}`);
+    resolved.push({
+      filename,
+      contentType: attachment.contentType || guessContentType(filename),
+      ...(attachment.cid && { cid: attachment.cid }),
+      content
+    });
+  }
+
+  return resolved;
+}
+
+/**
+ * The custom and List-Unsubscribe headers of an email, for providers that
+ * take headers separately from the message
+ * @param {Object} email - Email with headers, listUnsubscribe and listUnsubscribePost
+ * @returns {Object|undefined} - Header values by name, undefined when there are none
+ */
+export function customHeaders(email) {
+  const headers = { ...email.headers };
+  if (email.listUnsubscribe !== undefined && email.listUnsubscribe !== null) {
+    headers['List-Unsubscribe'] = [email.listUnsubscribe].flat().map(url => `<${url}>`).join(', ');
+    if (email.listUnsubscribePost) {
+      headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+    }
+  }
+  return Object.keys(headers).length > 0 ? headers : undefined;
+}
+
+/**
+ * Replace Buffer attachment content with base64 strings, for storing an
+ * email as JSON (e.g. in the queue)
+ * @param {Object} email - Email with resolved attachments
+ * @returns {Object} - Email safe to serialize
+ */
+export function encodeAttachments(email) {
+  if (!email.attachments?.length) {
+    return email;
+  }
+  return {
+    ...email,
+    attachments: email.attachments.map(({ content, encoding, ...attachment }) => (
+      Buffer.isBuffer(content)
+        ? { ...attachment, content: content.toString('base64'), encoding: 'base64' }
+        : { ...attachment, content, encoding }
+    ))
+  };
+}
+
+export class MimeBuilder {
+  /**
+   * @param {Object} options - Builder options
+   * @param {number} options.maxMessageSize - Largest encoded message in bytes
+   * @param {number} options.maxAttachmentSize - Largest single attachment in bytes, before encoding
+   * @param {number} options.maxAttachments - Most attachments per message
+   */
+  constructor(options = {}) {
+    this.maxMessageSize = options.maxMessageSize || 10 * 1024 * 1024; // 10 MB
+    this.maxAttachmentSize = options.maxAttachmentSize || this.maxMessageSize;
+    this.maxAttachments = options.maxAttachments || 20;
+  }
+
+  /**
+   * Check the content fields and attachments without reading any of them
+   * @param {Object} email - Email object
+   * @throws {ValidationError} - When a field is malformed
+   * @throws {MessageTooLargeError} - When an attachment of known size is over the limit
+   */
+  validate(email) {
+    for (const field of ['body', 'text', 'html']) {
+      if (email[field] !== undefined && email[field] !== null && typeof email[field] !== 'string') {
+        throw new ValidationError(`Email ${field} must be a string`, { field });
+      }
+    }
+    this.validateHeaders(email);
+
+    if (email.attachments === undefined || email.attachments === null) {
+      return;
+    }
+    if (!Array.isArray(email.attachments)) {
+      throw new ValidationError('Email attachments must be an array', { field: 'attachments' });
+    }
+    if (email.attachments.length > this.maxAttachments) {
+      throw new ValidationError(`At most ${this.maxAttachments} attachments are allowed`, { field: 'attachments' });
+    }
+    email.attachments.forEach((attachment, index) => this.validateAttachment(attachment, index));
+  }
+
+  validateHeaders(email) {
+    const { headers, listUnsubscribe, listUnsubscribePost } = email;
+
+    if (headers !== undefined && headers !== null) {
+      if (typeof headers !== 'object' || Array.isArray(headers)) {
+        throw new ValidationError('Email headers must be an object', { field: 'headers' });
+      }
+      for (const [name, value] of Object.entries(headers)) {
+        if (!HEADER_NAME_PATTERN.test(name)) {
+          throw new ValidationError(`Invalid header name: ${JSON.stringify(name)}`, { field: 'headers' });
+        }
+        if (RESERVED_HEADERS.has(name.toLowerCase())) {
+          throw new ValidationError(`Header ${name} cannot be set through headers`, { field: 'headers' });
+        }
+        if (typeof value !== 'string' || /[\r\n]/.test(value) || value.length > MAX_HEADER_VALUE_LENGTH) {
+          throw new ValidationError(
+            `Header ${name} must be a single line of at most ${MAX_HEADER_VALUE_LENGTH} characters`,
+            { field: 'headers' }
+          );
+        }
+      }
+    }
+
+    if (listUnsubscribe === undefined || listUnsubscribe === null) {
+      if (listUnsubscribePost) {
+        throw new ValidationError('listUnsubscribePost needs a listUnsubscribe URL', { field: 'listUnsubscribePost' });
+      }
+      return;
+    }
+
+    const urls = [listUnsubscribe].flat();
+    if (urls.length === 0 || !urls.every(isUnsubscribeUrl)) {
+      throw new ValidationError(
+        `listUnsubscribe must be mailto: or https: URLs, got ${JSON.stringify(listUnsubscribe)}`,
+        { field: 'listUnsubscribe' }
+      );
+    }
+    // RFC 8058: one-click unsubscribe POSTs to the HTTPS URL
+    if (listUnsubscribePost && !urls.some(url => url.startsWith('https:'))) {
+      throw new ValidationError('listUnsubscribePost needs an https: listUnsubscribe URL', {
+        field: 'listUnsubscribePost'
+      });
+    }
+  }
+
+  validateAttachment(attachment, index) {
+    const field = `attachments[${index}]`;
+    const invalid = message => new ValidationError(`Attachment ${field} ${message}`, { field: 'attachments' });
+
+    if (!attachment || typeof attachment !== 'object' || Array.isArray(attachment)) {
+      throw invalid('must be an object');
+    }
+
+    const { content, path: filePath, encoding, filename, contentType, cid } = attachment;
+    const hasContent = content !== undefined && content !== null;
+    if (hasContent === (filePath !== undefined)) {
+      throw invalid('needs either content or path');
+    }
+    if (hasContent && typeof content !== 'string' && !(content instanceof Uint8Array) && !isStream(content)) {
+      throw invalid('content must be a string, Buffer or stream');
+    }
+    if (filePath !== undefined && (typeof filePath !== 'string' || !filePath)) {
+      throw invalid('path must be a file path');
+    }
+    if (encoding !== undefined && !Buffer.isEncoding(encoding)) {
+      throw invalid(`has an unknown encoding: ${encoding}`);
+    }
+    if (filename !== undefined && (typeof filename !== 'string' || !filename ||
+      filename.length > MAX_FILENAME_LENGTH || /[\x00-\x1F\x7F]/.test(filename))) {
+      throw invalid(`filename must be 1-${MAX_FILENAME_LENGTH} characters without control characters`);
+    }
+    if (contentType !== undefined && (typeof contentType !== 'string' || !CONTENT_TYPE_PATTERN.test(contentType))) {
+      throw invalid('has an invalid contentType');
+    }
+    if (cid !== undefined && (typeof cid !== 'string' || !CONTENT_ID_PATTERN.test(cid))) {
+      throw invalid('has an invalid cid');
+    }
+
+    const size = typeof content === 'string'
+      ? Buffer.byteLength(content, encoding || 'utf8')
+      : content instanceof Uint8Array ? content.length : null;
+    if (size !== null && size > this.maxAttachmentSize) {
+      throw attachmentTooLarge(field, size, this.maxAttachmentSize);
+    }
+  }
+
+  /**
+   * Validate an email, load its attachments and check the size of the
+   * resulting message, before any provider is tried
+   * @param {Object} email - Email object
+   * @returns {Promise<Object>} - Email with Buffer attachment content
+   * @throws {MessageTooLargeError} - When an attachment or the whole message is over its limit
+   */
+  async prepare(email) {
+    this.validate(email);
+
+    const prepared = email.attachments?.length
+      ? { ...email, attachments: await resolveAttachments(email.attachments, this.maxAttachmentSize) }
+      : email;
+
+    const size = Buffer.byteLength(await this.build(prepared, { messageId: 'size-check@localhost' }));
+    if (size > this.maxMessageSize) {
+      throw new MessageTooLargeError(`Message is ${size} bytes, the limit is ${this.maxMessageSize}`, {
+        size,
+        limit: this.maxMessageSize
+      });
+    }
+    return prepared;
+  }
+
+  /**
+   * Build the complete message
+   * @param {Object} email - Email object
+   * @param {Object} options - Envelope details
+   * @param {string} options.from - Sender, defaults to email.from
+   * @param {string} options.messageId - Message-ID without angle brackets
+   * @param {Date} options.date - Date header
+   * @returns {Promise<string>} - Message with CRLF line endings
+   */
+  async build(email, options = {}) {
+    const from = options.from ?? email.from;
+    const addresses = [
+      ['From', 'from', from],
+      ['To', 'to', email.to],
+      ['Cc', 'cc', email.cc],
+      ['Reply-To', 'replyTo', email.replyTo]
+    ]
+      .filter(([, , value]) => value !== undefined && value !== null && value !== '')
+      .map(([name, field, value]) => formatHeader(name, formatAddressHeader(value, field)));
+
+    const attachments = await resolveAttachments(email.attachments || []);
+    const headers = [
+      ...addresses,
+      formatHeader('Subject', encodeHeaderValue(email.subject ?? '')),
+      formatHeader('Date', formatDate(options.date || new Date())),
+      formatHeader('Message-ID', `<${options.messageId}>`),
+      ...Object.entries(customHeaders(email) || {}).map(([name, value]) => formatHeader(name, encodeHeaderValue(value))),
+      'MIME-Version: 1.0'
+    ];
+
+    return `${headers.join('\r\n')}\r\n${renderEntity(this.createContent(email, attachments))}`;
+  }
+
+  /**
+   * Arrange the text, HTML and attachments into a MIME tree
+   * @param {Object} email - Email object
+   * @param {Array<Object>} attachments - Resolved attachments
+   * @returns {Object} - Root entity
+   */
+  createContent(email, attachments) {
+    const text = email.text ?? email.body;
+    const alternatives = [];
+    if (text !== undefined && text !== null) {
+      alternatives.push(textEntity(text, 'text/plain'));
+    }
+    if (email.html !== undefined && email.html !== null) {
+      alternatives.push(textEntity(email.html, 'text/html'));
+    }
+
+    let content = alternatives.length > 1
+      ? multipartEntity('alternative', alternatives)
+      : alternatives[0] || textEntity('', 'text/plain');
+
+    const inline = attachments.filter(attachment => attachment.cid);
+    const regular = attachments.filter(attachment => !attachment.cid);
+    if (inline.length > 0) {
+      content = multipartEntity('related', [content, ...inline.map(attachmentEntity)]);
+    }
+    if (regular.length > 0) {
+      content = multipartEntity('mixed', [content, ...regular.map(attachmentEntity)]);
+    }
+    return content;
+  }
+}
+
+function textEntity(text, type) {
+  const { encoding, body } = encodeText(text);
+  return {
+    headers: [`Content-Type: ${type}; charset=utf-8`, `Content-Transfer-Encoding: ${encoding}`],
+    body
+  };
+}
+
+function attachmentEntity(attachment) {
+  const headers = [
+    formatHeader('Content-Type', `${attachment.contentType}; ${formatParameter('name', attachment.filename)}`),
+    'Content-Transfer-Encoding: base64',
+    formatHeader('Content-Disposition', `${attachment.cid ? 'inline' : 'attachment'}; ${formatParameter('filename', attachment.filename)}`)
+  ];
+  if (attachment.cid) {
+    headers.push(`Content-ID: <${attachment.cid}>`);
+  }
+  return { headers, body: wrapBase64(attachment.content) };
+}
+
+function multipartEntity(subtype, parts) {
+  // `=_` cannot occur in base64 and the random part makes a clash with text content implausible
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+  return {
+    headers: [`Content-Type: multipart/${subtype}; boundary="${boundary}"`],
+    body: `${parts.map(part => `--${boundary}\r\n${renderEntity(part)}\r\n`).join('')}--${boundary}--`
+  };
+}
+
+function renderEntity(entity) {
+  return `${entity.headers.join('\r\n')}\r\n\r\n${entity.body}`;
+}
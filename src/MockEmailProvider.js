@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { TransientProviderError, PermanentProviderError, ThrottledError } from './errors.js';
 
 /**
  * Mock email provider for testing purposes
@@ -6,9 +7,11 @@ import crypto from 'crypto';
 export class MockEmailProvider {
   constructor(name, options = {}) {
     this.name = name;
-    this.failureRate = options.failureRate || 0.1; // 10% failure rate
+    this.failureRate = options.failureRate ?? 0.1; // 10% failure rate
     this.latency = options.latency || 100; // 100ms latency
     this.isHealthy = options.isHealthy !== false;
+    this.failureType = options.failureType || 'transient'; // transient, permanent or throttled
+    this.retryAfter = options.retryAfter || 1000; // Used by throttled failures
   }
 
   /**
@@ -22,7 +25,7 @@ export class MockEmailProvider {
 
     // Simulate random failures
     if (!this.isHealthy || Math.random() < this.failureRate) {
-      throw new Error(`${this.name} provider failed: Service temporarily unavailable`);
+      throw this.createFailure();
     }
 
     // Simulate successful send
@@ -40,6 +43,25 @@ export class MockEmailProvider {
     };
   }
 
+  /**
+   * Create the simulated failure for the configured failure type
+   * @returns {Error} - Provider error
+   */
+  createFailure() {
+    const options = { provider: this.name };
+
+    if (this.isHealthy && this.failureType === 'permanent') {
+      return new PermanentProviderError(`${this.name} provider failed: Message rejected`, options);
+    }
+    if (this.isHealthy && this.failureType === 'throttled') {
+      return new ThrottledError(`${this.name} provider failed: Too many requests`, {
+        ...options,
+        retryAfter: this.retryAfter
+      });
+    }
+    return new TransientProviderError(`${this.name} provider failed: Service temporarily unavailable`, options);
+  }
+
   /**
    * Check provider health
    * @returns {Promise<boolean>} - Health status
@@ -0,0 +1,166 @@
+import { MockEmailProvider } from './MockEmailProvider.js';
+import { SmtpEmailProvider } from './SmtpEmailProvider.js';
+import { HttpApiEmailProvider } from './HttpApiEmailProvider.js';
+
+/**
+ * Registry of email provider factories keyed by provider type
+ */
+export class ProviderRegistry {
+  constructor() {
+    this.factories = new Map();
+  }
+
+  /**
+   * Register a provider factory
+   * @param {string} type - Provider type referenced by `type` in provider configs
+   * @param {Function} factory - Creates a provider from its config
+   * @param {Object} options - Registration options
+   * @param {Array<string>} options.required - Config options that must be present
+   * @param {Function} options.validate - Extra validation, throws on invalid config
+   */
+  register(type, factory, options = {}) {
+    if (!type || typeof type !== 'string') {
+      throw new Error('Provider type must be a non-empty string');
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Provider factory for type "${type}" must be a function`);
+    }
+
+    this.factories.set(type, {
+      factory,
+      required: options.required || [],
+      validate: options.validate || null
+    });
+  }
+
+  /**
+   * Remove a provider factory
+   * @param {string} type - Provider type
+   * @returns {boolean} - Whether a factory was removed
+   */
+  unregister(type) {
+    return this.factories.delete(type);
+  }
+
+  /**
+   * Check whether a provider type is registered
+   * @param {string} type - Provider type
+   * @returns {boolean} - Whether the type is registered
+   */
+  has(type) {
+    return this.factories.has(type);
+  }
+
+  /**
+   * Get registered provider types
+   * @returns {Array<string>} - Provider types
+   */
+  getTypes() {
+    return [...this.factories.keys()];
+  }
+
+  /**
+   * Validate a provider config against its type's requirements
+   * @param {Object} config - Provider configuration
+   */
+  validate(config) {
+    if (!config || typeof config !== 'object') {
+      throw this.createError('Provider config must be an object');
+    }
+    if (!config.name) {
+      throw this.createError('Provider config name is required');
+    }
+
+    const type = config.type || 'mock';
+    const entry = this.factories.get(type);
+    if (!entry) {
+      throw this.createError(
+        `Unknown provider type "${type}" for provider "${config.name}" ` +
+        `(registered: ${this.getTypes().join(', ')})`
+      );
+    }
+
+    for (const option of entry.required) {
+      if (config[option] === undefined || config[option] === null || config[option] === '') {
+        throw this.createError(`Provider "${config.name}" of type "${type}" requires option "${option}"`);
+      }
+    }
+
+    if (entry.validate) {
+      try {
+        entry.validate(config);
+      } catch (error) {
+        throw this.createError(`Provider "${config.name}" of type "${type}" is invalid: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Validate a config and create its provider
+   * @param {Object} config - Provider configuration
+   * @returns {Object} - Provider instance
+   */
+  create(config) {
+    this.validate(config);
+
+    const { factory } = this.factories.get(config.type || 'mock');
+    const provider = factory(config);
+    if (!provider || typeof provider.sendEmail !== 'function') {
+      throw this.createError(`Factory for provider type "${config.type || 'mock'}" did not return a provider`);
+    }
+    return provider;
+  }
+
+  /**
+   * Create a configuration error
+   * @param {string} message - Error message
+   * @returns {Error} - Error with INVALID_PROVIDER_CONFIG code
+   */
+  createError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_PROVIDER_CONFIG';
+    return error;
+  }
+}
+
+/**
+ * Default registry used by EmailService, with the built-in provider types
+ */
+export const providerRegistry = new ProviderRegistry();
+
+providerRegistry.register('mock', config => new MockEmailProvider(config.name, config));
+
+providerRegistry.register('smtp', config => new SmtpEmailProvider(config.name, config), {
+  required: ['host'],
+  validate: config => {
+    if (config.port !== undefined && !Number.isInteger(config.port)) {
+      throw new Error('port must be an integer');
+    }
+    if (config.auth && (!config.auth.user || !config.auth.pass)) {
+      throw new Error('auth requires user and pass');
+    }
+  }
+});
+
+providerRegistry.register('http-api', config => new HttpApiEmailProvider(config.name, config), {
+  required: ['url'],
+  validate: config => {
+    new URL(config.url);
+    if (config.format && !['json', 'form'].includes(config.format)) {
+      throw new Error('format must be "json" or "form"');
+    }
+    if (config.auth && !['bearer', 'basic', 'header'].includes(config.auth.type)) {
+      throw new Error('auth type must be "bearer", "basic" or "header"');
+    }
+  }
+});
+
+/**
+ * Register a provider factory on the default registry
+ * @param {string} type - Provider type
+ * @param {Function} factory - Creates a provider from its config
+ * @param {Object} options - Registration options (required, validate)
+ */
+export function registerProvider(type, factory, options = {}) {
+  providerRegistry.register(type, factory, options);
+}
@@ -0,0 +1,126 @@
+import { FileQueueStore } from './FileQueueStore.js';
+import { SqliteQueueStore } from './SqliteQueueStore.js';
+
+/**
+ * Storage adapters for EmailQueue items.
+ *
+ * Every adapter implements the same async interface:
+ *   open()          - Prepare the storage (load journal, create tables)
+ *   enqueue(item)   - Persist a new item
+ *   upsert(item)    - Persist an item, replacing a stored one with its ID in a single write
+ *   claim(item)     - Mark a pending item as processing, resolves false if it was not pending
+ *   ack(item)       - Record a successful send
+ *   nack(item)      - Record a failed attempt (item is pending again or failed)
+ *   remove(id)      - Delete an item
+ *   list(filter)    - Load items, optionally filtered by status
+ *   close()         - Release resources
+ */
+
+const DATE_FIELDS = [
+  'createdAt', 'sendAt', 'nextAttempt', 'claimedAt', 'completedAt', 'failedAt', 'cancelledAt', 'deadLetteredAt'
+];
+
+/**
+ * Convert a queue item to a JSON-safe object
+ * @param {Object} item - Queue item
+ * @returns {Object} - Serializable item
+ */
+export function serializeItem(item) {
+  return JSON.parse(JSON.stringify(item));
+}
+
+/**
+ * Restore a queue item read from storage
+ * @param {Object} data - Stored item
+ * @returns {Object} - Queue item with Date fields
+ */
+export function deserializeItem(data) {
+  const item = { ...data };
+  for (const field of DATE_FIELDS) {
+    if (item[field]) {
+      item[field] = new Date(item[field]);
+    }
+  }
+  return item;
+}
+
+/**
+ * Sort items by priority (higher first), then by creation time
+ * @param {Array} items - Queue items
+ * @returns {Array} - Sorted items
+ */
+export function sortItems(items) {
+  return items.sort((a, b) => {
+    if (a.priority !== b.priority) {
+      return b.priority - a.priority;
+    }
+    return a.createdAt - b.createdAt;
+  });
+}
+
+/**
+ * In-memory store, the default. Nothing survives a restart.
+ */
+export class MemoryQueueStore {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async open() {}
+
+  async enqueue(item) {
+    this.items.set(item.id, serializeItem(item));
+  }
+
+  async upsert(item) {
+    this.items.set(item.id, serializeItem(item));
+  }
+
+  async claim(item) {
+    const stored = this.items.get(item.id);
+    if (!stored || stored.status !== 'pending') {
+      return false;
+    }
+    this.items.set(item.id, serializeItem(item));
+    return true;
+  }
+
+  async ack(item) {
+    this.items.set(item.id, serializeItem(item));
+  }
+
+  async nack(item) {
+    this.items.set(item.id, serializeItem(item));
+  }
+
+  async remove(id) {
+    return this.items.delete(id);
+  }
+
+  async list(filter = {}) {
+    const items = [...this.items.values()]
+      .filter(item => !filter.status || item.status === filter.status)
+      .map(deserializeItem);
+    return sortItems(items);
+  }
+
+  async close() {}
+}
+
+/**
+ * Create a queue store from a storage config
+ * @param {Object} config - Storage config ({ type: 'memory' | 'file' | 'sqlite', path })
+ * @returns {Object} - Queue store
+ */
+export function createQueueStore(config = {}) {
+  switch (config.type || 'memory') {
+    case 'memory':
+      return new MemoryQueueStore();
+    case 'file':
+      return new FileQueueStore(config);
+    case 'sqlite':
+      return new SqliteQueueStore(config);
+    default:
+      throw new Error(`Unknown queue storage type "${config.type}"`);
+  }
+}
@@ -1,13 +1,38 @@
+import { EventEmitter } from 'events';
+import { EVENTS, emitSafely } from './events.js';
+
 /**
  * Rate limiter implementation using token bucket algorithm
+ *
+ * Emits `rate-limited` whenever a request is refused.
  */
-export class RateLimiter {
+export class RateLimiter extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.limit = options.limit || 100; // requests per window
     this.window = options.window || 60000; // 1 minute
     this.tokens = this.limit;
     this.lastRefill = Date.now();
     this.requests = new Map(); // Track requests per identifier
+    this.limits = new Map(Object.entries(options.limits || {})); // Per-identifier overrides
+  }
+
+  /**
+   * Set the limit for one identifier's bucket
+   * @param {string} identifier - Unique identifier
+   * @param {number} limit - Requests per window for this identifier
+   */
+  setLimit(identifier, limit) {
+    this.limits.set(identifier, limit);
+  }
+
+  /**
+   * Get the limit that applies to an identifier
+   * @param {string} identifier - Unique identifier
+   * @returns {number} - Requests per window
+   */
+  getLimit(identifier = 'default') {
+    return this.limits.get(identifier) ?? this.limit;
   }
 
   /**
@@ -25,7 +50,12 @@ export class RateLimiter {
     // Clean old requests
     const recentRequests = requestHistory.filter(time => time > windowStart);
     
-    if (recentRequests.length >= this.limit) {
+    if (recentRequests.length >= this.getLimit(identifier)) {
+      emitSafely(this, EVENTS.RATE_LIMITED, {
+        identifier,
+        limit: this.getLimit(identifier),
+        window: this.window
+      });
       return false;
     }
 
@@ -55,7 +85,7 @@ export class RateLimiter {
     const windowStart = now - this.window;
     const recentRequests = requestHistory.filter(time => time > windowStart);
     
-    return Math.max(0, this.limit - recentRequests.length);
+    return Math.max(0, this.getLimit(identifier) - recentRequests.length);
   }
 
   /**
@@ -0,0 +1,511 @@
+import crypto from 'crypto';
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+import { MimeBuilder } from './MimeBuilder.js';
+import { parseAddress, listRecipients } from './addresses.js';
+import { TransientProviderError, PermanentProviderError } from './errors.js';
+
+/**
+ * Email provider that delivers messages to an SMTP server
+ */
+export class SmtpEmailProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.host = options.host || 'localhost';
+    this.secure = options.secure || false; // Implicit TLS (port 465)
+    this.port = options.port || (this.secure ? 465 : 587);
+    this.ignoreTLS = options.ignoreTLS || false;
+    this.requireTLS = options.requireTLS || false;
+    this.tls = options.tls || {};
+    this.auth = options.auth || null; // { user, pass, method }
+    this.from = options.from || null; // Default envelope sender
+    this.clientName = options.clientName || os.hostname();
+    this.timeout = options.timeout || 30000; // 30 seconds
+    this.isHealthy = options.isHealthy !== false;
+    this.mime = options.mime || new MimeBuilder();
+
+    this.stats = {
+      sent: 0,
+      failed: 0,
+      totalLatency: 0
+    };
+  }
+
+  /**
+   * Send email through this provider
+   * @param {Object} email - Email object
+   * @returns {Promise<Object>} - Send result
+   */
+  async sendEmail(email) {
+    const startTime = Date.now();
+    let connection;
+    try {
+      const sender = email.from || this.from;
+      if (!sender) {
+        throw this.createError('No sender address configured');
+      }
+
+      // The envelope carries bare addresses: to, cc and bcc all receive the message
+      const envelopeSender = parseAddress(sender).address;
+      const recipients = listRecipients(email);
+
+      const messageId = this.generateMessageId();
+      const message = await this.buildMessage(email, sender, messageId);
+      connection = await this.connect();
+
+      const capabilities = await this.handshake(connection);
+      await this.authenticate(connection, capabilities);
+      const { response, rejected } = await this.transmit(connection, capabilities, envelopeSender, recipients, message);
+      await connection.quit();
+
+      this.stats.sent++;
+      this.stats.totalLatency += Date.now() - startTime;
+
+      return {
+        success: true,
+        messageId,
+        provider: this.name,
+        timestamp: new Date().toISOString(),
+        response: response.text,
+        rejected,
+        email: {
+          to: email.to,
+          subject: email.subject
+        }
+      };
+    } catch (error) {
+      // Failures before the session (no sender, unreadable attachments, no connection) count too
+      this.stats.failed++;
+      connection?.close();
+      throw error;
+    }
+  }
+
+  /**
+   * Check provider health by opening a session and greeting the server
+   * @returns {Promise<boolean>} - Health status
+   */
+  async checkHealth() {
+    let connection;
+    try {
+      connection = await this.connect();
+      await this.handshake(connection);
+      await connection.quit();
+      this.isHealthy = true;
+    } catch (error) {
+      connection?.close();
+      this.isHealthy = false;
+    }
+    return this.isHealthy;
+  }
+
+  /**
+   * Set provider health status
+   * @param {boolean} healthy - Health status
+   */
+  setHealth(healthy) {
+    this.isHealthy = healthy;
+  }
+
+  /**
+   * Open a connection and wait for the server greeting
+   * @returns {Promise<SmtpConnection>} - Open connection
+   */
+  async connect() {
+    const socket = await new Promise((resolve, reject) => {
+      const onConnect = () => {
+        socket.removeListener('error', reject);
+        resolve(socket);
+      };
+      const socket = this.secure
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host, ...this.tls }, onConnect)
+        : net.connect({ host: this.host, port: this.port }, onConnect);
+      socket.once('error', reject);
+    }).catch(error => {
+      throw this.createError(`Connection to ${this.host}:${this.port} failed: ${error.message}`);
+    });
+
+    const connection = new SmtpConnection(socket, this.timeout);
+    const greeting = await connection.read();
+    if (greeting.code !== 220) {
+      connection.close();
+      throw this.createError('Server rejected connection', greeting);
+    }
+    return connection;
+  }
+
+  /**
+   * Greet the server and upgrade to TLS when it is offered
+   * @param {SmtpConnection} connection - Open connection
+   * @returns {Promise<Map>} - Advertised ESMTP extensions
+   */
+  async handshake(connection) {
+    let capabilities = await this.ehlo(connection);
+
+    if (!this.secure && !connection.encrypted && !this.ignoreTLS && capabilities.has('STARTTLS')) {
+      const response = await connection.command('STARTTLS');
+      if (response.code !== 220) {
+        throw this.createError('STARTTLS failed', response);
+      }
+      await connection.upgrade({ servername: this.host, ...this.tls });
+      capabilities = await this.ehlo(connection);
+    }
+
+    if (this.requireTLS && !connection.encrypted) {
+      throw this.createError('Server does not support STARTTLS');
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * Send EHLO and parse the extension list
+   * @param {SmtpConnection} connection - Open connection
+   * @returns {Promise<Map>} - Extension keyword to parameters
+   */
+  async ehlo(connection) {
+    const response = await connection.command(`EHLO ${this.clientName}`);
+    if (response.code !== 250) {
+      throw this.createError('EHLO rejected', response);
+    }
+
+    const capabilities = new Map();
+    for (const line of response.lines.slice(1)) {
+      const [keyword, ...params] = line.trim().split(/\s+/);
+      capabilities.set(keyword.toUpperCase(), params.map(param => param.toUpperCase()));
+    }
+    return capabilities;
+  }
+
+  /**
+   * Authenticate using AUTH PLAIN or AUTH LOGIN
+   * @param {SmtpConnection} connection - Open connection
+   * @param {Map} capabilities - Advertised ESMTP extensions
+   */
+  async authenticate(connection, capabilities) {
+    if (!this.auth) {
+      return;
+    }
+
+    const supported = capabilities.get('AUTH') || [];
+    const method = (this.auth.method || ['PLAIN', 'LOGIN'].find(m => supported.includes(m)) || '').toUpperCase();
+    let response;
+
+    if (method === 'PLAIN') {
+      const token = Buffer.from(`\0${this.auth.user}\0${this.auth.pass}`).toString('base64');
+      response = await connection.command(`AUTH PLAIN ${token}`);
+    } else if (method === 'LOGIN') {
+      response = await connection.command('AUTH LOGIN');
+      if (response.code === 334) {
+        response = await connection.command(Buffer.from(this.auth.user).toString('base64'));
+      }
+      if (response.code === 334) {
+        response = await connection.command(Buffer.from(this.auth.pass).toString('base64'));
+      }
+    } else {
+      throw this.createError('No supported authentication method');
+    }
+
+    if (response.code !== 235) {
+      throw this.createError('Authentication failed', response);
+    }
+  }
+
+  /**
+   * Send the envelope and message data. When the server refuses only some
+   * recipients, the message still goes to the others and the refused ones
+   * are reported in `rejected`.
+   * @param {SmtpConnection} connection - Open connection
+   * @param {Map} capabilities - Advertised ESMTP extensions
+   * @param {string} sender - Envelope sender
+   * @param {Array<string>} recipients - Envelope recipients
+   * @param {string} message - Formatted message
+   * @returns {Promise<Object>} - { response, rejected }: final server response and `{ recipient, code, text }` of refused recipients
+   */
+  async transmit(connection, capabilities, sender, recipients, message) {
+    // RFC 1870: refuse up front what the server has said it will not take
+    const size = Buffer.byteLength(message);
+    const maxSize = capabilities.has('SIZE') ? parseInt(capabilities.get('SIZE')[0], 10) || 0 : null;
+    if (maxSize && size > maxSize) {
+      throw new PermanentProviderError(
+        `${this.name} provider failed: Message is ${size} bytes, the server accepts at most ${maxSize}`,
+        { provider: this.name }
+      );
+    }
+
+    const mailCommand = `MAIL FROM:<${sender}>${maxSize !== null ? ` SIZE=${size}` : ''}`;
+    const recipientCommands = recipients.map(recipient => `RCPT TO:<${recipient}>`);
+    const isAccepted = response => response.code === 250 || response.code === 251;
+
+    let responses;
+    if (capabilities.has('PIPELINING')) {
+      const commands = [mailCommand, ...recipientCommands, 'DATA'];
+      commands.forEach(command => connection.write(command));
+      responses = [];
+      for (let i = 0; i < commands.length; i++) {
+        responses.push(await connection.read());
+      }
+    } else {
+      responses = [await connection.command(mailCommand)];
+      if (responses[0].code === 250) {
+        for (const command of recipientCommands) {
+          responses.push(await connection.command(command));
+        }
+        // Without an accepted recipient there is nothing to send
+        if (responses.slice(1).some(isAccepted)) {
+          responses.push(await connection.command('DATA'));
+        }
+      }
+    }
+
+    const [mailResponse, ...rest] = responses;
+    if (mailResponse.code !== 250) {
+      throw this.createError('Sender rejected', mailResponse, true);
+    }
+
+    const rejected = recipients
+      .map((recipient, i) => ({ recipient, response: rest[i] }))
+      .filter(({ response }) => !isAccepted(response));
+    if (rejected.length === recipients.length) {
+      // A pipelined DATA may have been accepted anyway; closing the
+      // connection before the terminating dot discards the message
+      throw this.createError('Recipient rejected', rejected[0].response, true);
+    }
+
+    const dataResponse = rest[recipients.length];
+    if (!dataResponse || dataResponse.code !== 354) {
+      throw this.createError('DATA rejected', dataResponse, true);
+    }
+
+    const response = await connection.command(`${this.dotStuff(message)}\r\n.`);
+    if (response.code !== 250) {
+      throw this.createError('Message rejected', response, true);
+    }
+    return {
+      response,
+      rejected: rejected.map(({ recipient, response }) => ({ recipient, code: response.code, text: response.text }))
+    };
+  }
+
+  /**
+   * Build an RFC 5322 message, multipart when it has HTML or attachments
+   * @param {Object} email - Email object
+   * @param {string} sender - Sender address
+   * @param {string} messageId - Message ID
+   * @returns {Promise<string>} - Formatted message
+   */
+  async buildMessage(email, sender, messageId) {
+    return this.mime.build(email, { from: sender, messageId });
+  }
+
+  /**
+   * Escape lines starting with a dot
+   * @param {string} message - Formatted message
+   * @returns {string} - Dot-stuffed message
+   */
+  dotStuff(message) {
+    return message.replace(/^\./gm, '..');
+  }
+
+  /**
+   * Create an error carrying the SMTP response. A 5xx reply to the envelope
+   * or message data rejects the message itself and is permanent; everything
+   * else (connection, TLS, authentication, 4xx replies) is transient.
+   * @param {string} message - Error description
+   * @param {Object} response - SMTP response
+   * @param {boolean} messageLevel - Whether the response is about this message
+   * @returns {Error} - Provider error
+   */
+  createError(message, response, messageLevel = false) {
+    const detail = response ? `: ${response.code} ${response.text}` : '';
+    const options = { provider: this.name, responseCode: response?.code };
+    const text = `${this.name} provider failed: ${message}${detail}`;
+
+    if (messageLevel && response?.code >= 500) {
+      return new PermanentProviderError(text, options);
+    }
+    return new TransientProviderError(text, options);
+  }
+
+  /**
+   * Generate unique message ID
+   * @returns {string} - Unique message ID
+   */
+  generateMessageId() {
+    return `${crypto.randomUUID()}@${this.clientName}`;
+  }
+
+  /**
+   * Get provider statistics
+   * @returns {Object} - Provider stats
+   */
+  getStats() {
+    const total = this.stats.sent + this.stats.failed;
+    return {
+      name: this.name,
+      host: this.host,
+      port: this.port,
+      failureRate: total > 0 ? this.stats.failed / total : 0,
+      latency: this.stats.sent > 0 ? Math.round(this.stats.totalLatency / this.stats.sent) : 0,
+      isHealthy: this.isHealthy,
+      sent: this.stats.sent,
+      failed: this.stats.failed
+    };
+  }
+}
+
+/**
+ * Line-oriented SMTP client session over a socket
+ */
+class SmtpConnection {
+  constructor(socket, timeout) {
+    this.timeout = timeout;
+    this.encrypted = socket instanceof tls.TLSSocket;
+    this.responses = [];
+    this.waiters = [];
+    this.error = null;
+    this.attach(socket);
+  }
+
+  /**
+   * Start reading responses from a socket
+   * @param {net.Socket} socket - Connected socket
+   */
+  attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+
+    this.onData = chunk => this.receive(chunk.toString('utf8'));
+    this.onError = error => this.fail(error);
+    this.onClose = () => this.fail(new Error('Connection closed by server'));
+
+    socket.on('data', this.onData);
+    socket.on('error', this.onError);
+    socket.on('close', this.onClose);
+    socket.setTimeout(this.timeout, () => {
+      socket.destroy(new Error('SMTP connection timed out'));
+    });
+  }
+
+  /**
+   * Stop reading from the current socket
+   */
+  detach() {
+    this.socket.removeListener('data', this.onData);
+    this.socket.removeListener('error', this.onError);
+    this.socket.removeListener('close', this.onClose);
+    this.socket.setTimeout(0);
+  }
+
+  /**
+   * Parse incoming data into complete (possibly multi-line) responses
+   * @param {string} data - Received data
+   */
+  receive(data) {
+    this.buffer += data;
+    let index;
+    while ((index = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, index).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(index + 1);
+
+      this.lines.push(line.slice(4));
+      if (line.charAt(3) !== '-') {
+        const response = {
+          code: parseInt(line.slice(0, 3), 10),
+          lines: this.lines,
+          text: this.lines.join('\n')
+        };
+        this.lines = [];
+        this.deliver(response);
+      }
+    }
+  }
+
+  deliver(response) {
+    const waiter = this.waiters.shift();
+    if (waiter) {
+      waiter.resolve(response);
+    } else {
+      this.responses.push(response);
+    }
+  }
+
+  fail(error) {
+    if (this.error) return;
+    this.error = error;
+    for (const waiter of this.waiters.splice(0)) {
+      waiter.reject(error);
+    }
+  }
+
+  /**
+   * Read the next server response
+   * @returns {Promise<Object>} - Response with code, lines and text
+   */
+  read() {
+    if (this.responses.length > 0) {
+      return Promise.resolve(this.responses.shift());
+    }
+    if (this.error) {
+      return Promise.reject(this.error);
+    }
+    return new Promise((resolve, reject) => {
+      this.waiters.push({ resolve, reject });
+    });
+  }
+
+  /**
+   * Write a command line
+   * @param {string} line - Command without line terminator
+   */
+  write(line) {
+    this.socket.write(`${line}\r\n`);
+  }
+
+  /**
+   * Write a command and wait for its response
+   * @param {string} line - Command without line terminator
+   * @returns {Promise<Object>} - Server response
+   */
+  command(line) {
+    this.write(line);
+    return this.read();
+  }
+
+  /**
+   * Upgrade the session to TLS after STARTTLS
+   * @param {Object} options - tls.connect options
+   */
+  async upgrade(options) {
+    this.detach();
+    const plainSocket = this.socket;
+    const secureSocket = await new Promise((resolve, reject) => {
+      const socket = tls.connect({ ...options, socket: plainSocket }, () => {
+        socket.removeListener('error', reject);
+        resolve(socket);
+      });
+      socket.once('error', reject);
+    });
+    this.encrypted = true;
+    this.attach(secureSocket);
+  }
+
+  /**
+   * End the session politely
+   */
+  async quit() {
+    try {
+      await this.command('QUIT');
+    } catch (error) {
+      // The server may close the connection before answering
+    }
+    this.close();
+  }
+
+  close() {
+    this.detach();
+    this.socket.destroy();
+  }
+}
@@ -0,0 +1,162 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { serializeRecord } from './IdempotencyStore.js';
+import { loadSqlite, assertSqliteAvailable } from './SqliteQueueStore.js';
+
+/**
+ * Idempotency store backed by a SQLite database (uses node:sqlite, Node.js 22.5+).
+ *
+ * Acquiring a key is an INSERT that is ignored when a live record exists,
+ * so several processes sharing one database never send the same key twice.
+ */
+export class SqliteIdempotencyStore {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('SqliteIdempotencyStore requires a database path');
+    }
+    assertSqliteAvailable('SqliteIdempotencyStore');
+
+    this.path = options.path;
+    this.table = options.table || 'idempotency_keys';
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the records table
+   */
+  async open() {
+    if (this.db) {
+      return;
+    }
+
+    const { DatabaseSync } = await loadSqlite();
+    if (this.path !== ':memory:') {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+    }
+
+    this.db = new DatabaseSync(this.path);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        key TEXT PRIMARY KEY,
+        tenant TEXT,
+        status TEXT NOT NULL,
+        owner TEXT,
+        expires_at INTEGER NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${this.table}_expires_at ON ${this.table} (expires_at);
+    `);
+
+    this.statements = {
+      removeExpired: this.db.prepare(`DELETE FROM ${this.table} WHERE key = ? AND expires_at <= ?`),
+      insert: this.db.prepare(
+        `INSERT OR IGNORE INTO ${this.table} (key, tenant, status, owner, expires_at, data) VALUES (?, ?, ?, ?, ?, ?)`
+      ),
+      // Replaces the in-flight record of the same owner, or an expired one
+      complete: this.db.prepare(
+        `INSERT INTO ${this.table} (key, tenant, status, owner, expires_at, data) VALUES (?, ?, ?, ?, ?, ?)
+         ON CONFLICT (key) DO UPDATE SET
+           tenant = excluded.tenant, status = excluded.status, owner = excluded.owner,
+           expires_at = excluded.expires_at, data = excluded.data
+         WHERE (${this.table}.status = 'in-flight' AND ${this.table}.owner = excluded.owner)
+           OR ${this.table}.expires_at <= ?`
+      ),
+      held: this.db.prepare(
+        `SELECT data FROM ${this.table} WHERE key = ? AND owner = ? AND status = 'in-flight' AND expires_at > ?`
+      ),
+      extend: this.db.prepare(
+        `UPDATE ${this.table} SET expires_at = ?, data = ?
+         WHERE key = ? AND owner = ? AND status = 'in-flight' AND expires_at > ?`
+      ),
+      release: this.db.prepare(
+        `DELETE FROM ${this.table} WHERE key = ? AND owner = ? AND status = 'in-flight'`
+      ),
+      remove: this.db.prepare(
+        `DELETE FROM ${this.table} WHERE key = ? AND status = ? AND expires_at > ?`
+      ),
+      get: this.db.prepare(`SELECT data FROM ${this.table} WHERE key = ? AND expires_at > ?`),
+      count: this.db.prepare(
+        `SELECT COUNT(*) AS count FROM ${this.table}
+         WHERE expires_at > ? AND (? IS NULL OR tenant = ?) AND (? IS NULL OR status = ?)`
+      ),
+      purge: this.db.prepare(`DELETE FROM ${this.table} WHERE expires_at <= ?`)
+    };
+  }
+
+  async acquire(record) {
+    const data = serializeRecord(record);
+    const now = Date.now();
+    this.statements.removeExpired.run(data.key, now);
+
+    const { changes } = this.statements.insert.run(...this.columns(data));
+    if (changes > 0) {
+      return { acquired: true, record: data };
+    }
+
+    const row = this.statements.get.get(data.key, now);
+    // The other record expired in the meantime
+    if (!row) {
+      return this.acquire(record);
+    }
+    return { acquired: false, record: JSON.parse(row.data) };
+  }
+
+  async complete(record) {
+    const { changes } = this.statements.complete.run(...this.columns(serializeRecord(record)), Date.now());
+    return changes > 0;
+  }
+
+  async extend(key, owner, expiresAt) {
+    const now = Date.now();
+    const row = this.statements.held.get(key, owner, now);
+    if (!row) {
+      return false;
+    }
+    const data = JSON.stringify({ ...JSON.parse(row.data), expiresAt });
+    const { changes } = this.statements.extend.run(expiresAt, data, key, owner, now);
+    return changes > 0;
+  }
+
+  async release(key, owner) {
+    const { changes } = this.statements.release.run(key, owner);
+    return changes > 0;
+  }
+
+  async remove(key, status) {
+    const { changes } = this.statements.remove.run(key, status, Date.now());
+    return changes > 0;
+  }
+
+  async get(key) {
+    const row = this.statements.get.get(key, Date.now());
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async count(filter = {}) {
+    const tenant = filter.tenant || null;
+    const status = filter.status || null;
+    return this.statements.count.get(Date.now(), tenant, tenant, status, status).count;
+  }
+
+  async purge() {
+    const { changes } = this.statements.purge.run(Date.now());
+    return Number(changes);
+  }
+
+  /**
+   * Column values of a record, in insert order
+   * @param {Object} data - Serialized record
+   * @returns {Array} - Values
+   */
+  columns(data) {
+    return [data.key, data.tenant ?? null, data.status, data.owner ?? null, data.expiresAt, JSON.stringify(data)];
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { isBuiltin } from 'module';
+import { serializeItem, deserializeItem } from './QueueStore.js';
+
+/**
+ * Queue store backed by a SQLite database (uses node:sqlite, Node.js 22.5+).
+ *
+ * Claims are a conditional UPDATE, so several processes sharing one
+ * database never send the same item twice.
+ */
+export class SqliteQueueStore {
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('SqliteQueueStore requires a database path');
+    }
+    assertSqliteAvailable('SqliteQueueStore');
+
+    this.path = options.path;
+    this.table = options.table || 'email_queue';
+    this.db = null;
+  }
+
+  /**
+   * Open the database and create the queue table
+   */
+  async open() {
+    if (this.db) {
+      return;
+    }
+
+    const { DatabaseSync } = await loadSqlite();
+    if (this.path !== ':memory:') {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+    }
+
+    this.db = new DatabaseSync(this.path);
+    this.db.exec(`
+      PRAGMA journal_mode = WAL;
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        priority INTEGER NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS ${this.table}_status ON ${this.table} (status, priority, created_at);
+    `);
+
+    this.statements = {
+      insert: this.db.prepare(
+        `INSERT INTO ${this.table} (id, status, priority, created_at, data) VALUES (?, ?, ?, ?, ?)`
+      ),
+      upsert: this.db.prepare(
+        `INSERT INTO ${this.table} (id, status, priority, created_at, data) VALUES (?, ?, ?, ?, ?)
+         ON CONFLICT (id) DO UPDATE SET
+           status = excluded.status, priority = excluded.priority,
+           created_at = excluded.created_at, data = excluded.data`
+      ),
+      claim: this.db.prepare(
+        `UPDATE ${this.table} SET status = ?, data = ? WHERE id = ? AND status = 'pending'`
+      ),
+      update: this.db.prepare(`UPDATE ${this.table} SET status = ?, data = ? WHERE id = ?`),
+      remove: this.db.prepare(`DELETE FROM ${this.table} WHERE id = ?`),
+      listAll: this.db.prepare(`SELECT data FROM ${this.table} ORDER BY priority DESC, created_at ASC`),
+      listByStatus: this.db.prepare(
+        `SELECT data FROM ${this.table} WHERE status = ? ORDER BY priority DESC, created_at ASC`
+      )
+    };
+  }
+
+  async enqueue(item) {
+    const data = serializeItem(item);
+    this.statements.insert.run(data.id, data.status, data.priority, data.createdAt, JSON.stringify(data));
+  }
+
+  async upsert(item) {
+    const data = serializeItem(item);
+    this.statements.upsert.run(data.id, data.status, data.priority, data.createdAt, JSON.stringify(data));
+  }
+
+  async claim(item) {
+    const data = serializeItem(item);
+    const { changes } = this.statements.claim.run(data.status, JSON.stringify(data), data.id);
+    return changes > 0;
+  }
+
+  async ack(item) {
+    this.update(item);
+  }
+
+  async nack(item) {
+    this.update(item);
+  }
+
+  update(item) {
+    const data = serializeItem(item);
+    this.statements.update.run(data.status, JSON.stringify(data), data.id);
+  }
+
+  async remove(id) {
+    const { changes } = this.statements.remove.run(id);
+    return changes > 0;
+  }
+
+  async list(filter = {}) {
+    const rows = filter.status
+      ? this.statements.listByStatus.all(filter.status)
+      : this.statements.listAll.all();
+    return rows.map(row => deserializeItem(JSON.parse(row.data)));
+  }
+
+  async close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * Check whether the built-in SQLite module can be loaded: Node.js 22.5 or
+ * later, run with --experimental-sqlite before 22.13
+ * @returns {boolean} - Whether node:sqlite is available
+ */
+export function isSqliteAvailable() {
+  return isBuiltin('node:sqlite');
+}
+
+/**
+ * Refuse SQLite storage where node:sqlite is missing, so a config asking for
+ * it fails on startup rather than on first use
+ * @param {string} setting - What asked for SQLite storage, named in the error
+ * @throws {Error} - When node:sqlite is not available
+ */
+export function assertSqliteAvailable(setting = 'SQLite storage') {
+  if (!isSqliteAvailable()) {
+    throw new Error(
+      `${setting} requires Node.js 22.5 or later with node:sqlite (run with --experimental-sqlite before 22.13), this is ${process.version}`
+    );
+  }
+}
+
+/**
+ * Load the built-in SQLite module
+ * @returns {Promise<Object>} - node:sqlite module
+ */
+export async function loadSqlite() {
+  try {
+    return await import('node:sqlite');
+  } catch (error) {
+    throw new Error(`SQLite storage requires Node.js 22.5 or later with node:sqlite (${error.message})`);
+  }
+}
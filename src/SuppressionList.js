@@ -0,0 +1,332 @@
+import { Logger } from './Logger.js';
+import { createQueueStore } from './QueueStore.js';
+import { parseAddress } from './addresses.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Addresses that must not be sent to: hard bounces, spam complaints,
+ * unsubscribes and manual blocks. EmailService checks every recipient
+ * against the list before any provider is tried.
+ *
+ * An entry is `{ address, reason, source, tenant, createdAt }`. Entries
+ * without a tenant apply to every tenant. Categories of mail can ignore
+ * some reasons: by default `transactional` email (password resets, receipts)
+ * still reaches addresses that only unsubscribed.
+ *
+ * Uses the same storage adapters as EmailQueue (memory, file or sqlite),
+ * with every entry kept in memory for lookups.
+ */
+
+export const SUPPRESSION_REASONS = Object.freeze(['hard-bounce', 'complaint', 'unsubscribe', 'manual']);
+
+const DEFAULT_OVERRIDES = { transactional: ['unsubscribe'] };
+
+const CSV_COLUMNS = ['address', 'reason', 'source', 'tenant', 'createdAt'];
+
+export class SuppressionList {
+  /**
+   * @param {Object} options - Suppression list options
+   * @param {Object} options.storage - Storage config ({ type: 'memory' | 'file' | 'sqlite', path })
+   * @param {Object} options.store - Storage adapter, instead of options.storage
+   * @param {Object} options.overrides - Reasons each category ignores, e.g. { transactional: ['unsubscribe'] }
+   * @param {Logger} options.logger - Logger
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || new Logger(options.logLevel || 'info');
+    this.store = options.store || createQueueStore(options.storage);
+    this.overrides = options.overrides || DEFAULT_OVERRIDES;
+    this.entries = new Map();
+    this.ready = null;
+  }
+
+  /**
+   * Open the underlying store and load its entries
+   * @returns {Promise} - Resolves when the entries are loaded
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.store.open();
+        this.entries = new Map((await this.store.list()).map(entry => [entry.id, entry]));
+      })().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Suppress an address, replacing any entry it already has
+   * @param {string} address - Email address
+   * @param {Object} details - Entry details
+   * @param {string} details.reason - One of SUPPRESSION_REASONS, defaults to manual
+   * @param {string} details.source - Where the entry came from, e.g. api, cli, import or a provider
+   * @param {string} details.tenant - Tenant the entry applies to, every tenant when omitted
+   * @param {Date|string} details.createdAt - When the address was suppressed, defaults to now
+   * @returns {Promise<Object>} - Entry
+   * @throws {ValidationError} - When the address or reason is invalid
+   */
+  async add(address, details = {}) {
+    const reason = details.reason || 'manual';
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      throw new ValidationError(`Unknown suppression reason: ${reason}`, { field: 'reason' });
+    }
+    const createdAt = details.createdAt ? new Date(details.createdAt) : new Date();
+    if (Number.isNaN(createdAt.getTime())) {
+      throw new ValidationError(`Invalid createdAt: ${details.createdAt}`, { field: 'createdAt' });
+    }
+
+    const normalized = normalizeAddress(address);
+    const tenant = details.tenant || null;
+    const stored = {
+      id: entryKey(normalized, tenant),
+      address: normalized,
+      reason,
+      source: details.source || 'api',
+      tenant,
+      createdAt,
+      status: 'suppressed',
+      priority: 0
+    };
+
+    await this.init();
+    await this.store.upsert(stored);
+    this.entries.set(stored.id, stored);
+
+    this.logger.info('Address suppressed', { address: normalized, reason, source: stored.source, tenant });
+    return toEntry(stored);
+  }
+
+  /**
+   * Remove an address from the list
+   * @param {string} address - Email address
+   * @param {Object} options - Options
+   * @param {string} options.tenant - Tenant whose entry is removed, the global entry when omitted
+   * @returns {Promise<boolean>} - Whether an entry was removed
+   */
+  async remove(address, options = {}) {
+    await this.init();
+    const normalized = normalizeAddress(address);
+    const id = entryKey(normalized, options.tenant || null);
+    if (!this.entries.has(id)) {
+      return false;
+    }
+
+    await this.store.remove(id);
+    this.entries.delete(id);
+    this.logger.info('Address unsuppressed', { address: normalized, tenant: options.tenant || null });
+    return true;
+  }
+
+  /**
+   * Get the entry of an address
+   * @param {string} address - Email address
+   * @param {Object} options - Options
+   * @param {string} options.tenant - Tenant, the global entry when omitted
+   * @returns {Promise<Object|null>} - Entry or null
+   */
+  async get(address, options = {}) {
+    await this.init();
+    const stored = this.entries.get(entryKey(normalizeAddress(address), options.tenant || null));
+    return stored ? toEntry(stored) : null;
+  }
+
+  /**
+   * Find the entries that stop an email from reaching some of its recipients
+   * @param {Array<string>} addresses - Recipient addresses
+   * @param {Object} options - Send details
+   * @param {string} options.tenant - Tenant sending, its own entries apply along with global ones
+   * @param {string} options.category - Email category, see options.overrides
+   * @returns {Promise<Array<Object>>} - Matching entries, at most one per address
+   */
+  async check(addresses, options = {}) {
+    await this.init();
+    const ignored = (options.category && this.overrides[options.category]) || [];
+
+    const matches = [];
+    for (const address of addresses) {
+      const normalized = address.toLowerCase();
+      const candidates = [entryKey(normalized, null), ...(options.tenant ? [entryKey(normalized, options.tenant)] : [])];
+      const stored = candidates
+        .map(id => this.entries.get(id))
+        .find(entry => entry && !ignored.includes(entry.reason));
+      if (stored) {
+        matches.push(toEntry(stored));
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * List entries, most recent first
+   * @param {Object} filter - Filter options
+   * @param {string} filter.reason - Only entries with this reason
+   * @param {string} filter.tenant - Only this tenant's entries (`null` for global ones)
+   * @param {number} filter.limit - Most entries returned
+   * @returns {Promise<Array<Object>>} - Entries
+   */
+  async list(filter = {}) {
+    await this.init();
+    let entries = [...this.entries.values()].sort((a, b) => b.createdAt - a.createdAt);
+
+    if (filter.reason) {
+      entries = entries.filter(entry => entry.reason === filter.reason);
+    }
+    if (filter.tenant !== undefined) {
+      entries = entries.filter(entry => entry.tenant === filter.tenant);
+    }
+    if (filter.limit) {
+      entries = entries.slice(0, filter.limit);
+    }
+    return entries.map(toEntry);
+  }
+
+  /**
+   * Add many entries, e.g. from another provider's export. Invalid rows are
+   * reported and skipped, the rest are added.
+   * @param {Array<Object|string>} entries - Entries or bare addresses
+   * @param {Object} defaults - Details for entries that do not set them (reason, source, tenant)
+   * @returns {Promise<Object>} - { imported, errors: [{ index, address, message }] }
+   */
+  async import(entries, defaults = {}) {
+    if (!Array.isArray(entries)) {
+      throw new ValidationError('Suppression import must be a list of entries', { field: 'entries' });
+    }
+
+    let imported = 0;
+    const errors = [];
+    for (const [index, item] of entries.entries()) {
+      const entry = typeof item === 'string' ? { address: item } : item || {};
+      try {
+        await this.add(entry.address, {
+          reason: entry.reason || defaults.reason,
+          source: entry.source || defaults.source || 'import',
+          tenant: entry.tenant || defaults.tenant,
+          createdAt: entry.createdAt
+        });
+        imported++;
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        errors.push({ index, address: entry.address ?? null, message: error.message });
+      }
+    }
+
+    this.logger.info('Suppression list imported', { imported, skipped: errors.length });
+    return { imported, errors };
+  }
+
+  /**
+   * Count entries
+   * @returns {Promise<number>} - Number of entries
+   */
+  async size() {
+    await this.init();
+    return this.entries.size;
+  }
+
+  /**
+   * Close the underlying store
+   */
+  async close() {
+    await this.store.close();
+    this.ready = null;
+  }
+}
+
+/**
+ * Format entries as CSV with an address,reason,source,tenant,createdAt header
+ * @param {Array<Object>} entries - Entries
+ * @returns {string} - CSV text
+ */
+export function formatCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column => {
+    const value = entry[column] instanceof Date ? entry[column].toISOString() : entry[column] ?? '';
+    return /[",\r\n]/.test(value) ? `"${String(value).replace(/"/g, '""')}"` : String(value);
+  }).join(','));
+  return `${[CSV_COLUMNS.join(','), ...rows].join('\n')}\n`;
+}
+
+/**
+ * Parse CSV entries. A header row names the columns; without one the
+ * first column is the address.
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} - Entries with the columns found
+ */
+export function parseCsv(text) {
+  const rows = parseCsvRows(text).filter(row => row.some(cell => cell.trim()));
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const hasHeader = rows[0].some(cell => cell.trim().toLowerCase() === 'address');
+  const columns = hasHeader ? rows.shift().map(cell => cell.trim()) : ['address'];
+  return rows.map(row => Object.fromEntries(
+    columns
+      .map((column, index) => [column, row[index]?.trim()])
+      .filter(([column, value]) => CSV_COLUMNS.includes(column) && value)
+  ));
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') {
+        index++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Lower-cased bare address; matching ignores case and display names
+ * @param {string} address - Address, possibly `Name <address>`
+ * @returns {string} - Normalized address
+ */
+function normalizeAddress(address) {
+  if (typeof address !== 'string') {
+    throw new ValidationError('Suppression address is required', { field: 'address' });
+  }
+  return parseAddress(address, 'address').address.toLowerCase();
+}
+
+function entryKey(address, tenant) {
+  return tenant ? `${tenant}:${address}` : address;
+}
+
+function toEntry({ address, reason, source, tenant, createdAt }) {
+  return { address, reason, source, tenant, createdAt };
+}
@@ -0,0 +1,305 @@
+import { TemplateError } from './errors.js';
+
+/**
+ * Small Mustache/Handlebars-style template engine for email content.
+ *
+ *   {{name}}  {{user.name}}       value, HTML-escaped when escaping is on
+ *   {{{name}}}                    value, never escaped
+ *   {{#if path}}..{{else}}..{{/if}}, {{#unless path}}..{{/unless}}
+ *   {{#each items}}{{this}} {{@index}} {{@first}} {{@last}} {{@key}}{{else}}empty{{/each}}
+ *   {{> partial}}                 another template, rendered with the current data
+ *   {{! comment }}
+ *
+ * Names are looked up from the innermost block outwards, so fields of the
+ * top-level data stay reachable inside `each`. A variable that is missing
+ * (undefined) raises TEMPLATE_VARIABLE_MISSING instead of rendering empty;
+ * `if` and `unless` treat missing values as false.
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const BLOCKS = ['if', 'unless', 'each'];
+const MAX_PARTIAL_DEPTH = 10;
+const MAX_CACHED_TEMPLATES = 1000;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;'
+};
+
+/**
+ * Escape a value for HTML text and attribute content
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`=]/g, char => HTML_ESCAPES[char]);
+}
+
+export class TemplateEngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {Function} options.resolvePartial - Returns the source of a partial by name, or undefined
+   */
+  constructor(options = {}) {
+    this.resolvePartial = options.resolvePartial || (() => undefined);
+    this.cache = new Map();
+  }
+
+  /**
+   * Parse a template into a tree of nodes, cached by source
+   * @param {string} source - Template source
+   * @param {string} name - Template name, for error messages
+   * @returns {Array<Object>} - Nodes
+   */
+  compile(source, name = null) {
+    if (typeof source !== 'string') {
+      throw new TemplateError(`Template ${name ? `"${name}" ` : ''}source must be a string`, {
+        code: 'TEMPLATE_SYNTAX_ERROR',
+        template: name
+      });
+    }
+
+    if (!this.cache.has(source)) {
+      if (this.cache.size >= MAX_CACHED_TEMPLATES) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      this.cache.set(source, this.parse(source, name));
+    }
+    return this.cache.get(source);
+  }
+
+  parse(source, name) {
+    const root = { children: [] };
+    const stack = [root];
+    let target = root.children;
+    let lastIndex = 0;
+    let match;
+
+    const syntaxError = message => new TemplateError(
+      `Template ${name ? `"${name}" ` : ''}syntax error: ${message}`,
+      { code: 'TEMPLATE_SYNTAX_ERROR', template: name }
+    );
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_PATTERN.lastIndex;
+
+      if (match[1] !== undefined) {
+        target.push({ type: 'variable', path: match[1], raw: true });
+        continue;
+      }
+
+      const tag = match[2];
+      const block = stack[stack.length - 1];
+
+      if (tag.startsWith('!')) {
+        continue;
+      }
+
+      if (tag.startsWith('#')) {
+        const [helper, path] = tag.slice(1).trim().split(/\s+/);
+        if (!BLOCKS.includes(helper)) {
+          throw syntaxError(`unknown block {{#${helper}}}`);
+        }
+        if (!path) {
+          throw syntaxError(`{{#${helper}}} needs a value`);
+        }
+        const node = { type: helper, path, children: [], inverse: [] };
+        target.push(node);
+        stack.push(node);
+        target = node.children;
+        continue;
+      }
+
+      if (tag.startsWith('/')) {
+        const helper = tag.slice(1).trim();
+        if (stack.length === 1 || block.type !== helper) {
+          throw syntaxError(`unexpected {{/${helper}}}`);
+        }
+        stack.pop();
+        const parent = stack[stack.length - 1];
+        target = parent.inElse ? parent.inverse : parent.children;
+        continue;
+      }
+
+      if (tag === 'else') {
+        if (stack.length === 1 || block.inElse) {
+          throw syntaxError('unexpected {{else}}');
+        }
+        block.inElse = true;
+        target = block.inverse;
+        continue;
+      }
+
+      if (tag.startsWith('>')) {
+        target.push({ type: 'partial', name: tag.slice(1).trim() });
+        continue;
+      }
+
+      target.push({ type: 'variable', path: tag, raw: false });
+    }
+
+    if (stack.length > 1) {
+      throw syntaxError(`unclosed {{#${stack[stack.length - 1].type}}}`);
+    }
+    if (lastIndex < source.length) {
+      target.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Render a template
+   * @param {string} source - Template source
+   * @param {Object} data - Template data
+   * @param {Object} options - Render options
+   * @param {boolean} options.escape - HTML-escape `{{value}}` output
+   * @param {string} options.name - Template name, for error messages
+   * @returns {string} - Rendered text
+   */
+  render(source, data = {}, options = {}) {
+    const nodes = this.compile(source, options.name);
+    return this.renderNodes(nodes, [{ value: data }], {
+      escape: options.escape === true,
+      name: options.name || null,
+      depth: 0
+    });
+  }
+
+  renderNodes(nodes, stack, state) {
+    let output = '';
+    for (const node of nodes) {
+      output += this.renderNode(node, stack, state);
+    }
+    return output;
+  }
+
+  renderNode(node, stack, state) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'variable': {
+        const value = this.lookup(node.path, stack);
+        if (value === undefined) {
+          throw this.missing(node.path, state);
+        }
+        if (value === null) {
+          return '';
+        }
+        return state.escape && !node.raw ? escapeHtml(value) : String(value);
+      }
+
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(this.lookup(node.path, stack));
+        const branch = truthy === (node.type === 'if') ? node.children : node.inverse;
+        return this.renderNodes(branch, stack, state);
+      }
+
+      case 'each':
+        return this.renderEach(node, stack, state);
+
+      case 'partial':
+        return this.renderPartial(node.name, stack, state);
+
+      default:
+        return '';
+    }
+  }
+
+  renderEach(node, stack, state) {
+    const value = this.lookup(node.path, stack);
+    if (value === undefined) {
+      throw this.missing(node.path, state);
+    }
+
+    const entries = Array.isArray(value)
+      ? value.map((item, index) => [index, item])
+      : value && typeof value === 'object' ? Object.entries(value) : [];
+
+    if (entries.length === 0) {
+      return this.renderNodes(node.inverse, stack, state);
+    }
+
+    return entries.map(([key, item], index) => this.renderNodes(node.children, [...stack, {
+      value: item,
+      frame: {
+        index,
+        key,
+        first: index === 0,
+        last: index === entries.length - 1
+      }
+    }], state)).join('');
+  }
+
+  renderPartial(name, stack, state) {
+    if (state.depth >= MAX_PARTIAL_DEPTH) {
+      throw new TemplateError(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep, starting at "${name}"`, {
+        code: 'TEMPLATE_SYNTAX_ERROR',
+        template: state.name
+      });
+    }
+
+    const source = this.resolvePartial(name);
+    if (source === undefined) {
+      throw new TemplateError(`Partial not found: ${name}`, { code: 'TEMPLATE_NOT_FOUND', template: name });
+    }
+    return this.renderNodes(this.compile(source, name), stack, { ...state, depth: state.depth + 1 });
+  }
+
+  /**
+   * Resolve a path against the block stack
+   * @param {string} path - `this`, `.`, `@index`, `name` or `a.b.c`
+   * @param {Array<Object>} stack - Block contexts, innermost last
+   * @returns {*} - Value, or undefined when missing
+   */
+  lookup(path, stack) {
+    const current = stack[stack.length - 1];
+
+    if (path === 'this' || path === '.') {
+      return current.value;
+    }
+    if (path.startsWith('@')) {
+      return current.frame ? current.frame[path.slice(1)] : undefined;
+    }
+
+    const [head, ...rest] = path.replace(/^this\./, '').split('.');
+    const scopes = path.startsWith('this.') ? [current] : [...stack].reverse();
+
+    for (const scope of scopes) {
+      const value = scope.value;
+      if (value !== null && typeof value === 'object' && Object.hasOwn(value, head)) {
+        return rest.reduce((object, key) => (
+          object !== null && object !== undefined && Object.hasOwn(Object(object), key) ? object[key] : undefined
+        ), value[head]);
+      }
+    }
+    return undefined;
+  }
+
+  missing(path, state) {
+    return new TemplateError(
+      `Missing template variable: ${path}${state.name ? ` in "${state.name}"` : ''}`,
+      { code: 'TEMPLATE_VARIABLE_MISSING', template: state.name, variable: path }
+    );
+  }
+}
+
+/**
+ * Empty arrays count as false, like in Handlebars
+ * @param {*} value - Value
+ * @returns {boolean} - Whether a block should render
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
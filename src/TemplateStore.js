@@ -0,0 +1,509 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { TemplateEngine } from './TemplateEngine.js';
+import { createQueueStore } from './QueueStore.js';
+import { TemplateError, ValidationError } from './errors.js';
+
+// Email fields a template can render
+const TEMPLATE_FIELDS = ['subject', 'body', 'text', 'html'];
+
+// Only HTML is escaped, plain text fields are sent as written
+const ESCAPED_FIELDS = new Set(['html']);
+
+/**
+ * Named email templates with their partials and layouts.
+ *
+ * A template is `{ subject, body, text, html, layout, sampleData }`, every
+ * field but `subject` optional. A layout is `{ body, text, html }`, each
+ * wrapping the rendered field of the same name through `{{{content}}}`.
+ *
+ * Templates are versioned: every change adds a numbered version and an
+ * active pointer selects the one emails are rendered from, so a change can
+ * be previewed before it goes live and rolled back by activating an older
+ * version.
+ *
+ * Templates from config and the template directory are global. A tenant's
+ * changes go to its own copy of a template, which it renders instead of the
+ * global one, so tenants never change what other tenants send. Changes are
+ * persisted with the same storage adapters as EmailQueue (memory, file or
+ * sqlite); on init() a configured template whose content matches none of the
+ * stored versions is added as a new active version.
+ *
+ * Templates can be loaded from a directory:
+ *
+ *   templates/
+ *     welcome/subject.txt, welcome/body.txt, welcome/html.html
+ *     welcome/template.json      optional, e.g. { "layout": "default", "sampleData": {...} }
+ *     partials/footer.txt        used as {{> footer}}
+ *     layouts/default/html.html
+ */
+export class TemplateStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {Object} options.templates - Templates by name, e.g. emailTemplates from config
+   * @param {Object} options.partials - Partial sources by name
+   * @param {Object} options.layouts - Layouts by name
+   * @param {string} options.directory - Directory loaded by load()
+   * @param {Object} options.storage - Storage config for changed templates ({ type: 'memory' | 'file' | 'sqlite', path })
+   * @param {Object} options.store - Storage adapter, instead of options.storage
+   */
+  constructor(options = {}) {
+    // entryKey(name, tenant) -> { name, tenant, active, versions }, versions numbered from 1
+    this.templates = new Map();
+    // Configured templates by name, applied again over the stored versions
+    this.seeds = new Map();
+    this.partials = new Map(Object.entries(options.partials || {}));
+    this.layouts = new Map(Object.entries(options.layouts || {}));
+    this.directory = options.directory || null;
+    this.store = options.store || createQueueStore(options.storage);
+    this.ready = null;
+    this.engine = new TemplateEngine({ resolvePartial: name => this.partials.get(name) });
+
+    for (const [name, template] of Object.entries(options.templates || {})) {
+      this.seed(name, template);
+    }
+  }
+
+  /**
+   * Open the underlying store and load the stored versions
+   * @returns {Promise} - Resolves when the versions are loaded
+   */
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        await this.store.open();
+        for (const stored of await this.store.list()) {
+          const entry = reviveEntry(stored);
+          this.templates.set(entryKey(entry.name, entry.tenant), entry);
+        }
+        for (const [name, template] of this.seeds) {
+          this.addVersion(name, template, { seed: true });
+        }
+      })().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    return this.ready;
+  }
+
+  /**
+   * Load templates, partials and layouts from the configured directory
+   * @param {string} directory - Directory, defaults to options.directory
+   * @returns {Promise<number>} - Number of templates loaded
+   */
+  async load(directory = this.directory) {
+    if (!directory) {
+      return 0;
+    }
+
+    let loaded = 0;
+    const entries = await fs.readdir(directory, { withFileTypes: true });
+    for (const entry of entries) {
+      const entryPath = path.join(directory, entry.name);
+
+      if (entry.name === 'partials' && entry.isDirectory()) {
+        for (const [name, source] of Object.entries(await readSources(entryPath))) {
+          this.setPartial(name, source);
+        }
+      } else if (entry.name === 'layouts' && entry.isDirectory()) {
+        for (const layout of await fs.readdir(entryPath, { withFileTypes: true })) {
+          if (layout.isDirectory()) {
+            this.setLayout(layout.name, await readSources(path.join(entryPath, layout.name)));
+          }
+        }
+      } else if (entry.isDirectory()) {
+        const { template: metadata, ...fields } = await readSources(entryPath);
+        this.seed(entry.name, { ...(metadata ? parseMetadata(metadata, entry.name) : {}), ...fields });
+        loaded++;
+      }
+    }
+    return loaded;
+  }
+
+  /**
+   * Add a configured global template. It is not persisted: config is read
+   * again on every start, and a version is only added when no version has
+   * the same content.
+   * @param {string} name - Template name
+   * @param {Object} template - { subject, body, text, html, layout, sampleData }
+   * @returns {Object} - The matching version
+   */
+  seed(name, template) {
+    const version = this.addVersion(name, template, { seed: true });
+    this.seeds.set(name, template);
+    return version;
+  }
+
+  /**
+   * Add a version of a template, checking its syntax first, and persist it.
+   * Content equal to the latest version is not stored again.
+   * @param {string} name - Template name
+   * @param {Object} template - { subject, body, text, html, layout, sampleData }
+   * @param {Object} options - Version options
+   * @param {boolean} options.activate - Make the new version active, defaults to true
+   * @param {string} options.tenant - Tenant whose copy of the template changes, the global template when omitted
+   * @returns {Promise<Object>} - The stored version
+   */
+  async set(name, template, options = {}) {
+    await this.init();
+    const version = this.addVersion(name, template, options);
+    await this.persist(this.templates.get(entryKey(name, options.tenant)));
+    return version;
+  }
+
+  /**
+   * Point a template at one of its versions
+   * @param {string} name - Template name
+   * @param {number|string} version - Version number
+   * @param {Object} options - Options
+   * @param {string} options.tenant - Tenant whose copy of the template changes, the global template when omitted
+   * @returns {Promise<Object>} - The activated version
+   */
+  async activate(name, version, options = {}) {
+    await this.init();
+    const entry = this.templates.get(entryKey(name, options.tenant));
+    if (!entry) {
+      throw new TemplateError(`Template not found: ${name}`, { code: 'TEMPLATE_NOT_FOUND', template: name });
+    }
+    const activated = findVersion(entry, parseVersion(version));
+    entry.active = activated.version;
+    await this.persist(entry);
+    return activated;
+  }
+
+  setPartial(name, source) {
+    this.engine.compile(source, name);
+    this.partials.set(name, source);
+  }
+
+  setLayout(name, layout) {
+    for (const field of TEMPLATE_FIELDS) {
+      if (layout[field] !== undefined) {
+        this.engine.compile(layout[field], name);
+      }
+    }
+    this.layouts.set(name, { ...layout });
+  }
+
+  /**
+   * Check whether a template, or one of its versions, exists
+   * @param {string} name - Template name
+   * @param {number|string} version - Version number, any version when omitted
+   * @param {Object} options - Options
+   * @param {string} options.tenant - Tenant, whose own copy is used before the global template
+   * @param {boolean} options.inherit - Whether the global template counts for a tenant, defaults to true
+   * @returns {boolean} - Whether it exists
+   */
+  has(name, version = undefined, options = {}) {
+    const entry = options.inherit === false
+      ? this.templates.get(entryKey(name, options.tenant))
+      : this.resolve(name, options.tenant);
+    if (!entry || version === undefined) {
+      return Boolean(entry);
+    }
+    return entry.versions.some(stored => stored.version === Number(version));
+  }
+
+  /**
+   * Get a version of a template
+   * @param {string} name - Template name
+   * @param {number|string} version - Version number, the active version when omitted
+   * @param {Object} options - Options
+   * @param {string} options.tenant - Tenant, whose own copy is used before the global template
+   * @returns {Object} - Template fields with `version` and `createdAt`
+   * @throws {TemplateError} - TEMPLATE_NOT_FOUND
+   */
+  get(name, version = undefined, options = {}) {
+    const entry = this.resolve(name, options.tenant);
+    if (!entry) {
+      throw new TemplateError(`Template not found: ${name}`, { code: 'TEMPLATE_NOT_FOUND', template: name });
+    }
+    return findVersion(entry, version === undefined || version === null ? entry.active : parseVersion(version));
+  }
+
+  /**
+   * Names of the templates visible to a tenant: its own and the global ones
+   * @param {Object} options - Options
+   * @param {string} options.tenant - Tenant, only global templates when omitted
+   * @returns {Array<string>} - Template names
+   */
+  list(options = {}) {
+    const names = [...this.templates.values()]
+      .filter(entry => entry.tenant === null || entry.tenant === (options.tenant || null))
+      .map(entry => entry.name);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Describe a template's versions
+   * @param {string} name - Template name
+   * @param {Object} options - Options
+   * @param {string} options.tenant - Tenant, whose own copy is used before the global template
+   * @returns {Object} - { name, tenant, activeVersion, versions: [{ version, createdAt, active }] }, tenant null for global templates
+   */
+  info(name, options = {}) {
+    const entry = this.resolve(name, options.tenant);
+    if (!entry) {
+      throw new TemplateError(`Template not found: ${name}`, { code: 'TEMPLATE_NOT_FOUND', template: name });
+    }
+    return {
+      name,
+      tenant: entry.tenant,
+      activeVersion: entry.active,
+      versions: entry.versions.map(({ version, createdAt }) => ({
+        version,
+        createdAt,
+        active: version === entry.active
+      }))
+    };
+  }
+
+  /**
+   * Render every field of a template
+   * @param {string} name - Template name
+   * @param {Object} data - Template data
+   * @param {Object} options - Render options
+   * @param {number|string} options.version - Version to render, the active version when omitted
+   * @param {string} options.tenant - Tenant, whose own copy is used before the global template
+   * @returns {Object} - Rendered { subject, body, text, html } (fields the template has)
+   */
+  render(name, data = {}, options = {}) {
+    const template = this.get(name, options.version, options);
+    const layout = template.layout ? this.layouts.get(template.layout) : null;
+    if (template.layout && !layout) {
+      throw new TemplateError(`Layout not found: ${template.layout}`, { code: 'TEMPLATE_NOT_FOUND', template: name });
+    }
+
+    const rendered = {};
+    for (const field of TEMPLATE_FIELDS) {
+      if (template[field] === undefined) {
+        continue;
+      }
+
+      const escape = ESCAPED_FIELDS.has(field);
+      let content = this.engine.render(template[field], data, { escape, name });
+      if (layout?.[field] !== undefined) {
+        content = this.engine.render(layout[field], { ...data, content }, { escape, name: template.layout });
+      }
+      rendered[field] = content;
+    }
+
+    // A subject is a single header line
+    rendered.subject = rendered.subject.replace(/\s*[\r\n]+\s*/g, ' ').trim();
+    return rendered;
+  }
+
+  /**
+   * Render a template without sending it, falling back to the template's
+   * sampleData when no data is given
+   * @param {string} name - Template name
+   * @param {Object} data - Template data
+   * @param {Object} options - Render options
+   * @param {number|string} options.version - Version to preview, the active version when omitted
+   * @param {string} options.tenant - Tenant, whose own copy is used before the global template
+   * @returns {Object} - { template, version, subject, body, text, html }
+   */
+  preview(name, data = undefined, options = {}) {
+    const template = this.get(name, options.version, options);
+    if (data !== undefined && !isPlainObject(data)) {
+      throw new ValidationError('data must be an object', { field: 'data' });
+    }
+
+    const rendered = this.render(name, data ?? template.sampleData ?? {}, { ...options, version: template.version });
+    return { template: name, version: template.version, ...rendered };
+  }
+
+  /**
+   * Render an email given as `{ template, templateVersion, data, ...fields }`.
+   * Fields set on the email win over rendered ones.
+   * @param {Object} email - Email object
+   * @param {Object} options - Render options
+   * @param {string} options.tenant - Tenant sending, whose own copy is used before the global template
+   * @returns {Object} - { email, template }: the email with the rendered fields and
+   *   without template/templateVersion/data, and the `{ name, version }` it was
+   *   rendered from (null for emails without a template, which are returned as-is)
+   */
+  renderEmail(email, options = {}) {
+    if (!email || email.template === undefined) {
+      return { email, template: null };
+    }
+
+    const { template, templateVersion, data, ...fields } = email;
+    if (typeof template !== 'string' || !template) {
+      throw new ValidationError('template must be a template name', { field: 'template' });
+    }
+    if (data !== undefined && !isPlainObject(data)) {
+      throw new ValidationError('data must be an object', { field: 'data' });
+    }
+
+    const { version } = this.get(template, templateVersion, options);
+    const rendered = this.render(template, data || {}, { tenant: options.tenant, version });
+    for (const [field, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        rendered[field] = value;
+      }
+    }
+    return { email: rendered, template: { name: template, version } };
+  }
+
+  /**
+   * Close the underlying store
+   */
+  async close() {
+    await this.store.close();
+    this.ready = null;
+  }
+
+  /**
+   * Add a version in memory. A configured template (`seed`) is only added
+   * when no version has its content, anything else when the latest differs.
+   * @param {string} name - Template name
+   * @param {Object} template - Template
+   * @param {Object} options - { activate, tenant, seed }
+   * @returns {Object} - The new or matching version
+   */
+  addVersion(name, template, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new ValidationError('Template name is required', { field: 'template' });
+    }
+    if (!template || typeof template.subject !== 'string') {
+      throw new TemplateError(`Template "${name}" must have a subject`, { code: 'TEMPLATE_SYNTAX_ERROR', template: name });
+    }
+    for (const field of TEMPLATE_FIELDS) {
+      if (template[field] !== undefined) {
+        this.engine.compile(template[field], name);
+      }
+    }
+    if (template.sampleData !== undefined && !isPlainObject(template.sampleData)) {
+      throw new ValidationError('sampleData must be an object', { field: 'sampleData' });
+    }
+
+    const tenant = options.tenant || null;
+    const key = entryKey(name, tenant);
+    const entry = this.templates.get(key) || { name, tenant, active: null, versions: [] };
+    const content = JSON.stringify(pickContent(template));
+    const candidates = options.seed ? entry.versions : entry.versions.slice(-1);
+
+    let version = candidates.find(stored => JSON.stringify(pickContent(stored)) === content);
+    if (!version) {
+      version = { ...pickContent(template), version: entry.versions.length + 1, createdAt: new Date() };
+      entry.versions.push(version);
+      if (options.activate !== false) {
+        entry.active = version.version;
+      }
+    } else if (!options.seed && options.activate !== false) {
+      entry.active = version.version;
+    }
+    if (entry.active === null) {
+      entry.active = version.version;
+    }
+    this.templates.set(key, entry);
+    return version;
+  }
+
+  /**
+   * A tenant's own copy of a template, or else the global template
+   * @param {string} name - Template name
+   * @param {string} tenant - Tenant ID
+   * @returns {Object|undefined} - Entry
+   */
+  resolve(name, tenant) {
+    return (tenant && this.templates.get(entryKey(name, tenant))) || this.templates.get(entryKey(name, null));
+  }
+
+  /**
+   * Write a template's versions to the store, replacing what it had
+   * @param {Object} entry - Template entry
+   */
+  async persist(entry) {
+    await this.store.upsert({
+      id: entryKey(entry.name, entry.tenant),
+      name: entry.name,
+      tenant: entry.tenant,
+      active: entry.active,
+      versions: entry.versions,
+      status: 'stored',
+      priority: 0,
+      createdAt: entry.versions[0].createdAt
+    });
+  }
+}
+
+/**
+ * The fields of a template that make up a version
+ * @param {Object} template - Template
+ * @returns {Object} - Content fields
+ */
+function pickContent(template) {
+  const content = {};
+  for (const field of [...TEMPLATE_FIELDS, 'layout', 'sampleData']) {
+    if (template[field] !== undefined) {
+      content[field] = template[field];
+    }
+  }
+  return content;
+}
+
+function findVersion(entry, wanted) {
+  const found = entry.versions.find(stored => stored.version === wanted);
+  if (!found) {
+    throw new TemplateError(`Template version not found: ${entry.name} v${wanted}`, {
+      code: 'TEMPLATE_NOT_FOUND',
+      template: entry.name
+    });
+  }
+  return found;
+}
+
+function entryKey(name, tenant) {
+  return tenant ? `${tenant}:${name}` : name;
+}
+
+function reviveEntry({ name, tenant, active, versions }) {
+  return {
+    name,
+    tenant: tenant || null,
+    active,
+    versions: versions.map(version => ({ ...version, createdAt: new Date(version.createdAt) }))
+  };
+}
+
+function parseVersion(version) {
+  const number = typeof version === 'string' && /^\d+$/.test(version) ? Number(version) : version;
+  if (!Number.isInteger(number) || number < 1) {
+    throw new ValidationError('version must be a positive integer', { field: 'version' });
+  }
+  return number;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Read every file in a directory, keyed by file name without extension
+ * @param {string} directory - Directory
+ * @returns {Promise<Object>} - Sources by name
+ */
+async function readSources(directory) {
+  const sources = {};
+  for (const entry of await fs.readdir(directory, { withFileTypes: true })) {
+    if (entry.isFile() && !entry.name.startsWith('.')) {
+      const name = path.basename(entry.name, path.extname(entry.name));
+      sources[name] = await fs.readFile(path.join(directory, entry.name), 'utf8');
+    }
+  }
+  return sources;
+}
+
+function parseMetadata(source, name) {
+  try {
+    return JSON.parse(source);
+  } catch (error) {
+    throw new TemplateError(`Template "${name}" has invalid template.json: ${error.message}`, {
+      code: 'TEMPLATE_SYNTAX_ERROR',
+      template: name
+    });
+  }
+}
@@ -0,0 +1,223 @@
+import { SPAN_STATUS } from './Tracer.js';
+
+/**
+ * Span exporters. Each one receives finished spans through
+ * `export(spans)` and may implement `flush()` and `shutdown()`.
+ */
+
+// OTLP enum values, see opentelemetry/proto/trace/v1/trace.proto
+const OTLP_SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3, PRODUCER: 4, CONSUMER: 5 };
+const OTLP_STATUS_CODE = { [SPAN_STATUS.UNSET]: 0, [SPAN_STATUS.OK]: 1, [SPAN_STATUS.ERROR]: 2 };
+
+/**
+ * Keeps finished spans in memory, for tests
+ */
+export class InMemoryExporter {
+  constructor(options = {}) {
+    this.limit = options.limit || 10000;
+    this.spans = [];
+  }
+
+  export(spans) {
+    this.spans.push(...spans);
+    if (this.spans.length > this.limit) {
+      this.spans.splice(0, this.spans.length - this.limit);
+    }
+  }
+
+  /**
+   * Finished spans, optionally only those with a given name
+   * @param {string} name - Span name
+   * @returns {Array<Span>} - Spans in the order they ended
+   */
+  getFinishedSpans(name = null) {
+    return name ? this.spans.filter(span => span.name === name) : [...this.spans];
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
+
+/**
+ * Convert milliseconds since the epoch to the nanosecond string OTLP expects
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {string} - Nanoseconds since the epoch
+ */
+function toUnixNano(time) {
+  return (BigInt(Math.round(time * 1000)) * 1000n).toString();
+}
+
+/**
+ * Convert an attribute map to OTLP key/value pairs
+ * @param {Object} attributes - Attributes
+ * @returns {Array<Object>} - OTLP attributes
+ */
+function toOtlpAttributes(attributes = {}) {
+  return Object.entries(attributes).map(([key, value]) => {
+    if (typeof value === 'boolean') {
+      return { key, value: { boolValue: value } };
+    }
+    if (typeof value === 'number') {
+      return { key, value: Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value } };
+    }
+    return { key, value: { stringValue: String(value) } };
+  });
+}
+
+/**
+ * Exports spans as OTLP/JSON over HTTP, e.g. to a local OpenTelemetry
+ * collector on http://localhost:4318/v1/traces.
+ *
+ * Spans are buffered and sent in batches, when `maxBatchSize` spans are
+ * waiting or every `flushInterval` milliseconds. A failed batch is logged
+ * and dropped so tracing never backs up the email pipeline.
+ */
+export class OtlpHttpExporter {
+  /**
+   * @param {Object} options - Exporter options
+   * @param {string} options.url - OTLP traces endpoint
+   * @param {Object} options.headers - Extra request headers, e.g. collector auth
+   * @param {string} options.serviceName - `service.name` resource attribute
+   * @param {Object} options.resourceAttributes - Other resource attributes
+   * @param {number} options.maxBatchSize - Spans per request
+   * @param {number} options.maxQueueSize - Spans kept while waiting, the oldest are dropped beyond this
+   * @param {number} options.flushInterval - Milliseconds between scheduled flushes
+   * @param {number} options.timeout - Request timeout in milliseconds
+   * @param {Logger} options.logger - Where to report failed exports
+   */
+  constructor(options = {}) {
+    this.url = options.url || 'http://localhost:4318/v1/traces';
+    this.headers = options.headers || {};
+    this.resourceAttributes = {
+      'service.name': options.serviceName || 'resilient-email-service',
+      ...options.resourceAttributes
+    };
+    this.maxBatchSize = options.maxBatchSize || 512;
+    this.maxQueueSize = options.maxQueueSize || 2048;
+    this.flushInterval = options.flushInterval || 5000; // 5 seconds
+    this.timeout = options.timeout || 10000; // 10 seconds
+    this.logger = options.logger || console;
+
+    this.buffer = [];
+    this.pending = new Set();
+    this.dropped = 0;
+    this.closed = false;
+
+    // Flushing on a timer must not keep the process alive
+    this.timer = setInterval(() => this.flush(), this.flushInterval);
+    this.timer.unref();
+  }
+
+  export(spans) {
+    if (this.closed) {
+      return;
+    }
+
+    this.buffer.push(...spans);
+    if (this.buffer.length > this.maxQueueSize) {
+      this.dropped += this.buffer.length - this.maxQueueSize;
+      this.buffer.splice(0, this.buffer.length - this.maxQueueSize);
+    }
+    if (this.buffer.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  /**
+   * Send all buffered spans
+   * @returns {Promise} - Resolves when every request in flight has finished
+   */
+  async flush() {
+    while (this.buffer.length > 0) {
+      const batch = this.buffer.splice(0, this.maxBatchSize);
+      const request = this.send(batch).finally(() => this.pending.delete(request));
+      this.pending.add(request);
+    }
+    await Promise.all(this.pending);
+  }
+
+  /**
+   * POST one batch, logging instead of throwing on failure
+   * @param {Array<Span>} spans - Spans
+   * @returns {Promise} - Resolves when the request has finished
+   */
+  async send(spans) {
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...this.headers },
+        body: JSON.stringify(this.toOtlp(spans)),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+      await response.body?.cancel();
+      if (!response.ok) {
+        throw new Error(`Collector responded with HTTP ${response.status}`);
+      }
+    } catch (error) {
+      this.dropped += spans.length;
+      this.logger.warn('Span export failed', { url: this.url, spans: spans.length, error: error.message });
+    }
+  }
+
+  /**
+   * Build an ExportTraceServiceRequest in the OTLP/JSON encoding
+   * @param {Array<Span>} spans - Spans
+   * @returns {Object} - Request body
+   */
+  toOtlp(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toOtlpAttributes(this.resourceAttributes) },
+        scopeSpans: [{
+          scope: { name: 'resilient-email-service' },
+          spans: spans.map(span => ({
+            traceId: span.traceId,
+            spanId: span.spanId,
+            ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+            name: span.name,
+            kind: OTLP_SPAN_KIND[span.kind] || OTLP_SPAN_KIND.INTERNAL,
+            startTimeUnixNano: toUnixNano(span.startTime),
+            endTimeUnixNano: toUnixNano(span.endTime),
+            attributes: toOtlpAttributes(span.attributes),
+            events: span.events.map(event => ({
+              timeUnixNano: toUnixNano(event.time),
+              name: event.name,
+              attributes: toOtlpAttributes(event.attributes)
+            })),
+            status: {
+              code: OTLP_STATUS_CODE[span.status.code],
+              ...(span.status.message ? { message: span.status.message } : {})
+            }
+          }))
+        }]
+      }]
+    };
+  }
+
+  /**
+   * Stop the flush timer and send what is left
+   * @returns {Promise} - Resolves when the last batch has been sent
+   */
+  async shutdown() {
+    clearInterval(this.timer);
+    await this.flush();
+    this.closed = true;
+  }
+}
+
+/**
+ * Create an exporter from its configuration
+ * @param {Object} config - Exporter config, `type` is otlp or memory
+ * @returns {Object} - Exporter
+ */
+export function createExporter(config = {}) {
+  switch (config.type || 'otlp') {
+    case 'otlp':
+      return new OtlpHttpExporter(config);
+    case 'memory':
+      return new InMemoryExporter(config);
+    default:
+      throw new Error(`Unknown trace exporter type: ${config.type}`);
+  }
+}
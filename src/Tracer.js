@@ -0,0 +1,217 @@
+import { performance } from 'perf_hooks';
+import { generateSpanId, resolveTraceId } from './traceContext.js';
+
+export const SPAN_KIND = Object.freeze({
+  INTERNAL: 'INTERNAL',
+  CLIENT: 'CLIENT',
+  CONSUMER: 'CONSUMER'
+});
+
+export const SPAN_STATUS = Object.freeze({
+  UNSET: 'UNSET',
+  OK: 'OK',
+  ERROR: 'ERROR'
+});
+
+/**
+ * Current time in milliseconds since the epoch, with sub-millisecond precision
+ * @returns {number} - Timestamp
+ */
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * A timed operation within a trace, modelled on OpenTelemetry spans
+ */
+export class Span {
+  constructor(tracer, name, options = {}) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || SPAN_KIND.INTERNAL;
+    this.traceId = options.traceId;
+    this.spanId = generateSpanId();
+    this.parentSpanId = options.parentSpanId || null;
+    this.startTime = now();
+    this.endTime = null;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET, message: null };
+
+    this.setAttributes(options.attributes || {});
+  }
+
+  /**
+   * Set an attribute, ignoring null and undefined values
+   * @param {string} key - Attribute name, e.g. `email.provider`
+   * @param {string|number|boolean} value - Attribute value
+   * @returns {Span} - This span
+   */
+  setAttribute(key, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  /**
+   * Record something that happened during the span
+   * @param {string} name - Event name
+   * @param {Object} attributes - Event attributes
+   * @returns {Span} - This span
+   */
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: now(), attributes });
+    return this;
+  }
+
+  /**
+   * Record an error as an `exception` event and mark the span failed
+   * @param {Error} error - Error
+   * @returns {Span} - This span
+   */
+  recordException(error) {
+    this.addEvent('exception', {
+      'exception.type': error.code || error.name,
+      'exception.message': error.message
+    });
+    return this.setStatus(SPAN_STATUS.ERROR, error.message);
+  }
+
+  setStatus(code, message = null) {
+    this.status = { code, message };
+    return this;
+  }
+
+  /**
+   * Finish the span and hand it to the tracer's exporter. Later calls are ignored.
+   */
+  end() {
+    if (this.endTime !== null) {
+      return;
+    }
+    this.endTime = now();
+    this.tracer.onEnd(this);
+  }
+
+  get duration() {
+    return this.endTime === null ? null : this.endTime - this.startTime;
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      attributes: this.attributes,
+      events: this.events,
+      status: this.status
+    };
+  }
+}
+
+/**
+ * Creates spans and passes finished ones to an exporter (see TraceExporters.js).
+ * Without an exporter spans are still created, so instrumented code never
+ * has to check whether tracing is enabled.
+ */
+export class Tracer {
+  /**
+   * @param {Object} options - Tracer options
+   * @param {Object} options.exporter - Receives finished spans through `export(spans)`
+   * @param {Logger} options.logger - Where to report exporter failures
+   */
+  constructor(options = {}) {
+    this.exporter = options.exporter || null;
+    this.logger = options.logger || console;
+  }
+
+  /**
+   * Start a span
+   * @param {string} name - Span name, e.g. `EmailService.sendEmail`
+   * @param {Object} options - Span options
+   * @param {Span} options.parent - Parent span, supplies the trace and parent span IDs
+   * @param {string} options.traceId - Trace ID when there is no parent span, generated when missing
+   * @param {string} options.parentSpanId - Parent span ID from another process (traceparent)
+   * @param {string} options.kind - One of SPAN_KIND
+   * @param {Object} options.attributes - Initial attributes
+   * @returns {Span} - Started span
+   */
+  startSpan(name, options = {}) {
+    const { parent, ...rest } = options;
+    return new Span(this, name, {
+      ...rest,
+      traceId: parent ? parent.traceId : resolveTraceId(options.traceId),
+      parentSpanId: parent ? parent.spanId : options.parentSpanId
+    });
+  }
+
+  /**
+   * Run a function inside a span. The span is marked OK or ERROR from the
+   * outcome (unless the function set a status itself) and always ended.
+   * @param {string} name - Span name
+   * @param {Object} options - Span options (see startSpan)
+   * @param {Function} fn - Function receiving the span
+   * @returns {Promise<*>} - Result of the function
+   */
+  async withSpan(name, options, fn) {
+    const span = this.startSpan(name, options);
+    try {
+      const result = await fn(span);
+      if (span.status.code === SPAN_STATUS.UNSET) {
+        span.setStatus(SPAN_STATUS.OK);
+      }
+      return result;
+    } catch (error) {
+      if (span.status.code === SPAN_STATUS.UNSET) {
+        span.recordException(error);
+      }
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  onEnd(span) {
+    if (!this.exporter) {
+      return;
+    }
+    try {
+      const exported = this.exporter.export([span]);
+      exported?.catch?.(error => this.reportExportFailure(error));
+    } catch (error) {
+      this.reportExportFailure(error);
+    }
+  }
+
+  reportExportFailure(error) {
+    this.logger.warn('Span export failed', { error: error.message });
+  }
+
+  /**
+   * Send any buffered spans
+   * @returns {Promise} - Resolves when the exporter has flushed
+   */
+  async flush() {
+    await this.exporter?.flush?.();
+  }
+
+  /**
+   * Flush and stop the exporter
+   * @returns {Promise} - Resolves when the exporter has shut down
+   */
+  async shutdown() {
+    await this.exporter?.shutdown?.();
+  }
+}
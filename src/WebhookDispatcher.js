@@ -0,0 +1,396 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import { Logger } from './Logger.js';
+import { ValidationError } from './errors.js';
+
+export const WEBHOOK_EVENTS = [
+  'queued',
+  'sent',
+  'retrying',
+  'failed',
+  'dead-lettered',
+  'circuit-opened',
+  'bounced',
+  'complained'
+];
+
+// Loopback, private, link-local, shared, multicast and reserved ranges, which
+// tenants may not send webhooks into
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_RANGES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Delivers email lifecycle events to subscriber URLs.
+ *
+ * Every request is a JSON POST signed with the subscription secret:
+ *   X-Webhook-Signature: sha256=HMAC(secret, `${timestamp}.${body}`)
+ * Failed deliveries are retried with exponential backoff and every
+ * delivery is kept in a bounded log for inspection.
+ */
+export class WebhookDispatcher {
+  constructor(options = {}) {
+    this.logger = options.logger || new Logger(options.logLevel || 'info');
+
+    this.maxAttempts = options.maxAttempts || 5;
+    this.baseDelay = options.baseDelay || 1000; // 1 second
+    this.maxDelay = options.maxDelay || 60000; // 1 minute
+    this.timeout = options.timeout || 10000; // Per request
+    this.logSize = options.logSize || 1000; // Deliveries kept in the log
+    this.allowedHosts = (options.allowedHosts || []).map(host => host.toLowerCase()); // Private hosts tenants may use
+    this.lookup = options.lookup || (hostname => dns.promises.lookup(hostname, { all: true, verbatim: true }));
+
+    this.subscriptions = new Map();
+    this.deliveries = [];
+    this.inFlight = new Set();
+    this.timers = new Map(); // Pending retry delays
+    this.closed = false;
+
+    for (const subscription of options.subscriptions || []) {
+      this.subscribe(subscription);
+    }
+  }
+
+  /**
+   * Register a webhook URL
+   * @param {Object} subscription - Subscription options
+   * @param {string} subscription.url - URL that receives the events
+   * @param {Array<string>} subscription.events - Events to deliver, `*` for all
+   * @param {string} subscription.secret - Signing secret, generated when omitted
+   * @param {string} subscription.tenant - Only deliver this tenant's events
+   * @returns {Object} - Subscription, including its secret
+   */
+  subscribe(subscription) {
+    const url = parseUrl(subscription.url);
+
+    const events = subscription.events || ['*'];
+    const unknown = [].concat(events).filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (!Array.isArray(events) || events.length === 0 || unknown.length > 0) {
+      throw new ValidationError(`Unknown webhook events: ${unknown.join(', ') || 'none given'}`, { field: 'events' });
+    }
+
+    const entry = {
+      id: subscription.id || crypto.randomUUID(),
+      url: url.toString(),
+      events,
+      secret: subscription.secret || crypto.randomBytes(32).toString('hex'),
+      tenant: subscription.tenant || null,
+      createdAt: new Date()
+    };
+    this.subscriptions.set(entry.id, entry);
+
+    this.logger.info('Webhook subscribed', { id: entry.id, url: entry.url, events });
+    return { ...entry };
+  }
+
+  /**
+   * Check that a URL registered by a tenant points outside the service's
+   * network: its host must resolve to public addresses only, unless it is
+   * in allowedHosts. Checked once at registration, so a host that later
+   * resolves elsewhere is not caught.
+   * @param {string} value - Webhook URL
+   * @throws {ValidationError} - When the URL is invalid, does not resolve or reaches a private address
+   */
+  async checkTarget(value) {
+    const url = parseUrl(value);
+    const hostname = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+    if (this.allowedHosts.includes(hostname)) {
+      return;
+    }
+
+    let addresses;
+    try {
+      addresses = net.isIP(hostname) ? [{ address: hostname, family: net.isIP(hostname) }] : await this.lookup(hostname);
+    } catch (error) {
+      throw new ValidationError(`Webhook host does not resolve: ${hostname}`, { field: 'url' });
+    }
+    if (addresses.length === 0 || addresses.some(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'))) {
+      throw new ValidationError(`Webhook URL must not point to a private or loopback address: ${hostname}`, { field: 'url' });
+    }
+  }
+
+  /**
+   * Remove a subscription
+   * @param {string} id - Subscription ID
+   * @returns {boolean} - Whether the subscription existed
+   */
+  unsubscribe(id) {
+    return this.subscriptions.delete(id);
+  }
+
+  /**
+   * Get a subscription without its secret
+   * @param {string} id - Subscription ID
+   * @returns {Object|null} - Subscription, or null
+   */
+  getSubscription(id) {
+    const subscription = this.subscriptions.get(id);
+    return subscription ? this.describe(subscription) : null;
+  }
+
+  /**
+   * List subscriptions without their secrets
+   * @param {Object} filter - Filter options (tenant)
+   * @returns {Array} - Subscriptions
+   */
+  getSubscriptions(filter = {}) {
+    return [...this.subscriptions.values()]
+      .filter(subscription => !filter.tenant || subscription.tenant === filter.tenant)
+      .map(subscription => this.describe(subscription));
+  }
+
+  /**
+   * Public view of a subscription
+   * @param {Object} subscription - Subscription
+   * @returns {Object} - Subscription without its secret
+   */
+  describe(subscription) {
+    const { secret, ...rest } = subscription;
+    return rest;
+  }
+
+  /**
+   * Deliver an event to every matching subscription. Deliveries run in the
+   * background so a slow subscriber never holds up sending.
+   * @param {string} event - Event name
+   * @param {Object} data - Event data, `tenant` limits delivery to that tenant's subscriptions
+   * @returns {Array} - Delivery records
+   */
+  emit(event, data = {}) {
+    const deliveries = [];
+    if (this.closed) {
+      return deliveries;
+    }
+
+    for (const subscription of this.subscriptions.values()) {
+      if (!subscription.events.includes('*') && !subscription.events.includes(event)) {
+        continue;
+      }
+      if (subscription.tenant && subscription.tenant !== data.tenant) {
+        continue;
+      }
+
+      const delivery = {
+        id: crypto.randomUUID(),
+        subscriptionId: subscription.id,
+        tenant: subscription.tenant,
+        url: subscription.url,
+        event,
+        payload: {
+          id: crypto.randomUUID(),
+          event,
+          timestamp: new Date().toISOString(),
+          data
+        },
+        status: 'pending',
+        attempts: 0,
+        history: [],
+        createdAt: new Date()
+      };
+
+      this.record(delivery);
+      deliveries.push(delivery);
+
+      const promise = this.deliver(subscription, delivery).finally(() => this.inFlight.delete(promise));
+      this.inFlight.add(promise);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Send a delivery, retrying with backoff until it succeeds or runs out of attempts
+   * @param {Object} subscription - Subscription
+   * @param {Object} delivery - Delivery record
+   */
+  async deliver(subscription, delivery) {
+    const body = JSON.stringify(delivery.payload);
+
+    while (delivery.attempts < this.maxAttempts) {
+      delivery.attempts++;
+      const attempt = { attempt: delivery.attempts, startedAt: new Date() };
+      delivery.history.push(attempt);
+
+      let retryable;
+      try {
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        const response = await fetch(subscription.url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': delivery.payload.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+          },
+          body,
+          // A redirect could lead past checkTarget() into a private network, it fails the delivery instead
+          redirect: 'manual',
+          signal: AbortSignal.timeout(this.timeout)
+        });
+
+        attempt.statusCode = response.status;
+        await response.body?.cancel();
+        if (response.ok) {
+          attempt.finishedAt = new Date();
+          delivery.status = 'delivered';
+          delivery.deliveredAt = attempt.finishedAt;
+          this.logger.debug('Webhook delivered', { id: delivery.id, event: delivery.event, url: delivery.url });
+          return;
+        }
+
+        attempt.error = `HTTP ${response.status}`;
+        // Other client errors mean the subscriber will never accept this request
+        retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+      } catch (error) {
+        attempt.error = error.message;
+        retryable = true;
+      }
+      attempt.finishedAt = new Date();
+
+      if (!retryable || delivery.attempts >= this.maxAttempts) {
+        break;
+      }
+
+      const delay = this.calculateBackoffDelay(delivery.attempts);
+      delivery.nextAttempt = new Date(Date.now() + delay);
+      await this.delay(delay);
+      if (this.closed) {
+        attempt.error = `${attempt.error} (dispatcher closed before retry)`;
+        break;
+      }
+    }
+
+    delivery.status = 'failed';
+    delivery.nextAttempt = null;
+    this.logger.warn('Webhook delivery failed', {
+      id: delivery.id,
+      event: delivery.event,
+      url: delivery.url,
+      attempts: delivery.attempts,
+      error: delivery.history[delivery.history.length - 1].error
+    });
+  }
+
+  /**
+   * Compute the signature sent in X-Webhook-Signature
+   * @param {string} secret - Subscription secret
+   * @param {string} timestamp - Unix timestamp in seconds, sent as X-Webhook-Timestamp
+   * @param {string} body - Raw request body
+   * @returns {string} - Hex HMAC-SHA256
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Calculate exponential backoff delay with jitter
+   * @param {number} attempt - Attempt number
+   * @returns {number} - Delay in milliseconds
+   */
+  calculateBackoffDelay(attempt) {
+    const exponentialDelay = this.baseDelay * Math.pow(2, attempt - 1);
+    const jitter = Math.random() * 0.1 * exponentialDelay;
+    return Math.min(exponentialDelay + jitter, this.maxDelay);
+  }
+
+  /**
+   * Add a delivery to the log, dropping the oldest past `logSize`
+   * @param {Object} delivery - Delivery record
+   */
+  record(delivery) {
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.logSize) {
+      this.deliveries.splice(0, this.deliveries.length - this.logSize);
+    }
+  }
+
+  /**
+   * Read the delivery log, most recent first
+   * @param {Object} filter - Filter options (subscriptionId, event, status, tenant, limit)
+   * @returns {Array} - Deliveries
+   */
+  getDeliveries(filter = {}) {
+    let deliveries = [...this.deliveries].reverse();
+
+    if (filter.subscriptionId) {
+      deliveries = deliveries.filter(delivery => delivery.subscriptionId === filter.subscriptionId);
+    }
+    if (filter.event) {
+      deliveries = deliveries.filter(delivery => delivery.event === filter.event);
+    }
+    if (filter.status) {
+      deliveries = deliveries.filter(delivery => delivery.status === filter.status);
+    }
+    if (filter.tenant) {
+      deliveries = deliveries.filter(delivery => delivery.tenant === filter.tenant);
+    }
+    if (filter.limit) {
+      deliveries = deliveries.slice(0, filter.limit);
+    }
+
+    return deliveries;
+  }
+
+  /**
+   * Wait for every in-flight delivery, including retries, to finish
+   */
+  async flush() {
+    while (this.inFlight.size > 0) {
+      await Promise.allSettled([...this.inFlight]);
+    }
+  }
+
+  /**
+   * Stop accepting events and abandon pending retries
+   */
+  async close() {
+    this.closed = true;
+    for (const [timer, resolve] of this.timers) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this.timers.clear();
+    await this.flush();
+  }
+
+  /**
+   * Delay utility, cut short by close()
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise} - Promise that resolves after delay
+   */
+  delay(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, ms);
+      this.timers.set(timer, resolve);
+    });
+  }
+}
+
+/**
+ * Parse a webhook URL
+ * @param {string} value - URL
+ * @returns {URL} - Parsed URL
+ * @throws {ValidationError} - When it is invalid or not http(s)
+ */
+function parseUrl(value) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new ValidationError(`Invalid webhook URL: ${value}`, { field: 'url' });
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new ValidationError(`Webhook URL must use http or https: ${value}`, { field: 'url' });
+  }
+  return url;
+}
@@ -0,0 +1,395 @@
+import net from 'net';
+import { domainToASCII } from 'url';
+import { InvalidAddressError, ValidationError } from './errors.js';
+
+/**
+ * RFC 5322 address parsing for the address fields of an email.
+ *
+ * Each of `to`, `cc`, `bcc` and `replyTo` accepts a single address, an
+ * address list (`"Ana Lima" <ana@example.com>, bo@example.com`), a
+ * `{ name, address }` object or an array of either. Local parts may be
+ * quoted (`"first last"@example.com`); internationalized domains are
+ * converted to their ASCII (punycode) form. Comments and groups
+ * (`team: a@example.com, b@example.com;`) are accepted and dropped.
+ */
+
+export const ADDRESS_FIELDS = ['to', 'cc', 'bcc', 'replyTo'];
+
+// Fields whose addresses receive the message
+export const RECIPIENT_FIELDS = ['to', 'cc', 'bcc'];
+
+const ATEXT = "A-Za-z0-9!#$%&'*+/=?^_`{|}~-";
+const DOT_ATOM = new RegExp(`^[${ATEXT}]+(\\.[${ATEXT}]+)*$`);
+const PHRASE = new RegExp(`^[${ATEXT}]+( [${ATEXT}]+)*$`);
+const QUOTED_STRING = /^"((?:[^"\\]|\\.)*)"$/;
+const DOMAIN_LABEL = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+const MAX_LOCAL_PART_LENGTH = 64;
+const MAX_DOMAIN_LENGTH = 253;
+const MAX_ADDRESS_LENGTH = 254;
+
+/**
+ * Parse one mailbox, `addr@example.com` or `Display Name <addr@example.com>`
+ * @param {string|Object} value - Mailbox string or `{ name, address }`
+ * @param {string} field - Field name, for the error
+ * @returns {Object} - { name, address } with name null when there is none
+ * @throws {InvalidAddressError} - When the value is not a single valid mailbox
+ */
+export function parseAddress(value, field = 'from') {
+  const { mailboxes, errors } = collect(value, field);
+  if (errors.length === 0 && mailboxes.length !== 1) {
+    errors.push({ field, value, message: mailboxes.length ? 'expected a single address' : 'address is empty' });
+  }
+  if (errors.length > 0) {
+    throw invalidAddresses(errors);
+  }
+  return mailboxes[0];
+}
+
+/**
+ * Parse an address field into its mailboxes
+ * @param {string|Object|Array} value - Address list, `{ name, address }` or an array of either
+ * @param {string} field - Field name, for errors
+ * @returns {Array<Object>} - Mailboxes as { name, address }
+ * @throws {InvalidAddressError} - Listing every address that failed
+ */
+export function parseAddressList(value, field = 'to') {
+  const { mailboxes, errors } = collect(value, field);
+  if (errors.length > 0) {
+    throw invalidAddresses(errors);
+  }
+  return mailboxes;
+}
+
+/**
+ * Format a mailbox for an address field, quoting the display name when needed
+ * @param {Object} mailbox - { name, address }
+ * @returns {string} - `address` or `Name <address>`
+ */
+export function formatAddress({ name, address }) {
+  if (!name) {
+    return address;
+  }
+  const phrase = PHRASE.test(name) ? name : `"${name.replace(/(["\\])/g, '\\$1')}"`;
+  return `${phrase} <${address}>`;
+}
+
+export function formatAddressList(mailboxes) {
+  return mailboxes.map(formatAddress).join(', ');
+}
+
+/**
+ * Validate and normalize the address fields of an email. Every invalid
+ * address is reported at once, not only the first.
+ * @param {Object} email - Email with to, cc, bcc, replyTo and from
+ * @param {Object} options - Options
+ * @param {number} options.maxRecipients - Most to + cc + bcc addresses allowed
+ * @returns {Object} - The address fields present on the email, formatted as address lists
+ * @throws {InvalidAddressError|ValidationError} - Invalid addresses or too many recipients
+ */
+export function parseRecipients(email, options = {}) {
+  const normalized = {};
+  const errors = [];
+  let recipients = 0;
+
+  for (const field of ADDRESS_FIELDS) {
+    if (email[field] === undefined || email[field] === null) {
+      continue;
+    }
+    const result = collect(email[field], field);
+    errors.push(...result.errors);
+    if (RECIPIENT_FIELDS.includes(field)) {
+      recipients += result.mailboxes.length;
+    }
+    if (result.mailboxes.length > 0) {
+      normalized[field] = formatAddressList(result.mailboxes);
+    }
+  }
+
+  if (email.from !== undefined && email.from !== null) {
+    try {
+      normalized.from = formatAddress(parseAddress(email.from, 'from'));
+    } catch (error) {
+      errors.push(...error.addresses);
+    }
+  }
+
+  if (errors.length > 0) {
+    throw invalidAddresses(errors);
+  }
+  if (!normalized.to) {
+    throw new ValidationError('Email to is required', { field: 'to' });
+  }
+  if (options.maxRecipients && recipients > options.maxRecipients) {
+    throw new ValidationError(
+      `Too many recipients: ${recipients}, at most ${options.maxRecipients} are allowed per message`,
+      { field: 'to' }
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Bare addresses of everyone receiving an email, without duplicates
+ * @param {Object} email - Email with to, cc and bcc
+ * @returns {Array<string>} - Addresses
+ */
+export function listRecipients(email) {
+  const addresses = RECIPIENT_FIELDS.flatMap(field => (
+    email[field] === undefined || email[field] === null ? [] : parseAddressList(email[field], field)
+  )).map(mailbox => mailbox.address);
+  return [...new Set(addresses)];
+}
+
+function invalidAddresses(errors) {
+  const [first] = errors;
+  const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+  return new InvalidAddressError(
+    `Invalid email address format: ${first.field} ${JSON.stringify(first.value)} ${first.message}${more}`,
+    { field: first.field.replace(/\[\d+\]$/, ''), addresses: errors }
+  );
+}
+
+/**
+ * Parse a field value, keeping going past invalid entries
+ * @param {*} value - Field value
+ * @param {string} field - Field name
+ * @returns {Object} - { mailboxes, errors }
+ */
+function collect(value, field) {
+  const entries = [];
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      if (typeof item === 'string' && !/[\r\n]/.test(item)) {
+        const parts = splitList(item);
+        parts.forEach(part => entries.push({ field: `${field}[${index}]`, value: part }));
+      } else {
+        entries.push({ field: `${field}[${index}]`, value: item });
+      }
+    });
+  } else if (typeof value === 'string' && !/[\r\n]/.test(value)) {
+    const parts = splitList(value);
+    parts.forEach((part, index) => entries.push({ field: parts.length > 1 ? `${field}[${index}]` : field, value: part }));
+  } else {
+    entries.push({ field, value });
+  }
+
+  const mailboxes = [];
+  const errors = [];
+  for (const entry of entries) {
+    try {
+      mailboxes.push(parseMailbox(entry.value));
+    } catch (error) {
+      errors.push({ field: entry.field, value: entry.value, message: error.message });
+    }
+  }
+  return { mailboxes, errors };
+}
+
+/**
+ * Split an address list on commas outside quotes, comments and brackets,
+ * dropping comments and unwrapping groups
+ * @param {string} value - Address list
+ * @returns {Array<string>} - Mailbox strings
+ */
+function splitList(value) {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  let comment = 0;
+  let bracket = null;
+
+  for (let index = 0; index < value.length; index++) {
+    const char = value[index];
+
+    if (char === '\\' && (quoted || comment > 0)) {
+      if (!comment) {
+        current += char + (value[index + 1] ?? '');
+      }
+      index++;
+    } else if (quoted) {
+      quoted = char !== '"';
+      current += char;
+    } else if (comment > 0) {
+      comment += char === '(' ? 1 : char === ')' ? -1 : 0;
+    } else if (char === '(') {
+      comment = 1;
+      current += ' ';
+    } else if (char === '"') {
+      quoted = true;
+      current += char;
+    } else if (bracket) {
+      bracket = char === bracket ? null : bracket;
+      current += char;
+    } else if (char === '<' || char === '[') {
+      bracket = char === '<' ? '>' : ']';
+      current += char;
+    } else if (char === ':') {
+      // Group name, the mailboxes follow
+      current = '';
+    } else if (char === ',' || char === ';') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  const mailboxes = parts.map(part => part.trim()).filter(Boolean);
+  // An empty group (`undisclosed-recipients:;`) has no mailboxes, an empty string is an error
+  return mailboxes.length > 0 || value.trim() !== '' ? mailboxes : [value];
+}
+
+/**
+ * Parse one mailbox from a string or `{ name, address }`
+ * @param {*} value - Mailbox
+ * @returns {Object} - { name, address }
+ */
+function parseMailbox(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    if (value.name !== undefined && value.name !== null && typeof value.name !== 'string') {
+      throw new Error('name must be a string');
+    }
+    if (typeof value.address !== 'string') {
+      throw new Error('address is required');
+    }
+    if (/[\r\n]/.test(value.name || '')) {
+      throw new Error('name must not contain line breaks');
+    }
+    return { name: (value.name || '').replace(/\s+/g, ' ').trim() || null, address: parseAddrSpec(value.address.trim()) };
+  }
+  if (typeof value !== 'string') {
+    throw new Error('must be an address string or { name, address }');
+  }
+  // Checked before splitting, a line break could start another header
+  if (/[\r\n]/.test(value)) {
+    throw new Error('must not contain line breaks');
+  }
+
+  const text = value.trim();
+  if (!text) {
+    throw new Error('address is empty');
+  }
+  if (!text.endsWith('>')) {
+    return { name: null, address: parseAddrSpec(text) };
+  }
+
+  const open = findAngleBracket(text);
+  if (open === -1) {
+    throw new Error('has an unmatched ">"');
+  }
+  return {
+    name: parseDisplayName(text.slice(0, open)),
+    address: parseAddrSpec(text.slice(open + 1, -1).trim())
+  };
+}
+
+/**
+ * Position of the `<` opening the angle address, skipping quoted strings
+ * @param {string} text - Mailbox string ending in `>`
+ * @returns {number} - Index, or -1
+ */
+function findAngleBracket(text) {
+  let quoted = false;
+  for (let index = 0; index < text.length; index++) {
+    if (quoted && text[index] === '\\') {
+      index++;
+    } else if (text[index] === '"') {
+      quoted = !quoted;
+    } else if (!quoted && text[index] === '<') {
+      return index;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Decode a display name: quoted strings are unquoted and whitespace collapsed
+ * @param {string} phrase - Display name as written
+ * @returns {string|null} - Name, null when empty
+ */
+function parseDisplayName(phrase) {
+  const name = phrase
+    .replace(/"((?:[^"\\]|\\.)*)"/g, (match, content) => content.replace(/\\(.)/g, '$1'))
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (name.includes('"')) {
+    throw new Error('display name has an unterminated quote');
+  }
+  return name || null;
+}
+
+/**
+ * Validate an addr-spec and normalize it: needless quotes are dropped and the
+ * domain is lower-cased and converted to ASCII
+ * @param {string} spec - `local@domain`
+ * @returns {string} - Normalized address
+ */
+function parseAddrSpec(spec) {
+  const at = spec.lastIndexOf('@');
+  if (at === -1) {
+    throw new Error('is missing "@"');
+  }
+
+  const local = parseLocalPart(spec.slice(0, at));
+  const domain = parseDomain(spec.slice(at + 1));
+  const address = `${local}@${domain}`;
+  if (address.length > MAX_ADDRESS_LENGTH) {
+    throw new Error(`is longer than ${MAX_ADDRESS_LENGTH} characters`);
+  }
+  return address;
+}
+
+function parseLocalPart(local) {
+  if (!local) {
+    throw new Error('is missing the local part');
+  }
+
+  let normalized = local;
+  const quoted = QUOTED_STRING.exec(local);
+  if (quoted) {
+    const content = quoted[1].replace(/\\(.)/g, '$1');
+    if (!/^[\x20-\x7e]*$/.test(content)) {
+      throw new Error('local part must be printable ASCII');
+    }
+    normalized = DOT_ATOM.test(content) ? content : `"${content.replace(/(["\\])/g, '\\$1')}"`;
+  } else if (!DOT_ATOM.test(local)) {
+    throw new Error(/[^\x00-\x7f]/.test(local)
+      ? 'local part must be ASCII'
+      : 'local part has invalid characters or dots');
+  }
+
+  if (normalized.length > MAX_LOCAL_PART_LENGTH) {
+    throw new Error(`local part is longer than ${MAX_LOCAL_PART_LENGTH} characters`);
+  }
+  return normalized;
+}
+
+function parseDomain(domain) {
+  if (!domain) {
+    throw new Error('is missing the domain');
+  }
+
+  if (domain.startsWith('[') && domain.endsWith(']')) {
+    const literal = domain.slice(1, -1);
+    const valid = /^IPv6:/i.test(literal) ? net.isIPv6(literal.slice(5)) : net.isIPv4(literal);
+    if (!valid) {
+      throw new Error('domain literal is not an IP address');
+    }
+    return domain;
+  }
+
+  const ascii = /[\s\[\]]/.test(domain) ? '' : domainToASCII(domain);
+  const labels = ascii.split('.');
+  if (!ascii || labels.length < 2 || !labels.every(label => label.length <= 63 && DOMAIN_LABEL.test(label))) {
+    throw new Error('domain is invalid');
+  }
+  if (/^\d+$/.test(labels[labels.length - 1])) {
+    throw new Error('domain is invalid');
+  }
+  if (ascii.length > MAX_DOMAIN_LENGTH) {
+    throw new Error(`domain is longer than ${MAX_DOMAIN_LENGTH} characters`);
+  }
+  return ascii;
+}
@@ -0,0 +1,602 @@
+import express from 'express';
+import bodyParser from 'body-parser';
+import crypto from 'crypto';
+import { PROMETHEUS_CONTENT_TYPE } from './Metrics.js';
+import { Logger } from './Logger.js';
+import { parseTraceparent, generateTraceId, generateSpanId, formatTraceparent } from './traceContext.js';
+import { ValidationError } from './errors.js';
+import { SUPPRESSION_REASONS, formatCsv, parseCsv } from './SuppressionList.js';
+import { MESSAGE_STATES } from './MessageLedger.js';
+
+// Client-supplied request IDs are echoed into logs, so keep them simple
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * HTTP status for each error code, anything else is a 500
+ */
+const ERROR_STATUS = {
+  INVALID_JSON: 400,
+  UNAUTHORIZED: 401,
+  SENDER_NOT_ALLOWED: 403,
+  NOT_FOUND: 404,
+  QUEUE_ITEM_NOT_CANCELLABLE: 409,
+  IDEMPOTENCY_IN_PROGRESS: 409,
+  VALIDATION_ERROR: 422,
+  TEMPLATE_NOT_FOUND: 422,
+  TEMPLATE_SYNTAX_ERROR: 422,
+  TEMPLATE_VARIABLE_MISSING: 422,
+  PROVIDER_PERMANENT: 422,
+  SUPPRESSED: 422,
+  IDEMPOTENCY_KEY_MISMATCH: 422,
+  MESSAGE_TOO_LARGE: 413,
+  REQUEST_TOO_LARGE: 413,
+  RATE_LIMIT_EXCEEDED: 429,
+  ALL_PROVIDERS_FAILED: 502,
+  SERVICE_UNAVAILABLE: 503
+};
+
+/**
+ * Create an error with a code understood by the error handler
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with code
+ */
+function httpError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Split a request body into the email and its options, scoped to the
+ * authenticated tenant
+ * @param {Object} req - Express request
+ * @param {ApiKeyAuth} auth - API key authentication
+ * @returns {Object} - { email, options }
+ */
+function parseEmailRequest(req, auth) {
+  // The tenant always comes from the API key, never from the body
+  const { options: { tenant: ignored, ...options } = {}, ...email } = req.body || {};
+
+  // Attachments arrive as content (base64 with `encoding: 'base64'`), reading server files is not allowed
+  if (Array.isArray(email.attachments) && email.attachments.some(attachment => attachment?.path !== undefined)) {
+    throw new ValidationError('Attachments must have content, path is not supported over HTTP', { field: 'attachments' });
+  }
+
+  if (req.tenant) {
+    if (!email.from && req.tenant.defaultFrom) {
+      email.from = req.tenant.defaultFrom;
+    }
+    if (!auth.isSenderAllowed(req.tenant, email.from)) {
+      throw httpError('SENDER_NOT_ALLOWED', `Tenant ${req.tenant.id} may not send from ${email.from || 'an unspecified address'}`);
+    }
+    options.tenant = req.tenant.id;
+  }
+
+  // The Idempotency-Key header stands for options.idempotencyKey
+  const idempotencyKey = req.get('idempotency-key');
+  if (idempotencyKey !== undefined) {
+    if (!idempotencyKey.trim() || idempotencyKey.length > 255) {
+      throw new ValidationError('Idempotency-Key must be 1 to 255 characters', { field: 'idempotencyKey' });
+    }
+    if (options.idempotencyKey !== undefined && options.idempotencyKey !== idempotencyKey) {
+      throw new ValidationError('Idempotency-Key header and options.idempotencyKey differ', { field: 'idempotencyKey' });
+    }
+    options.idempotencyKey = idempotencyKey;
+  }
+
+  // The trace comes from the traceparent header, or was started for this request
+  options.traceId = req.traceId;
+  if (req.parentSpanId) {
+    options.parentSpanId = req.parentSpanId;
+  }
+
+  return { email, options };
+}
+
+/**
+ * Check the request's bearer token in constant time
+ * @param {Object} req - Express request
+ * @param {string} token - Expected token
+ * @returns {boolean} - Whether the token matches
+ */
+function isBearer(req, token) {
+  const header = req.get('authorization') || '';
+  return /^bearer /i.test(header) && isToken(header.replace(/^bearer /i, ''), token);
+}
+
+/**
+ * Compare a given token with the expected one in constant time
+ * @param {string} given - Token supplied by the client
+ * @param {string} token - Expected token
+ * @returns {boolean} - Whether they match
+ */
+function isToken(given, token) {
+  const givenHash = crypto.createHash('sha256').update(String(given)).digest();
+  const expected = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(givenHash, expected);
+}
+
+/**
+ * Use the client's X-Request-Id when it is well formed, otherwise generate one
+ * @param {Object} req - Express request
+ * @returns {string} - Request ID
+ */
+function getRequestId(req) {
+  const given = req.get('x-request-id');
+  return given && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+}
+
+/**
+ * Check that a resource belongs to the requesting tenant
+ * @param {Object} req - Express request
+ * @param {Object} item - Queue item or webhook subscription
+ * @returns {boolean} - Whether the item is visible
+ */
+function isVisible(req, item) {
+  return !req.tenant || item.tenant === req.tenant.id;
+}
+
+/**
+ * Create the express app exposing EmailService and EmailQueue over HTTP
+ * @param {Object} options - App options
+ * @param {EmailService} options.emailService - Email service
+ * @param {EmailQueue} options.emailQueue - Email queue
+ * @param {ApiKeyAuth} options.auth - API key authentication, every route but `/` requires a key when set
+ * @param {WebhookDispatcher} options.webhooks - Webhook dispatcher, defaults to the queue's
+ * @param {TemplateStore} options.templates - Templates managed under /templates, defaults to the service's
+ * @param {SuppressionList} options.suppressions - Suppression list managed under /suppressions, defaults to the service's
+ * @param {MessageLedger} options.ledger - Delivery status served under /messages, defaults to the service's
+ * @param {EmailMetrics} options.metrics - Metrics served on /metrics
+ * @param {string} options.metricsToken - Bearer token required on /metrics, which is outside tenant auth
+ * @param {BounceProcessor} options.bounces - Processes the bounce and complaint reports posted to /inbound
+ * @param {string} options.inboundToken - Token required on /inbound, as a bearer token or `?token=`
+ * @param {Logger} options.logger - Parent of the per-request loggers
+ * @param {string|number} options.maxRequestSize - Largest JSON body, e.g. '15mb', room for base64 attachments
+ * @returns {express.Application} - Express app
+ */
+export function createApp({
+  emailService,
+  emailQueue,
+  auth,
+  webhooks = emailQueue.webhooks,
+  templates = emailService.templates,
+  suppressions = emailService.suppressions,
+  ledger = emailService.ledger,
+  metrics,
+  metricsToken,
+  bounces,
+  inboundToken,
+  logger = new Logger(),
+  maxRequestSize = '15mb'
+}) {
+  const app = express();
+
+  // Every request gets an ID and joins the caller's trace (or starts one),
+  // both are echoed back and bound to the request's logger
+  app.use((req, res, next) => {
+    const startedAt = Date.now();
+    const parent = parseTraceparent(req.get('traceparent'));
+    req.id = getRequestId(req);
+    req.traceId = parent?.traceId || generateTraceId();
+    req.parentSpanId = parent?.parentId || null;
+    req.logger = logger.child({ requestId: req.id, traceId: req.traceId });
+    res.set('X-Request-Id', req.id);
+    res.set('traceparent', formatTraceparent(req.traceId, generateSpanId(), parent?.flags));
+
+    res.on('finish', () => {
+      req.logger.debug('Request completed', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        duration: Date.now() - startedAt
+      });
+    });
+    next();
+  });
+
+  app.use(bodyParser.json({ limit: maxRequestSize }));
+
+  app.get('/', (req, res) => {
+    res.send('Resilient Email Service is running!');
+  });
+
+  // Scraped by Prometheus rather than tenants, so it sits in front of API key auth
+  if (metrics) {
+    app.get('/metrics', (req, res) => {
+      if (metricsToken && !isBearer(req, metricsToken)) {
+        throw httpError('UNAUTHORIZED', 'A valid metrics token is required');
+      }
+      res.set('Content-Type', PROMETHEUS_CONTENT_TYPE).send(metrics.render());
+    });
+  }
+
+  // Bounce and complaint reports come from providers and mail servers rather than
+  // tenants; query tokens are accepted since not every provider can set headers
+  if (bounces) {
+    const checkInboundToken = req => {
+      if (inboundToken && !isBearer(req, inboundToken) && !(req.query.token && isToken(req.query.token, inboundToken))) {
+        throw httpError('UNAUTHORIZED', 'A valid inbound token is required');
+      }
+    };
+
+    // A DSN or abuse report message (multipart/report) as the raw body
+    app.post('/inbound/dsn', express.text({ type: () => true, limit: maxRequestSize }), async (req, res) => {
+      checkInboundToken(req);
+      if (typeof req.body !== 'string') {
+        throw httpError('VALIDATION_ERROR', 'Post the report message as the raw request body');
+      }
+      res.json({ success: true, events: await bounces.processDsn(req.body) });
+    });
+
+    // Provider webhooks, e.g. /inbound/ses; SNS posts its JSON as text/plain
+    app.post('/inbound/:format', express.text({ type: 'text/plain', limit: maxRequestSize }), async (req, res) => {
+      checkInboundToken(req);
+      let payload = req.body;
+      if (typeof payload === 'string') {
+        try {
+          payload = JSON.parse(payload);
+        } catch (error) {
+          throw httpError('INVALID_JSON', 'Request body is not valid JSON');
+        }
+      }
+      res.json({ success: true, events: await bounces.processWebhook(req.params.format, payload) });
+    });
+  }
+
+  if (auth) {
+    for (const tenant of auth.getTenants()) {
+      if (tenant.rateLimit) {
+        emailService.setTenantRateLimit(tenant.id, tenant.rateLimit);
+      }
+    }
+    app.use(auth.middleware());
+    app.use((req, res, next) => {
+      req.logger = req.logger.child({ tenant: req.tenant.id });
+      next();
+    });
+  }
+
+  // Send immediately
+  const sendEmail = async (req, res) => {
+    const { email, options } = parseEmailRequest(req, auth);
+    const result = await emailService.sendEmail(email, { ...options, logger: req.logger });
+
+    res.json({
+      success: true,
+      provider: result.provider,
+      messageId: result.messageId,
+      timestamp: result.timestamp,
+      traceId: result.traceId,
+      template: result.template,
+      suppressed: result.suppressed
+    });
+  };
+
+  app.post('/send-email', sendEmail);
+  app.post('/emails', sendEmail);
+
+  app.get('/emails/idempotency/:key', async (req, res) => {
+    const record = await emailService.getSentEmail(req.params.key, req.tenant?.id);
+    if (!record) {
+      throw httpError('NOT_FOUND', `No email recorded for idempotency key: ${req.params.key}`);
+    }
+    res.json({ success: true, record });
+  });
+
+  // Queue for asynchronous delivery
+  app.post('/queue', async (req, res) => {
+    const { email, options } = parseEmailRequest(req, auth);
+    const rendered = emailQueue.templates.renderEmail(email, { tenant: options.tenant });
+    const validated = emailService.validateEmail(rendered.email);
+
+    const id = await emailQueue.addEmail(validated, { ...options, template: rendered.template });
+    res.status(202).json({ success: true, item: emailQueue.getQueueItem(id) });
+  });
+
+  app.get('/queue', (req, res) => {
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+    if (limit !== undefined && (Number.isNaN(limit) || limit < 1)) {
+      throw httpError('VALIDATION_ERROR', 'limit must be a positive integer');
+    }
+
+    // ?tag=password-reset&metadata.userId=42, tags may repeat
+    const metadata = {};
+    for (const [key, value] of Object.entries(req.query)) {
+      if (key.startsWith('metadata.') && key.length > 'metadata.'.length) {
+        metadata[key.slice('metadata.'.length)] = value;
+      }
+    }
+
+    const tenant = req.tenant?.id;
+    const items = emailQueue.getQueueItems({
+      status: req.query.status,
+      tenant,
+      tag: req.query.tag,
+      metadata,
+      limit
+    });
+    res.json({ success: true, items, stats: emailQueue.getStats({ tenant }) });
+  });
+
+  app.get('/queue/:id', (req, res) => {
+    const item = emailQueue.getQueueItem(req.params.id);
+    if (!item || !isVisible(req, item)) {
+      throw httpError('NOT_FOUND', `Queue item not found: ${req.params.id}`);
+    }
+    res.json({ success: true, item });
+  });
+
+  app.delete('/queue/:id', async (req, res) => {
+    const existing = emailQueue.getQueueItem(req.params.id);
+    if (!existing || !isVisible(req, existing)) {
+      throw httpError('NOT_FOUND', `Queue item not found: ${req.params.id}`);
+    }
+    const item = await emailQueue.cancelItem(req.params.id);
+    res.json({ success: true, item });
+  });
+
+  // Template versions and previews. Tenants see the global templates and their own
+  // copies, and changes go to their own copy; callers without one change the global templates
+  const findTemplate = (req, name, version = undefined, options = {}) => {
+    if (!templates.has(name, version, { tenant: req.tenant?.id, ...options })) {
+      const label = version === undefined ? name : `${name} v${version}`;
+      throw httpError('NOT_FOUND', `Template not found: ${label}`);
+    }
+  };
+
+  app.get('/templates', (req, res) => {
+    const tenant = req.tenant?.id;
+    res.json({ success: true, templates: templates.list({ tenant }).map(name => templates.info(name, { tenant })) });
+  });
+
+  app.get('/templates/:name', (req, res) => {
+    findTemplate(req, req.params.name);
+    res.json({ success: true, template: templates.info(req.params.name, { tenant: req.tenant?.id }) });
+  });
+
+  app.get('/templates/:name/versions/:version', (req, res) => {
+    findTemplate(req, req.params.name, req.params.version);
+    res.json({ success: true, version: templates.get(req.params.name, req.params.version, { tenant: req.tenant?.id }) });
+  });
+
+  app.post('/templates/:name/versions', async (req, res) => {
+    const { activate, ...template } = req.body || {};
+    const tenant = req.tenant?.id;
+    const version = await templates.set(req.params.name, template, { activate: activate !== false, tenant });
+    res.status(201).json({ success: true, version, template: templates.info(req.params.name, { tenant }) });
+  });
+
+  app.put('/templates/:name/active', async (req, res) => {
+    const tenant = req.tenant?.id;
+    findTemplate(req, req.params.name, undefined, { inherit: false });
+    await templates.activate(req.params.name, req.body?.version, { tenant });
+    res.json({ success: true, template: templates.info(req.params.name, { tenant }) });
+  });
+
+  // Renders with the given or sample data, nothing is sent
+  app.post('/templates/:name/preview', (req, res) => {
+    findTemplate(req, req.params.name);
+    const { data, version } = req.body || {};
+    res.json({ success: true, preview: templates.preview(req.params.name, data, { version, tenant: req.tenant?.id }) });
+  });
+
+  // Delivery status by ledger entry or provider message ID, or every message sent to ?recipient=.
+  // `status` follows every recipient's events (see MessageLedger), `recipientStatus` has each
+  // recipient's own and ?status= along with ?recipient= matches that recipient's.
+  if (ledger) {
+    app.get('/messages', async (req, res) => {
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+      if (Number.isNaN(limit) || limit < 1) {
+        throw httpError('VALIDATION_ERROR', 'limit must be a positive integer');
+      }
+      if (req.query.status !== undefined && !MESSAGE_STATES.includes(req.query.status)) {
+        throw httpError('VALIDATION_ERROR', `status must be one of ${MESSAGE_STATES.join(', ')}`);
+      }
+
+      const messages = await ledger.list({
+        status: req.query.status,
+        recipient: req.query.recipient,
+        tenant: req.tenant?.id,
+        limit
+      });
+      res.json({ success: true, messages });
+    });
+
+    app.get('/messages/:id', async (req, res) => {
+      const message = await ledger.get(req.params.id, { tenant: req.tenant?.id });
+      if (!message) {
+        throw httpError('NOT_FOUND', `Message not found: ${req.params.id}`);
+      }
+      res.json({ success: true, message });
+    });
+  }
+
+  // Suppression list, tenants manage their own entries and callers without one the global entries
+  if (suppressions) {
+    app.get('/suppressions', async (req, res) => {
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+      if (Number.isNaN(limit) || limit < 1) {
+        throw httpError('VALIDATION_ERROR', 'limit must be a positive integer');
+      }
+      if (req.query.reason !== undefined && !SUPPRESSION_REASONS.includes(req.query.reason)) {
+        throw httpError('VALIDATION_ERROR', `reason must be one of ${SUPPRESSION_REASONS.join(', ')}`);
+      }
+
+      const entries = await suppressions.list({ reason: req.query.reason, tenant: req.tenant?.id || null, limit });
+      res.json({ success: true, entries });
+    });
+
+    // ?format=csv for a spreadsheet-friendly export
+    app.get('/suppressions/export', async (req, res) => {
+      const format = req.query.format || 'json';
+      if (!['json', 'csv'].includes(format)) {
+        throw httpError('VALIDATION_ERROR', 'format must be json or csv');
+      }
+
+      const entries = await suppressions.list({ tenant: req.tenant?.id || null });
+      if (format === 'csv') {
+        res.type('text/csv').send(formatCsv(entries));
+      } else {
+        res.json({ success: true, entries });
+      }
+    });
+
+    // A JSON body `{ entries, reason, source }` or a text/csv body
+    app.post('/suppressions/import', express.text({ type: 'text/csv', limit: maxRequestSize }), async (req, res) => {
+      const csv = typeof req.body === 'string';
+      const { entries, reason, source } = csv ? { entries: parseCsv(req.body) } : req.body || {};
+
+      // As with sends, the tenant comes from the API key rather than the entries
+      const scoped = Array.isArray(entries)
+        ? entries.map(entry => (entry && typeof entry === 'object' ? { ...entry, tenant: undefined } : entry))
+        : entries;
+      const result = await suppressions.import(scoped, { reason, source, tenant: req.tenant?.id });
+      res.json({ success: true, ...result });
+    });
+
+    app.get('/suppressions/:address', async (req, res) => {
+      const entry = await suppressions.get(req.params.address, { tenant: req.tenant?.id });
+      if (!entry) {
+        throw httpError('NOT_FOUND', `Address is not suppressed: ${req.params.address}`);
+      }
+      res.json({ success: true, entry });
+    });
+
+    app.post('/suppressions', async (req, res) => {
+      const { address, reason, source } = req.body || {};
+      const entry = await suppressions.add(address, { reason, source, tenant: req.tenant?.id });
+      res.status(201).json({ success: true, entry });
+    });
+
+    app.delete('/suppressions/:address', async (req, res) => {
+      if (!await suppressions.remove(req.params.address, { tenant: req.tenant?.id })) {
+        throw httpError('NOT_FOUND', `Address is not suppressed: ${req.params.address}`);
+      }
+      res.json({ success: true });
+    });
+  }
+
+  // Delivery event webhooks
+  if (webhooks) {
+    app.post('/webhooks', async (req, res) => {
+      const { url, events, secret } = req.body || {};
+      // Tenants may not reach into the service's own network
+      await webhooks.checkTarget(url);
+      const subscription = webhooks.subscribe({ url, events, secret, tenant: req.tenant?.id });
+
+      // The secret is only ever returned here
+      res.status(201).json({ success: true, subscription });
+    });
+
+    app.get('/webhooks', (req, res) => {
+      res.json({ success: true, subscriptions: webhooks.getSubscriptions({ tenant: req.tenant?.id }) });
+    });
+
+    app.get('/webhooks/deliveries', (req, res) => {
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 100;
+      if (Number.isNaN(limit) || limit < 1) {
+        throw httpError('VALIDATION_ERROR', 'limit must be a positive integer');
+      }
+
+      const deliveries = webhooks.getDeliveries({
+        subscriptionId: req.query.subscription,
+        event: req.query.event,
+        status: req.query.status,
+        tenant: req.tenant?.id,
+        limit
+      });
+      res.json({ success: true, deliveries });
+    });
+
+    app.delete('/webhooks/:id', (req, res) => {
+      const subscription = webhooks.getSubscription(req.params.id);
+      if (!subscription || !isVisible(req, subscription)) {
+        throw httpError('NOT_FOUND', `Webhook subscription not found: ${req.params.id}`);
+      }
+      webhooks.unsubscribe(req.params.id);
+      res.json({ success: true, subscription });
+    });
+  }
+
+  // Monitoring
+  app.get('/status', async (req, res) => {
+    res.json({
+      success: true,
+      service: await emailService.getStatus(req.tenant?.id),
+      queue: emailQueue.getStats({ tenant: req.tenant?.id })
+    });
+  });
+
+  app.get('/health/providers', async (req, res) => {
+    const providers = await Promise.all(emailService.providers.map(async (provider, index) => {
+      let healthy;
+      try {
+        healthy = await provider.checkHealth();
+      } catch (error) {
+        healthy = false;
+      }
+      return {
+        name: provider.name,
+        healthy,
+        circuitBreaker: emailService.circuitBreakers.get(index).getState()
+      };
+    }));
+
+    const healthy = providers.some(provider => provider.healthy);
+    res.status(healthy ? 200 : 503).json({ success: healthy, providers });
+  });
+
+  app.use((req, res, next) => {
+    next(httpError('NOT_FOUND', `Route not found: ${req.method} ${req.path}`));
+  });
+
+  // Consistent JSON error bodies
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      error = httpError('INVALID_JSON', 'Request body is not valid JSON');
+    } else if (error.type === 'entity.too.large') {
+      error = httpError('REQUEST_TOO_LARGE', `Request body is larger than ${maxRequestSize}`);
+    }
+
+    const code = error.code || 'INTERNAL_ERROR';
+    const status = ERROR_STATUS[code] || 500;
+    if (status === 500) {
+      req.logger.error('Request failed', { method: req.method, path: req.path, error });
+    }
+
+    const body = {
+      success: false,
+      error: {
+        code,
+        message: status === 500 && !error.code ? 'Internal server error' : error.message
+      },
+      traceId: req.traceId
+    };
+    if (error.field) {
+      body.error.field = error.field;
+    }
+    if (error.variable) {
+      body.error.variable = error.variable;
+    }
+    if (error.addresses) {
+      body.error.addresses = error.addresses;
+    }
+    if (error.limit) {
+      body.error.limit = error.limit;
+    }
+    if (error.provider) {
+      body.error.provider = error.provider;
+    }
+    if (error.replayed) {
+      body.error.replayed = true;
+    }
+    if (error.suppressed) {
+      body.error.suppressed = error.suppressed.map(({ address, reason }) => ({ address, reason }));
+    }
+
+    res.status(status).json(body);
+  });
+
+  return app;
+}
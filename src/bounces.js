@@ -0,0 +1,386 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Bounce, complaint and delivery reports, parsed into feedback events:
+ *
+ *   { type, recipient, messageId, status, diagnostic, source, timestamp }
+ *
+ * `type` is one of FEEDBACK_TYPES. `messageId` is the ID
+ * sendEmail returned, so the event can be linked to the send: the
+ * Message-ID header for SMTP, the provider's ID for HTTP API providers.
+ *
+ * Reports arrive as delivery status notifications (RFC 3464) and abuse
+ * reports (RFC 5965) mailed back to the sender, or as provider webhooks
+ * (see WEBHOOK_FORMATS).
+ */
+
+export const FEEDBACK_TYPES = Object.freeze(['hard-bounce', 'soft-bounce', 'complaint', 'delivered', 'opened']);
+
+/**
+ * Parse a bounce (multipart/report; report-type=delivery-status) or a
+ * complaint (report-type=feedback-report) message
+ * @param {string|Buffer} raw - Message as received
+ * @returns {Array<Object>} - Feedback events, one per failed, delayed or delivered recipient
+ * @throws {ValidationError} - When the message holds no report
+ */
+export function parseDsn(raw) {
+  const message = parseMessage(String(raw));
+  const report = findPart(message, part => part.type === 'multipart/report');
+  if (!report) {
+    throw new ValidationError('Message is not a multipart/report', { field: 'message' });
+  }
+
+  const original = findPart(report, part => ORIGINAL_TYPES.includes(part.type));
+  const originalHead = original?.type.endsWith('headers') ? original.body : splitHead(original?.body || '').head;
+  const originalHeaders = parseHeaders(originalHead);
+  const messageId = stripAngles(originalHeaders['message-id']);
+  const reportType = (report.params['report-type'] || '').toLowerCase();
+
+  if (reportType === 'feedback-report') {
+    const feedback = findPart(report, part => part.type === 'message/feedback-report');
+    const fields = feedback ? parseHeaders(feedback.body) : {};
+    if ((fields['feedback-type'] || '').toLowerCase() === 'not-spam') {
+      return [];
+    }
+    const recipient = fields['original-rcpt-to'] || originalHeaders.to;
+    return recipient
+      ? [feedbackEvent('complaint', recipient, messageId, {
+        diagnostic: fields['feedback-type'] || null,
+        source: 'arf',
+        timestamp: fields['arrival-date']
+      })]
+      : [];
+  }
+
+  const status = findPart(report, part => STATUS_TYPES.includes(part.type));
+  if (!status) {
+    throw new ValidationError('Report has no delivery status part', { field: 'message' });
+  }
+
+  // Per-message fields first, then a block per recipient
+  const [perMessage, ...recipients] = status.body.split(/\r?\n(?:[ \t]*\r?\n)+/).map(parseHeaders);
+  return recipients
+    .map(fields => {
+      const action = (fields.action || '').toLowerCase();
+      const code = stripType(fields.status);
+      const type = classifyDsn(action, code);
+      const recipient = stripType(fields['final-recipient'] || fields['original-recipient']);
+      return type && recipient && feedbackEvent(type, recipient, messageId, {
+        status: code,
+        diagnostic: stripType(fields['diagnostic-code']),
+        source: 'dsn',
+        timestamp: fields['last-attempt-date'] || perMessage?.['arrival-date']
+      });
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Provider webhook payload parsers, each returning feedback events and
+ * ignoring the provider's other events (sends, clicks)
+ */
+export const WEBHOOK_FORMATS = {
+  // { type: 'bounce' | 'complaint' | 'delivery' | 'open', bounceType: 'hard' | 'soft', recipient, messageId, ... }
+  generic: payload => [payload].flat().map(event => {
+    const type = event?.type === 'bounce'
+      ? `${event.bounceType === 'soft' ? 'soft' : 'hard'}-bounce`
+      : { complaint: 'complaint', delivery: 'delivered', open: 'opened' }[event?.type];
+    if (!type) {
+      throw new ValidationError(`Unknown feedback type: ${event?.type}`, { field: 'type' });
+    }
+    return feedbackEvent(type, event.recipient || event.email, event.messageId, {
+      ...event,
+      source: event.source || 'webhook'
+    });
+  }),
+
+  // Amazon SES notifications, directly or wrapped in an SNS message. SNS
+  // subscription confirmations are ignored, confirm them from the AWS console.
+  ses: payload => {
+    const notification = payload?.Type === 'Notification' ? JSON.parse(payload.Message) : payload;
+    const kind = notification?.notificationType || notification?.eventType;
+    const messageId = notification?.mail?.messageId;
+    if (kind === 'Bounce') {
+      const { bounceType, bouncedRecipients = [], timestamp } = notification.bounce || {};
+      const type = bounceType === 'Permanent' ? 'hard-bounce' : 'soft-bounce';
+      return bouncedRecipients.map(recipient => feedbackEvent(type, recipient.emailAddress, messageId, {
+        status: recipient.status,
+        diagnostic: recipient.diagnosticCode,
+        source: 'ses',
+        timestamp
+      }));
+    }
+    if (kind === 'Complaint') {
+      const { complainedRecipients = [], complaintFeedbackType, timestamp } = notification.complaint || {};
+      return complainedRecipients.map(recipient => feedbackEvent('complaint', recipient.emailAddress, messageId, {
+        diagnostic: complaintFeedbackType,
+        source: 'ses',
+        timestamp
+      }));
+    }
+    if (kind === 'Delivery' || kind === 'Open') {
+      const details = kind === 'Delivery' ? notification.delivery : notification.open;
+      const recipients = details?.recipients || notification.mail?.destination || [];
+      return recipients.map(recipient => feedbackEvent(kind === 'Delivery' ? 'delivered' : 'opened', recipient, messageId, {
+        status: details?.smtpResponse,
+        source: 'ses',
+        timestamp: details?.timestamp
+      }));
+    }
+    return [];
+  },
+
+  // SendGrid event webhook: a list of events, sg_message_id is the X-Message-Id plus a suffix
+  sendgrid: payload => [payload].flat().flatMap(event => {
+    const type = {
+      bounce: event?.type === 'blocked' ? 'soft-bounce' : 'hard-bounce',
+      deferred: 'soft-bounce',
+      spamreport: 'complaint',
+      delivered: 'delivered',
+      open: 'opened'
+    }[event?.event];
+    return type
+      ? [feedbackEvent(type, event.email, event.sg_message_id?.split('.')[0], {
+        status: event.status,
+        diagnostic: event.reason || event.response,
+        source: 'sendgrid',
+        timestamp: event.timestamp && event.timestamp * 1000
+      })]
+      : [];
+  }),
+
+  // Mailgun webhooks: failed (permanent or temporary), complained, delivered and opened events
+  mailgun: payload => {
+    const event = payload?.['event-data'];
+    const type = event?.event === 'failed'
+      ? (event.severity === 'permanent' ? 'hard-bounce' : 'soft-bounce')
+      : { complained: 'complaint', delivered: 'delivered', opened: 'opened' }[event?.event];
+    return type
+      ? [feedbackEvent(type, event.recipient, event.message?.headers?.['message-id'], {
+        status: event['delivery-status']?.code,
+        diagnostic: event['delivery-status']?.description || event['delivery-status']?.message,
+        source: 'mailgun',
+        timestamp: event.timestamp && event.timestamp * 1000
+      })]
+      : [];
+  },
+
+  // Postmark bounce, spam complaint, delivery and open webhooks
+  postmark: payload => {
+    if (payload?.RecordType === 'Delivery' || payload?.RecordType === 'Open') {
+      const delivered = payload.RecordType === 'Delivery';
+      return [feedbackEvent(delivered ? 'delivered' : 'opened', payload.Recipient, payload.MessageID, {
+        status: payload.Details || null,
+        source: 'postmark',
+        timestamp: delivered ? payload.DeliveredAt : payload.ReceivedAt
+      })];
+    }
+    if (payload?.RecordType === 'SpamComplaint') {
+      return [feedbackEvent('complaint', payload.Email, payload.MessageID, {
+        diagnostic: payload.Description,
+        source: 'postmark',
+        timestamp: payload.BouncedAt
+      })];
+    }
+    if (payload?.RecordType === 'Bounce') {
+      const type = POSTMARK_HARD_BOUNCES.includes(payload.Type) ? 'hard-bounce' : 'soft-bounce';
+      return [feedbackEvent(type, payload.Email, payload.MessageID, {
+        status: payload.Type,
+        diagnostic: payload.Description || payload.Details,
+        source: 'postmark',
+        timestamp: payload.BouncedAt
+      })];
+    }
+    return [];
+  }
+};
+
+/**
+ * Parse a provider webhook payload
+ * @param {string} format - Key of WEBHOOK_FORMATS
+ * @param {Object|Array} payload - Parsed JSON body
+ * @returns {Array<Object>} - Feedback events
+ * @throws {ValidationError} - When the format is unknown or the payload malformed
+ */
+export function parseWebhook(format, payload) {
+  const parse = Object.hasOwn(WEBHOOK_FORMATS, format) ? WEBHOOK_FORMATS[format] : null;
+  if (!parse) {
+    throw new ValidationError(
+      `Unknown feedback format: ${format}, expected one of ${Object.keys(WEBHOOK_FORMATS).join(', ')}`,
+      { field: 'format' }
+    );
+  }
+
+  try {
+    return parse(payload);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+    throw new ValidationError(`Malformed ${format} payload: ${error.message}`, { field: 'payload' });
+  }
+}
+
+const ORIGINAL_TYPES = ['message/rfc822', 'text/rfc822-headers', 'message/global', 'message/global-headers'];
+const STATUS_TYPES = ['message/delivery-status', 'message/global-delivery-status'];
+const POSTMARK_HARD_BOUNCES = ['HardBounce', 'BadEmailAddress', 'ManuallyDeactivated', 'Blocked'];
+
+/**
+ * Build a feedback event, checking the fields every event needs
+ * @param {string} type - One of FEEDBACK_TYPES
+ * @param {string} recipient - Address that bounced or complained
+ * @param {string} messageId - ID of the original message, null when unknown
+ * @param {Object} details - status, diagnostic, source and timestamp
+ * @returns {Object} - Feedback event
+ */
+function feedbackEvent(type, recipient, messageId, details = {}) {
+  const address = stripAngles(recipient);
+  if (!address) {
+    throw new ValidationError(`${type} event has no recipient`, { field: 'recipient' });
+  }
+  const timestamp = details.timestamp ? new Date(details.timestamp) : new Date();
+
+  return {
+    type,
+    recipient: address,
+    messageId: stripAngles(messageId),
+    status: details.status ?? null,
+    diagnostic: details.diagnostic ?? null,
+    source: details.source,
+    timestamp: Number.isNaN(timestamp.getTime()) ? new Date() : timestamp
+  };
+}
+
+/**
+ * Decide the feedback type of a DSN recipient from its action and status
+ * @param {string} action - failed, delayed, delivered, relayed or expanded
+ * @param {string} status - Enhanced status code, e.g. 5.1.1
+ * @returns {string|null} - Feedback type, null when the message was only passed on
+ */
+function classifyDsn(action, status) {
+  if (action === 'delayed') {
+    return 'soft-bounce';
+  }
+  if (action === 'delivered') {
+    return 'delivered';
+  }
+  if (action !== 'failed') {
+    return null;
+  }
+  return status?.startsWith('4') ? 'soft-bounce' : 'hard-bounce';
+}
+
+/**
+ * Parse a message or body part into headers, content type and body,
+ * splitting multipart bodies into their parts
+ * @param {string} text - Message text
+ * @returns {Object} - { type, params, headers, body, parts }
+ */
+function parseMessage(text) {
+  const { head, body } = splitHead(text);
+  const headers = parseHeaders(head);
+  const { type, params } = parseContentType(headers['content-type']);
+  const decoded = decodeBody(body, headers['content-transfer-encoding']);
+
+  const parts = type.startsWith('multipart/') && params.boundary
+    ? splitMultipart(decoded, params.boundary).map(parseMessage)
+    : [];
+  return { type, params, headers, body: decoded, parts };
+}
+
+function findPart(part, predicate) {
+  if (predicate(part)) {
+    return part;
+  }
+  for (const child of part.parts) {
+    const found = findPart(child, predicate);
+    if (found) {
+      return found;
+    }
+  }
+  return null;
+}
+
+function splitHead(text) {
+  const match = /\r?\n\r?\n/.exec(text);
+  return match
+    ? { head: text.slice(0, match.index), body: text.slice(match.index + match[0].length) }
+    : { head: text, body: '' };
+}
+
+/**
+ * Parse header lines, unfolding continuations; later duplicates are ignored
+ * @param {string} head - Header block
+ * @returns {Object} - Values by lower-cased name
+ */
+function parseHeaders(head) {
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      const name = line.slice(0, colon).trim().toLowerCase();
+      headers[name] ??= line.slice(colon + 1).trim();
+    }
+  }
+  return headers;
+}
+
+function parseContentType(value = 'text/plain') {
+  const [type, ...params] = value.split(';');
+  return {
+    type: type.trim().toLowerCase(),
+    params: Object.fromEntries(params
+      .map(param => param.split('='))
+      .filter(([name, paramValue]) => name && paramValue !== undefined)
+      .map(([name, ...rest]) => [name.trim().toLowerCase(), rest.join('=').trim().replace(/^"(.*)"$/, '$1')]))
+  };
+}
+
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+  for (const line of body.split(/\r?\n/)) {
+    if (line.startsWith(delimiter)) {
+      if (current) {
+        parts.push(current.join('\r\n'));
+      }
+      current = line.startsWith(`${delimiter}--`) ? null : [];
+      if (!current) {
+        break;
+      }
+    } else if (current) {
+      current.push(line);
+    }
+  }
+  return parts;
+}
+
+function decodeBody(body, encoding = '') {
+  switch (encoding.toLowerCase()) {
+    case 'base64':
+      return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+    case 'quoted-printable':
+      return body
+        .replace(/=\r?\n/g, '')
+        .replace(/=([0-9A-Fa-f]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    default:
+      return body;
+  }
+}
+
+// `rfc822; ana@example.com` and `smtp; 550 5.1.1 Unknown user` carry a type prefix
+function stripType(value) {
+  if (!value) {
+    return null;
+  }
+  const semicolon = value.indexOf(';');
+  return (semicolon >= 0 ? value.slice(semicolon + 1) : value).trim() || null;
+}
+
+function stripAngles(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return null;
+  }
+  return value.trim().replace(/^<(.*)>$/, '$1');
+}
@@ -0,0 +1,204 @@
+/**
+ * Error types shared by providers, EmailService and EmailQueue.
+ *
+ * Providers raise these so the retry path can tell a failure worth retrying
+ * from one that will never succeed. Untyped errors are treated as transient.
+ */
+
+/**
+ * Base class for provider failures
+ */
+export class ProviderError extends Error {
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = options.code || 'PROVIDER_ERROR';
+    this.provider = options.provider || null;
+    this.statusCode = options.statusCode;
+    this.responseCode = options.responseCode;
+  }
+
+  /**
+   * Whether retrying the same message can succeed
+   * @returns {boolean}
+   */
+  get retryable() {
+    return true;
+  }
+
+  /**
+   * Whether the message will fail on every provider
+   * @returns {boolean}
+   */
+  get permanent() {
+    return false;
+  }
+}
+
+/**
+ * Temporary failure, retry the same provider and fall back to the next one
+ */
+export class TransientProviderError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { code: 'PROVIDER_TRANSIENT', ...options });
+  }
+}
+
+/**
+ * The message itself was rejected (invalid recipient, rejected content),
+ * no retry or fallback can make it succeed
+ */
+export class PermanentProviderError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { code: 'PROVIDER_PERMANENT', ...options });
+  }
+
+  get retryable() {
+    return false;
+  }
+
+  get permanent() {
+    return true;
+  }
+}
+
+/**
+ * The provider asked us to slow down, retry after `retryAfter` milliseconds
+ */
+export class ThrottledError extends ProviderError {
+  constructor(message, options = {}) {
+    super(message, { code: 'PROVIDER_THROTTLED', ...options });
+    this.retryAfter = options.retryAfter ?? null;
+  }
+}
+
+/**
+ * The email object failed validation before reaching any provider
+ */
+export class ValidationError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = 'VALIDATION_ERROR';
+    this.field = options.field || null;
+  }
+
+  get retryable() {
+    return false;
+  }
+
+  get permanent() {
+    return true;
+  }
+}
+
+/**
+ * A template could not be found or rendered. Codes are TEMPLATE_NOT_FOUND,
+ * TEMPLATE_SYNTAX_ERROR and TEMPLATE_VARIABLE_MISSING.
+ */
+export class TemplateError extends ValidationError {
+  constructor(message, options = {}) {
+    super(message, { field: options.field || 'template' });
+    this.name = 'TemplateError';
+    this.code = options.code || 'TEMPLATE_ERROR';
+    this.template = options.template || null;
+    this.variable = options.variable || null;
+  }
+}
+
+/**
+ * The message, or one of its attachments, is larger than the configured limit
+ */
+export class MessageTooLargeError extends ValidationError {
+  constructor(message, options = {}) {
+    super(message, { field: options.field });
+    this.name = 'MessageTooLargeError';
+    this.code = 'MESSAGE_TOO_LARGE';
+    this.size = options.size ?? null;
+    this.limit = options.limit ?? null;
+  }
+}
+
+/**
+ * One or more addresses of a message could not be parsed. `addresses` lists
+ * each one as `{ field, value, message }`, with `field` like `to` or `cc[2]`.
+ */
+export class InvalidAddressError extends ValidationError {
+  constructor(message, options = {}) {
+    super(message, { field: options.field });
+    this.name = 'InvalidAddressError';
+    this.addresses = options.addresses || [];
+  }
+}
+
+/**
+ * Every recipient of the message is on the suppression list. `suppressed`
+ * lists the matching entries as `{ address, reason, source, tenant, createdAt }`.
+ */
+export class SuppressedError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'SuppressedError';
+    this.code = 'SUPPRESSED';
+    this.suppressed = options.suppressed || [];
+  }
+
+  get retryable() {
+    return false;
+  }
+
+  get permanent() {
+    return true;
+  }
+}
+
+/**
+ * Another send with the same idempotency key was still in flight after
+ * waiting for it. Retrying later returns that send's result.
+ */
+export class IdempotencyInProgressError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'IdempotencyInProgressError';
+    this.code = 'IDEMPOTENCY_IN_PROGRESS';
+    this.idempotencyKey = options.idempotencyKey || null;
+  }
+
+  get retryable() {
+    return true;
+  }
+
+  get permanent() {
+    return false;
+  }
+}
+
+/**
+ * An idempotency key was reused for a different email. Retrying with the
+ * same key never succeeds, the email needs a key of its own.
+ */
+export class IdempotencyKeyMismatchError extends Error {
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'IdempotencyKeyMismatchError';
+    this.code = 'IDEMPOTENCY_KEY_MISMATCH';
+    this.idempotencyKey = options.idempotencyKey || null;
+  }
+
+  get retryable() {
+    return false;
+  }
+
+  get permanent() {
+    return true;
+  }
+}
+
+/**
+ * Check whether an error can never succeed on retry
+ * @param {Error} error - Error to check
+ * @returns {boolean} - Whether the error is permanent
+ */
+export function isPermanentError(error) {
+  return Boolean(error && error.permanent === true);
+}
@@ -0,0 +1,150 @@
+/**
+ * Lifecycle events emitted by EmailService, EmailQueue, CircuitBreaker,
+ * RateLimiter and BounceProcessor. Every payload carries a `timestamp` (Date).
+ *
+ * @example
+ * emailService.on(EVENTS.ATTEMPT_FAILED, ({ provider, code }) => metrics.increment(provider, code));
+ */
+export const EVENTS = Object.freeze({
+  ATTEMPT_STARTED: 'attempt-started',
+  ATTEMPT_SUCCEEDED: 'attempt-succeeded',
+  ATTEMPT_FAILED: 'attempt-failed',
+  PROVIDER_FALLBACK: 'provider-fallback',
+  CIRCUIT_STATE_CHANGED: 'circuit-state-changed',
+  RATE_LIMITED: 'rate-limited',
+  DUPLICATE_SUPPRESSED: 'duplicate-suppressed',
+  RECIPIENTS_SUPPRESSED: 'recipients-suppressed',
+  ITEM_RETRYING: 'item-retrying',
+  ITEM_COMPLETED: 'item-completed',
+  FEEDBACK_RECEIVED: 'feedback-received'
+});
+
+/**
+ * @typedef {Object} AttemptStartedEvent - EmailService, before each provider call
+ * @property {string} provider - Provider name
+ * @property {number} attempt - Attempt number with this provider
+ * @property {string} idempotencyKey - Idempotency key of the send
+ * @property {string} to - Recipient
+ * @property {string|null} tenant - Tenant ID
+ * @property {string} traceId - Correlation ID of the send
+ */
+
+/**
+ * @typedef {Object} AttemptSucceededEvent - EmailService, after a provider accepted the email
+ * @property {string} provider - Provider name
+ * @property {number} attempt - Attempt number with this provider
+ * @property {string} idempotencyKey - Idempotency key of the send
+ * @property {string} messageId - Provider message ID
+ * @property {number} duration - Provider call duration in milliseconds
+ * @property {string|null} tenant - Tenant ID
+ * @property {string} traceId - Correlation ID of the send
+ */
+
+/**
+ * @typedef {Object} AttemptFailedEvent - EmailService, after a failed provider call
+ * @property {string} provider - Provider name
+ * @property {number} attempt - Attempt number with this provider
+ * @property {string} idempotencyKey - Idempotency key of the send
+ * @property {number} duration - Provider call duration in milliseconds
+ * @property {string} error - Error message
+ * @property {string} code - Error code
+ * @property {boolean} permanent - Whether the message was rejected outright
+ * @property {string|null} tenant - Tenant ID
+ * @property {string} traceId - Correlation ID of the send
+ */
+
+/**
+ * @typedef {Object} ProviderFallbackEvent - EmailService, when moving on to the next provider
+ * @property {string} from - Provider that failed
+ * @property {string} to - Provider tried next
+ * @property {string} error - Error from the failed provider
+ * @property {string} idempotencyKey - Idempotency key of the send
+ * @property {string} traceId - Correlation ID of the send
+ */
+
+/**
+ * @typedef {Object} CircuitStateChangedEvent - CircuitBreaker, re-emitted by EmailService with `provider`
+ * @property {string} state - New state (CLOSED, OPEN, HALF_OPEN)
+ * @property {string} previousState - Previous state
+ * @property {number} failureCount - Consecutive failures
+ * @property {number|null} nextAttempt - When an open circuit lets a trial call through (ms)
+ * @property {string} [provider] - Provider name, on EmailService only
+ */
+
+/**
+ * @typedef {Object} RateLimitedEvent - RateLimiter, re-emitted by EmailService with `to`, `tenant` and `traceId`
+ * @property {string} identifier - Rate limiter bucket
+ * @property {number} limit - Requests allowed per window
+ * @property {number} window - Window in milliseconds
+ */
+
+/**
+ * @typedef {Object} DuplicateSuppressedEvent - EmailService, when a send matches an idempotency record
+ * @property {string} idempotencyKey - Idempotency key
+ * @property {string|null} tenant - Tenant ID
+ * @property {string|null} messageId - Message ID of the original send, null when it was rejected
+ * @property {string} [error] - Code of the original send's error, replayed to the duplicate
+ * @property {string} traceId - Correlation ID of the duplicate send
+ */
+
+/**
+ * @typedef {Object} RecipientsSuppressedEvent - EmailService, when recipients are on the suppression list
+ * @property {Array<Object>} recipients - Suppressed recipients removed from the email, `{ address, reason }`
+ * @property {boolean} blocked - Whether no recipient was left, so nothing was sent
+ * @property {string|null} tenant - Tenant ID
+ * @property {string} traceId - Correlation ID of the send
+ */
+
+/**
+ * @typedef {Object} ItemRetryingEvent - EmailQueue, when a failed item is scheduled for another attempt
+ * @property {string} id - Queue item ID
+ * @property {number} attempts - Attempts made so far
+ * @property {Date} nextAttempt - When the item becomes due again
+ * @property {string} error - Error message
+ * @property {string} errorCode - Error code
+ * @property {string|null} tenant - Tenant ID
+ * @property {string} traceId - Correlation ID of the item
+ */
+
+/**
+ * @typedef {Object} ItemCompletedEvent - EmailQueue, when an item reaches `completed` or `failed`
+ * @property {string} id - Queue item ID
+ * @property {string} status - `completed` or `failed`
+ * @property {number} attempts - Attempts made
+ * @property {string|null} tenant - Tenant ID
+ * @property {string} traceId - Correlation ID of the item
+ * @property {Object} [result] - Send result, when completed
+ * @property {string} [error] - Error message, when failed
+ * @property {string} [errorCode] - Error code, when failed
+ */
+
+/**
+ * @typedef {Object} FeedbackReceivedEvent - BounceProcessor, for each bounce, complaint or delivery report processed
+ * @property {string} type - hard-bounce, soft-bounce, complaint, delivered or opened
+ * @property {string} recipient - Address that bounced or complained
+ * @property {string|null} messageId - Message ID of the original send
+ * @property {string|null} status - Status reported, e.g. an enhanced status code
+ * @property {string|null} diagnostic - Diagnostic text reported
+ * @property {string} source - Where the report came from, e.g. dsn, arf, ses
+ * @property {Date} reportedAt - When the report says it happened
+ * @property {boolean} linked - Whether the original send was found
+ * @property {boolean} suppressed - Whether the recipient was added to the suppression list
+ * @property {string|null} messageStatus - Ledger status of the message afterwards, null when it is not in the ledger
+ * @property {string|null} tenant - Tenant of the original send
+ * @property {string|null} traceId - Correlation ID of the original send
+ */
+
+/**
+ * Emit an event without letting a throwing listener break the emitter
+ * @param {EventEmitter} emitter - Event emitter
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ * @param {Logger} logger - Where to report listener errors
+ */
+export function emitSafely(emitter, event, payload, logger = console) {
+  try {
+    emitter.emit(event, { ...payload, timestamp: new Date() });
+  } catch (error) {
+    logger.error('Event listener failed', { event, error: error.message });
+  }
+}
@@ -237,7 +237,7 @@ class EmailServiceApp {
   async demoMonitoring() {
     this.logger.info('=== Demo 6: Monitoring & Status ===');
     
-    const serviceStatus = this.emailService.getStatus();
+    const serviceStatus = await this.emailService.getStatus();
     const queueStats = this.emailQueue.getStats();
     
     this.logger.info('📊 Service Status', {
@@ -304,9 +304,9 @@ class EmailServiceApp {
   /**
    * Get comprehensive status
    */
-  getStatus() {
+  async getStatus() {
     return {
-      service: this.emailService.getStatus(),
+      service: await this.emailService.getStatus(),
       queue: this.emailQueue.getStats(),
       environment: this.environment,
       timestamp: new Date().toISOString()
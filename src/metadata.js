@@ -0,0 +1,128 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Tags, metadata and category: labels carried with an email through the
+ * queue, results and webhooks, never sent to recipients.
+ *
+ *   tags: ['password-reset', 'transactional']
+ *   metadata: { userId: '42', plan: 'pro' }
+ *   category: 'transactional'      selects suppression overrides (see SuppressionList)
+ *
+ * Metadata values are strings, numbers, booleans or null, so they can be
+ * matched against query string filters.
+ */
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 64;
+const TAG_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_.:-]*$/;
+
+const MAX_METADATA_KEYS = 20;
+const MAX_METADATA_KEY_LENGTH = 64;
+const MAX_METADATA_SIZE = 2048; // bytes of JSON
+
+/**
+ * Validate tags, dropping duplicates
+ * @param {string|Array<string>} tags - A tag or list of tags
+ * @returns {Array<string>|undefined} - Tags, undefined when none were given
+ * @throws {ValidationError} - When a tag is malformed or there are too many
+ */
+export function normalizeTags(tags) {
+  if (tags === undefined || tags === null) {
+    return undefined;
+  }
+
+  const list = typeof tags === 'string' ? [tags] : tags;
+  if (!Array.isArray(list)) {
+    throw new ValidationError('tags must be a list of strings', { field: 'tags' });
+  }
+  for (const tag of list) {
+    if (typeof tag !== 'string' || !TAG_PATTERN.test(tag) || tag.length > MAX_TAG_LENGTH) {
+      throw new ValidationError(
+        `Invalid tag ${JSON.stringify(tag)}: use up to ${MAX_TAG_LENGTH} letters, digits, "-", "_", "." or ":"`,
+        { field: 'tags' }
+      );
+    }
+  }
+
+  const unique = [...new Set(list)];
+  if (unique.length > MAX_TAGS) {
+    throw new ValidationError(`At most ${MAX_TAGS} tags are allowed, got ${unique.length}`, { field: 'tags' });
+  }
+  return unique;
+}
+
+/**
+ * Validate a category, which follows the same rules as a tag
+ * @param {string} category - Category, e.g. transactional or marketing
+ * @returns {string|undefined} - The category, undefined when none was given
+ * @throws {ValidationError} - When the category is malformed
+ */
+export function validateCategory(category) {
+  if (category === undefined || category === null) {
+    return undefined;
+  }
+  if (typeof category !== 'string' || !TAG_PATTERN.test(category) || category.length > MAX_TAG_LENGTH) {
+    throw new ValidationError(`Invalid category ${JSON.stringify(category)}`, { field: 'category' });
+  }
+  return category;
+}
+
+/**
+ * Validate metadata
+ * @param {Object} metadata - Flat object of primitive values
+ * @returns {Object|undefined} - The metadata, undefined when none was given
+ * @throws {ValidationError} - When it is not a flat object or is too large
+ */
+export function validateMetadata(metadata) {
+  if (metadata === undefined || metadata === null) {
+    return undefined;
+  }
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new ValidationError('metadata must be an object', { field: 'metadata' });
+  }
+
+  const entries = Object.entries(metadata);
+  if (entries.length > MAX_METADATA_KEYS) {
+    throw new ValidationError(`At most ${MAX_METADATA_KEYS} metadata keys are allowed`, { field: 'metadata' });
+  }
+  for (const [key, value] of entries) {
+    if (!key || key.length > MAX_METADATA_KEY_LENGTH) {
+      throw new ValidationError(`Metadata keys must be 1 to ${MAX_METADATA_KEY_LENGTH} characters`, { field: 'metadata' });
+    }
+    const valid = value === null || typeof value === 'string' || typeof value === 'boolean'
+      || (typeof value === 'number' && Number.isFinite(value));
+    if (!valid) {
+      throw new ValidationError(
+        `Metadata ${key} must be a string, number, boolean or null`,
+        { field: 'metadata' }
+      );
+    }
+  }
+
+  const size = Buffer.byteLength(JSON.stringify(metadata));
+  if (size > MAX_METADATA_SIZE) {
+    throw new ValidationError(`Metadata is ${size} bytes, the limit is ${MAX_METADATA_SIZE}`, { field: 'metadata' });
+  }
+  return metadata;
+}
+
+/**
+ * Check an email's tags and metadata against a filter
+ * @param {Object} email - Email with tags and metadata
+ * @param {Object} filter - Filter
+ * @param {string|Array<string>} filter.tag - Tags the email must all have
+ * @param {Object} filter.metadata - Values the metadata must have, compared as strings
+ * @returns {boolean} - Whether the email matches
+ */
+export function matchesLabels(email, filter = {}) {
+  const tags = email.tags || [];
+  const wanted = filter.tag === undefined ? [] : [filter.tag].flat();
+  if (!wanted.every(tag => tags.includes(tag))) {
+    return false;
+  }
+
+  const metadata = email.metadata || {};
+  return Object.entries(filter.metadata || {}).every(([key, value]) => (
+    Object.hasOwn(metadata, key) && String(metadata[key]) === String(value)
+  ));
+}
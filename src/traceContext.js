@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import { ValidationError } from './errors.js';
+
+/**
+ * Correlation IDs compatible with W3C Trace Context
+ * (https://www.w3.org/TR/trace-context/):
+ *   traceparent: 00-<32 hex trace ID>-<16 hex parent span ID>-<2 hex flags>
+ *
+ * One trace ID follows an email from the HTTP request or addEmail call
+ * through every queue attempt, provider attempt and log entry.
+ */
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const TRACE_ID_PATTERN = /^[0-9a-f]{32}$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * Generate a random trace ID
+ * @returns {string} - 32 lowercase hex characters
+ */
+export function generateTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Generate a random span ID
+ * @returns {string} - 16 lowercase hex characters
+ */
+export function generateSpanId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Check that a value is a usable trace ID
+ * @param {string} traceId - Candidate trace ID
+ * @returns {boolean} - Whether it is 32 hex characters and not all zeros
+ */
+export function isValidTraceId(traceId) {
+  return typeof traceId === 'string' && TRACE_ID_PATTERN.test(traceId) && traceId !== INVALID_TRACE_ID;
+}
+
+/**
+ * Parse a traceparent header
+ * @param {string} header - Header value
+ * @returns {Object|null} - { version, traceId, parentId, flags }, or null when invalid
+ */
+export function parseTraceparent(header) {
+  const match = typeof header === 'string' && TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, parentId, flags] = match;
+  if (version === 'ff' || traceId === INVALID_TRACE_ID || parentId === INVALID_SPAN_ID) {
+    return null;
+  }
+  return { version, traceId, parentId, flags };
+}
+
+/**
+ * Format a traceparent header
+ * @param {string} traceId - Trace ID
+ * @param {string} spanId - ID of the span making the call
+ * @param {string} flags - Trace flags, `01` is sampled
+ * @returns {string} - Header value
+ */
+export function formatTraceparent(traceId, spanId = generateSpanId(), flags = '01') {
+  return `00-${traceId}-${spanId}-${flags}`;
+}
+
+/**
+ * Use the caller's trace ID, or start a new trace when none is given
+ * @param {string} traceId - Trace ID supplied by the caller
+ * @returns {string} - Trace ID
+ * @throws {ValidationError} - When a trace ID is given but malformed
+ */
+export function resolveTraceId(traceId) {
+  if (traceId === undefined || traceId === null) {
+    return generateTraceId();
+  }
+  if (!isValidTraceId(traceId)) {
+    throw new ValidationError('traceId must be 32 lowercase hex characters', { field: 'traceId' });
+  }
+  return traceId;
+}
@@ -6,7 +6,7 @@ try {
   const service = new EmailService({ logLevel: 'error' });
   console.log('✅ EmailService imported and created successfully');
   
-  const status = service.getStatus();
+  const status = await service.getStatus();
   console.log('✅ Service status retrieved:', {
     providers: status.providers.length,
     currentProvider: status.currentProvider
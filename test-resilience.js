@@ -88,8 +88,9 @@ for (let i = 1; i <= 4; i++) {
 }
 
 console.log('\n📊 Service Status Summary:');
-console.log('Fallback Service:', emailService.getStatus().providers[emailService.getStatus().currentProvider]?.name);
-console.log('Rate Limited Service - Remaining:', rateLimitedService.getStatus().rateLimiter.remaining);
-console.log('Circuit Test Service - Provider State:', circuitTestService.getStatus().providers[0]?.circuitBreaker.state);
+const fallbackStatus = await emailService.getStatus();
+console.log('Fallback Service:', fallbackStatus.providers[fallbackStatus.currentProvider]?.name);
+console.log('Rate Limited Service - Remaining:', (await rateLimitedService.getStatus()).rateLimiter.remaining);
+console.log('Circuit Test Service - Provider State:', (await circuitTestService.getStatus()).providers[0]?.circuitBreaker.state);
 
 console.log('\n🎉 Resilience testing completed!');
@@ -0,0 +1,61 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { ApiKeyAuth } from '../src/ApiKeyAuth.js';
+
+describe('ApiKeyAuth', () => {
+  const auth = new ApiKeyAuth({
+    tenants: [
+      { id: 'acme', key: 'acme-key', allowedFromDomains: ['Acme.com'], rateLimit: 5 },
+      { id: 'globex', key: ['globex-old', 'globex-new'] }
+    ]
+  });
+
+  test('should resolve keys to tenants', () => {
+    assert.equal(auth.authenticate('acme-key').id, 'acme');
+    assert.equal(auth.authenticate('globex-old').id, 'globex');
+    assert.equal(auth.authenticate('globex-new').id, 'globex');
+    assert.equal(auth.authenticate('wrong'), null);
+    assert.equal(auth.authenticate(''), null);
+    assert.equal(auth.authenticate(undefined), null);
+  });
+
+  test('should list each tenant once', () => {
+    assert.deepEqual(auth.getTenants().map(tenant => tenant.id), ['acme', 'globex']);
+  });
+
+  test('should reject invalid tenants', () => {
+    assert.throws(() => new ApiKeyAuth({ tenants: [{ key: 'k' }] }), /requires an id/);
+    assert.throws(() => new ApiKeyAuth({ tenants: [{ id: 'x' }] }), /requires an API key/);
+  });
+
+  test('should check sender domains', () => {
+    const acme = auth.authenticate('acme-key');
+    assert.equal(auth.isSenderAllowed(acme, 'billing@acme.com'), true);
+    assert.equal(auth.isSenderAllowed(acme, 'Billing <billing@ACME.com>'), true);
+    assert.equal(auth.isSenderAllowed(acme, 'someone@evil.com'), false);
+    assert.equal(auth.isSenderAllowed(acme, 'someone@notacme.com'), false);
+    assert.equal(auth.isSenderAllowed(acme, undefined), false);
+    assert.equal(auth.isSenderAllowed(acme, '"billing@acme.com" <someone@evil.com>'), false);
+    assert.equal(auth.isSenderAllowed(acme, 'someone@evil.com, billing@acme.com'), false);
+
+    const globex = auth.authenticate('globex-new');
+    assert.equal(auth.isSenderAllowed(globex, 'anyone@anywhere.com'), true);
+  });
+
+  test('should read keys from Authorization and X-API-Key headers', () => {
+    const middleware = auth.middleware();
+    const request = headers => ({ get: name => headers[name] });
+
+    const bearer = request({ authorization: 'Bearer acme-key' });
+    middleware(bearer, {}, error => assert.equal(error, undefined));
+    assert.equal(bearer.tenant.id, 'acme');
+
+    const header = request({ 'x-api-key': 'globex-old' });
+    middleware(header, {}, error => assert.equal(error, undefined));
+    assert.equal(header.tenant.id, 'globex');
+
+    let rejected;
+    middleware(request({}), {}, error => { rejected = error; });
+    assert.equal(rejected.code, 'UNAUTHORIZED');
+  });
+});
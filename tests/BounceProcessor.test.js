@@ -0,0 +1,173 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { BounceProcessor } from '../src/BounceProcessor.js';
+import { EmailService } from '../src/EmailService.js';
+import { SuppressionList } from '../src/SuppressionList.js';
+import { EVENTS } from '../src/events.js';
+import { Logger } from '../src/Logger.js';
+import { MemoryTransport } from '../src/LogTransports.js';
+
+function createService() {
+  return new EmailService({
+    providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+    logLevel: 'error'
+  });
+}
+
+function createWebhooks() {
+  const emitted = [];
+  return { emitted, emit: (event, data) => emitted.push({ event, data }) };
+}
+
+const email = { to: 'ana@example.com', subject: 'Welcome', body: 'Hi' };
+
+describe('BounceProcessor', () => {
+  test('should link feedback to the send and suppress hard bounces', async () => {
+    const emailService = createService();
+    const webhooks = createWebhooks();
+    const bounces = new BounceProcessor({ emailService, webhooks, logLevel: 'error' });
+    const { messageId, traceId } = await emailService.sendEmail(email, { tenant: 'acme' });
+
+    const [event] = await bounces.processWebhook('generic', {
+      type: 'bounce',
+      bounceType: 'hard',
+      recipient: 'ana@example.com',
+      messageId,
+      status: '5.1.1'
+    });
+
+    assert.equal(event.linked, true);
+    assert.equal(event.tenant, 'acme');
+    assert.equal(event.traceId, traceId);
+    assert.equal(event.suppressed, true);
+
+    const entry = await emailService.suppressions.get('ana@example.com', { tenant: 'acme' });
+    assert.equal(entry.reason, 'hard-bounce');
+    assert.equal(entry.source, 'webhook');
+    assert.equal(await emailService.suppressions.get('ana@example.com'), null);
+
+    assert.equal(webhooks.emitted[0].event, 'bounced');
+    assert.equal(webhooks.emitted[0].data.bounceType, 'hard');
+    assert.equal(webhooks.emitted[0].data.tenant, 'acme');
+    assert.equal(webhooks.emitted[0].data.messageId, messageId);
+
+    await assert.rejects(emailService.sendEmail({ ...email, subject: 'Again' }, { tenant: 'acme' }), { code: 'SUPPRESSED' });
+    bounces.close();
+  });
+
+  test('should report soft bounces without suppressing', async () => {
+    const suppressions = new SuppressionList({ logLevel: 'error' });
+    const webhooks = createWebhooks();
+    const bounces = new BounceProcessor({ suppressions, webhooks, logLevel: 'error' });
+
+    const events = [];
+    bounces.on(EVENTS.FEEDBACK_RECEIVED, event => events.push(event));
+
+    const [event] = await bounces.processWebhook('generic', { type: 'bounce', bounceType: 'soft', recipient: 'bo@example.com' });
+    assert.equal(event.suppressed, false);
+    assert.equal(event.linked, false);
+    assert.equal(await suppressions.size(), 0);
+    assert.equal(webhooks.emitted[0].data.bounceType, 'soft');
+    assert.equal(events[0].type, 'soft-bounce');
+    assert.ok(events[0].reportedAt instanceof Date);
+  });
+
+  test('should suppress complaints from DSN-style reports globally when unlinked', async () => {
+    const suppressions = new SuppressionList({ logLevel: 'error' });
+    const webhooks = createWebhooks();
+    const bounces = new BounceProcessor({ suppressions, webhooks, logLevel: 'error' });
+
+    const arf = [
+      'Content-Type: multipart/report; report-type=feedback-report; boundary=b',
+      '',
+      '--b',
+      'Content-Type: message/feedback-report',
+      '',
+      'Feedback-Type: abuse',
+      'Original-Rcpt-To: cy@example.com',
+      '--b--'
+    ].join('\n');
+    const [event] = await bounces.processDsn(arf);
+
+    assert.equal(event.type, 'complaint');
+    assert.equal(event.tenant, null);
+    assert.equal((await suppressions.get('cy@example.com')).reason, 'complaint');
+    assert.equal((await suppressions.get('cy@example.com')).source, 'arf');
+    assert.equal(webhooks.emitted[0].event, 'complained');
+    assert.equal(webhooks.emitted[0].data.bounceType, undefined);
+  });
+
+  test('should not suppress delivered or opened recipients', async () => {
+    const suppressions = new SuppressionList({ logLevel: 'error' });
+    const transport = new MemoryTransport();
+    const bounces = new BounceProcessor({ suppressions, logger: new Logger({ transports: [transport] }) });
+
+    const events = await bounces.processWebhook('generic', [
+      { type: 'delivery', recipient: 'ana@example.com', messageId: 'msg-1' },
+      { type: 'open', recipient: 'ana@example.com', messageId: 'msg-1' }
+    ]);
+    assert.deepEqual(events.map(event => event.type), ['delivered', 'opened']);
+    assert.deepEqual(events.map(event => event.suppressed), [false, false]);
+    assert.equal(await suppressions.size(), 0);
+    assert.deepEqual(transport.entries.filter(entry => entry.level === 'warn'), []);
+  });
+
+  test('should skip recipients the suppression list rejects', async () => {
+    const bounces = new BounceProcessor({ suppressions: new SuppressionList({ logLevel: 'error' }), logLevel: 'error' });
+
+    const events = await bounces.processWebhook('generic', [
+      { type: 'bounce', recipient: 'not-an-address' },
+      { type: 'bounce', recipient: 'ana@example.com' }
+    ]);
+    assert.deepEqual(events.map(event => event.suppressed), [false, true]);
+  });
+
+  test('should move messages along in the ledger', async () => {
+    const emailService = createService();
+    const webhooks = createWebhooks();
+    const { messageId, traceId } = await emailService.sendEmail(email, { tenant: 'acme' });
+    // A fresh processor only finds the send in the ledger
+    const bounces = new BounceProcessor({ ledger: emailService.ledger, webhooks, logLevel: 'error' });
+
+    const [delivered, opened] = await bounces.processWebhook('generic', [
+      { type: 'delivery', recipient: 'ana@example.com', messageId, status: '250 OK' },
+      { type: 'open', recipient: 'ana@example.com', messageId }
+    ]);
+    assert.equal(delivered.linked, true);
+    assert.equal(delivered.traceId, traceId);
+    assert.equal(delivered.messageStatus, 'delivered');
+    assert.equal(delivered.suppressed, false);
+    assert.equal(opened.messageStatus, 'opened');
+    assert.deepEqual(webhooks.emitted, []);
+
+    const entry = await emailService.ledger.get(messageId);
+    assert.deepEqual(entry.history.map(event => event.status), ['accepted', 'sent', 'delivered', 'opened']);
+    assert.equal(entry.history[2].recipient, 'ana@example.com');
+    assert.equal(entry.history[2].source, 'webhook');
+    assert.equal(entry.history[2].code, '250 OK');
+
+    const [unknown] = await bounces.processWebhook('generic', { type: 'delivery', recipient: 'bo@example.com', messageId: 'other' });
+    assert.equal(unknown.messageStatus, null);
+  });
+
+  test('should remember a bounded number of sent messages', () => {
+    const bounces = new BounceProcessor({ maxTracked: 2, logLevel: 'error' });
+
+    bounces.track('msg-1', { tenant: 'acme' });
+    bounces.track('msg-2', { tenant: 'acme' });
+    bounces.track('msg-3', { tenant: 'globex' });
+
+    assert.equal(bounces.getMessage('msg-1'), null);
+    assert.equal(bounces.getMessage('msg-3').tenant, 'globex');
+    assert.equal(bounces.getMessage(null), null);
+  });
+
+  test('should stop linking sends after close', async () => {
+    const emailService = createService();
+    const bounces = new BounceProcessor({ emailService, logLevel: 'error' });
+    bounces.close();
+
+    const { messageId } = await emailService.sendEmail(email);
+    assert.equal(bounces.getMessage(messageId), null);
+  });
+});
@@ -1,6 +1,8 @@
 import { strict as assert } from 'assert';
 import { test, describe } from 'node:test';
 import { CircuitBreaker } from '../src/CircuitBreaker.js';
+import { Tracer } from '../src/Tracer.js';
+import { InMemoryExporter } from '../src/TraceExporters.js';
 
 describe('CircuitBreaker', () => {
   test('should start in CLOSED state', () => {
@@ -112,4 +114,62 @@ describe('CircuitBreaker', () => {
     assert.equal(cb.failureCount, 0);
     assert.equal(cb.state, 'CLOSED');
   });
+
+  test('should ignore errors that are not failures', async () => {
+    const cb = new CircuitBreaker({
+      failureThreshold: 1,
+      isFailure: error => error.message !== 'rejected'
+    });
+    
+    await assert.rejects(cb.execute(() => Promise.reject(new Error('rejected'))));
+    assert.equal(cb.state, 'CLOSED');
+    assert.equal(cb.failureCount, 0);
+    
+    await assert.rejects(cb.execute(() => Promise.reject(new Error('failure'))));
+    assert.equal(cb.state, 'OPEN');
+    
+    await assert.rejects(cb.execute(() => Promise.resolve()), error => error.code === 'CIRCUIT_OPEN');
+  });
+
+  test('should emit circuit-state-changed events', async () => {
+    const changes = [];
+    const cb = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 10 });
+    cb.on('circuit-state-changed', ({ state, previousState, timestamp }) => {
+      assert.ok(timestamp instanceof Date);
+      changes.push([previousState, state]);
+    });
+    
+    await assert.rejects(cb.execute(() => Promise.reject(new Error('failure'))));
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await cb.execute(() => Promise.resolve());
+    
+    assert.deepEqual(changes, [
+      ['CLOSED', 'OPEN'],
+      ['OPEN', 'HALF_OPEN'],
+      ['HALF_OPEN', 'CLOSED']
+    ]);
+  });
+
+  test('should record a span for each decision', async () => {
+    const exporter = new InMemoryExporter();
+    const tracer = new Tracer({ exporter });
+    const circuitBreaker = new CircuitBreaker({ name: 'Provider1', tracer, failureThreshold: 1, resetTimeout: 20 });
+    const parent = tracer.startSpan('attempt');
+    
+    await assert.rejects(circuitBreaker.execute(async () => { throw new Error('down'); }, parent));
+    await assert.rejects(circuitBreaker.execute(async () => 'ok', parent), { code: 'CIRCUIT_OPEN' });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await circuitBreaker.execute(async () => 'ok');
+    
+    const decisions = exporter.getFinishedSpans('CircuitBreaker.decision');
+    assert.deepEqual(decisions.map(span => [span.attributes['circuit_breaker.decision'], span.attributes['circuit_breaker.state']]), [
+      ['allowed', 'CLOSED'],
+      ['rejected', 'OPEN'],
+      ['trial', 'HALF_OPEN']
+    ]);
+    assert.equal(decisions[0].parentSpanId, parent.spanId);
+    assert.equal(decisions[0].traceId, parent.traceId);
+    assert.equal(decisions[1].attributes['circuit_breaker.failure_count'], 1);
+    assert.equal(decisions[2].attributes['circuit_breaker.name'], 'Provider1');
+  });
 });
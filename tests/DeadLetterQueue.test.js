@@ -0,0 +1,95 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DeadLetterQueue } from '../src/DeadLetterQueue.js';
+
+function createFailedItem(id, overrides = {}) {
+  return {
+    id,
+    email: { to: `${id}@example.com`, subject: 'Subject', body: 'Body' },
+    options: { priority: 1 },
+    priority: 1,
+    attempts: 2,
+    maxAttempts: 2,
+    attemptHistory: [
+      { attempt: 1, provider: 'Provider-A', error: 'Timeout', code: 'PROVIDER_TRANSIENT' },
+      { attempt: 2, provider: 'Provider-B', error: 'Timeout', code: 'PROVIDER_TRANSIENT' }
+    ],
+    error: 'Timeout',
+    errorCode: 'PROVIDER_TRANSIENT',
+    createdAt: new Date(),
+    failedAt: new Date(),
+    status: 'failed',
+    ...overrides
+  };
+}
+
+describe('DeadLetterQueue', () => {
+  test('should add and show entries with attempt history', async () => {
+    const dlq = new DeadLetterQueue({ logLevel: 'error' });
+
+    await dlq.add(createFailedItem('item-1'));
+
+    const entry = await dlq.get('item-1');
+    assert.equal(entry.status, 'dead');
+    assert.equal(entry.email.body, 'Body');
+    assert.equal(entry.attemptHistory.length, 2);
+    assert.ok(entry.deadLetteredAt instanceof Date);
+    assert.equal(await dlq.get('missing'), null);
+  });
+
+  test('should list summaries most recent first', async () => {
+    const dlq = new DeadLetterQueue({ logLevel: 'error' });
+
+    await dlq.add(createFailedItem('older'));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await dlq.add(createFailedItem('newer', { errorCode: 'PROVIDER_PERMANENT' }));
+
+    const entries = await dlq.list();
+    assert.deepEqual(entries.map(entry => entry.id), ['newer', 'older']);
+    assert.equal(entries[0].lastProvider, 'Provider-B');
+    assert.equal(entries[0].email.to, 'newer@example.com');
+    assert.equal(entries[0].email.body, undefined);
+
+    assert.equal((await dlq.list({ errorCode: 'PROVIDER_PERMANENT' })).length, 1);
+    assert.equal((await dlq.list({ limit: 1 })).length, 1);
+    assert.equal(await dlq.size(), 2);
+  });
+
+  test('should replace an entry for the same item', async () => {
+    const dlq = new DeadLetterQueue({ logLevel: 'error' });
+
+    await dlq.add(createFailedItem('item-1'));
+    await dlq.add(createFailedItem('item-1', { error: 'Second failure' }));
+
+    assert.equal(await dlq.size(), 1);
+    assert.equal((await dlq.get('item-1')).error, 'Second failure');
+  });
+
+  test('should purge entries', async () => {
+    const dlq = new DeadLetterQueue({ logLevel: 'error' });
+
+    await dlq.add(createFailedItem('item-1'));
+    await dlq.add(createFailedItem('item-2'));
+
+    assert.equal(await dlq.purge({ olderThan: 60000 }), 0);
+    assert.equal(await dlq.purge(), 2);
+    assert.equal(await dlq.size(), 0);
+  });
+
+  test('should persist entries in file storage', async () => {
+    const journalPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'dead-letter-')), 'dlq.journal');
+
+    const dlq = new DeadLetterQueue({ storage: { type: 'file', path: journalPath }, logLevel: 'error' });
+    await dlq.add(createFailedItem('item-1'));
+    await dlq.close();
+
+    const reopened = new DeadLetterQueue({ storage: { type: 'file', path: journalPath }, logLevel: 'error' });
+    const entry = await reopened.get('item-1');
+    assert.equal(entry.attemptHistory[1].provider, 'Provider-B');
+    assert.ok(entry.deadLetteredAt instanceof Date);
+    await reopened.close();
+  });
+});
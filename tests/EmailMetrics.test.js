@@ -0,0 +1,130 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { EmailMetrics } from '../src/EmailMetrics.js';
+import { EmailService } from '../src/EmailService.js';
+import { EmailQueue } from '../src/EmailQueue.js';
+import { PermanentProviderError } from '../src/errors.js';
+
+describe('EmailMetrics', () => {
+  test('should count sends, failures, retries and fallbacks per provider', async () => {
+    const emailService = new EmailService({
+      providers: [
+        { name: 'Provider1', failureRate: 1, latency: 1 },
+        { name: 'Provider2', failureRate: 0, latency: 1 }
+      ],
+      maxRetries: 2,
+      baseDelay: 1,
+      logLevel: 'error'
+    });
+    const metrics = new EmailMetrics({ emailService });
+
+    await emailService.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+
+    assert.equal(metrics.sends.get({ provider: 'Provider1', outcome: 'failure' }), 2);
+    assert.equal(metrics.sends.get({ provider: 'Provider2', outcome: 'success' }), 1);
+    assert.equal(metrics.failures.get({ provider: 'Provider1', error_class: 'PROVIDER_TRANSIENT' }), 2);
+    assert.equal(metrics.retries.get({ provider: 'Provider1' }), 1);
+    assert.equal(metrics.fallbacks.get({ from: 'Provider1', to: 'Provider2' }), 1);
+    assert.equal(metrics.latency.get({ provider: 'Provider2', outcome: 'success' }).count, 1);
+
+    const text = metrics.render();
+    assert.match(text, /^email_provider_sends_total\{provider="Provider2",outcome="success"\} 1$/m);
+    assert.match(text, /^email_provider_send_duration_seconds_bucket\{provider="Provider2",outcome="success",le="\+Inf"\} 1$/m);
+    assert.match(text, /^email_circuit_breaker_state\{provider="Provider1"\} 0$/m);
+  });
+
+  test('should report circuit breaker state and transitions', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 1, latency: 1 }],
+      maxRetries: 1,
+      circuitBreakerThreshold: 1,
+      logLevel: 'error'
+    });
+    const metrics = new EmailMetrics({ emailService });
+
+    await assert.rejects(emailService.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }));
+
+    assert.equal(metrics.circuitTransitions.get({ provider: 'Provider1', state: 'OPEN' }), 1);
+    assert.match(metrics.render(), /^email_circuit_breaker_state\{provider="Provider1"\} 2$/m);
+  });
+
+  test('should count rate limited and duplicate sends', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      rateLimit: 1,
+      logLevel: 'error'
+    });
+    const metrics = new EmailMetrics({ emailService });
+
+    const email = { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' };
+    await emailService.sendEmail(email);
+    await emailService.sendEmail(email);
+    await assert.rejects(emailService.sendEmail({ ...email, subject: 'Other' }));
+
+    assert.equal(metrics.duplicates.get(), 1);
+    assert.equal(metrics.rateLimited.get(), 1);
+  });
+
+  test('should count suppressed recipients by reason', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const metrics = new EmailMetrics({ emailService });
+    await emailService.suppressions.add('ana@example.com', { reason: 'hard-bounce' });
+    await emailService.suppressions.add('bo@example.com', { reason: 'unsubscribe' });
+
+    await emailService.sendEmail({ to: 'ana@example.com, cy@example.com', subject: 'Test Subject', body: 'Test Body' });
+    await assert.rejects(emailService.sendEmail({ to: 'ana@example.com', cc: 'bo@example.com', subject: 'Other', body: 'Test Body' }));
+
+    assert.equal(metrics.suppressed.get({ reason: 'hard-bounce' }), 2);
+    assert.equal(metrics.suppressed.get({ reason: 'unsubscribe' }), 1);
+    assert.match(metrics.render(), /^email_recipients_suppressed_total\{reason="hard-bounce"\} 2$/m);
+  });
+
+  test('should report queue depth, oldest pending age and outcomes', async () => {
+    const emailQueue = new EmailQueue({
+      emailService: {
+        sendEmail: async () => {
+          throw new PermanentProviderError('Rejected', { provider: 'Provider1' });
+        }
+      },
+      logLevel: 'error'
+    });
+    const metrics = new EmailMetrics({ emailQueue });
+
+    await emailQueue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    emailQueue.queue[0].createdAt = new Date(Date.now() - 60000);
+    await emailQueue.addEmail({ to: 'other@example.com', subject: 'Test Subject', body: 'Test Body' }, {
+      sendAt: Date.now() + 60000
+    });
+    // Scheduled long ago for later, it is not late
+    emailQueue.queue.find(item => item.sendAt).createdAt = new Date(Date.now() - 3600000);
+
+    let text = metrics.render();
+    assert.match(text, /^email_queue_depth\{status="pending"\} 2$/m);
+    const age = Number(text.match(/^email_queue_oldest_pending_age_seconds (\S+)$/m)[1]);
+    assert.ok(age >= 60 && age < 70);
+
+    await emailQueue.processQueue();
+
+    text = metrics.render();
+    assert.match(text, /^email_queue_oldest_pending_age_seconds 0$/m);
+    assert.match(text, /^email_queue_depth\{status="pending"\} 1$/m);
+    assert.match(text, /^email_queue_depth\{status="failed"\} 1$/m);
+    assert.equal(metrics.queueCompleted.get({ status: 'failed' }), 1);
+  });
+
+  test('should stop observing after close', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const metrics = new EmailMetrics({ emailService });
+    metrics.close();
+
+    await emailService.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    assert.equal(metrics.sends.get({ provider: 'Provider1', outcome: 'success' }), 0);
+    assert.equal(emailService.listenerCount('attempt-succeeded'), 0);
+  });
+});
@@ -2,6 +2,16 @@ import { strict as assert } from 'assert';
 import { test, describe } from 'node:test';
 import { EmailQueue } from '../src/EmailQueue.js';
 import { EmailService } from '../src/EmailService.js';
+import { PermanentProviderError } from '../src/errors.js';
+import { FileQueueStore } from '../src/FileQueueStore.js';
+import { Logger } from '../src/Logger.js';
+import { MemoryTransport } from '../src/LogTransports.js';
+import { Tracer } from '../src/Tracer.js';
+import { InMemoryExporter } from '../src/TraceExporters.js';
+import fs from 'fs/promises';
+import { Readable } from 'stream';
+import os from 'os';
+import path from 'path';
 
 describe('EmailQueue', () => {
   test('should create queue with default settings', () => {
@@ -134,6 +144,8 @@ describe('EmailQueue', () => {
       emailService: mockEmailService,
       retryAttempts: 5
     });
+    // Make retries due immediately
+    queue.calculateRetryDelay = () => 0;
     
     const email = {
       to: 'test@example.com',
@@ -168,6 +180,7 @@ describe('EmailQueue', () => {
       emailService: mockEmailService,
       retryAttempts: 2
     });
+    queue.calculateRetryDelay = () => 0;
     
     const email = {
       to: 'test@example.com',
@@ -241,6 +254,65 @@ describe('EmailQueue', () => {
     assert.equal(pendingItems.length, 2);
   });
 
+  test('should get a single queue item', async () => {
+    const queue = new EmailQueue();
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { priority: 2 });
+    
+    const item = queue.getQueueItem(id);
+    assert.equal(item.id, id);
+    assert.equal(item.status, 'pending');
+    assert.equal(item.priority, 2);
+    assert.equal(item.email.to, 'test@example.com');
+    assert.deepEqual(item.attemptHistory, []);
+    assert.equal(item.email.body, undefined);
+    
+    assert.equal(queue.getQueueItem('missing'), null);
+  });
+
+  test('should scope queue items to tenants', async () => {
+    const queue = new EmailQueue();
+    
+    const email = { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' };
+    const acmeId = await queue.addEmail(email, { tenant: 'acme' });
+    await queue.addEmail(email, { tenant: 'globex' });
+    await queue.addEmail(email);
+    
+    assert.equal(queue.getQueueItem(acmeId).tenant, 'acme');
+    assert.deepEqual(queue.getQueueItems({ tenant: 'acme' }).map(item => item.id), [acmeId]);
+    assert.equal(queue.getQueueItems().length, 3);
+    
+    const stats = queue.getStats({ tenant: 'acme' });
+    assert.equal(stats.queueSize, 1);
+    assert.equal(stats.pending, 1);
+    assert.equal(queue.getStats().pending, 3);
+  });
+
+  test('should cancel pending items', async () => {
+    let sent = 0;
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async () => {
+          sent++;
+          return { success: true, messageId: 'sent', provider: 'Provider-A' };
+        }
+      }
+    });
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    
+    const cancelled = await queue.cancelItem(id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.ok(cancelled.cancelledAt instanceof Date);
+    assert.equal(queue.getStats().pending, 0);
+    
+    await queue.processQueue();
+    assert.equal(sent, 0);
+    
+    await assert.rejects(queue.cancelItem(id), error => error.code === 'QUEUE_ITEM_NOT_CANCELLABLE');
+    assert.equal(await queue.cancelItem('missing'), null);
+  });
+
   test('should remove items from queue', async () => {
     const queue = new EmailQueue();
     
@@ -330,4 +402,640 @@ describe('EmailQueue', () => {
     assert.ok(id1.startsWith('queue-'));
     assert.ok(id2.startsWith('queue-'));
   });
+
+  test('should fail items immediately on permanent errors', async () => {
+    let attempts = 0;
+    const mockEmailService = {
+      sendEmail: async (email) => {
+        attempts++;
+        throw new PermanentProviderError('Recipient rejected');
+      }
+    };
+    
+    const queue = new EmailQueue({
+      emailService: mockEmailService,
+      retryAttempts: 5
+    });
+    
+    await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    await queue.processQueue();
+    
+    const queueItem = queue.queue[0];
+    assert.equal(queueItem.status, 'failed');
+    assert.equal(queueItem.errorCode, 'PROVIDER_PERMANENT');
+    assert.equal(attempts, 1);
+    assert.equal(queue.stats.failed, 1);
+    assert.equal(queue.stats.pending, 0);
+  });
+
+  test('should persist items to the store', async () => {
+    const journalPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'email-queue-')), 'queue.journal');
+    const queue = new EmailQueue({ storage: { type: 'file', path: journalPath } });
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    await queue.close();
+    
+    const store = new FileQueueStore({ path: journalPath });
+    await store.open();
+    const [item] = await store.list();
+    assert.equal(item.id, id);
+    assert.equal(item.status, 'pending');
+    await store.close();
+  });
+
+  test('should resume unfinished items after a restart', async () => {
+    const journalPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'email-queue-')), 'queue.journal');
+    const failingService = {
+      sendEmail: async () => { throw new Error('Temporary failure'); }
+    };
+    
+    const first = new EmailQueue({ emailService: failingService, storage: { type: 'file', path: journalPath } });
+    const pendingId = await first.addEmail({ to: 'pending@example.com', subject: 'Pending', body: 'Body' });
+    const retryId = await first.addEmail({ to: 'retry@example.com', subject: 'Retry', body: 'Body' }, { priority: 5 });
+    await first.processQueueItem(first.queue.find(item => item.id === retryId));
+    
+    // Simulate a crash while an item was being sent
+    const crashedItem = first.queue.find(item => item.id === pendingId);
+    crashedItem.status = 'processing';
+    crashedItem.attempts++;
+    await first.store.claim(crashedItem);
+    await first.close();
+    
+    const sent = [];
+    const second = new EmailQueue({
+      emailService: {
+        sendEmail: async (email) => {
+          sent.push(email.to);
+          return { success: true, messageId: `id-${sent.length}`, provider: 'TestProvider' };
+        }
+      },
+      storage: { type: 'file', path: journalPath }
+    });
+    await second.init();
+    
+    assert.equal(second.queue.length, 2);
+    assert.equal(second.stats.pending, 2);
+    assert.equal(second.queue.find(item => item.id === retryId).attempts, 1);
+    assert.equal(second.queue.find(item => item.id === pendingId).status, 'pending');
+    
+    for (const item of second.queue) {
+      await second.processQueueItem(item);
+    }
+    assert.deepEqual(sent.sort(), ['pending@example.com', 'retry@example.com']);
+    await second.close();
+    
+    const store = new FileQueueStore({ path: journalPath });
+    await store.open();
+    assert.equal((await store.list({ status: 'completed' })).length, 2);
+    await store.close();
+  });
+
+  test('should skip items claimed by another worker', async () => {
+    let sends = 0;
+    const queue = new EmailQueue({
+      emailService: { sendEmail: async () => { sends++; return { messageId: 'id' }; } }
+    });
+    
+    await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    queue.store.claim = async () => false;
+    
+    await queue.processQueue();
+    assert.equal(sends, 0);
+    assert.equal(queue.queue[0].status, 'pending');
+    assert.equal(queue.queue[0].attempts, 0);
+  });
+
+  test('should not pick up items before nextAttempt', async () => {
+    let attempts = 0;
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async () => {
+          attempts++;
+          throw new Error('Temporary failure');
+        }
+      },
+      retryAttempts: 5
+    });
+    queue.calculateRetryDelay = () => 50;
+    
+    await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    
+    await queue.processQueue();
+    assert.equal(attempts, 1);
+    assert.ok(queue.queue[0].nextAttempt > new Date());
+    assert.equal(queue.getStats().waiting, 1);
+    assert.equal(queue.getStats().oldestPendingAge, 0);
+    
+    // Still backing off
+    await queue.processQueue();
+    assert.equal(attempts, 1);
+    
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await queue.processQueue();
+    assert.equal(attempts, 2);
+  });
+
+  test('should schedule emails with sendAt', async () => {
+    const sent = [];
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async (email) => {
+          sent.push(email.to);
+          return { success: true, messageId: 'id', provider: 'TestProvider' };
+        }
+      }
+    });
+    
+    const sendAt = new Date(Date.now() + 50);
+    await queue.addEmail({ to: 'later@example.com', subject: 'Later', body: 'Body' }, { sendAt, priority: 10 });
+    await queue.addEmail({ to: 'now@example.com', subject: 'Now', body: 'Body' });
+    
+    const [scheduled] = queue.getQueueItems({ status: 'pending' });
+    assert.equal(scheduled.nextAttempt.getTime(), sendAt.getTime());
+    
+    await queue.processQueue();
+    assert.deepEqual(sent, ['now@example.com']);
+    
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await queue.processQueue();
+    assert.deepEqual(sent, ['now@example.com', 'later@example.com']);
+  });
+
+  test('should accept sendAt as timestamp or ISO string', async () => {
+    const queue = new EmailQueue();
+    const email = { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' };
+    const time = Date.now() + 60000;
+    
+    await queue.addEmail(email, { sendAt: time });
+    await queue.addEmail(email, { sendAt: new Date(time).toISOString() });
+    await queue.addEmail(email, { sendAt: String(time) });
+    
+    assert.ok(queue.queue.every(item => item.sendAt.getTime() === time));
+    
+    await assert.rejects(queue.addEmail(email, { sendAt: 'tomorrow-ish' }), error => error.code === 'VALIDATION_ERROR');
+  });
+
+  test('should dead-letter items that exhaust their attempts', async () => {
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async () => {
+          const error = new Error('Failed to send email after trying all providers: down');
+          error.code = 'ALL_PROVIDERS_FAILED';
+          error.providerErrors = [
+            { provider: 'Provider-A', error: 'down' },
+            { provider: 'Provider-B', error: 'down' }
+          ];
+          throw error;
+        }
+      },
+      retryAttempts: 2
+    });
+    queue.calculateRetryDelay = () => 0;
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    await queue.processQueue();
+    assert.equal(await queue.deadLetterQueue.size(), 0);
+    
+    await queue.processQueue();
+    
+    const entry = await queue.deadLetterQueue.get(id);
+    assert.equal(entry.email.body, 'Test Body');
+    assert.equal(entry.errorCode, 'ALL_PROVIDERS_FAILED');
+    assert.equal(entry.attemptHistory.length, 2);
+    assert.equal(entry.attemptHistory[1].provider, 'Provider-B');
+    assert.equal(entry.attemptHistory[1].providerErrors.length, 2);
+  });
+
+  test('should replay dead-lettered emails', async () => {
+    let fail = true;
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async () => {
+          if (fail) {
+            throw new PermanentProviderError('Rejected', { provider: 'Provider-A' });
+          }
+          return { success: true, messageId: 'replayed', provider: 'Provider-A' };
+        }
+      }
+    });
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { priority: 3 });
+    const otherId = await queue.addEmail({ to: 'other@example.com', subject: 'Other', body: 'Body' });
+    await queue.processQueue();
+    assert.equal(await queue.deadLetterQueue.size(), 2);
+    
+    fail = false;
+    const newId = await queue.replayDeadLetter(id);
+    assert.ok(newId);
+    assert.notEqual(newId, id);
+    assert.equal(queue.queue.find(item => item.id === id), undefined);
+    assert.equal(queue.queue.find(item => item.id === newId).priority, 3);
+    assert.equal(await queue.replayDeadLetter('missing'), null);
+    
+    const replayed = await queue.replayAllDeadLetters();
+    assert.equal(replayed.length, 1);
+    assert.equal(queue.queue.find(item => item.id === otherId), undefined);
+    assert.equal(await queue.deadLetterQueue.size(), 0);
+    
+    await queue.processQueue();
+    assert.equal(queue.stats.processed, 2);
+  });
+
+  test('should send replayed dead letters that failed permanently', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 1, failureType: 'permanent', latency: 1 }],
+      logLevel: 'error'
+    });
+    const queue = new EmailQueue({ emailService });
+    const email = { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' };
+    
+    const id = await queue.addEmail(email);
+    const keyedId = await queue.addEmail({ ...email, subject: 'Keyed' }, { idempotencyKey: 'order-1' });
+    await queue.processQueue();
+    assert.equal(await queue.deadLetterQueue.size(), 2);
+    
+    emailService.providers[0].failureRate = 0;
+    const newIds = [await queue.replayDeadLetter(id), await queue.replayDeadLetter(keyedId)];
+    await queue.processQueue();
+    
+    for (const newId of newIds) {
+      const item = queue.queue.find(queued => queued.id === newId);
+      assert.equal(item.status, 'completed');
+      assert.equal(item.result.provider, 'Provider-A');
+    }
+    assert.ok(await emailService.getSentEmail('order-1'));
+  });
+
+  test('should emit webhook events through the item lifecycle', async () => {
+    const events = [];
+    let failures = 1;
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async () => {
+          if (failures-- > 0) {
+            const error = new Error('Timeout');
+            error.code = 'PROVIDER_TRANSIENT';
+            throw error;
+          }
+          return { success: true, messageId: 'msg-1', provider: 'Provider-A' };
+        }
+      },
+      webhooks: { emit: (event, data) => events.push({ event, data }) }
+    });
+    queue.calculateRetryDelay = () => 0;
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { tenant: 'acme' });
+    await queue.processQueue();
+    await queue.processQueue();
+    
+    assert.deepEqual(events.map(({ event }) => event), ['queued', 'retrying', 'sent']);
+    assert.ok(events.every(({ data }) => data.id === id && data.tenant === 'acme'));
+    assert.equal(events[1].data.errorCode, 'PROVIDER_TRANSIENT');
+    assert.equal(events[2].data.messageId, 'msg-1');
+    assert.equal(events[2].data.email, undefined);
+  });
+
+  test('should emit failed and dead-lettered webhook events', async () => {
+    const events = [];
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async () => {
+          throw new PermanentProviderError('Mailbox does not exist', { provider: 'Provider-A' });
+        }
+      },
+      webhooks: { emit: (event, data) => events.push({ event, data }) }
+    });
+    
+    await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    await queue.processQueue();
+    
+    assert.deepEqual(events.map(({ event }) => event), ['queued', 'failed', 'dead-lettered']);
+    assert.equal(events[1].data.errorCode, 'PROVIDER_PERMANENT');
+    assert.ok(events[2].data.deadLetteredAt instanceof Date);
+  });
+
+  test('should emit item-completed events', async () => {
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async email => {
+          if (email.to === 'bad@example.com') {
+            throw new PermanentProviderError('Mailbox does not exist', { provider: 'Provider-A' });
+          }
+          return { success: true, messageId: 'msg-1', provider: 'Provider-A' };
+        }
+      }
+    });
+    
+    const events = [];
+    queue.on('item-completed', event => events.push(event));
+    
+    const goodId = await queue.addEmail({ to: 'good@example.com', subject: 'Test Subject', body: 'Test Body' });
+    const badId = await queue.addEmail({ to: 'bad@example.com', subject: 'Test Subject', body: 'Test Body' });
+    await queue.processQueue();
+    
+    const good = events.find(event => event.id === goodId);
+    assert.equal(good.status, 'completed');
+    assert.equal(good.result.messageId, 'msg-1');
+    
+    const bad = events.find(event => event.id === badId);
+    assert.equal(bad.status, 'failed');
+    assert.equal(bad.errorCode, 'PROVIDER_PERMANENT');
+    assert.equal(bad.attempts, 1);
+  });
+
+  test('should log with the queue item bound to the logger', async () => {
+    const transport = new MemoryTransport();
+    let sendLogger;
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async (email, options) => {
+          sendLogger = options.logger;
+          return { success: true, messageId: 'msg-1', provider: 'Provider-A' };
+        }
+      },
+      logger: new Logger({ level: 'debug', transports: [transport] })
+    });
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { tenant: 'acme' });
+    await queue.processQueue();
+    
+    const processed = transport.find({ message: 'Queue item processed successfully' });
+    assert.equal(processed[0].queueItemId, id);
+    assert.equal(processed[0].tenant, 'acme');
+    assert.equal(sendLogger.context.queueItemId, id);
+    assert.equal(queue.queue[0].options.logger, undefined);
+  });
+
+  test('should send every attempt of an item with its trace ID', async () => {
+    const traceIds = [];
+    const queue = new EmailQueue({
+      emailService: {
+        sendEmail: async (email, options) => {
+          traceIds.push(options.traceId);
+          if (traceIds.length === 1) {
+            throw new Error('Temporary failure');
+          }
+          return { success: true, messageId: 'msg-1', provider: 'Provider-A', traceId: options.traceId };
+        }
+      },
+      logLevel: 'error'
+    });
+    
+    const events = [];
+    queue.on('item-retrying', event => events.push(event));
+    queue.on('item-completed', event => events.push(event));
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    const { traceId } = queue.getQueueItem(id);
+    assert.match(traceId, /^[0-9a-f]{32}$/);
+    
+    await queue.processQueue();
+    queue.queue[0].nextAttempt = new Date(0);
+    await queue.processQueue();
+    
+    assert.deepEqual(traceIds, [traceId, traceId]);
+    assert.deepEqual(events.map(event => event.traceId), [traceId, traceId]);
+    assert.equal(queue.getQueueItems()[0].traceId, traceId);
+    
+    const given = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const otherId = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { traceId: given });
+    assert.equal(queue.getQueueItem(otherId).traceId, given);
+    await assert.rejects(
+      queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { traceId: 'nope' }),
+      { field: 'traceId' }
+    );
+  });
+
+  test('should record a span for each processing attempt', async () => {
+    const exporter = new InMemoryExporter();
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      tracer: new Tracer({ exporter }),
+      logLevel: 'error'
+    });
+    const queue = new EmailQueue({ emailService, logLevel: 'error' });
+    let failures = 1;
+    const originalSend = emailService.sendEmail.bind(emailService);
+    emailService.sendEmail = async (email, options) => {
+      if (failures-- > 0) {
+        throw new Error('Temporary failure');
+      }
+      return originalSend(email, options);
+    };
+    
+    const id = await queue.addEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, {
+      tenant: 'acme',
+      parentSpanId: '00f067aa0ba902b7'
+    });
+    await queue.processQueue();
+    queue.queue[0].nextAttempt = new Date(0);
+    await queue.processQueue();
+    
+    const { traceId } = queue.getQueueItem(id);
+    const spans = exporter.getFinishedSpans('EmailQueue.processQueueItem');
+    assert.deepEqual(spans.map(span => [span.attributes['email.queue.attempt'], span.attributes['email.outcome']]), [
+      [1, 'retrying'],
+      [2, 'completed']
+    ]);
+    assert.ok(spans.every(span => span.traceId === traceId && span.parentSpanId === '00f067aa0ba902b7'));
+    assert.equal(spans[0].attributes['email.queue.item_id'], id);
+    assert.equal(spans[0].kind, 'CONSUMER');
+    assert.equal(spans[0].status.code, 'ERROR');
+    assert.equal(typeof spans[0].attributes['email.retry.delay_ms'], 'number');
+    assert.equal(spans[1].status.code, 'OK');
+    
+    const [send] = exporter.getFinishedSpans('EmailService.sendEmail');
+    assert.equal(send.parentSpanId, spans[1].spanId);
+    assert.equal(send.traceId, traceId);
+  });
+
+  test('should render template emails when they are queued', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      templates: { greeting: { subject: 'Hi {{name}}', body: 'Welcome, {{name}}!' } },
+      logLevel: 'error'
+    });
+    const queue = new EmailQueue({ emailService, logLevel: 'error' });
+
+    try {
+      assert.equal(queue.templates, emailService.templates);
+
+      const id = await queue.addEmail({ to: 'user@example.com', template: 'greeting', data: { name: 'Ana' } });
+      const item = queue.queue.find(queueItem => queueItem.id === id);
+      assert.deepEqual(item.email, { to: 'user@example.com', subject: 'Hi Ana', body: 'Welcome, Ana!' });
+      assert.deepEqual(queue.getQueueItem(id).template, { name: 'greeting', version: 1 });
+      assert.deepEqual(queue.getQueueItems()[0].template, { name: 'greeting', version: 1 });
+
+      // The item keeps the version it was rendered from
+      await emailService.templates.set('greeting', { subject: 'Hello {{name}}', body: 'Hi {{name}}' });
+      await queue.processQueueItem(item);
+      assert.equal(item.status, 'completed');
+      assert.deepEqual(item.result.template, { name: 'greeting', version: 1 });
+
+      await assert.rejects(
+        queue.addEmail({ to: 'user@example.com', template: 'greeting' }),
+        { code: 'TEMPLATE_VARIABLE_MISSING' }
+      );
+      assert.equal((await queue.getQueueItems()).length, 1);
+    } finally {
+      await queue.close();
+    }
+  });
+
+  test('should store attachments base64-encoded when they are queued', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      maxAttachmentSize: 10,
+      logLevel: 'error'
+    });
+    const queue = new EmailQueue({ emailService, logLevel: 'error' });
+    const email = { to: 'user@example.com', subject: 'Files', body: 'Attached' };
+
+    try {
+      const id = await queue.addEmail({
+        ...email,
+        attachments: [{ filename: 'a.txt', content: Readable.from(['stream', 'ed']) }]
+      });
+      const item = queue.queue.find(queueItem => queueItem.id === id);
+      assert.deepEqual(item.email.attachments, [
+        { filename: 'a.txt', contentType: 'text/plain', content: 'c3RyZWFtZWQ=', encoding: 'base64' }
+      ]);
+
+      let sent;
+      const provider = emailService.providers[0];
+      const sendEmail = provider.sendEmail.bind(provider);
+      provider.sendEmail = async (message, context) => {
+        sent = message;
+        return sendEmail(message, context);
+      };
+      await queue.processQueueItem(item);
+      assert.equal(item.status, 'completed');
+      assert.deepEqual(sent.attachments[0].content, Buffer.from('streamed'));
+
+      await assert.rejects(
+        queue.addEmail({ ...email, attachments: [{ content: 'far too long' }] }),
+        { code: 'MESSAGE_TOO_LARGE' }
+      );
+      assert.equal(queue.queue.length, 1);
+    } finally {
+      await queue.close();
+    }
+  });
+
+  test('should carry tags and metadata and filter items by them', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const queue = new EmailQueue({ emailService, logLevel: 'error' });
+    const email = { subject: 'Hello', body: 'Hi' };
+
+    try {
+      const reset = await queue.addEmail({
+        ...email,
+        to: 'ana@example.com',
+        tags: ['password-reset', 'password-reset'],
+        metadata: { userId: 42 }
+      });
+      await queue.addEmail({ ...email, to: 'bo@example.com', tags: 'password-reset', metadata: { userId: 7 } });
+      await queue.addEmail({ ...email, to: 'cy@example.com', tags: ['newsletter'], metadata: { userId: 42 } });
+      await queue.addEmail({ ...email, to: 'di@example.com' });
+
+      const found = queue.getQueueItems({ tag: 'password-reset', metadata: { userId: '42' } });
+      assert.deepEqual(found.map(item => item.id), [reset]);
+      assert.deepEqual(found[0].tags, ['password-reset']);
+      assert.deepEqual(found[0].metadata, { userId: 42 });
+      assert.equal(queue.getQueueItems({ tag: 'password-reset' }).length, 2);
+      assert.equal(queue.getQueueItems({ metadata: { userId: 42 } }).length, 2);
+      assert.deepEqual(queue.getQueueItems({ tag: 'newsletter' })[0].email.to, 'cy@example.com');
+      assert.deepEqual(queue.getQueueItems().find(item => item.email.to === 'di@example.com').tags, []);
+
+      const item = queue.queue.find(queueItem => queueItem.id === reset);
+      await queue.processQueueItem(item);
+      assert.deepEqual(item.result.tags, ['password-reset']);
+      assert.deepEqual(item.result.metadata, { userId: 42 });
+      assert.deepEqual(queue.getQueueItem(reset).metadata, { userId: 42 });
+
+      await assert.rejects(queue.addEmail({ ...email, to: 'x@example.com', tags: ['bad tag'] }), { field: 'tags' });
+      await assert.rejects(queue.addEmail({ ...email, to: 'x@example.com', metadata: { deep: {} } }), { field: 'metadata' });
+      assert.equal(queue.queue.length, 4);
+    } finally {
+      await queue.close();
+    }
+  });
+
+  test('should record queued messages in the ledger and move them to sent', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const queue = new EmailQueue({ emailService, logLevel: 'error' });
+
+    try {
+      const id = await queue.addEmail({ to: 'ana@example.com', subject: 'Hello', body: 'Hi' }, { tenant: 'acme' });
+      const queued = await emailService.ledger.get(id);
+      assert.equal(queued.status, 'queued');
+      assert.equal(queued.queueId, id);
+      assert.equal(queued.tenant, 'acme');
+      assert.deepEqual(queued.recipients, ['ana@example.com']);
+
+      const item = queue.queue.find(queueItem => queueItem.id === id);
+      await queue.processQueueItem(item);
+
+      const entry = await emailService.ledger.get(item.result.messageId);
+      assert.equal(entry.id, id);
+      assert.equal(entry.status, 'sent');
+      assert.deepEqual(entry.history.map(event => event.status), ['accepted', 'queued', 'sent']);
+      assert.deepEqual(entry.history[1].at, item.createdAt);
+      assert.equal(await emailService.ledger.size(), 1);
+    } finally {
+      await queue.close();
+    }
+  });
+
+  test('should record failed and cancelled queue items in the ledger', async () => {
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 1, failureType: 'permanent', latency: 1 }],
+      logLevel: 'error'
+    });
+    const queue = new EmailQueue({ emailService, logLevel: 'error' });
+
+    try {
+      const failedId = await queue.addEmail({ to: 'ana@example.com', subject: 'Hello', body: 'Hi' });
+      await queue.processQueueItem(queue.queue.find(queueItem => queueItem.id === failedId));
+      const failed = await emailService.ledger.get(failedId);
+      assert.equal(failed.status, 'failed');
+      assert.equal(failed.messageId, null);
+      assert.equal(failed.history.at(-1).code, 'PROVIDER_PERMANENT');
+
+      const cancelledId = await queue.addEmail({ to: 'bo@example.com', subject: 'Later', body: 'Hi' }, { sendAt: Date.now() + 60000 });
+      await queue.cancelItem(cancelledId);
+      assert.equal((await emailService.ledger.get(cancelledId)).status, 'cancelled');
+    } finally {
+      await queue.close();
+    }
+  });
+
+  test('should keep suppressed addresses out of the logs of failed items', async () => {
+    const transport = new MemoryTransport();
+    const logger = new Logger({ transports: [transport], redact: true });
+    const emailService = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logger
+    });
+    await emailService.suppressions.add('bo@example.com', { reason: 'hard-bounce' });
+    const queue = new EmailQueue({ emailService, logger });
+
+    try {
+      const id = await queue.addEmail({ to: 'bo@example.com', subject: 'Hello', body: 'Hi' });
+      await queue.processQueueItem(queue.queue.find(item => item.id === id));
+
+      assert.equal(queue.getQueueItem(id).status, 'failed');
+      const [failed] = transport.find({ message: 'Queue item failed permanently' });
+      assert.equal(failed.error, 'Every recipient is suppressed: 1 address (hard-bounce)');
+      assert.ok(!JSON.stringify(transport.entries).includes('bo@example.com'));
+    } finally {
+      await queue.close();
+    }
+  });
 });
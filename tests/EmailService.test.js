@@ -1,6 +1,22 @@
 import { strict as assert } from 'assert';
 import { test, describe } from 'node:test';
 import { EmailService } from '../src/EmailService.js';
+import { EVENTS } from '../src/events.js';
+import { Readable } from 'stream';
+import { Tracer } from '../src/Tracer.js';
+import { InMemoryExporter } from '../src/TraceExporters.js';
+import { SuppressionList } from '../src/SuppressionList.js';
+import { MemoryIdempotencyStore } from '../src/IdempotencyStore.js';
+import { Logger } from '../src/Logger.js';
+import { MemoryTransport } from '../src/LogTransports.js';
+import {
+  PermanentProviderError,
+  ThrottledError,
+  ValidationError,
+  IdempotencyInProgressError,
+  IdempotencyKeyMismatchError,
+  isPermanentError
+} from '../src/errors.js';
 
 describe('EmailService', () => {
   test('should create service with default configuration', () => {
@@ -204,9 +220,9 @@ describe('EmailService', () => {
     assert.ok(key1.length > 0);
   });
 
-  test('should provide service status', () => {
+  test('should provide service status', async () => {
     const service = new EmailService();
-    const status = service.getStatus();
+    const status = await service.getStatus();
     
     assert.ok(Array.isArray(status.providers));
     assert.equal(typeof status.currentProvider, 'number');
@@ -231,13 +247,13 @@ describe('EmailService', () => {
     };
     
     await service.sendEmail(email);
-    assert.equal(service.sentEmails.size, 1);
+    assert.equal(await service.countSentEmails(), 1);
     
     // Wait for TTL to expire
     await new Promise(resolve => setTimeout(resolve, 150));
     
-    service.cleanup();
-    assert.equal(service.sentEmails.size, 0);
+    assert.equal(await service.cleanup(), 1);
+    assert.equal(await service.countSentEmails(), 0);
   });
 
   test('should handle custom idempotency keys', async () => {
@@ -282,4 +298,957 @@ describe('EmailService', () => {
       assert.ok(error.message.includes('Failed to send email after trying all providers'));
     }
   });
+
+  test('should throw validation errors', async () => {
+    const service = new EmailService();
+    
+    await assert.rejects(service.sendEmail({ to: 'test@example.com' }), error => {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.code, 'VALIDATION_ERROR');
+      assert.equal(error.field, 'subject');
+      return true;
+    });
+  });
+
+  test('should not retry or fall back on permanent errors', async () => {
+    const service = new EmailService({
+      maxRetries: 3,
+      baseDelay: 10,
+      providers: [
+        { name: 'Provider1', failureRate: 1.0, latency: 1, failureType: 'permanent' },
+        { name: 'Provider2', failureRate: 0, latency: 1 }
+      ]
+    });
+    
+    let attempts = 0;
+    const provider = service.providers[0];
+    const originalSend = provider.sendEmail.bind(provider);
+    provider.sendEmail = email => {
+      attempts++;
+      return originalSend(email);
+    };
+    
+    const email = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+    
+    await assert.rejects(service.sendEmail(email), PermanentProviderError);
+    assert.equal(attempts, 1);
+    
+    // A rejected message does not count against the provider's circuit
+    assert.equal(service.circuitBreakers.get(0).getState().failureCount, 0);
+  });
+
+  test('should wait for retry-after when throttled', async () => {
+    const service = new EmailService({
+      maxRetries: 2,
+      baseDelay: 1,
+      maxDelay: 1000,
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }]
+    });
+    
+    let attempts = 0;
+    service.providers[0].sendEmail = async () => {
+      attempts++;
+      if (attempts === 1) {
+        throw new ThrottledError('Too many requests', { retryAfter: 100 });
+      }
+      return { success: true, messageId: 'throttled-id', provider: 'Provider1' };
+    };
+    
+    const start = Date.now();
+    const result = await service.sendEmail({
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    });
+    
+    assert.equal(result.messageId, 'throttled-id');
+    assert.ok(Date.now() - start >= 100);
+  });
+
+  test('should fall back when retry-after exceeds max delay', async () => {
+    const service = new EmailService({
+      maxRetries: 3,
+      maxDelay: 50,
+      providers: [
+        { name: 'Provider1', failureRate: 1.0, latency: 1, failureType: 'throttled', retryAfter: 60000 },
+        { name: 'Provider2', failureRate: 0, latency: 1 }
+      ]
+    });
+    
+    const result = await service.sendEmail({
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    });
+    
+    assert.equal(result.provider, 'Provider2');
+  });
+
+  test('should expose the last error when all providers fail', async () => {
+    const service = new EmailService({
+      maxRetries: 1,
+      providers: [{ name: 'Provider1', failureRate: 1.0, latency: 1 }]
+    });
+    
+    await assert.rejects(
+      service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }),
+      error => error.code === 'ALL_PROVIDERS_FAILED' && error.cause.provider === 'Provider1'
+    );
+  });
+
+  test('should scope idempotency records to tenants', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'TestProvider', failureRate: 0, latency: 10 }]
+    });
+    
+    const email = { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body', from: 'sender@example.com' };
+    
+    const acme = await service.sendEmail(email, { idempotencyKey: 'order-1', tenant: 'acme' });
+    const globex = await service.sendEmail(email, { idempotencyKey: 'order-1', tenant: 'globex' });
+    assert.notEqual(acme.messageId, globex.messageId);
+    
+    const repeated = await service.sendEmail(email, { idempotencyKey: 'order-1', tenant: 'acme' });
+    assert.equal(repeated.messageId, acme.messageId);
+    
+    assert.equal((await service.getSentEmail('order-1', 'acme')).messageId, acme.messageId);
+    assert.equal((await service.getSentEmail('order-1', 'acme')).tenant, 'acme');
+    assert.equal(await service.getSentEmail('order-1', 'other'), null);
+    assert.equal(await service.getSentEmail('order-1'), null);
+    assert.equal((await service.getStatus('acme')).sentEmails, 1);
+    assert.equal((await service.getStatus()).sentEmails, 2);
+  });
+
+  test('should rate limit each tenant separately', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'TestProvider', failureRate: 0, latency: 1 }],
+      rateLimit: 1
+    });
+    service.setTenantRateLimit('bulk', 2);
+    
+    const send = (subject, tenant) => service.sendEmail(
+      { to: 'test@example.com', subject, body: 'Body', from: 'sender@example.com' },
+      { tenant }
+    );
+    
+    await send('1', 'bulk');
+    await send('2', 'bulk');
+    await assert.rejects(send('3', 'bulk'), error => error.code === 'RATE_LIMIT_EXCEEDED');
+    
+    await send('4', 'small');
+    await assert.rejects(send('5', 'small'), error => error.code === 'RATE_LIMIT_EXCEEDED');
+    
+    assert.equal((await service.getStatus('bulk')).rateLimiter.remaining, 0);
+  });
+
+  test('should emit circuit-opened webhook events', async () => {
+    const events = [];
+    const service = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 1, latency: 1 }],
+      maxRetries: 2,
+      baseDelay: 1,
+      circuitBreakerThreshold: 2,
+      logLevel: 'error',
+      webhooks: { emit: (event, data) => events.push({ event, data }) }
+    });
+    
+    await assert.rejects(service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }));
+    
+    assert.deepEqual(events.map(({ event }) => event), ['circuit-opened', 'failed']);
+    assert.equal(events[0].data.provider, 'Provider1');
+    assert.equal(events[0].data.failureCount, 2);
+  });
+
+  test('should emit a sent webhook event for direct sends', async () => {
+    const events = [];
+    const service = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      logLevel: 'error',
+      webhooks: { emit: (event, data) => events.push({ event, data }) }
+    });
+    
+    const result = await service.sendEmail(
+      { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body', tags: ['welcome'], metadata: { userId: '42' } },
+      { tenant: 'acme' }
+    );
+    
+    assert.deepEqual(events.map(({ event }) => event), ['sent']);
+    const { data } = events[0];
+    assert.equal(data.messageId, result.messageId);
+    assert.equal(data.provider, 'Provider1');
+    assert.equal(data.tenant, 'acme');
+    assert.equal(data.traceId, result.traceId);
+    assert.equal(data.to, 'test@example.com');
+    assert.deepEqual(data.tags, ['welcome']);
+    assert.deepEqual(data.metadata, { userId: '42' });
+    assert.equal((await service.ledger.get(data.id)).messageId, result.messageId);
+    assert.equal(data.body, undefined);
+  });
+
+  test('should emit a failed webhook event for direct sends', async () => {
+    const events = [];
+    const service = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      logLevel: 'error',
+      webhooks: { emit: (event, data) => events.push({ event, data }) }
+    });
+    service.providers[0].sendEmail = async () => {
+      throw new PermanentProviderError('Mailbox does not exist', { provider: 'Provider1' });
+    };
+    
+    await assert.rejects(service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }));
+    
+    assert.deepEqual(events.map(({ event }) => event), ['failed']);
+    assert.equal(events[0].data.errorCode, 'PROVIDER_PERMANENT');
+    assert.equal(events[0].data.error, 'Mailbox does not exist');
+    assert.equal((await service.ledger.get(events[0].data.id)).status, 'failed');
+  });
+
+  test('should leave webhook events of queued emails to the queue', async () => {
+    const events = [];
+    const service = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      logLevel: 'error',
+      webhooks: { emit: (event, data) => events.push({ event, data }) }
+    });
+    
+    await service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { queueId: 'item-1' });
+    
+    assert.deepEqual(events, []);
+  });
+
+  test('should emit attempt and fallback events', async () => {
+    const service = new EmailService({
+      providers: [
+        { name: 'Provider1', failureRate: 1, latency: 1 },
+        { name: 'Provider2', failureRate: 0, latency: 1 }
+      ],
+      maxRetries: 2,
+      baseDelay: 1,
+      logLevel: 'error'
+    });
+    
+    const events = [];
+    for (const event of Object.values(EVENTS)) {
+      service.on(event, payload => events.push({ event, ...payload }));
+    }
+    
+    await service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { tenant: 'acme' });
+    
+    assert.deepEqual(events.map(({ event, provider }) => `${event}:${provider || ''}`), [
+      'attempt-started:Provider1',
+      'attempt-failed:Provider1',
+      'attempt-started:Provider1',
+      'attempt-failed:Provider1',
+      'provider-fallback:',
+      'attempt-started:Provider2',
+      'attempt-succeeded:Provider2'
+    ]);
+    assert.equal(typeof events[1].duration, 'number');
+    assert.ok(events[6].messageId);
+    assert.equal(events[1].code, 'PROVIDER_TRANSIENT');
+    assert.equal(events[1].permanent, false);
+    assert.equal(events[0].tenant, 'acme');
+    assert.equal(events[4].from, 'Provider1');
+    assert.equal(events[4].to, 'Provider2');
+    assert.ok(events.every(({ timestamp }) => timestamp instanceof Date));
+  });
+
+  test('should emit duplicate-suppressed, rate-limited and circuit-state-changed events', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      rateLimit: 1,
+      circuitBreakerThreshold: 1,
+      logLevel: 'error'
+    });
+    
+    const events = [];
+    for (const event of Object.values(EVENTS)) {
+      service.on(event, payload => events.push({ event, ...payload }));
+    }
+    
+    const email = { to: 'test@example.com', subject: 'Test Subject', body: 'Test Body', from: 'sender@example.com' };
+    const result = await service.sendEmail(email);
+    await service.sendEmail(email);
+    await assert.rejects(service.sendEmail({ ...email, subject: 'Other' }));
+    
+    const duplicate = events.find(({ event }) => event === 'duplicate-suppressed');
+    assert.equal(duplicate.messageId, result.messageId);
+    
+    const limited = events.find(({ event }) => event === 'rate-limited');
+    assert.equal(limited.identifier, 'sender@example.com');
+    assert.equal(limited.to, 'test@example.com');
+    
+    service.circuitBreakers.get(0).onFailure();
+    const changed = events.find(({ event }) => event === 'circuit-state-changed');
+    assert.equal(changed.provider, 'Provider1');
+    assert.equal(changed.state, 'OPEN');
+    assert.equal(changed.previousState, 'CLOSED');
+  });
+
+  test('should keep sending when an event listener throws', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    service.logger.error = () => {};
+    service.on('attempt-started', () => {
+      throw new Error('listener bug');
+    });
+    
+    const result = await service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' });
+    assert.equal(result.success, true);
+  });
+
+  test('should carry the trace ID through attempts, providers and results', async () => {
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const service = new EmailService({
+      providers: [
+        { name: 'Provider1', failureRate: 1, latency: 1 },
+        { name: 'Provider2', failureRate: 0, latency: 1 }
+      ],
+      maxRetries: 1,
+      logLevel: 'error'
+    });
+    
+    const contexts = [];
+    for (const provider of service.providers) {
+      const originalSend = provider.sendEmail.bind(provider);
+      provider.sendEmail = (email, context) => {
+        contexts.push(context);
+        return originalSend(email, context);
+      };
+    }
+    const events = [];
+    for (const event of Object.values(EVENTS)) {
+      service.on(event, payload => events.push(payload));
+    }
+    
+    const result = await service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { traceId });
+    
+    assert.equal(result.traceId, traceId);
+    assert.ok(events.every(event => event.traceId === traceId));
+    assert.equal(contexts.length, 2);
+    assert.ok(contexts.every(context => context.traceId === traceId));
+    assert.match(contexts[0].traceparent, new RegExp(`^00-${traceId}-[0-9a-f]{16}-01$`));
+    assert.notEqual(contexts[0].traceparent, contexts[1].traceparent);
+  });
+  
+  test('should generate a trace ID and attach it to errors', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider1', failureRate: 1, latency: 1 }],
+      maxRetries: 1,
+      logLevel: 'error'
+    });
+    
+    const result = await service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' })
+      .catch(error => error);
+    assert.equal(result.code, 'ALL_PROVIDERS_FAILED');
+    assert.match(result.traceId, /^[0-9a-f]{32}$/);
+    
+    await assert.rejects(
+      service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, { traceId: 'nope' }),
+      { code: 'VALIDATION_ERROR', field: 'traceId' }
+    );
+  });
+
+  test('should record spans for the send, each attempt and circuit breaker decisions', async () => {
+    const exporter = new InMemoryExporter();
+    const service = new EmailService({
+      providers: [
+        { name: 'Provider1', failureRate: 1, latency: 1 },
+        { name: 'Provider2', failureRate: 0, latency: 1 }
+      ],
+      maxRetries: 2,
+      baseDelay: 1,
+      tracer: new Tracer({ exporter }),
+      logLevel: 'error'
+    });
+    
+    const result = await service.sendEmail({ to: 'test@example.com', subject: 'Test Subject', body: 'Test Body' }, {
+      tenant: 'acme',
+      parentSpanId: '00f067aa0ba902b7'
+    });
+    
+    const [send] = exporter.getFinishedSpans('EmailService.sendEmail');
+    assert.equal(send.traceId, result.traceId);
+    assert.equal(send.parentSpanId, '00f067aa0ba902b7');
+    assert.equal(send.status.code, 'OK');
+    assert.equal(send.attributes['email.outcome'], 'sent');
+    assert.equal(send.attributes['email.provider'], 'Provider2');
+    assert.equal(send.attributes['email.tenant'], 'acme');
+    
+    const attempts = exporter.getFinishedSpans('EmailService.sendWithRetry');
+    assert.deepEqual(attempts.map(span => [span.attributes['email.provider'], span.attributes['email.attempt'], span.attributes['email.outcome']]), [
+      ['Provider1', 1, 'failure'],
+      ['Provider1', 2, 'failure'],
+      ['Provider2', 1, 'success']
+    ]);
+    assert.ok(attempts.every(span => span.parentSpanId === send.spanId && span.kind === 'CLIENT'));
+    assert.equal(typeof attempts[0].attributes['email.retry.delay_ms'], 'number');
+    assert.equal(attempts[1].attributes['email.retry.delay_ms'], undefined);
+    assert.equal(attempts[0].status.code, 'ERROR');
+    
+    const decisions = exporter.getFinishedSpans('CircuitBreaker.decision');
+    assert.equal(decisions.length, 3);
+    assert.deepEqual(decisions.map(span => span.parentSpanId), attempts.map(span => span.spanId));
+    assert.equal(decisions[0].attributes['circuit_breaker.decision'], 'allowed');
+    assert.equal(decisions[2].attributes['circuit_breaker.name'], 'Provider2');
+  });
+
+  test('should render template emails before sending', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      templates: { greeting: { subject: 'Hi {{name}}', body: 'Welcome, {{name}}!' } },
+      logLevel: 'error'
+    });
+    const provider = service.providers[0];
+    let sent;
+    const sendEmail = provider.sendEmail.bind(provider);
+    provider.sendEmail = async (email, context) => {
+      sent = email;
+      return sendEmail(email, context);
+    };
+
+    const result = await service.sendEmail({ to: 'user@example.com', template: 'greeting', data: { name: 'Ana' } });
+    assert.equal(result.success, true);
+    assert.deepEqual(result.template, { name: 'greeting', version: 1 });
+    assert.deepEqual(sent, { to: 'user@example.com', subject: 'Hi Ana', body: 'Welcome, Ana!' });
+
+    await assert.rejects(
+      service.sendEmail({ to: 'user@example.com', template: 'greeting', data: {} }),
+      { code: 'TEMPLATE_VARIABLE_MISSING', variable: 'name' }
+    );
+    await assert.rejects(
+      service.sendEmail({ to: 'user@example.com', template: 'unknown' }),
+      { code: 'TEMPLATE_NOT_FOUND' }
+    );
+  });
+
+  test('should record the template version a send was rendered from', async () => {
+    const exporter = new InMemoryExporter();
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      templates: { greeting: { subject: 'Hi {{name}}', body: 'Welcome, {{name}}!' } },
+      tracer: new Tracer({ exporter }),
+      logLevel: 'error'
+    });
+    await service.templates.set('greeting', { subject: 'Hello {{name}}', body: 'Welcome aboard, {{name}}!' });
+
+    const latest = await service.sendEmail({ to: 'a@example.com', template: 'greeting', data: { name: 'Ana' } });
+    assert.deepEqual(latest.template, { name: 'greeting', version: 2 });
+
+    const pinned = await service.sendEmail({ to: 'b@example.com', template: 'greeting', templateVersion: 1, data: { name: 'Bo' } });
+    assert.deepEqual(pinned.template, { name: 'greeting', version: 1 });
+
+    const [span] = exporter.getFinishedSpans('EmailService.sendEmail');
+    assert.equal(span.attributes['email.template'], 'greeting');
+    assert.equal(span.attributes['email.template.version'], 2);
+
+    const prerendered = await service.sendEmail(
+      { to: 'c@example.com', subject: 'Hi', body: 'Rendered elsewhere' },
+      { template: { name: 'greeting', version: 1 } }
+    );
+    assert.deepEqual(prerendered.template, { name: 'greeting', version: 1 });
+
+    const plain = await service.sendEmail({ to: 'd@example.com', subject: 'Hi', body: 'No template' });
+    assert.equal(plain.template, null);
+  });
+
+  test('should send html-only emails with attachments loaded once', async () => {
+    const service = new EmailService({
+      providers: [
+        { name: 'Provider-A', failureRate: 1, latency: 1 },
+        { name: 'Provider-B', failureRate: 0, latency: 1 }
+      ],
+      maxRetries: 1,
+      logLevel: 'error'
+    });
+    const received = [];
+    for (const provider of service.providers) {
+      const sendEmail = provider.sendEmail.bind(provider);
+      provider.sendEmail = async (email, context) => {
+        received.push(email);
+        return sendEmail(email, context);
+      };
+    }
+
+    const result = await service.sendEmail({
+      to: 'user@example.com',
+      subject: 'Report',
+      html: '<p>Attached</p>',
+      attachments: [{ filename: 'report.csv', content: Readable.from(['a,b\n', '1,2\n']) }]
+    });
+
+    assert.equal(result.provider, 'Provider-B');
+    assert.equal(received.length, 2);
+    for (const email of received) {
+      assert.deepEqual(email.attachments, [
+        { filename: 'report.csv', contentType: 'text/csv', content: Buffer.from('a,b\n1,2\n') }
+      ]);
+    }
+  });
+
+  test('should reject oversized and malformed messages before any provider', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      maxMessageSize: 1024,
+      maxAttachmentSize: 512,
+      logLevel: 'error'
+    });
+    let attempts = 0;
+    service.providers[0].sendEmail = async () => {
+      attempts++;
+    };
+    const email = { to: 'user@example.com', subject: 'Files' };
+
+    await assert.rejects(service.sendEmail(email), { field: 'body', message: 'Email body, text or html is required' });
+    await assert.rejects(
+      service.sendEmail({ ...email, text: 'x', attachments: [{ content: Buffer.alloc(600) }] }),
+      { code: 'MESSAGE_TOO_LARGE', limit: 512 }
+    );
+    await assert.rejects(
+      service.sendEmail({ ...email, text: 'x', attachments: [{ content: Buffer.alloc(400) }, { content: Buffer.alloc(400) }] }),
+      { code: 'MESSAGE_TOO_LARGE', limit: 1024 }
+    );
+    await assert.rejects(
+      service.sendEmail({ ...email, text: 'x', attachments: [{ filename: 'a.txt' }] }),
+      { code: 'VALIDATION_ERROR', field: 'attachments' }
+    );
+    assert.equal(attempts, 0);
+  });
+
+  test('should tell emails apart by html and attachments for idempotency', () => {
+    const service = new EmailService({ logLevel: 'error' });
+    const email = { to: 'user@example.com', subject: 'Hi', body: 'Hello' };
+    const withFile = content => ({ ...email, attachments: [{ filename: 'a.txt', content: Buffer.from(content) }] });
+
+    assert.equal(service.generateIdempotencyKey(email), service.generateIdempotencyKey({ ...email }));
+    assert.notEqual(service.generateIdempotencyKey(email), service.generateIdempotencyKey({ ...email, html: '<p>Hello</p>' }));
+    assert.notEqual(service.generateIdempotencyKey(withFile('one')), service.generateIdempotencyKey(withFile('two')));
+  });
+
+  test('should send to cc and bcc recipients with normalized addresses', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const received = [];
+    const sendEmail = service.providers[0].sendEmail.bind(service.providers[0]);
+    service.providers[0].sendEmail = async (email, context) => {
+      received.push(email);
+      return sendEmail(email, context);
+    };
+
+    await service.sendEmail({
+      to: ['Ana Lima <ana@Example.com>', { name: 'Bo', address: 'bo@example.com' }],
+      cc: 'cy@münchen.de',
+      bcc: ['audit@example.com'],
+      replyTo: { name: 'Support, Acme', address: 'support@acme.com' },
+      from: 'Acme <noreply@acme.com>',
+      subject: 'Hello',
+      body: 'Hi all'
+    });
+
+    assert.deepEqual(received[0], {
+      to: 'Ana Lima <ana@example.com>, Bo <bo@example.com>',
+      cc: 'cy@xn--mnchen-3ya.de',
+      bcc: 'audit@example.com',
+      replyTo: '"Support, Acme" <support@acme.com>',
+      from: 'Acme <noreply@acme.com>',
+      subject: 'Hello',
+      body: 'Hi all'
+    });
+  });
+
+  test('should report every invalid recipient before any provider', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      maxRecipients: 3,
+      logLevel: 'error'
+    });
+    let attempts = 0;
+    service.providers[0].sendEmail = async () => {
+      attempts++;
+    };
+    const email = { subject: 'Hello', body: 'Hi' };
+
+    await assert.rejects(
+      service.sendEmail({ ...email, to: ['ana@example.com', 'not-an-address'], cc: 'bo@', bcc: ['cy@example.com'] }),
+      error => {
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        assert.equal(error.field, 'to');
+        assert.deepEqual(error.addresses.map(({ field, value }) => ({ field, value })), [
+          { field: 'to[1]', value: 'not-an-address' },
+          { field: 'cc', value: 'bo@' }
+        ]);
+        return true;
+      }
+    );
+    await assert.rejects(
+      service.sendEmail({ ...email, to: 'a@example.com, b@example.com', cc: 'c@example.com', bcc: 'd@example.com' }),
+      { code: 'VALIDATION_ERROR', message: 'Too many recipients: 4, at most 3 are allowed per message' }
+    );
+    assert.equal(attempts, 0);
+  });
+
+  test('should rate limit and deduplicate by parsed addresses', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const email = { subject: 'Hello', body: 'Hi' };
+
+    assert.equal(service.getRateLimitBucket({ from: 'Acme <noreply@acme.com>' }), 'noreply@acme.com');
+
+    const first = await service.sendEmail({ ...email, to: ['ana@example.com', 'bo@example.com'] });
+    const second = await service.sendEmail({ ...email, to: 'ana@EXAMPLE.com, bo@example.com' });
+    assert.equal(second.messageId, first.messageId);
+
+    const withCc = await service.sendEmail({ ...email, to: 'ana@example.com, bo@example.com', cc: 'cy@example.com' });
+    assert.notEqual(withCc.messageId, first.messageId);
+  });
+
+  test('should return tags and metadata with the result', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const email = { to: 'user@example.com', subject: 'Reset your password', body: 'Link' };
+
+    const result = await service.sendEmail({
+      ...email,
+      tags: ['password-reset', 'password-reset'],
+      metadata: { userId: '42' },
+      headers: { 'X-Request': 'abc' }
+    });
+    assert.deepEqual(result.tags, ['password-reset']);
+    assert.deepEqual(result.metadata, { userId: '42' });
+
+    const plain = await service.sendEmail({ ...email, subject: 'Other' });
+    assert.deepEqual(plain.tags, []);
+    assert.deepEqual(plain.metadata, {});
+
+    await assert.rejects(service.sendEmail({ ...email, tags: 'not a tag' }), { field: 'tags' });
+    await assert.rejects(service.sendEmail({ ...email, metadata: [] }), { field: 'metadata' });
+    await assert.rejects(service.sendEmail({ ...email, headers: { From: 'x@example.com' } }), { field: 'headers' });
+    assert.notEqual(
+      service.generateIdempotencyKey(email),
+      service.generateIdempotencyKey({ ...email, headers: { 'X-Campaign': 'spring' } })
+    );
+  });
+
+  test('should refuse emails whose every recipient is suppressed', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    await service.suppressions.add('ana@example.com', { reason: 'hard-bounce' });
+    await service.suppressions.add('bo@example.com', { reason: 'complaint' });
+
+    const attempts = [];
+    const events = [];
+    service.on(EVENTS.ATTEMPT_STARTED, event => attempts.push(event));
+    service.on(EVENTS.RECIPIENTS_SUPPRESSED, event => events.push(event));
+
+    await assert.rejects(
+      service.sendEmail({ to: 'Ana <ANA@example.com>', cc: 'bo@example.com', subject: 'Hello', body: 'Hi' }),
+      error => {
+        assert.equal(error.code, 'SUPPRESSED');
+        assert.equal(error.message, 'Every recipient is suppressed: 2 addresses (hard-bounce, complaint)');
+        assert.deepEqual(error.suppressed.map(entry => entry.address), ['ana@example.com', 'bo@example.com']);
+        assert.ok(error.traceId);
+        return true;
+      }
+    );
+    assert.equal(attempts.length, 0);
+    assert.equal(events.length, 1);
+    assert.equal(events[0].blocked, true);
+    assert.deepEqual(events[0].recipients, [
+      { address: 'ana@example.com', reason: 'hard-bounce' },
+      { address: 'bo@example.com', reason: 'complaint' }
+    ]);
+  });
+
+  test('should send to the recipients that are not suppressed', async () => {
+    const suppressions = new SuppressionList({ logLevel: 'error' });
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      suppressions,
+      logLevel: 'error'
+    });
+    await suppressions.add('bo@example.com', { reason: 'unsubscribe', tenant: 'acme' });
+
+    const sent = [];
+    service.on(EVENTS.ATTEMPT_STARTED, event => sent.push(event));
+    const email = { to: 'ana@example.com, Bo <bo@example.com>', bcc: 'bo@example.com', subject: 'News', body: 'Hi' };
+
+    const result = await service.sendEmail(email, { tenant: 'acme' });
+    assert.deepEqual(result.suppressed, [{ address: 'bo@example.com', reason: 'unsubscribe' }]);
+    assert.equal(sent[0].to, 'ana@example.com');
+
+    // Other tenants are unaffected
+    const other = await service.sendEmail(email, { tenant: 'globex' });
+    assert.deepEqual(other.suppressed, []);
+  });
+
+  test('should mask suppressed recipients in logs', async () => {
+    const transport = new MemoryTransport();
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logger: new Logger({ transports: [transport], redact: true })
+    });
+    await service.suppressions.add('bo@example.com', { reason: 'hard-bounce' });
+
+    await service.sendEmail({ to: 'ana@example.com', cc: 'bo@example.com', subject: 'News', body: 'Hi' });
+
+    const entry = transport.entries.find(({ message }) => message === 'Suppressed recipients removed');
+    assert.deepEqual(entry.recipients, ['b***@example.com']);
+    assert.ok(!JSON.stringify(transport.entries).includes('bo@example.com'));
+  });
+
+  test('should let transactional email reach unsubscribed addresses', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    await service.suppressions.add('ana@example.com', { reason: 'unsubscribe' });
+    const email = { to: 'ana@example.com', subject: 'Reset your password', body: 'Link' };
+
+    await assert.rejects(service.sendEmail(email), { code: 'SUPPRESSED' });
+    const result = await service.sendEmail({ ...email, category: 'transactional' });
+    assert.deepEqual(result.suppressed, []);
+
+    await service.suppressions.add('ana@example.com', { reason: 'hard-bounce' });
+    await assert.rejects(service.sendEmail({ ...email, category: 'transactional', subject: 'Again' }), { code: 'SUPPRESSED' });
+    await assert.rejects(service.sendEmail({ ...email, category: 'not valid' }), { field: 'category' });
+  });
+
+  test('should record sent messages in the ledger', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const result = await service.sendEmail(
+      { to: 'ana@example.com', cc: 'bo@example.com', subject: 'Welcome', body: 'Hi', tags: ['welcome'] },
+      { tenant: 'acme', idempotencyKey: 'welcome-1' }
+    );
+
+    const entry = await service.ledger.get(result.messageId);
+    assert.equal(entry.status, 'sent');
+    assert.deepEqual(entry.recipients, ['ana@example.com', 'bo@example.com']);
+    assert.equal(entry.provider, 'Provider-A');
+    assert.equal(entry.tenant, 'acme');
+    assert.equal(entry.traceId, result.traceId);
+    assert.equal(entry.idempotencyKey, 'welcome-1');
+    assert.deepEqual(entry.tags, ['welcome']);
+    assert.deepEqual(entry.history.map(event => event.status), ['accepted', 'sent']);
+    assert.equal(await service.ledger.size(), 1);
+
+    service.ledger.record = async () => {
+      throw new Error('disk full');
+    };
+    const unrecorded = await service.sendEmail({ to: 'ana@example.com', subject: 'Again', body: 'Hi' });
+    assert.ok(unrecorded.messageId);
+  });
+
+  test('should record sends in the ledger before they reach a provider', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 1, failureType: 'permanent', latency: 20 }],
+      logLevel: 'error'
+    });
+    const email = { to: 'ana@example.com', subject: 'Welcome', body: 'Hi' };
+
+    const sending = service.sendEmail(email, { tenant: 'acme' }).catch(error => error);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const [accepted] = await service.ledger.list();
+    assert.equal(accepted.status, 'accepted');
+    assert.equal(accepted.messageId, null);
+
+    const error = await sending;
+    assert.equal(error.code, 'PROVIDER_PERMANENT');
+    const failed = await service.ledger.get(accepted.id);
+    assert.equal(failed.status, 'failed');
+    assert.equal(failed.traceId, error.traceId);
+    assert.equal(failed.history.at(-1).code, 'PROVIDER_PERMANENT');
+
+    // A replayed failure is the same message
+    await assert.rejects(service.sendEmail(email, { tenant: 'acme' }), { code: 'PROVIDER_PERMANENT' });
+    assert.equal(await service.ledger.size(), 1);
+  });
+
+  test('should send once when the same idempotency key is sent concurrently', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 20 }],
+      idempotencyPollInterval: 5,
+      logLevel: 'error'
+    });
+    const provider = service.providers[0];
+    let sent = 0;
+    const send = provider.sendEmail.bind(provider);
+    provider.sendEmail = email => {
+      sent++;
+      return send(email);
+    };
+    const duplicates = [];
+    service.on(EVENTS.DUPLICATE_SUPPRESSED, event => duplicates.push(event));
+    const email = { to: 'ana@example.com', subject: 'Order', body: 'Shipped' };
+
+    const [first, second] = await Promise.all([
+      service.sendEmail(email, { idempotencyKey: 'order-1' }),
+      service.sendEmail(email, { idempotencyKey: 'order-1' })
+    ]);
+
+    assert.equal(sent, 1);
+    assert.equal(second.messageId, first.messageId);
+    assert.equal(duplicates.length, 1);
+  });
+
+  test('should hold the idempotency key while a send outlasts the lock TTL', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 150 }],
+      idempotencyLockTtl: 40,
+      idempotencyPollInterval: 5,
+      logLevel: 'error'
+    });
+    const provider = service.providers[0];
+    let sent = 0;
+    const send = provider.sendEmail.bind(provider);
+    provider.sendEmail = email => {
+      sent++;
+      return send(email);
+    };
+    const email = { to: 'ana@example.com', subject: 'Order', body: 'Shipped' };
+
+    const first = service.sendEmail(email, { idempotencyKey: 'order-1' });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    assert.equal((await service.idempotencyStore.get('order-1')).status, 'in-flight');
+    const second = await service.sendEmail(email, { idempotencyKey: 'order-1' });
+
+    assert.equal(sent, 1);
+    assert.equal(second.messageId, (await first).messageId);
+  });
+
+  test('should share idempotency records between services using one store', async () => {
+    const idempotencyStore = new MemoryIdempotencyStore();
+    const options = { providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }], idempotencyStore, logLevel: 'error' };
+    const first = new EmailService(options);
+    const second = new EmailService(options);
+    const email = { to: 'ana@example.com', subject: 'Order', body: 'Shipped' };
+
+    const sent = await first.sendEmail(email, { idempotencyKey: 'order-1', tenant: 'acme' });
+    const repeated = await second.sendEmail(email, { idempotencyKey: 'order-1', tenant: 'acme' });
+    assert.equal(repeated.messageId, sent.messageId);
+    assert.equal(repeated.tenant, 'acme');
+    assert.equal((await second.getStatus('acme')).sentEmails, 1);
+  });
+
+  test('should release the idempotency key of a temporarily failed send', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 1, latency: 1 }],
+      maxRetries: 1,
+      logLevel: 'error'
+    });
+    const email = { to: 'ana@example.com', subject: 'Order', body: 'Shipped' };
+
+    await assert.rejects(service.sendEmail(email, { idempotencyKey: 'order-1' }), { code: 'ALL_PROVIDERS_FAILED' });
+    assert.equal(await service.idempotencyStore.get('order-1'), null);
+
+    service.providers[0].failureRate = 0;
+    const result = await service.sendEmail(email, { idempotencyKey: 'order-1' });
+    assert.equal((await service.getSentEmail('order-1')).messageId, result.messageId);
+  });
+
+  test('should replay the failure of a rejected send without reaching a provider', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 1, failureType: 'permanent', latency: 1 }],
+      logLevel: 'error'
+    });
+    const duplicates = [];
+    service.on(EVENTS.DUPLICATE_SUPPRESSED, event => duplicates.push(event));
+    const email = { to: 'ana@example.com', subject: 'Order', body: 'Shipped' };
+
+    const original = await service.sendEmail(email, { idempotencyKey: 'order-1', tenant: 'acme' }).catch(error => error);
+    assert.equal(original.code, 'PROVIDER_PERMANENT');
+    assert.equal(original.replayed, undefined);
+
+    const provider = service.providers[0];
+    let sent = 0;
+    provider.sendEmail = async () => {
+      sent++;
+    };
+    const replayed = await service.sendEmail(email, { idempotencyKey: 'order-1', tenant: 'acme' }).catch(error => error);
+    assert.ok(replayed instanceof PermanentProviderError);
+    assert.equal(replayed.message, original.message);
+    assert.equal(replayed.provider, 'Provider-A');
+    assert.equal(replayed.replayed, true);
+    assert.notEqual(replayed.traceId, original.traceId);
+    assert.equal(sent, 0);
+    assert.deepEqual(duplicates.map(({ messageId, error }) => [messageId, error]), [[null, 'PROVIDER_PERMANENT']]);
+
+    assert.equal(await service.getSentEmail('order-1', 'acme'), null);
+    assert.equal(await service.isDuplicate(service.getRecordKey('order-1', 'acme')), true);
+  });
+
+  test('should send again past a stored failure with retryFailed', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 1, failureType: 'permanent', latency: 1 }],
+      logLevel: 'error'
+    });
+    const email = { to: 'ana@example.com', subject: 'Order', body: 'Shipped' };
+
+    await assert.rejects(service.sendEmail(email, { idempotencyKey: 'order-1' }), { code: 'PROVIDER_PERMANENT' });
+
+    service.providers[0].failureRate = 0;
+    const result = await service.sendEmail(email, { idempotencyKey: 'order-1', retryFailed: true });
+    assert.equal(result.success, true);
+    assert.equal((await service.getSentEmail('order-1')).messageId, result.messageId);
+    assert.equal((await service.sendEmail(email, { idempotencyKey: 'order-1', retryFailed: true })).messageId, result.messageId);
+  });
+
+  test('should refuse an idempotency key reused for a different email', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      logLevel: 'error'
+    });
+    const email = { to: 'ana@example.com', subject: 'Order', body: 'Shipped' };
+
+    const sent = await service.sendEmail(email, { idempotencyKey: 'order-1' });
+    await assert.rejects(service.sendEmail({ ...email, body: 'Cancelled' }, { idempotencyKey: 'order-1' }), error =>
+      error instanceof IdempotencyKeyMismatchError && error.idempotencyKey === 'order-1' && isPermanentError(error)
+    );
+    assert.equal((await service.sendEmail(email, { idempotencyKey: 'order-1' })).messageId, sent.messageId);
+
+    // Recipients suppressed since the first send do not make a retry a different email
+    const retry = { ...email, cc: 'bo@example.com' };
+    const first = await service.sendEmail(retry, { idempotencyKey: 'order-2' });
+    await service.suppressions.add('bo@example.com', { reason: 'hard-bounce' });
+    assert.equal((await service.sendEmail(retry, { idempotencyKey: 'order-2' })).messageId, first.messageId);
+  });
+
+  test('should give up waiting for an in-flight send and take over expired ones', async () => {
+    const service = new EmailService({
+      providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+      idempotencyWaitTimeout: 20,
+      idempotencyPollInterval: 5,
+      logLevel: 'error'
+    });
+    const email = { to: 'ana@example.com', subject: 'Order', body: 'Shipped' };
+    const now = Date.now();
+    await service.idempotencyStore.acquire({
+      key: 'order-1', tenant: null, status: 'in-flight', owner: 'other', result: null, createdAt: now, expiresAt: now + 60000
+    });
+    await service.idempotencyStore.acquire({
+      key: 'order-2', tenant: null, status: 'in-flight', owner: 'crashed', result: null, createdAt: now, expiresAt: now - 1
+    });
+
+    await assert.rejects(service.sendEmail(email, { idempotencyKey: 'order-1' }), error =>
+      error instanceof IdempotencyInProgressError && error.idempotencyKey === 'order-1' && error.retryable
+    );
+    const result = await service.sendEmail(email, { idempotencyKey: 'order-2' });
+    assert.equal((await service.getSentEmail('order-2')).messageId, result.messageId);
+  });
 });
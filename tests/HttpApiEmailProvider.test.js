@@ -0,0 +1,348 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import http from 'http';
+import { HttpApiEmailProvider } from '../src/HttpApiEmailProvider.js';
+import { EmailService } from '../src/EmailService.js';
+import { TransientProviderError, PermanentProviderError, ThrottledError } from '../src/errors.js';
+
+/**
+ * Local HTTP stub recording requests and answering with a configurable handler.
+ * A `truncated` answer drops the connection halfway through the body.
+ */
+function startHttpStub(handler) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body };
+      requests.push(request);
+
+      const { status = 200, headers = {}, json, truncated } = handler(request);
+      if (truncated) {
+        res.writeHead(status, { 'Content-Type': 'application/json', 'Content-Length': '100' });
+        res.write('{"id":');
+        setTimeout(() => res.destroy(), 10);
+        return;
+      }
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(json === undefined ? '' : JSON.stringify(json));
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('HttpApiEmailProvider', () => {
+  const email = {
+    to: 'recipient@example.com',
+    subject: 'Test Subject',
+    body: 'Test Body',
+    from: 'sender@example.com'
+  };
+
+  test('should create provider with default settings', () => {
+    const provider = new HttpApiEmailProvider('ApiProvider', { url: 'http://localhost/send' });
+
+    assert.equal(provider.name, 'ApiProvider');
+    assert.equal(provider.method, 'POST');
+    assert.equal(provider.format, 'json');
+    assert.equal(provider.messageIdPath, 'id');
+    assert.equal(provider.isHealthy, true);
+  });
+
+  test('should map email onto the request template', async () => {
+    const stub = await startHttpStub(() => ({ status: 202, json: { data: { message_id: 'vendor-123' } } }));
+    const provider = new HttpApiEmailProvider('ApiProvider', {
+      url: `${stub.url}/v3/mail/send`,
+      headers: { 'X-Vendor': 'test' },
+      auth: { type: 'bearer', token: 'secret-token' },
+      body: {
+        personalizations: [{ to: [{ email: '{{to}}' }] }],
+        from: { email: '{{from}}' },
+        subject: '[App] {{subject}}',
+        content: [{ type: 'text/plain', value: '{{body}}' }]
+      },
+      messageIdPath: 'data.message_id'
+    });
+
+    try {
+      const result = await provider.sendEmail(email);
+
+      assert.equal(result.success, true);
+      assert.equal(result.messageId, 'vendor-123');
+      assert.equal(result.provider, 'ApiProvider');
+      assert.equal(result.statusCode, 202);
+
+      const [request] = stub.requests;
+      assert.equal(request.method, 'POST');
+      assert.equal(request.url, '/v3/mail/send');
+      assert.equal(request.headers.authorization, 'Bearer secret-token');
+      assert.equal(request.headers['x-vendor'], 'test');
+      assert.deepEqual(JSON.parse(request.body), {
+        personalizations: [{ to: [{ email: 'recipient@example.com' }] }],
+        from: { email: 'sender@example.com' },
+        subject: '[App] Test Subject',
+        content: [{ type: 'text/plain', value: 'Test Body' }]
+      });
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should send form-encoded bodies with basic auth', async () => {
+    const stub = await startHttpStub(() => ({ json: { id: '<abc@vendor>' } }));
+    const provider = new HttpApiEmailProvider('FormProvider', {
+      url: stub.url,
+      format: 'form',
+      auth: { type: 'basic', user: 'api', pass: 'key' }
+    });
+
+    try {
+      const result = await provider.sendEmail(email);
+      assert.equal(result.messageId, '<abc@vendor>');
+
+      const [request] = stub.requests;
+      assert.equal(request.headers.authorization, `Basic ${Buffer.from('api:key').toString('base64')}`);
+      const params = new URLSearchParams(request.body);
+      assert.equal(params.get('to'), 'recipient@example.com');
+      assert.equal(params.get('text'), 'Test Body');
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should read message ID from a response header and forward traceparent', async () => {
+    const stub = await startHttpStub(() => ({ headers: { 'X-Message-Id': 'header-id' } }));
+    const provider = new HttpApiEmailProvider('ApiProvider', {
+      url: stub.url,
+      auth: { type: 'header', header: 'X-Api-Key', value: 'key-1' },
+      messageIdHeader: 'x-message-id'
+    });
+
+    try {
+      const result = await provider.sendEmail(email);
+      assert.equal(result.messageId, 'header-id');
+      assert.equal(stub.requests[0].headers['x-api-key'], 'key-1');
+      assert.equal(stub.requests[0].headers.traceparent, undefined);
+      
+      const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+      await provider.sendEmail(email, { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', traceparent });
+      assert.equal(stub.requests[1].headers.traceparent, traceparent);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should raise throttled errors with retry-after', async () => {
+    const stub = await startHttpStub(() => ({
+      status: 429,
+      headers: { 'Retry-After': '3' },
+      json: { message: 'Too many requests' }
+    }));
+    const provider = new HttpApiEmailProvider('ApiProvider', { url: stub.url });
+
+    try {
+      await assert.rejects(provider.sendEmail(email), error => {
+        assert.ok(error instanceof ThrottledError);
+        assert.equal(error.statusCode, 429);
+        assert.equal(error.retryable, true);
+        assert.equal(error.retryAfter, 3000);
+        assert.ok(error.message.includes('Too many requests'));
+        return true;
+      });
+      assert.equal(provider.getStats().failed, 1);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should mark client errors as permanent', async () => {
+    const stub = await startHttpStub(() => ({ status: 400, json: { error: { message: 'Invalid recipient' } } }));
+    const provider = new HttpApiEmailProvider('ApiProvider', { url: stub.url });
+
+    try {
+      await assert.rejects(provider.sendEmail(email), error => {
+        assert.ok(error instanceof PermanentProviderError);
+        assert.equal(error.statusCode, 400);
+        assert.equal(error.retryable, false);
+        assert.ok(error.message.includes('Invalid recipient'));
+        return true;
+      });
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should treat unreachable endpoints as retryable', async () => {
+    const stub = await startHttpStub(() => ({}));
+    await stub.close();
+
+    const provider = new HttpApiEmailProvider('ApiProvider', { url: stub.url });
+    await assert.rejects(provider.sendEmail(email), TransientProviderError);
+    assert.equal(provider.getStats().failed, 1);
+  });
+
+  test('should raise typed errors when the response body cannot be read', async () => {
+    let status = 200;
+    const stub = await startHttpStub(() => ({ status, truncated: true }));
+    const provider = new HttpApiEmailProvider('ApiProvider', { url: stub.url });
+
+    try {
+      await assert.rejects(provider.sendEmail(email), error => {
+        assert.ok(error instanceof TransientProviderError);
+        assert.equal(error.statusCode, 200);
+        assert.ok(error.message.includes('Reading the 200 response'));
+        return true;
+      });
+
+      // The status alone rejects the message
+      status = 422;
+      await assert.rejects(provider.sendEmail(email), error => {
+        assert.ok(error instanceof PermanentProviderError);
+        assert.equal(error.statusCode, 422);
+        return true;
+      });
+      assert.equal(provider.getStats().failed, 2);
+      assert.equal(provider.getStats().sent, 0);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should leave the message ID unset when the vendor returns none', async () => {
+    const stub = await startHttpStub(() => ({ status: 202 }));
+    const provider = new HttpApiEmailProvider('ApiProvider', { url: stub.url });
+
+    try {
+      const result = await provider.sendEmail(email);
+      assert.equal(result.success, true);
+      assert.equal(result.messageId, null);
+      assert.equal(result.statusCode, 202);
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should support body mapping functions', () => {
+    const provider = new HttpApiEmailProvider('ApiProvider', {
+      url: 'http://localhost',
+      body: mail => ({ recipients: [mail.to], html: false })
+    });
+
+    const request = provider.buildRequest(email);
+    assert.deepEqual(JSON.parse(request.body), { recipients: ['recipient@example.com'], html: false });
+  });
+
+  test('should check health against health URL', async () => {
+    const stub = await startHttpStub(() => ({ json: { status: 'ok' } }));
+    const provider = new HttpApiEmailProvider('ApiProvider', {
+      url: stub.url,
+      healthUrl: `${stub.url}/health`
+    });
+
+    try {
+      assert.equal(await provider.checkHealth(), true);
+      assert.equal(stub.requests[0].url, '/health');
+    } finally {
+      await stub.close();
+    }
+
+    assert.equal(await provider.checkHealth(), false);
+  });
+
+  test('should be created by EmailService for http-api provider configs', async () => {
+    const stub = await startHttpStub(() => ({ json: { id: 'service-id' } }));
+    const service = new EmailService({
+      logLevel: 'error',
+      providers: [{ name: 'Vendor', type: 'http-api', url: stub.url }]
+    });
+
+    try {
+      assert.ok(service.providers[0] instanceof HttpApiEmailProvider);
+
+      const result = await service.sendEmail(email);
+      assert.equal(result.messageId, 'service-id');
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should reject invalid http-api configs', () => {
+    assert.throws(
+      () => new EmailService({ providers: [{ name: 'Vendor', type: 'http-api' }] }),
+      /requires option "url"/
+    );
+    assert.throws(
+      () => new EmailService({ providers: [{ name: 'Vendor', type: 'http-api', url: 'not a url' }] }),
+      error => error.code === 'INVALID_PROVIDER_CONFIG'
+    );
+  });
+
+  test('should send html and base64 attachments with the default body', async () => {
+    const stub = await startHttpStub(() => ({ json: { id: 'msg-1' } }));
+    const provider = new HttpApiEmailProvider('ApiProvider', { url: stub.url });
+
+    try {
+      await provider.sendEmail({
+        ...email,
+        html: '<p>Test Body</p>',
+        attachments: [{ filename: 'logo.png', content: Buffer.from([137, 80]), cid: 'logo' }]
+      });
+      await provider.sendEmail({ to: email.to, subject: 'Plain', text: 'Only text', from: email.from });
+
+      assert.deepEqual(JSON.parse(stub.requests[0].body), {
+        from: 'sender@example.com',
+        to: 'recipient@example.com',
+        subject: 'Test Subject',
+        text: 'Test Body',
+        html: '<p>Test Body</p>',
+        attachments: [{ filename: 'logo.png', contentType: 'image/png', cid: 'logo', content: 'iVA=' }]
+      });
+      assert.deepEqual(JSON.parse(stub.requests[1].body), {
+        from: 'sender@example.com',
+        to: 'recipient@example.com',
+        subject: 'Plain',
+        text: 'Only text'
+      });
+    } finally {
+      await stub.close();
+    }
+  });
+
+  test('should send headers, tags and metadata with the default body', async () => {
+    const stub = await startHttpStub(() => ({ json: { id: 'msg-1' } }));
+    const provider = new HttpApiEmailProvider('ApiProvider', { url: stub.url });
+
+    try {
+      await provider.sendEmail({
+        ...email,
+        headers: { 'X-Campaign': 'spring' },
+        listUnsubscribe: ['https://example.com/unsubscribe?u=1', 'mailto:unsubscribe@example.com'],
+        listUnsubscribePost: true,
+        tags: ['newsletter'],
+        metadata: { userId: '42' }
+      });
+
+      const body = JSON.parse(stub.requests[0].body);
+      assert.deepEqual(body.headers, {
+        'X-Campaign': 'spring',
+        'List-Unsubscribe': '<https://example.com/unsubscribe?u=1>, <mailto:unsubscribe@example.com>',
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      });
+      assert.deepEqual(body.tags, ['newsletter']);
+      assert.deepEqual(body.metadata, { userId: '42' });
+    } finally {
+      await stub.close();
+    }
+  });
+});
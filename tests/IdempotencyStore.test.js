@@ -0,0 +1,227 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryIdempotencyStore, createIdempotencyStore } from '../src/IdempotencyStore.js';
+import { FileIdempotencyStore } from '../src/FileIdempotencyStore.js';
+import { SqliteIdempotencyStore } from '../src/SqliteIdempotencyStore.js';
+import { isSqliteAvailable } from '../src/SqliteQueueStore.js';
+
+const sqliteAvailable = isSqliteAvailable();
+
+function createRecord(key, overrides = {}) {
+  const now = Date.now();
+  return {
+    key,
+    tenant: null,
+    status: 'in-flight',
+    owner: 'owner-1',
+    result: null,
+    createdAt: now,
+    expiresAt: now + 60000,
+    ...overrides
+  };
+}
+
+function completed(key, overrides = {}) {
+  return createRecord(key, { status: 'completed', result: { messageId: `${key}-message` }, ...overrides });
+}
+
+async function tempPath(name) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'idempotency-store-'));
+  return path.join(dir, name);
+}
+
+const implementations = [
+  { name: 'MemoryIdempotencyStore', create: async () => new MemoryIdempotencyStore() },
+  { name: 'FileIdempotencyStore', create: async () => new FileIdempotencyStore({ path: await tempPath('idempotency.journal') }) },
+  {
+    name: 'SqliteIdempotencyStore',
+    create: async () => new SqliteIdempotencyStore({ path: await tempPath('idempotency.db') }),
+    skip: !sqliteAvailable && `node:sqlite is not available on Node.js ${process.version}`
+  }
+];
+
+for (const { name, create, skip } of implementations) {
+  describe(name, { skip }, () => {
+    test('should acquire a key only once', async () => {
+      const store = await create();
+      await store.open();
+
+      const first = await store.acquire(createRecord('order-1'));
+      assert.equal(first.acquired, true);
+
+      const second = await store.acquire(createRecord('order-1', { owner: 'owner-2' }));
+      assert.equal(second.acquired, false);
+      assert.equal(second.record.owner, 'owner-1');
+      assert.equal(second.record.status, 'in-flight');
+
+      await store.close();
+    });
+
+    test('should complete and look up records', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.acquire(createRecord('order-1', { tenant: 'acme' }));
+      await store.complete(completed('order-1', { tenant: 'acme' }));
+
+      const record = await store.get('order-1');
+      assert.equal(record.status, 'completed');
+      assert.equal(record.result.messageId, 'order-1-message');
+
+      const { acquired, record: existing } = await store.acquire(createRecord('order-1'));
+      assert.equal(acquired, false);
+      assert.equal(existing.status, 'completed');
+      assert.equal(await store.get('missing'), null);
+
+      await store.close();
+    });
+
+    test('should release in-flight records held by the owner', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.acquire(createRecord('order-1'));
+      assert.equal(await store.release('order-1', 'owner-2'), false);
+      assert.equal(await store.release('order-1', 'owner-1'), true);
+      assert.equal(await store.get('order-1'), null);
+
+      await store.complete(completed('order-2'));
+      assert.equal(await store.release('order-2', 'owner-1'), false);
+      assert.ok(await store.get('order-2'));
+
+      await store.close();
+    });
+
+    test('should complete only records held by the owner', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.acquire(createRecord('order-1'));
+      assert.equal(await store.complete(completed('order-1', { owner: 'owner-2' })), false);
+      assert.equal((await store.get('order-1')).status, 'in-flight');
+      assert.equal(await store.complete(completed('order-1')), true);
+      assert.equal((await store.get('order-1')).status, 'completed');
+
+      // A completed record is not replaced by a late sender
+      assert.equal(await store.complete(completed('order-1', { result: { messageId: 'late' } })), false);
+      assert.equal((await store.get('order-1')).result.messageId, 'order-1-message');
+
+      await store.acquire(createRecord('expired', { expiresAt: Date.now() - 1 }));
+      assert.equal(await store.complete(completed('expired', { owner: 'owner-2' })), true);
+
+      await store.close();
+    });
+
+    test('should extend in-flight records held by the owner', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.acquire(createRecord('order-1', { expiresAt: Date.now() + 1000 }));
+      const expiresAt = Date.now() + 60000;
+      assert.equal(await store.extend('order-1', 'owner-2', expiresAt), false);
+      assert.equal(await store.extend('order-1', 'owner-1', expiresAt), true);
+      assert.equal((await store.get('order-1')).expiresAt, expiresAt);
+
+      await store.complete(completed('order-2'));
+      assert.equal(await store.extend('order-2', 'owner-1', expiresAt), false);
+      assert.equal(await store.extend('missing', 'owner-1', expiresAt), false);
+
+      await store.close();
+    });
+
+    test('should remove records with a given status', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.complete(createRecord('order-1', { status: 'failed', error: { code: 'PROVIDER_PERMANENT' } }));
+      await store.complete(completed('order-2'));
+      assert.equal(await store.remove('order-1', 'completed'), false);
+      assert.equal(await store.remove('order-2', 'failed'), false);
+      assert.equal(await store.remove('order-1', 'failed'), true);
+      assert.equal(await store.get('order-1'), null);
+      assert.equal((await store.acquire(createRecord('order-1'))).acquired, true);
+
+      await store.close();
+    });
+
+    test('should treat expired records as missing', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.acquire(createRecord('crashed', { expiresAt: Date.now() - 1 }));
+      assert.equal(await store.get('crashed'), null);
+
+      const takeover = await store.acquire(createRecord('crashed', { owner: 'owner-2' }));
+      assert.equal(takeover.acquired, true);
+      assert.equal(takeover.record.owner, 'owner-2');
+
+      await store.complete(completed('old', { expiresAt: Date.now() - 1 }));
+      assert.equal(await store.purge(), 1);
+
+      await store.close();
+    });
+
+    test('should count live records by tenant and status', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.complete(completed('acme:order-1', { tenant: 'acme' }));
+      await store.complete(completed('acme:order-2', { tenant: 'acme' }));
+      await store.complete(completed('globex:order-1', { tenant: 'globex' }));
+      await store.acquire(createRecord('acme:order-3', { tenant: 'acme' }));
+      await store.complete(completed('acme:old', { tenant: 'acme', expiresAt: Date.now() - 1 }));
+
+      assert.equal(await store.count(), 4);
+      assert.equal(await store.count({ tenant: 'acme' }), 3);
+      assert.equal(await store.count({ tenant: 'acme', status: 'completed' }), 2);
+      assert.equal(await store.count({ status: 'in-flight' }), 1);
+
+      await store.close();
+    });
+  });
+}
+
+describe('FileIdempotencyStore journal', () => {
+  test('should require a path', () => {
+    assert.throws(() => new FileIdempotencyStore(), /requires a journal path/);
+  });
+
+  test('should keep records after reopening', async () => {
+    const journalPath = await tempPath('idempotency.journal');
+
+    const store = new FileIdempotencyStore({ path: journalPath });
+    await store.open();
+    await store.acquire(createRecord('sent'));
+    await store.complete(completed('sent'));
+    await store.acquire(createRecord('failed'));
+    await store.release('failed', 'owner-1');
+    await store.complete(completed('expiring', { expiresAt: Date.now() + 20 }));
+    await store.close();
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+
+    const reopened = new FileIdempotencyStore({ path: journalPath });
+    await reopened.open();
+    assert.equal((await reopened.get('sent')).result.messageId, 'sent-message');
+    assert.equal(await reopened.get('failed'), null);
+    assert.equal(await reopened.count(), 1);
+    await reopened.close();
+  });
+});
+
+describe('createIdempotencyStore', () => {
+  test('should create stores by type', async () => {
+    assert.ok(createIdempotencyStore() instanceof MemoryIdempotencyStore);
+    assert.ok(createIdempotencyStore({ type: 'file', path: await tempPath('idempotency.journal') }) instanceof FileIdempotencyStore);
+    if (sqliteAvailable) {
+      assert.ok(createIdempotencyStore({ type: 'sqlite', path: ':memory:' }) instanceof SqliteIdempotencyStore);
+    } else {
+      // Refused when the store is created rather than when it is first opened
+      assert.throws(() => createIdempotencyStore({ type: 'sqlite', path: ':memory:' }), /SqliteIdempotencyStore requires Node\.js 22\.5 or later/);
+    }
+    assert.throws(() => createIdempotencyStore({ type: 'redis' }), /Unknown idempotency storage type/);
+  });
+});
@@ -0,0 +1,103 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StdoutTransport, FileTransport, MemoryTransport, formatJson } from '../src/LogTransports.js';
+
+const entry = (message, data = {}) => ({ timestamp: '2024-01-01T00:00:00.000Z', level: 'info', message, ...data });
+
+describe('LogTransports', () => {
+  test('should serialize errors in JSON lines', () => {
+    const error = new Error('Boom');
+    error.code = 'PROVIDER_TRANSIENT';
+
+    const parsed = JSON.parse(formatJson(entry('Failed', { error })));
+    assert.equal(parsed.error.message, 'Boom');
+    assert.equal(parsed.error.code, 'PROVIDER_TRANSIENT');
+    assert.ok(parsed.error.stack.includes('Boom'));
+  });
+
+  test('should write JSON lines to a stream', () => {
+    const lines = [];
+    const transport = new StdoutTransport({ format: 'json', stream: { write: line => lines.push(line) } });
+
+    transport.write(entry('Hello', { requestId: 'req-1' }));
+
+    assert.equal(lines.length, 1);
+    assert.ok(lines[0].endsWith('\n'));
+    assert.deepEqual(JSON.parse(lines[0]), entry('Hello', { requestId: 'req-1' }));
+  });
+
+  test('should keep the console format for text output', () => {
+    const originalLog = console.log;
+    let capturedArgs = [];
+    console.log = (...args) => {
+      capturedArgs = args;
+    };
+
+    new StdoutTransport().write(entry('Hello', { key: 'value' }));
+    console.log = originalLog;
+
+    assert.equal(capturedArgs[0], '[2024-01-01T00:00:00.000Z] INFO: Hello');
+    assert.deepEqual(capturedArgs[1], { key: 'value' });
+  });
+
+  test('should append to a file and rotate it', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-transport-'));
+    const file = path.join(dir, 'nested', 'app.log');
+
+    try {
+      const line = `${formatJson(entry('x'.repeat(40)))}\n`;
+      const transport = new FileTransport({ path: file, maxSize: line.length * 2, maxFiles: 2 });
+
+      for (let i = 0; i < 7; i++) {
+        transport.write(entry('x'.repeat(40)));
+      }
+      transport.close();
+      transport.write(entry('after close'));
+
+      const lines = name => fs.readFileSync(name, 'utf8').trim().split('\n');
+      assert.equal(lines(file).length, 1);
+      assert.equal(lines(`${file}.1`).length, 2);
+      assert.equal(lines(`${file}.2`).length, 2);
+      assert.equal(fs.existsSync(`${file}.3`), false);
+      assert.equal(JSON.parse(lines(file)[0]).message, 'x'.repeat(40));
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should continue an existing file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'log-transport-'));
+    const file = path.join(dir, 'app.log');
+
+    try {
+      const first = new FileTransport({ path: file });
+      first.write(entry('First'));
+      first.close();
+
+      const second = new FileTransport({ path: file });
+      second.write(entry('Second'));
+      second.close();
+
+      const messages = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line).message);
+      assert.deepEqual(messages, ['First', 'Second']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should keep a bounded number of entries in memory', () => {
+    const transport = new MemoryTransport({ limit: 2 });
+
+    transport.write(entry('One'));
+    transport.write(entry('Two', { level: 'error' }));
+    transport.write(entry('Three'));
+
+    assert.deepEqual(transport.entries.map(e => e.message), ['Two', 'Three']);
+    assert.deepEqual(transport.find({ level: 'error' }).map(e => e.message), ['Two']);
+    transport.clear();
+    assert.equal(transport.entries.length, 0);
+  });
+});
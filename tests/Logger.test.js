@@ -1,6 +1,7 @@
 import { strict as assert } from 'assert';
 import { test, describe } from 'node:test';
-import { Logger } from '../src/Logger.js';
+import { Logger, createLogger, maskAddresses } from '../src/Logger.js';
+import { MemoryTransport } from '../src/LogTransports.js';
 
 describe('Logger', () => {
   test('should create logger with default level', () => {
@@ -54,4 +55,91 @@ describe('Logger', () => {
     
     console.log = originalLog;
   });
+
+  test('should write structured entries to transports', () => {
+    const transport = new MemoryTransport();
+    const logger = new Logger({ level: 'debug', transports: [transport] });
+
+    logger.debug('Processing', { attempt: 1 });
+
+    assert.equal(transport.entries.length, 1);
+    const [entry] = transport.entries;
+    assert.equal(entry.level, 'debug');
+    assert.equal(entry.message, 'Processing');
+    assert.equal(entry.attempt, 1);
+    assert.ok(!Number.isNaN(Date.parse(entry.timestamp)));
+  });
+
+  test('should bind context in child loggers', () => {
+    const transport = new MemoryTransport();
+    const logger = new Logger({ transports: [transport], context: { component: 'queue' } });
+
+    const child = logger.child({ requestId: 'req-1' }).child({ tenant: 'acme' });
+    child.info('Queued', { queueItemId: 'item-1' });
+    logger.info('Unbound');
+
+    assert.deepEqual(transport.find({ message: 'Queued' }).map(({ timestamp, ...entry }) => entry), [{
+      level: 'info',
+      message: 'Queued',
+      component: 'queue',
+      requestId: 'req-1',
+      tenant: 'acme',
+      queueItemId: 'item-1'
+    }]);
+    assert.equal(transport.find({ message: 'Unbound' })[0].requestId, undefined);
+    assert.equal(child.level, 'info');
+  });
+
+  test('should mask recipients and drop bodies when redacting', () => {
+    const transport = new MemoryTransport();
+    const logger = new Logger({ transports: [transport], redact: true });
+
+    logger.info('Sending', {
+      to: 'jane.doe@example.com',
+      email: { to: ['a@x.com', 'Bob <bob@y.org>'], subject: 'Hi', body: 'Secret', html: '<p>Secret</p>' },
+      note: 'kept@example.com'
+    });
+
+    const [entry] = transport.entries;
+    assert.equal(entry.to, 'j***@example.com');
+    assert.deepEqual(entry.email, {
+      to: ['a***@x.com', 'Bob <b***@y.org>'],
+      subject: 'Hi',
+      body: '[REDACTED]',
+      html: '[REDACTED]'
+    });
+    assert.equal(entry.note, 'kept@example.com');
+  });
+
+  test('should leave entries untouched without redaction', () => {
+    const transport = new MemoryTransport();
+    const logger = new Logger({ transports: [transport] });
+
+    logger.info('Sending', { to: 'jane@example.com', body: 'Hello' });
+
+    assert.equal(transport.entries[0].to, 'jane@example.com');
+    assert.equal(transport.entries[0].body, 'Hello');
+  });
+
+  test('should mask every address in a string', () => {
+    assert.equal(maskAddresses('a@b.com, Carol <carol@c.org>'), 'a***@b.com, Carol <c***@c.org>');
+  });
+
+  test('should create loggers from configuration', () => {
+    const logger = createLogger({
+      level: 'warn',
+      redact: true,
+      transports: [{ type: 'memory', limit: 2 }]
+    });
+    const [transport] = logger.transports;
+
+    logger.info('Ignored');
+    logger.warn('First', { to: 'jane@example.com' });
+    logger.error('Second');
+    logger.error('Third');
+
+    assert.ok(transport instanceof MemoryTransport);
+    assert.deepEqual(transport.entries.map(entry => entry.message), ['Second', 'Third']);
+    assert.throws(() => createLogger({ transports: [{ type: 'carrier-pigeon' }] }), /Unknown log transport type/);
+  });
 });
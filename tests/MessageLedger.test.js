@@ -0,0 +1,198 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MessageLedger } from '../src/MessageLedger.js';
+import { ValidationError } from '../src/errors.js';
+
+const details = {
+  recipients: ['ana@example.com'],
+  subject: 'Welcome',
+  tenant: 'acme',
+  traceId: 'trace-1'
+};
+
+// Record a message and send it, the provider message ID is `provider-<id>`
+async function send(ledger, id, overrides = {}) {
+  await ledger.record(id, { ...details, ...overrides });
+  return ledger.markSent(id, { messageId: `provider-${id}`, provider: 'Provider-A' });
+}
+
+describe('MessageLedger', () => {
+  test('should record messages when accepted or queued and move them to sent', async () => {
+    const ledger = new MessageLedger({ logLevel: 'error' });
+    const acceptedAt = new Date('2026-10-19T10:00:00Z');
+    const sentAt = new Date('2026-10-19T10:00:01Z');
+
+    const accepted = await ledger.record('msg-1', { ...details, acceptedAt });
+    assert.equal(accepted.id, 'msg-1');
+    assert.equal(accepted.status, 'accepted');
+    assert.equal(accepted.messageId, null);
+    assert.deepEqual(accepted.history, [{ status: 'accepted', at: acceptedAt }]);
+
+    const { entry: direct, changed } = await ledger.markSent('msg-1', { messageId: 'provider-1', provider: 'Provider-A', sentAt });
+    assert.equal(changed, true);
+    assert.equal(direct.status, 'sent');
+    assert.equal(direct.messageId, 'provider-1');
+    assert.equal(direct.provider, 'Provider-A');
+    assert.deepEqual(direct.history, [
+      { status: 'accepted', at: acceptedAt },
+      { status: 'sent', at: sentAt, provider: 'Provider-A' }
+    ]);
+    assert.equal((await ledger.get('provider-1')).id, 'msg-1');
+
+    const queuedAt = new Date('2026-10-19T09:59:00Z');
+    const queued = await ledger.record('item-1', { ...details, queueId: 'item-1', queuedAt });
+    assert.equal(queued.status, 'queued');
+    assert.deepEqual(queued.history.map(event => event.status), ['accepted', 'queued']);
+    assert.equal((await ledger.list({ status: 'queued' }))[0].queueId, 'item-1');
+
+    assert.equal(await ledger.markSent('missing', { messageId: 'provider-2' }), null);
+    await assert.rejects(ledger.record(undefined, details), ValidationError);
+  });
+
+  test('should record messages that failed or were cancelled', async () => {
+    const ledger = new MessageLedger({ logLevel: 'error' });
+    await ledger.record('msg-1', details);
+    await ledger.record('item-1', { ...details, queueId: 'item-1' });
+    await ledger.record('item-2', { ...details, queueId: 'item-2' });
+
+    const failed = await ledger.transition('msg-1', 'failed', { code: 'PROVIDER_PERMANENT', error: 'Mailbox unavailable' });
+    assert.equal(failed.entry.status, 'failed');
+    assert.equal(failed.entry.messageId, null);
+    assert.equal(failed.entry.history.at(-1).code, 'PROVIDER_PERMANENT');
+    assert.equal((await ledger.transition('item-1', 'failed')).entry.status, 'failed');
+    assert.equal((await ledger.transition('item-2', 'cancelled')).entry.status, 'cancelled');
+
+    // Nothing follows a failed message
+    const late = await ledger.markSent('msg-1', { messageId: 'provider-1' });
+    assert.equal(late.changed, false);
+    assert.equal(late.entry.messageId, null);
+    assert.deepEqual((await ledger.list({ status: 'failed' })).map(entry => entry.id), ['msg-1', 'item-1']);
+  });
+
+  test('should follow allowed transitions and keep out of order events', async () => {
+    const ledger = new MessageLedger({ logLevel: 'error' });
+    await send(ledger, 'msg-1');
+
+    const opened = await ledger.transition('msg-1', 'opened', { recipient: 'ana@example.com', source: 'ses' });
+    assert.equal(opened.changed, true);
+    assert.equal(opened.entry.status, 'opened');
+
+    // The delivery report arrived after the open
+    const delivered = await ledger.transition('msg-1', 'delivered', { recipient: 'ana@example.com' });
+    assert.equal(delivered.changed, false);
+    assert.equal(delivered.entry.status, 'opened');
+    assert.equal(delivered.entry.history.at(-1).applied, false);
+
+    const complained = await ledger.transition('msg-1', 'complained', { at: '2026-10-20T08:00:00Z' });
+    assert.equal(complained.entry.status, 'complained');
+    assert.deepEqual(complained.entry.history.at(-1).at, new Date('2026-10-20T08:00:00Z'));
+    assert.equal((await ledger.transition('msg-1', 'delivered')).changed, false);
+
+    assert.equal(await ledger.transition('missing', 'delivered'), null);
+    await assert.rejects(ledger.transition('msg-1', 'lost'), /Unknown message state: lost/);
+  });
+
+  test('should move deferred messages on to delivered or bounced', async () => {
+    const ledger = new MessageLedger({ logLevel: 'error' });
+    await send(ledger, 'msg-1');
+    await send(ledger, 'msg-2');
+
+    await ledger.transition('provider-msg-1', 'deferred');
+    await ledger.transition('msg-1', 'deferred');
+    assert.equal((await ledger.transition('msg-1', 'delivered')).entry.status, 'delivered');
+
+    await ledger.transition('msg-2', 'deferred');
+    assert.equal((await ledger.transition('msg-2', 'bounced')).entry.status, 'bounced');
+    assert.equal((await ledger.transition('msg-2', 'delivered')).changed, false);
+  });
+
+  test('should keep a status for every recipient', async () => {
+    const ledger = new MessageLedger({ logLevel: 'error' });
+    await ledger.record('msg-1', { ...details, recipients: ['ana@example.com', 'bo@example.com', 'cy@example.com'] });
+    assert.deepEqual((await ledger.get('msg-1')).recipientStatus, {
+      'ana@example.com': 'accepted', 'bo@example.com': 'accepted', 'cy@example.com': 'accepted'
+    });
+
+    // cy was suppressed and not sent to
+    await ledger.markSent('msg-1', { messageId: 'provider-1', recipients: ['ana@example.com', 'bo@example.com'] });
+    await ledger.transition('provider-1', 'delivered', { recipient: 'ana@example.com' });
+    const bounced = await ledger.transition('provider-1', 'bounced', { recipient: 'Bo@Example.com' });
+    assert.equal(bounced.entry.status, 'delivered');
+    assert.deepEqual(bounced.entry.recipientStatus, { 'ana@example.com': 'delivered', 'bo@example.com': 'bounced' });
+
+    // Nothing follows bo's bounce, while the message moves on with ana
+    const late = await ledger.transition('provider-1', 'delivered', { recipient: 'bo@example.com' });
+    assert.equal(late.changed, false);
+    assert.equal(late.entry.history.at(-1).applied, false);
+    const opened = await ledger.transition('provider-1', 'opened', { recipient: 'ana@example.com' });
+    assert.equal(opened.changed, true);
+    assert.equal(opened.entry.status, 'opened');
+    assert.deepEqual(opened.entry.recipientStatus, { 'ana@example.com': 'opened', 'bo@example.com': 'bounced' });
+
+    assert.deepEqual((await ledger.list({ recipient: 'ana@example.com', status: 'bounced' })), []);
+    assert.deepEqual((await ledger.list({ recipient: 'bo@example.com', status: 'bounced' })).map(entry => entry.id), ['msg-1']);
+    assert.deepEqual((await ledger.list({ status: 'opened' })).map(entry => entry.id), ['msg-1']);
+  });
+
+  test('should move every recipient on events that name none', async () => {
+    const ledger = new MessageLedger({ logLevel: 'error' });
+    await ledger.record('msg-1', { ...details, recipients: ['ana@example.com', 'bo@example.com'] });
+
+    const failed = await ledger.transition('msg-1', 'failed', { code: 'PROVIDER_PERMANENT' });
+    assert.deepEqual(failed.entry.recipientStatus, { 'ana@example.com': 'failed', 'bo@example.com': 'failed' });
+  });
+
+  test('should scope lookups to a tenant and filter lists', async () => {
+    const ledger = new MessageLedger({ logLevel: 'error' });
+    await send(ledger, 'msg-1');
+    await send(ledger, 'msg-2', { recipients: ['bo@example.com'], tenant: 'globex' });
+    await send(ledger, 'msg-3', { recipients: ['Ana@Example.com', 'cy@example.com'] });
+    await ledger.transition('provider-msg-1', 'delivered');
+
+    assert.equal((await ledger.get('provider-msg-1', { tenant: 'acme' })).status, 'delivered');
+    assert.equal(await ledger.get('provider-msg-1', { tenant: 'globex' }), null);
+    assert.equal((await ledger.get('msg-1')).messageId, 'provider-msg-1');
+
+    assert.deepEqual((await ledger.list()).map(entry => entry.id), ['msg-1', 'msg-3', 'msg-2']);
+    assert.deepEqual((await ledger.list({ recipient: 'ana@example.com' })).map(entry => entry.id), ['msg-1', 'msg-3']);
+    assert.deepEqual((await ledger.list({ status: 'sent', tenant: 'acme' })).map(entry => entry.id), ['msg-3']);
+    assert.equal((await ledger.list({ limit: 1 })).length, 1);
+  });
+
+  test('should drop the least recently updated messages beyond maxEntries', async () => {
+    const ledger = new MessageLedger({ maxEntries: 2, logLevel: 'error' });
+    await send(ledger, 'msg-1');
+    await send(ledger, 'msg-2');
+    await ledger.transition('msg-1', 'delivered');
+    await send(ledger, 'msg-3');
+
+    assert.equal(await ledger.size(), 2);
+    assert.equal(await ledger.get('msg-2'), null);
+    assert.equal(await ledger.get('provider-msg-2'), null);
+    assert.ok(await ledger.get('msg-1'));
+  });
+
+  test('should persist messages in file storage', async () => {
+    const journalPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-')), 'messages.journal');
+
+    const ledger = new MessageLedger({ storage: { type: 'file', path: journalPath }, logLevel: 'error' });
+    await send(ledger, 'msg-1');
+    await ledger.record('msg-2', details);
+    await ledger.transition('msg-1', 'bounced', { recipient: 'ana@example.com', diagnostic: '550 User unknown' });
+    await ledger.close();
+
+    const reopened = new MessageLedger({ storage: { type: 'file', path: journalPath }, logLevel: 'error' });
+    const entry = await reopened.get('provider-msg-1');
+    assert.equal(entry.status, 'bounced');
+    assert.deepEqual(entry.recipientStatus, { 'ana@example.com': 'bounced' });
+    assert.equal(entry.history.at(-1).diagnostic, '550 User unknown');
+    assert.ok(entry.history[0].at instanceof Date);
+    assert.ok(entry.updatedAt instanceof Date);
+    assert.deepEqual((await reopened.list()).map(message => message.id).sort(), ['msg-1', 'msg-2']);
+    assert.equal((await reopened.get('msg-2')).status, 'accepted');
+    await reopened.close();
+  });
+});
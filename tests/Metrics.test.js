@@ -0,0 +1,79 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { MetricsRegistry } from '../src/Metrics.js';
+
+describe('MetricsRegistry', () => {
+  test('should render counters with labels', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('sends_total', 'Sends by provider', ['provider']);
+
+    counter.inc({ provider: 'A' });
+    counter.inc({ provider: 'A' }, 2);
+    counter.inc({ provider: 'B "quoted"\\' });
+
+    assert.equal(counter.get({ provider: 'A' }), 3);
+    assert.equal(registry.render(), [
+      '# HELP sends_total Sends by provider',
+      '# TYPE sends_total counter',
+      'sends_total{provider="A"} 3',
+      'sends_total{provider="B \\"quoted\\"\\\\"} 1',
+      ''
+    ].join('\n'));
+  });
+
+  test('should reject invalid use', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('errors_total', 'Errors', ['code']);
+
+    assert.throws(() => counter.inc({ code: 'X' }, -1), /cannot decrease/);
+    assert.throws(() => counter.inc({ other: 'X' }), /expects labels/);
+    assert.throws(() => counter.inc(), /expects labels/);
+    assert.throws(() => registry.counter('errors_total', 'Again'), /already registered/);
+    assert.throws(() => registry.counter('bad-name', 'Bad'), /Invalid metric name/);
+    assert.throws(() => registry.histogram('latency', 'Latency', ['le']), /Invalid label name/);
+  });
+
+  test('should render cumulative histogram buckets', () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram('latency_seconds', 'Latency', ['provider'], [0.1, 1]);
+
+    histogram.observe({ provider: 'A' }, 0.05);
+    histogram.observe({ provider: 'A' }, 0.5);
+    histogram.observe({ provider: 'A' }, 5);
+
+    assert.deepEqual(histogram.get({ provider: 'A' }), { sum: 5.55, count: 3 });
+    const lines = registry.render().split('\n');
+    assert.ok(lines.includes('# TYPE latency_seconds histogram'));
+    assert.ok(lines.includes('latency_seconds_bucket{provider="A",le="0.1"} 1'));
+    assert.ok(lines.includes('latency_seconds_bucket{provider="A",le="1"} 2'));
+    assert.ok(lines.includes('latency_seconds_bucket{provider="A",le="+Inf"} 3'));
+    assert.ok(lines.includes('latency_seconds_sum{provider="A"} 5.55'));
+    assert.ok(lines.includes('latency_seconds_count{provider="A"} 3'));
+  });
+
+  test('should refresh collected gauges on every render', () => {
+    const registry = new MetricsRegistry();
+    let depth = 3;
+    registry.gauge('queue_depth', 'Depth', ['status'], gauge => {
+      if (depth > 0) {
+        gauge.set({ status: 'pending' }, depth);
+      }
+    });
+
+    assert.match(registry.render(), /queue_depth\{status="pending"\} 3/);
+    depth = 0;
+    assert.doesNotMatch(registry.render(), /queue_depth\{/);
+  });
+
+  test('should support gauges without labels', () => {
+    const registry = new MetricsRegistry();
+    const gauge = registry.gauge('in_flight', 'In flight');
+
+    gauge.inc();
+    gauge.inc();
+    gauge.dec();
+
+    assert.equal(gauge.get(), 1);
+    assert.match(registry.render(), /^in_flight 1$/m);
+  });
+});
@@ -0,0 +1,313 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import {
+  MimeBuilder,
+  resolveAttachments,
+  encodeAttachments,
+  encodeHeaderValue,
+  guessContentType
+} from '../src/MimeBuilder.js';
+import { MessageTooLargeError, ValidationError } from '../src/errors.js';
+
+const email = {
+  from: 'sender@example.com',
+  to: 'recipient@example.com',
+  subject: 'Monthly report'
+};
+
+/**
+ * Split a message into its header block and body
+ * @param {string} message - Message
+ * @returns {Object} - { headers, body }
+ */
+function split(message) {
+  const index = message.indexOf('\r\n\r\n');
+  return { headers: message.slice(0, index), body: message.slice(index + 4) };
+}
+
+function boundaryOf(headers) {
+  return headers.match(/boundary="([^"]+)"/)[1];
+}
+
+describe('MimeBuilder', () => {
+  test('should build a plain text message', async () => {
+    const builder = new MimeBuilder();
+    const message = await builder.build(
+      { ...email, body: 'Line one\nLine two' },
+      { messageId: 'id-1@example.com', date: new Date(Date.UTC(2026, 9, 19, 4, 52, 2)) }
+    );
+    const { headers, body } = split(message);
+
+    assert.equal(headers, [
+      'From: sender@example.com',
+      'To: recipient@example.com',
+      'Subject: Monthly report',
+      'Date: Mon, 19 Oct 2026 04:52:02 +0000',
+      'Message-ID: <id-1@example.com>',
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=utf-8',
+      'Content-Transfer-Encoding: 7bit'
+    ].join('\r\n'));
+    assert.equal(body, 'Line one\r\nLine two');
+    assert.doesNotMatch(message, /[^\r]\n/);
+  });
+
+  test('should build text and html alternatives', async () => {
+    const message = await new MimeBuilder().build(
+      { ...email, text: 'Plain', body: 'Ignored', html: '<p>Grüße</p>' },
+      { messageId: 'id@example.com' }
+    );
+    const { headers, body } = split(message);
+    const boundary = boundaryOf(headers);
+
+    assert.match(headers, /Content-Type: multipart\/alternative; boundary="----=_Part_[0-9a-f]{24}"/);
+    const parts = body.split(`--${boundary}`);
+    assert.equal(parts.length, 4);
+    assert.equal(parts[3], '--');
+    assert.match(parts[1], /Content-Type: text\/plain; charset=utf-8\r\nContent-Transfer-Encoding: 7bit\r\n\r\nPlain\r\n$/);
+    assert.match(parts[2], /Content-Type: text\/html; charset=utf-8\r\nContent-Transfer-Encoding: base64/);
+    assert.ok(parts[2].includes(Buffer.from('<p>Grüße</p>').toString('base64')));
+    assert.doesNotMatch(message, /Ignored/);
+  });
+
+  test('should nest inline and regular attachments', async () => {
+    const message = await new MimeBuilder().build({
+      ...email,
+      text: 'See the chart',
+      html: '<img src="cid:chart@report">',
+      attachments: [
+        { filename: 'chart.png', content: Buffer.from([1, 2, 3]), cid: 'chart@report' },
+        { filename: 'Bericht März.pdf', content: 'JVBERi0=', encoding: 'base64' },
+        { content: 'a,b\n1,2', contentType: 'text/csv; charset=utf-8' }
+      ]
+    }, { messageId: 'id@example.com' });
+
+    const { headers } = split(message);
+    assert.match(headers, /Content-Type: multipart\/mixed/);
+    assert.match(message, /Content-Type: multipart\/related; boundary=/);
+    assert.match(message, /Content-Type: multipart\/alternative; boundary=/);
+    assert.ok(message.indexOf('multipart/related') < message.indexOf('multipart/alternative'));
+
+    assert.match(message, /Content-Type: image\/png; name="chart.png"\r\nContent-Transfer-Encoding: base64\r\nContent-Disposition: inline; filename="chart.png"\r\nContent-ID: <chart@report>\r\n\r\nAQID/);
+    assert.match(message, /Content-Type: application\/pdf; name\*=UTF-8''Bericht%20M%C3%A4rz.pdf/);
+    assert.match(message, /Content-Disposition: attachment; filename\*=UTF-8''Bericht%20M%C3%A4rz.pdf\r\n\r\nJVBERi0=/);
+    assert.match(message, /Content-Type: text\/csv; charset=utf-8; name="attachment-3"/);
+    assert.ok(message.includes(Buffer.from('a,b\n1,2').toString('base64')));
+
+    // Every boundary that is opened is closed
+    for (const [, boundary] of message.matchAll(/boundary="([^"]+)"/g)) {
+      assert.ok(message.includes(`\r\n--${boundary}--`));
+    }
+  });
+
+  test('should encode and fold headers', async () => {
+    assert.equal(encodeHeaderValue('Plain subject'), 'Plain subject');
+
+    const encoded = encodeHeaderValue('Ünïcödé '.repeat(10));
+    const words = encoded.split('\r\n ');
+    assert.ok(words.length > 1);
+    for (const word of words) {
+      assert.match(word, /^=\?UTF-8\?B\?[A-Za-z0-9+/=]+\?=$/);
+      assert.ok(word.length <= 75);
+    }
+    const decoded = words.map(word => Buffer.from(word.slice(10, -2), 'base64').toString()).join('');
+    assert.equal(decoded, 'Ünïcödé '.repeat(10));
+
+    const message = await new MimeBuilder().build(
+      { ...email, subject: 'word '.repeat(40).trim(), body: 'x' },
+      { messageId: 'id@example.com' }
+    );
+    const subject = message.match(/Subject: [\s\S]*?\r\n(?=Date:)/)[0];
+    assert.ok(subject.split('\r\n').every(line => line.length <= 78));
+    assert.equal(subject.replace(/\r\n /g, ' ').trim(), `Subject: ${'word '.repeat(40).trim()}`);
+  });
+
+  test('should base64-encode text with very long lines', async () => {
+    const message = await new MimeBuilder().build(
+      { ...email, html: `<p>${'a'.repeat(2000)}</p>` },
+      { messageId: 'id@example.com' }
+    );
+
+    assert.match(message, /Content-Type: text\/html; charset=utf-8\r\nContent-Transfer-Encoding: base64/);
+    assert.ok(message.split('\r\n').every(line => line.length <= 998));
+  });
+
+  test('should reject header injection in addresses', async () => {
+    await assert.rejects(
+      new MimeBuilder().build({ ...email, body: 'x' }, { from: 'a@example.com\r\nBcc: b@example.com' }),
+      { field: 'from' }
+    );
+  });
+
+  test('should format address headers without bcc', async () => {
+    const message = await new MimeBuilder().build({
+      ...email,
+      to: 'Ana Lima <ana@example.com>, "Lima, Bo" <bo@example.com>',
+      cc: 'Zoë <zoe@example.com>',
+      bcc: 'hidden@example.com',
+      replyTo: 'support@example.com',
+      body: 'x'
+    }, { messageId: 'id@example.com' });
+
+    assert.match(message, /\r\nTo: Ana Lima <ana@example\.com>, "Lima, Bo" <bo@example\.com>\r\n/);
+    assert.match(message, /\r\nCc: =\?UTF-8\?B\?Wm/);
+    assert.match(message, /\?= <zoe@example\.com>\r\n/);
+    assert.match(message, /\r\nReply-To: support@example\.com\r\n/);
+    assert.equal(message.includes('hidden@example.com'), false);
+    assert.equal(/^Bcc:/m.test(message), false);
+  });
+
+  test('should fold long recipient lists', async () => {
+    const to = Array.from({ length: 30 }, (_, index) => `user${index}@example.com`).join(', ');
+    const message = await new MimeBuilder().build({ ...email, to, body: 'x' }, { messageId: 'id@example.com' });
+
+    const header = message.match(/\r\nTo: [\s\S]*?\r\n(?=Subject:)/)[0];
+    assert.ok(header.split('\r\n').every(line => line.length <= 78));
+    assert.equal(header.replace(/\r\n /g, ' ').trim(), `To: ${to}`);
+  });
+
+  test('should add custom and List-Unsubscribe headers', async () => {
+    const message = await new MimeBuilder().build({
+      ...email,
+      body: 'x',
+      headers: { 'X-Campaign': 'spring', 'X-Note': 'Grüße' },
+      listUnsubscribe: 'https://example.com/unsubscribe?u=1',
+      listUnsubscribePost: true,
+      tags: ['newsletter'],
+      metadata: { userId: '42' }
+    }, { messageId: 'id@example.com' });
+
+    assert.match(message, /\r\nX-Campaign: spring\r\n/);
+    assert.match(message, /\r\nX-Note: =\?UTF-8\?B\?R3LDvMOfZQ==\?=\r\n/);
+    assert.match(message, /\r\nList-Unsubscribe: <https:\/\/example\.com\/unsubscribe\?u=1>\r\n/);
+    assert.match(message, /\r\nList-Unsubscribe-Post: List-Unsubscribe=One-Click\r\n/);
+    assert.equal(message.includes('newsletter'), false);
+    assert.equal(message.includes('userId'), false);
+  });
+
+  test('should validate custom headers and unsubscribe URLs', () => {
+    const builder = new MimeBuilder();
+    const invalid = (fields, field) => assert.throws(
+      () => builder.validate({ ...email, body: 'x', ...fields }),
+      error => error instanceof ValidationError && error.field === field
+    );
+
+    invalid({ headers: ['X-Campaign: spring'] }, 'headers');
+    invalid({ headers: { 'X Campaign': 'spring' } }, 'headers');
+    invalid({ headers: { Bcc: 'someone@example.com' } }, 'headers');
+    invalid({ headers: { 'content-type': 'text/html' } }, 'headers');
+    invalid({ headers: { 'X-Campaign': 'spring\r\nBcc: someone@example.com' } }, 'headers');
+    invalid({ headers: { 'X-Count': 1 } }, 'headers');
+    invalid({ listUnsubscribe: 'javascript:alert(1)' }, 'listUnsubscribe');
+    invalid({ listUnsubscribe: [] }, 'listUnsubscribe');
+    invalid({ listUnsubscribe: 'https://example.com/u>, <https://evil.com' }, 'listUnsubscribe');
+    invalid({ listUnsubscribePost: true }, 'listUnsubscribePost');
+    invalid({ listUnsubscribe: 'mailto:unsubscribe@example.com', listUnsubscribePost: true }, 'listUnsubscribePost');
+
+    assert.doesNotThrow(() => builder.validate({
+      ...email,
+      body: 'x',
+      headers: { 'X-Campaign': 'spring' },
+      listUnsubscribe: ['mailto:unsubscribe@example.com', 'https://example.com/u'],
+      listUnsubscribePost: true
+    }));
+  });
+
+  test('should validate attachments', () => {
+    const builder = new MimeBuilder({ maxAttachments: 2, maxAttachmentSize: 4 });
+    const check = attachments => () => builder.validate({ ...email, body: 'x', attachments });
+
+    assert.doesNotThrow(check([{ content: 'abcd' }, { path: '/tmp/file.txt' }]));
+    assert.throws(check('file.txt'), /must be an array/);
+    assert.throws(check([{ content: 'a' }, { content: 'b' }, { content: 'c' }]), /At most 2 attachments/);
+    assert.throws(check([null]), /must be an object/);
+    assert.throws(check([{ filename: 'a.txt' }]), /needs either content or path/);
+    assert.throws(check([{ content: 'a', path: '/tmp/a' }]), /needs either content or path/);
+    assert.throws(check([{ content: 42 }]), /content must be a string, Buffer or stream/);
+    assert.throws(check([{ content: 'a', encoding: 'rot13' }]), /unknown encoding/);
+    assert.throws(check([{ content: 'a', filename: 'a\r\nb.txt' }]), /filename/);
+    assert.throws(check([{ content: 'a', contentType: 'text/plain\r\nX-Injected: 1' }]), /invalid contentType/);
+    assert.throws(check([{ content: 'a', cid: '<logo>' }]), /invalid cid/);
+    assert.throws(check([{ content: 'abcde' }]), error => {
+      assert.ok(error instanceof MessageTooLargeError);
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.code, 'MESSAGE_TOO_LARGE');
+      assert.equal(error.size, 5);
+      assert.equal(error.limit, 4);
+      return true;
+    });
+    assert.throws(() => builder.validate({ ...email, html: ['<p>'] }), { field: 'html' });
+  });
+
+  test('should load attachments from files and streams', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mime-'));
+
+    try {
+      const file = path.join(dir, 'notes.txt');
+      await fs.writeFile(file, 'from disk');
+
+      const attachments = await resolveAttachments([
+        { path: file },
+        { filename: 'stream.json', content: Readable.from([Buffer.from('{"a":'), '1}']) }
+      ]);
+      assert.deepEqual(attachments, [
+        { filename: 'notes.txt', contentType: 'text/plain', content: Buffer.from('from disk') },
+        { filename: 'stream.json', contentType: 'application/json', content: Buffer.from('{"a":1}') }
+      ]);
+
+      await assert.rejects(resolveAttachments([{ path: path.join(dir, 'missing.txt') }]), /could not be read/);
+      await assert.rejects(resolveAttachments([{ path: file }], 4), { code: 'MESSAGE_TOO_LARGE', size: 9 });
+      await assert.rejects(
+        resolveAttachments([{ content: Readable.from(['12345', '67890']) }], 8),
+        { code: 'MESSAGE_TOO_LARGE', limit: 8 }
+      );
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should enforce the message size limit when preparing', async () => {
+    const builder = new MimeBuilder({ maxMessageSize: 2048 });
+
+    const prepared = await builder.prepare({
+      ...email,
+      body: 'x',
+      attachments: [{ filename: 'a.bin', content: Readable.from([Buffer.alloc(100)]) }]
+    });
+    assert.ok(Buffer.isBuffer(prepared.attachments[0].content));
+    assert.equal(prepared.attachments[0].contentType, 'application/octet-stream');
+
+    await assert.rejects(
+      builder.prepare({ ...email, body: 'x', attachments: [{ filename: 'a.bin', content: Buffer.alloc(1500) }] }),
+      error => {
+        assert.equal(error.code, 'MESSAGE_TOO_LARGE');
+        assert.equal(error.limit, 2048);
+        assert.ok(error.size > 2048);
+        return true;
+      }
+    );
+  });
+
+  test('should encode attachments for storage', () => {
+    const stored = encodeAttachments({
+      ...email,
+      attachments: [{ filename: 'a.txt', contentType: 'text/plain', content: Buffer.from('hi') }]
+    });
+
+    assert.deepEqual(stored.attachments, [
+      { filename: 'a.txt', contentType: 'text/plain', content: 'aGk=', encoding: 'base64' }
+    ]);
+    assert.deepEqual(JSON.parse(JSON.stringify(stored)), stored);
+    assert.equal(encodeAttachments(email), email);
+  });
+
+  test('should guess content types', () => {
+    assert.equal(guessContentType('photo.JPG'), 'image/jpeg');
+    assert.equal(guessContentType('archive.tar.gz'), 'application/octet-stream');
+    assert.equal(guessContentType(undefined), 'application/octet-stream');
+  });
+});
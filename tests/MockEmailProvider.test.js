@@ -1,6 +1,7 @@
 import { strict as assert } from 'assert';
 import { test, describe } from 'node:test';
 import { MockEmailProvider } from '../src/MockEmailProvider.js';
+import { TransientProviderError, PermanentProviderError, ThrottledError } from '../src/errors.js';
 
 describe('MockEmailProvider', () => {
   test('should create provider with default settings', () => {
@@ -24,6 +25,12 @@ describe('MockEmailProvider', () => {
     assert.equal(provider.isHealthy, false);
   });
 
+  test('should keep an explicit failure rate of 0', () => {
+    const provider = new MockEmailProvider('TestProvider', { failureRate: 0 });
+    
+    assert.equal(provider.failureRate, 0);
+  });
+
   test('should send email successfully when healthy', async () => {
     const provider = new MockEmailProvider('TestProvider', {
       failureRate: 0,
@@ -166,4 +173,38 @@ describe('MockEmailProvider', () => {
       assert.ok(error.message.includes('provider failed'));
     }
   });
+
+  test('should raise typed errors for the configured failure type', async () => {
+    const email = {
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    };
+    
+    const transient = new MockEmailProvider('TestProvider', { failureRate: 1, latency: 1 });
+    await assert.rejects(transient.sendEmail(email), TransientProviderError);
+    
+    const permanent = new MockEmailProvider('TestProvider', {
+      failureRate: 1,
+      latency: 1,
+      failureType: 'permanent'
+    });
+    await assert.rejects(permanent.sendEmail(email), PermanentProviderError);
+    
+    const throttled = new MockEmailProvider('TestProvider', {
+      failureRate: 1,
+      latency: 1,
+      failureType: 'throttled',
+      retryAfter: 500
+    });
+    await assert.rejects(throttled.sendEmail(email), error => {
+      assert.ok(error instanceof ThrottledError);
+      assert.equal(error.retryAfter, 500);
+      return true;
+    });
+    
+    // An unhealthy provider is always a transient failure
+    permanent.setHealth(false);
+    await assert.rejects(permanent.sendEmail(email), TransientProviderError);
+  });
 });
@@ -0,0 +1,135 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { ProviderRegistry, providerRegistry, registerProvider } from '../src/ProviderRegistry.js';
+import { MockEmailProvider } from '../src/MockEmailProvider.js';
+import { SmtpEmailProvider } from '../src/SmtpEmailProvider.js';
+import { EmailService } from '../src/EmailService.js';
+
+class StubProvider {
+  constructor(config) {
+    this.name = config.name;
+    this.config = config;
+  }
+
+  async sendEmail(email) {
+    return {
+      success: true,
+      messageId: `${this.name}-1`,
+      provider: this.name,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  getStats() {
+    return { name: this.name, isHealthy: true };
+  }
+}
+
+describe('ProviderRegistry', () => {
+  test('should include built-in provider types', () => {
+    assert.ok(providerRegistry.has('mock'));
+    assert.ok(providerRegistry.has('smtp'));
+    assert.ok(providerRegistry.has('http-api'));
+  });
+
+  test('should create mock providers when type is omitted', () => {
+    const provider = providerRegistry.create({ name: 'Default', failureRate: 0 });
+    assert.ok(provider instanceof MockEmailProvider);
+  });
+
+  test('should create smtp providers', () => {
+    const provider = providerRegistry.create({ name: 'Relay', type: 'smtp', host: 'smtp.example.com' });
+    assert.ok(provider instanceof SmtpEmailProvider);
+    assert.equal(provider.host, 'smtp.example.com');
+  });
+
+  test('should register custom factories', () => {
+    const registry = new ProviderRegistry();
+    registry.register('stub', config => new StubProvider(config), { required: ['endpoint'] });
+
+    const provider = registry.create({ name: 'Stub', type: 'stub', endpoint: 'http://localhost' });
+    assert.ok(provider instanceof StubProvider);
+    assert.deepEqual(registry.getTypes(), ['stub']);
+
+    assert.equal(registry.unregister('stub'), true);
+    assert.equal(registry.has('stub'), false);
+  });
+
+  test('should reject invalid registrations', () => {
+    const registry = new ProviderRegistry();
+    assert.throws(() => registry.register('', () => ({})), /non-empty string/);
+    assert.throws(() => registry.register('stub', null), /must be a function/);
+  });
+
+  test('should reject unknown provider types', () => {
+    assert.throws(
+      () => providerRegistry.validate({ name: 'Nope', type: 'carrier-pigeon' }),
+      error => error.code === 'INVALID_PROVIDER_CONFIG' && error.message.includes('Unknown provider type')
+    );
+  });
+
+  test('should reject configs missing required options', () => {
+    assert.throws(
+      () => providerRegistry.validate({ name: 'Relay', type: 'smtp' }),
+      /requires option "host"/
+    );
+    assert.throws(() => providerRegistry.validate({ type: 'mock' }), /name is required/);
+  });
+
+  test('should run type-specific validation', () => {
+    assert.throws(
+      () => providerRegistry.validate({ name: 'Relay', type: 'smtp', host: 'localhost', auth: { user: 'u' } }),
+      /auth requires user and pass/
+    );
+  });
+
+  test('should reject factories that do not return a provider', () => {
+    const registry = new ProviderRegistry();
+    registry.register('broken', () => ({}));
+    assert.throws(() => registry.create({ name: 'Broken', type: 'broken' }), /did not return a provider/);
+  });
+
+  test('should register on the default registry', () => {
+    registerProvider('stub-default', config => new StubProvider(config));
+    try {
+      const service = new EmailService({
+        logLevel: 'error',
+        providers: [{ name: 'Stub', type: 'stub-default' }]
+      });
+      assert.ok(service.providers[0] instanceof StubProvider);
+    } finally {
+      providerRegistry.unregister('stub-default');
+    }
+  });
+
+  test('should validate provider configs when EmailService is constructed', () => {
+    assert.throws(
+      () => new EmailService({
+        logLevel: 'error',
+        providers: [
+          { name: 'Good', failureRate: 0 },
+          { name: 'Relay', type: 'smtp' }
+        ]
+      }),
+      error => error.code === 'INVALID_PROVIDER_CONFIG'
+    );
+  });
+
+  test('should accept a custom registry in EmailService', async () => {
+    const registry = new ProviderRegistry();
+    registry.register('mock', config => new StubProvider(config));
+
+    const service = new EmailService({
+      logLevel: 'error',
+      providerRegistry: registry,
+      providers: [{ name: 'Custom' }]
+    });
+
+    const result = await service.sendEmail({
+      to: 'test@example.com',
+      subject: 'Test Subject',
+      body: 'Test Body'
+    });
+    assert.equal(result.provider, 'Custom');
+  });
+});
@@ -0,0 +1,239 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { MemoryQueueStore, createQueueStore } from '../src/QueueStore.js';
+import { FileQueueStore } from '../src/FileQueueStore.js';
+import { SqliteQueueStore, isSqliteAvailable } from '../src/SqliteQueueStore.js';
+
+const sqliteAvailable = isSqliteAvailable();
+
+function createItem(id, overrides = {}) {
+  return {
+    id,
+    email: { to: `${id}@example.com`, subject: 'Subject', body: 'Body' },
+    options: {},
+    attempts: 0,
+    maxAttempts: 3,
+    priority: 0,
+    createdAt: new Date(),
+    status: 'pending',
+    ...overrides
+  };
+}
+
+async function tempPath(name) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'queue-store-'));
+  return path.join(dir, name);
+}
+
+const implementations = [
+  { name: 'MemoryQueueStore', create: async () => new MemoryQueueStore() },
+  { name: 'FileQueueStore', create: async () => new FileQueueStore({ path: await tempPath('queue.journal') }) },
+  {
+    name: 'SqliteQueueStore',
+    create: async () => new SqliteQueueStore({ path: await tempPath('queue.db') }),
+    skip: !sqliteAvailable && `node:sqlite is not available on Node.js ${process.version}`
+  }
+];
+
+for (const { name, create, skip } of implementations) {
+  describe(name, { skip }, () => {
+    test('should enqueue and list items by priority', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.enqueue(createItem('low', { priority: 1 }));
+      await store.enqueue(createItem('high', { priority: 10 }));
+
+      const items = await store.list();
+      assert.deepEqual(items.map(item => item.id), ['high', 'low']);
+      assert.ok(items[0].createdAt instanceof Date);
+      assert.equal(items[0].email.to, 'high@example.com');
+
+      await store.close();
+    });
+
+    test('should claim pending items only once', async () => {
+      const store = await create();
+      await store.open();
+
+      const item = createItem('item-1');
+      await store.enqueue(item);
+
+      const claimed = { ...item, status: 'processing', attempts: 1 };
+      assert.equal(await store.claim(claimed), true);
+      assert.equal(await store.claim(claimed), false);
+      assert.equal((await store.list({ status: 'processing' })).length, 1);
+
+      await store.close();
+    });
+
+    test('should record ack and nack', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.enqueue(createItem('sent'));
+      await store.enqueue(createItem('retry'));
+
+      await store.ack(createItem('sent', { status: 'completed', completedAt: new Date(), result: { messageId: 'm-1' } }));
+      await store.nack(createItem('retry', { attempts: 1, error: 'Timeout', nextAttempt: new Date() }));
+
+      const [completed] = await store.list({ status: 'completed' });
+      assert.equal(completed.result.messageId, 'm-1');
+      assert.ok(completed.completedAt instanceof Date);
+
+      const [pending] = await store.list({ status: 'pending' });
+      assert.equal(pending.attempts, 1);
+      assert.ok(pending.nextAttempt instanceof Date);
+
+      await store.close();
+    });
+
+    test('should remove items', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.enqueue(createItem('item-1'));
+      assert.equal(await store.remove('item-1'), true);
+      assert.equal(await store.remove('item-1'), false);
+      assert.equal((await store.list()).length, 0);
+
+      await store.close();
+    });
+
+    test('should insert and replace items with upsert', async () => {
+      const store = await create();
+      await store.open();
+
+      await store.upsert(createItem('item-1'));
+      await store.upsert(createItem('item-1', { status: 'failed', attempts: 3 }));
+
+      const items = await store.list();
+      assert.equal(items.length, 1);
+      assert.equal(items[0].status, 'failed');
+      assert.equal(items[0].attempts, 3);
+
+      await store.close();
+    });
+  });
+}
+
+describe('FileQueueStore journal', () => {
+  test('should require a path', () => {
+    assert.throws(() => new FileQueueStore(), /requires a journal path/);
+  });
+
+  test('should replay the journal after reopening', async () => {
+    const journalPath = await tempPath('queue.journal');
+
+    const store = new FileQueueStore({ path: journalPath });
+    await store.open();
+    await store.enqueue(createItem('kept'));
+    await store.enqueue(createItem('removed'));
+    await store.nack(createItem('kept', { attempts: 2 }));
+    await store.upsert(createItem('kept', { attempts: 3 }));
+    await store.remove('removed');
+    await store.close();
+
+    const reopened = new FileQueueStore({ path: journalPath });
+    await reopened.open();
+    const items = await reopened.list();
+    assert.deepEqual(items.map(item => item.id), ['kept']);
+    assert.equal(items[0].attempts, 3);
+    await reopened.close();
+  });
+
+  test('should ignore a torn final line', async () => {
+    const journalPath = await tempPath('queue.journal');
+
+    const store = new FileQueueStore({ path: journalPath });
+    await store.open();
+    await store.enqueue(createItem('item-1'));
+    await store.close();
+    await fs.appendFile(journalPath, '{"op":"enqueue","item":{"id":"to');
+
+    const reopened = new FileQueueStore({ path: journalPath });
+    await reopened.open();
+    await reopened.enqueue(createItem('item-2'));
+    await reopened.close();
+
+    const again = new FileQueueStore({ path: journalPath });
+    await again.open();
+    assert.deepEqual((await again.list()).map(item => item.id).sort(), ['item-1', 'item-2']);
+    await again.close();
+  });
+
+  test('should reject corruption before the last line', async () => {
+    const journalPath = await tempPath('queue.journal');
+    await fs.writeFile(journalPath, 'not json\n{"op":"remove","id":"x"}\n');
+
+    const store = new FileQueueStore({ path: journalPath });
+    await assert.rejects(store.open(), /Corrupt queue journal/);
+  });
+
+  test('should compact the journal', async () => {
+    const journalPath = await tempPath('queue.journal');
+
+    const store = new FileQueueStore({ path: journalPath, compactThreshold: 10 });
+    await store.open();
+    await store.enqueue(createItem('kept'));
+    for (let i = 0; i < 10; i++) {
+      await store.enqueue(createItem(`temp-${i}`));
+      await store.remove(`temp-${i}`);
+    }
+    await store.close();
+
+    const lines = (await fs.readFile(journalPath, 'utf8')).split('\n').filter(Boolean);
+    assert.ok(lines.length < 10);
+
+    const reopened = new FileQueueStore({ path: journalPath });
+    await reopened.open();
+    assert.deepEqual((await reopened.list()).map(item => item.id), ['kept']);
+    await reopened.close();
+  });
+
+  test('should flush the compacted journal and its directory to disk', async () => {
+    const journalPath = await tempPath('queue.journal');
+    const store = new FileQueueStore({ path: journalPath });
+    await store.open();
+    await store.enqueue(createItem('kept'));
+
+    const synced = [];
+    const open = fs.open;
+    fs.open = async (...args) => {
+      const handle = await open(...args);
+      const sync = handle.sync.bind(handle);
+      handle.sync = () => {
+        synced.push(args[0]);
+        return sync();
+      };
+      return handle;
+    };
+    try {
+      await store.compact();
+    } finally {
+      fs.open = open;
+    }
+    await store.close();
+
+    const directory = path.dirname(journalPath);
+    assert.deepEqual(synced, [`${journalPath}.tmp`, directory, directory]);
+    await assert.rejects(fs.access(`${journalPath}.tmp`), { code: 'ENOENT' });
+  });
+});
+
+describe('createQueueStore', () => {
+  test('should create stores by type', async () => {
+    assert.ok(createQueueStore() instanceof MemoryQueueStore);
+    assert.ok(createQueueStore({ type: 'file', path: await tempPath('queue.journal') }) instanceof FileQueueStore);
+    if (sqliteAvailable) {
+      assert.ok(createQueueStore({ type: 'sqlite', path: ':memory:' }) instanceof SqliteQueueStore);
+    } else {
+      // Refused when the store is created rather than when it is first opened
+      assert.throws(() => createQueueStore({ type: 'sqlite', path: ':memory:' }), /SqliteQueueStore requires Node\.js 22\.5 or later/);
+    }
+    assert.throws(() => createQueueStore({ type: 'redis' }), /Unknown queue storage type/);
+  });
+});
@@ -93,4 +93,35 @@ describe('RateLimiter', () => {
     // Old requests should be cleaned up
     assert.equal(rateLimiter.getRemaining('test'), 2);
   });
+
+  test('should apply per-identifier limits', () => {
+    const rateLimiter = new RateLimiter({ limit: 1, window: 60000, limits: { bulk: 3 } });
+    rateLimiter.setLimit('tenant:small', 2);
+    
+    assert.equal(rateLimiter.getLimit('bulk'), 3);
+    assert.equal(rateLimiter.getLimit('other'), 1);
+    
+    assert.equal(rateLimiter.isAllowed('tenant:small'), true);
+    assert.equal(rateLimiter.isAllowed('tenant:small'), true);
+    assert.equal(rateLimiter.isAllowed('tenant:small'), false);
+    assert.equal(rateLimiter.getRemaining('bulk'), 3);
+    
+    assert.equal(rateLimiter.isAllowed('other'), true);
+    assert.equal(rateLimiter.isAllowed('other'), false);
+  });
+
+  test('should emit rate-limited events', () => {
+    const rateLimiter = new RateLimiter({ limit: 1, window: 60000 });
+    const events = [];
+    rateLimiter.on('rate-limited', event => events.push(event));
+    
+    rateLimiter.isAllowed('sender');
+    assert.equal(events.length, 0);
+    
+    rateLimiter.isAllowed('sender');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].identifier, 'sender');
+    assert.equal(events[0].limit, 1);
+    assert.equal(events[0].window, 60000);
+  });
 });
@@ -0,0 +1,414 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import net from 'net';
+import { SmtpEmailProvider } from '../src/SmtpEmailProvider.js';
+import { EmailService } from '../src/EmailService.js';
+import { TransientProviderError, PermanentProviderError } from '../src/errors.js';
+
+/**
+ * Minimal in-process SMTP server recording every session
+ */
+function startSmtpServer(options = {}) {
+  const extensions = options.extensions || ['PIPELINING', 'AUTH PLAIN LOGIN'];
+  const sessions = [];
+
+  const server = net.createServer(socket => {
+    const session = { commands: [], messages: [], auth: null };
+    sessions.push(session);
+
+    let buffer = '';
+    let inData = false;
+    let data = [];
+    let loginStep = null;
+    let loginUser = null;
+    let recipients = 0;
+
+    const reply = line => socket.write(`${line}\r\n`);
+    reply('220 localhost ESMTP test server');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            session.messages.push(data.join('\r\n'));
+            data = [];
+            reply('250 2.0.0 Ok: queued as TEST123');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+
+        if (loginStep === 'user') {
+          loginUser = Buffer.from(line, 'base64').toString();
+          loginStep = 'pass';
+          reply('334 UGFzc3dvcmQ6');
+          continue;
+        }
+        if (loginStep === 'pass') {
+          loginStep = null;
+          session.auth = { method: 'LOGIN', user: loginUser, pass: Buffer.from(line, 'base64').toString() };
+          reply('235 2.7.0 Authentication successful');
+          continue;
+        }
+
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          const lines = ['localhost', ...extensions];
+          lines.forEach((text, i) => reply(`250${i === lines.length - 1 ? ' ' : '-'}${text}`));
+        } else if (verb === 'AUTH') {
+          const [, method, token] = line.split(' ');
+          if (method === 'PLAIN') {
+            const [, user, pass] = Buffer.from(token, 'base64').toString().split('\0');
+            if (pass === 'wrong') {
+              reply('535 5.7.8 Authentication credentials invalid');
+            } else {
+              session.auth = { method: 'PLAIN', user, pass };
+              reply('235 2.7.0 Authentication successful');
+            }
+          } else {
+            loginStep = 'user';
+            reply('334 VXNlcm5hbWU6');
+          }
+        } else if (verb === 'MAIL') {
+          recipients = 0;
+          const size = line.match(/ SIZE=(\d+)/);
+          if (size && options.maxSize && Number(size[1]) > options.maxSize) {
+            reply('552 5.3.4 Message size exceeds fixed limit');
+          } else {
+            reply('250 2.1.0 Ok');
+          }
+        } else if (verb === 'RCPT') {
+          if (line.includes('rejected@')) {
+            reply('550 5.1.1 User unknown');
+          } else {
+            recipients++;
+            reply('250 2.1.5 Ok');
+          }
+        } else if (verb === 'DATA') {
+          if (recipients === 0) {
+            reply('554 5.5.1 No valid recipients');
+          } else {
+            inData = true;
+            reply('354 End data with <CR><LF>.<CR><LF>');
+          }
+        } else if (verb === 'QUIT') {
+          reply('221 2.0.0 Bye');
+          socket.end();
+        } else {
+          reply('502 5.5.2 Command not recognized');
+        }
+      }
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        sessions,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('SmtpEmailProvider', () => {
+  const email = {
+    to: 'recipient@example.com',
+    subject: 'Test Subject',
+    body: 'Test Body\n.hidden line',
+    from: 'sender@example.com'
+  };
+
+  test('should create provider with default settings', () => {
+    const provider = new SmtpEmailProvider('SmtpProvider');
+
+    assert.equal(provider.name, 'SmtpProvider');
+    assert.equal(provider.host, 'localhost');
+    assert.equal(provider.port, 587);
+    assert.equal(provider.secure, false);
+    assert.equal(provider.isHealthy, true);
+  });
+
+  test('should default to port 465 for implicit TLS', () => {
+    const provider = new SmtpEmailProvider('SmtpProvider', { secure: true });
+    assert.equal(provider.port, 465);
+  });
+
+  test('should send email with pipelining and AUTH PLAIN', async () => {
+    const server = await startSmtpServer();
+    const provider = new SmtpEmailProvider('SmtpProvider', {
+      port: server.port,
+      host: '127.0.0.1',
+      auth: { user: 'user', pass: 'secret' }
+    });
+
+    try {
+      const result = await provider.sendEmail(email);
+
+      assert.equal(result.success, true);
+      assert.equal(result.provider, 'SmtpProvider');
+      assert.ok(result.messageId);
+      assert.ok(result.response.includes('TEST123'));
+
+      const [session] = server.sessions;
+      assert.deepEqual(session.auth, { method: 'PLAIN', user: 'user', pass: 'secret' });
+      assert.ok(session.commands.includes('MAIL FROM:<sender@example.com>'));
+      assert.ok(session.commands.includes('RCPT TO:<recipient@example.com>'));
+
+      const [message] = session.messages;
+      assert.ok(message.includes('Subject: Test Subject'));
+      assert.ok(message.includes(`Message-ID: <${result.messageId}>`));
+      assert.ok(message.includes('\r\n.hidden line'));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('should send without pipelining using AUTH LOGIN', async () => {
+    const server = await startSmtpServer({ extensions: ['AUTH LOGIN'] });
+    const provider = new SmtpEmailProvider('SmtpProvider', {
+      port: server.port,
+      host: '127.0.0.1',
+      auth: { user: 'user', pass: 'secret' }
+    });
+
+    try {
+      await provider.sendEmail(email);
+
+      const [session] = server.sessions;
+      assert.deepEqual(session.auth, { method: 'LOGIN', user: 'user', pass: 'secret' });
+      assert.equal(session.messages.length, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('should fail when authentication is rejected', async () => {
+    const server = await startSmtpServer();
+    const provider = new SmtpEmailProvider('SmtpProvider', {
+      port: server.port,
+      host: '127.0.0.1',
+      auth: { user: 'user', pass: 'wrong' }
+    });
+
+    try {
+      await assert.rejects(provider.sendEmail(email), error => {
+        assert.ok(error.message.includes('Authentication failed'));
+        assert.ok(error instanceof TransientProviderError);
+        assert.equal(error.responseCode, 535);
+        return true;
+      });
+      assert.equal(provider.getStats().failed, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('should fail when recipient is rejected', async () => {
+    const server = await startSmtpServer();
+    const provider = new SmtpEmailProvider('SmtpProvider', { port: server.port, host: '127.0.0.1' });
+
+    try {
+      await assert.rejects(
+        provider.sendEmail({ ...email, to: 'rejected@example.com' }),
+        error => error instanceof PermanentProviderError && error.responseCode === 550
+      );
+      assert.equal(server.sessions[0].messages.length, 0);
+    } finally {
+      await server.close();
+    }
+  });
+
+  for (const extensions of [['PIPELINING'], []]) {
+    test(`should send to accepted recipients and report rejected ones${extensions.length ? ' with pipelining' : ''}`, async () => {
+      const server = await startSmtpServer({ extensions });
+      const provider = new SmtpEmailProvider('SmtpProvider', { port: server.port, host: '127.0.0.1' });
+
+      try {
+        const result = await provider.sendEmail({ ...email, to: 'recipient@example.com, rejected@example.com' });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(result.rejected, [
+          { recipient: 'rejected@example.com', code: 550, text: '5.1.1 User unknown' }
+        ]);
+
+        const [session] = server.sessions;
+        assert.equal(session.messages.length, 1);
+        assert.ok(session.messages[0].includes('Subject: Test Subject'));
+        assert.ok(session.messages[0].includes('Test Body'));
+        assert.equal(provider.getStats().sent, 1);
+      } finally {
+        await server.close();
+      }
+    });
+  }
+
+  test('should require TLS when configured', async () => {
+    const server = await startSmtpServer();
+    const provider = new SmtpEmailProvider('SmtpProvider', {
+      port: server.port,
+      host: '127.0.0.1',
+      requireTLS: true
+    });
+
+    try {
+      await assert.rejects(provider.sendEmail(email), /does not support STARTTLS/);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('should fail when the server is unreachable', async () => {
+    const server = await startSmtpServer();
+    const { port } = server;
+    await server.close();
+
+    const provider = new SmtpEmailProvider('SmtpProvider', { port, host: '127.0.0.1' });
+    await assert.rejects(provider.sendEmail(email), /Connection to 127.0.0.1/);
+    assert.equal(provider.getStats().failed, 1);
+  });
+
+  test('should count failures before the session', async () => {
+    const provider = new SmtpEmailProvider('SmtpProvider', { port: 2525, host: '127.0.0.1' });
+
+    await assert.rejects(provider.sendEmail({ ...email, from: undefined }), /No sender address configured/);
+    await assert.rejects(
+      provider.sendEmail({ ...email, attachments: [{ filename: 'missing.pdf', path: '/nonexistent/missing.pdf' }] }),
+      /could not be read/
+    );
+    assert.equal(provider.getStats().failed, 2);
+    assert.equal(provider.getStats().sent, 0);
+  });
+
+  test('should check health', async () => {
+    const server = await startSmtpServer();
+    const provider = new SmtpEmailProvider('SmtpProvider', { port: server.port, host: '127.0.0.1' });
+
+    try {
+      assert.equal(await provider.checkHealth(), true);
+      assert.ok(server.sessions[0].commands.includes('QUIT'));
+    } finally {
+      await server.close();
+    }
+
+    assert.equal(await provider.checkHealth(), false);
+    assert.equal(provider.isHealthy, false);
+  });
+
+  test('should encode non-ASCII content', async () => {
+    const provider = new SmtpEmailProvider('SmtpProvider');
+    const message = await provider.buildMessage(
+      { to: 'recipient@example.com', subject: 'Héllo', body: 'Grüße' },
+      'sender@example.com',
+      'id@localhost'
+    );
+
+    assert.ok(message.includes('Subject: =?UTF-8?B?'));
+    assert.ok(message.includes('Content-Transfer-Encoding: base64'));
+  });
+
+  test('should be created by EmailService for smtp provider configs', async () => {
+    const server = await startSmtpServer();
+    const service = new EmailService({
+      logLevel: 'error',
+      providers: [
+        { name: 'SmtpRelay', type: 'smtp', host: '127.0.0.1', port: server.port }
+      ]
+    });
+
+    try {
+      assert.ok(service.providers[0] instanceof SmtpEmailProvider);
+
+      const result = await service.sendEmail(email);
+      assert.equal(result.provider, 'SmtpRelay');
+      assert.equal(server.sessions[0].messages.length, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('should send multipart messages with attachments', async () => {
+    const server = await startSmtpServer({ extensions: ['PIPELINING', 'SIZE 100000'] });
+    const provider = new SmtpEmailProvider('SmtpProvider', { port: server.port, host: '127.0.0.1' });
+
+    try {
+      await provider.sendEmail({
+        ...email,
+        html: '<p>Test <b>Body</b></p>',
+        attachments: [{ filename: 'notes.txt', content: 'hello' }]
+      });
+
+      const [session] = server.sessions;
+      const [message] = session.messages;
+      const size = Number(session.commands.find(command => command.startsWith('MAIL FROM')).match(/SIZE=(\d+)/)[1]);
+      assert.ok(size >= message.length);
+      assert.match(message, /Content-Type: multipart\/mixed/);
+      assert.match(message, /Content-Type: multipart\/alternative/);
+      assert.match(message, /Content-Disposition: attachment; filename="notes.txt"\r\n\r\naGVsbG8=/);
+      assert.ok(message.includes('\r\n.hidden line'));
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('should refuse messages over the server SIZE limit', async () => {
+    const server = await startSmtpServer({ extensions: ['SIZE 500'] });
+    const provider = new SmtpEmailProvider('SmtpProvider', { port: server.port, host: '127.0.0.1' });
+
+    try {
+      await assert.rejects(
+        provider.sendEmail({ ...email, attachments: [{ filename: 'big.bin', content: Buffer.alloc(1000) }] }),
+        error => {
+          assert.ok(error instanceof PermanentProviderError);
+          assert.match(error.message, /the server accepts at most 500/);
+          return true;
+        }
+      );
+      assert.equal(server.sessions[0].commands.some(command => command.startsWith('MAIL')), false);
+    } finally {
+      await server.close();
+    }
+  });
+
+  test('should send to every recipient with a bare envelope sender', async () => {
+    const server = await startSmtpServer({ extensions: ['PIPELINING'] });
+    const provider = new SmtpEmailProvider('SmtpProvider', { port: server.port, host: '127.0.0.1' });
+
+    try {
+      await provider.sendEmail({
+        ...email,
+        from: 'Acme <sender@example.com>',
+        to: 'Ana <ana@example.com>, bo@example.com',
+        cc: 'cy@example.com',
+        bcc: 'hidden@example.com, ana@example.com'
+      });
+
+      const [session] = server.sessions;
+      assert.ok(session.commands.includes('MAIL FROM:<sender@example.com>'));
+      assert.deepEqual(session.commands.filter(command => command.startsWith('RCPT')), [
+        'RCPT TO:<ana@example.com>',
+        'RCPT TO:<bo@example.com>',
+        'RCPT TO:<cy@example.com>',
+        'RCPT TO:<hidden@example.com>'
+      ]);
+
+      const [message] = session.messages;
+      assert.match(message, /^From: Acme <sender@example\.com>\r$/m);
+      assert.match(message, /To: Ana <ana@example\.com>, bo@example\.com\r\n/);
+      assert.match(message, /Cc: cy@example\.com\r\n/);
+      assert.equal(message.includes('hidden@example.com'), false);
+    } finally {
+      await server.close();
+    }
+  });
+});
@@ -0,0 +1,140 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SuppressionList, formatCsv, parseCsv } from '../src/SuppressionList.js';
+import { ValidationError } from '../src/errors.js';
+
+describe('SuppressionList', () => {
+  test('should add, get and remove entries by normalized address', async () => {
+    const list = new SuppressionList({ logLevel: 'error' });
+
+    const entry = await list.add('Ana <ANA@Example.com>', { reason: 'hard-bounce', source: 'provider-a' });
+    assert.equal(entry.address, 'ana@example.com');
+    assert.equal(entry.reason, 'hard-bounce');
+    assert.equal(entry.source, 'provider-a');
+    assert.equal(entry.tenant, null);
+    assert.ok(entry.createdAt instanceof Date);
+
+    assert.deepEqual(await list.get('ana@EXAMPLE.com'), entry);
+    assert.equal(await list.size(), 1);
+
+    assert.equal(await list.remove('ana@example.com'), true);
+    assert.equal(await list.remove('ana@example.com'), false);
+    assert.equal(await list.get('ana@example.com'), null);
+  });
+
+  test('should reject invalid addresses and reasons', async () => {
+    const list = new SuppressionList({ logLevel: 'error' });
+
+    await assert.rejects(list.add('not-an-address'), error => error instanceof ValidationError && error.field === 'address');
+    await assert.rejects(list.add(undefined), error => error instanceof ValidationError && error.field === 'address');
+    await assert.rejects(list.add('ana@example.com', { reason: 'bored' }), /Unknown suppression reason: bored/);
+    await assert.rejects(list.add('ana@example.com', { createdAt: 'yesterday' }), /Invalid createdAt/);
+  });
+
+  test('should check global and tenant entries', async () => {
+    const list = new SuppressionList({ logLevel: 'error' });
+    await list.add('ana@example.com', { reason: 'complaint' });
+    await list.add('bo@example.com', { reason: 'hard-bounce', tenant: 'acme' });
+
+    const addresses = ['ana@example.com', 'BO@example.com', 'cy@example.com'];
+    assert.deepEqual((await list.check(addresses)).map(entry => entry.address), ['ana@example.com']);
+    assert.deepEqual(
+      (await list.check(addresses, { tenant: 'acme' })).map(entry => entry.address),
+      ['ana@example.com', 'bo@example.com']
+    );
+    assert.deepEqual((await list.check(addresses, { tenant: 'globex' })).map(entry => entry.address), ['ana@example.com']);
+  });
+
+  test('should let categories ignore some reasons', async () => {
+    const list = new SuppressionList({ logLevel: 'error' });
+    await list.add('ana@example.com', { reason: 'unsubscribe' });
+    await list.add('bo@example.com', { reason: 'hard-bounce' });
+
+    const addresses = ['ana@example.com', 'bo@example.com'];
+    assert.equal((await list.check(addresses)).length, 2);
+    assert.equal((await list.check(addresses, { category: 'marketing' })).length, 2);
+    assert.deepEqual(
+      (await list.check(addresses, { category: 'transactional' })).map(entry => entry.address),
+      ['bo@example.com']
+    );
+
+    const custom = new SuppressionList({ overrides: { alerts: ['unsubscribe', 'complaint'] }, logLevel: 'error' });
+    await custom.add('ana@example.com', { reason: 'complaint' });
+    assert.equal((await custom.check(['ana@example.com'], { category: 'alerts' })).length, 0);
+    assert.equal((await custom.check(['ana@example.com'], { category: 'transactional' })).length, 1);
+  });
+
+  test('should list entries newest first with filters', async () => {
+    const list = new SuppressionList({ logLevel: 'error' });
+    await list.add('old@example.com', { reason: 'hard-bounce', createdAt: '2024-01-01T00:00:00Z' });
+    await list.add('new@example.com', { reason: 'unsubscribe', createdAt: '2024-06-01T00:00:00Z' });
+    await list.add('acme@example.com', { reason: 'hard-bounce', tenant: 'acme', createdAt: '2024-03-01T00:00:00Z' });
+
+    assert.deepEqual((await list.list()).map(entry => entry.address), ['new@example.com', 'acme@example.com', 'old@example.com']);
+    assert.deepEqual((await list.list({ reason: 'hard-bounce', tenant: null })).map(entry => entry.address), ['old@example.com']);
+    assert.deepEqual((await list.list({ tenant: 'acme' })).map(entry => entry.address), ['acme@example.com']);
+    assert.equal((await list.list({ limit: 1 })).length, 1);
+  });
+
+  test('should import entries and report invalid rows', async () => {
+    const list = new SuppressionList({ logLevel: 'error' });
+
+    const result = await list.import(
+      ['ana@example.com', { address: 'bo@example.com', reason: 'complaint' }, { address: 'bad' }, null],
+      { reason: 'hard-bounce' }
+    );
+
+    assert.equal(result.imported, 2);
+    assert.deepEqual(result.errors.map(({ index, address }) => [index, address]), [[2, 'bad'], [3, null]]);
+    assert.equal((await list.get('ana@example.com')).reason, 'hard-bounce');
+    assert.equal((await list.get('ana@example.com')).source, 'import');
+    assert.equal((await list.get('bo@example.com')).reason, 'complaint');
+    await assert.rejects(list.import('ana@example.com'), /must be a list/);
+  });
+
+  test('should round-trip entries through CSV', async () => {
+    const list = new SuppressionList({ logLevel: 'error' });
+    await list.add('ana@example.com', { reason: 'complaint', source: 'feedback loop, provider-a' });
+
+    const csv = formatCsv(await list.list());
+    assert.match(csv, /^address,reason,source,tenant,createdAt\n/);
+    assert.match(csv, /"feedback loop, provider-a"/);
+
+    const [row] = parseCsv(csv);
+    assert.equal(row.address, 'ana@example.com');
+    assert.equal(row.source, 'feedback loop, provider-a');
+    assert.equal(row.tenant, undefined);
+
+    const copy = new SuppressionList({ logLevel: 'error' });
+    assert.equal((await copy.import(parseCsv(csv))).imported, 1);
+    assert.deepEqual(await copy.get('ana@example.com'), await list.get('ana@example.com'));
+  });
+
+  test('should parse CSV without a header as addresses', () => {
+    assert.deepEqual(parseCsv('ana@example.com\r\nbo@example.com\n\n'), [
+      { address: 'ana@example.com' },
+      { address: 'bo@example.com' }
+    ]);
+    assert.deepEqual(parseCsv(''), []);
+  });
+
+  test('should persist entries in file storage', async () => {
+    const journalPath = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'suppressions-')), 'suppressions.journal');
+
+    const list = new SuppressionList({ storage: { type: 'file', path: journalPath }, logLevel: 'error' });
+    await list.add('ana@example.com', { reason: 'hard-bounce' });
+    await list.add('bo@example.com', { reason: 'unsubscribe' });
+    await list.remove('bo@example.com');
+    await list.close();
+
+    const reopened = new SuppressionList({ storage: { type: 'file', path: journalPath }, logLevel: 'error' });
+    const entry = await reopened.get('ana@example.com');
+    assert.equal(entry.reason, 'hard-bounce');
+    assert.ok(entry.createdAt instanceof Date);
+    assert.equal(await reopened.get('bo@example.com'), null);
+    await reopened.close();
+  });
+});
@@ -0,0 +1,102 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { TemplateEngine, escapeHtml } from '../src/TemplateEngine.js';
+import { TemplateError } from '../src/errors.js';
+
+describe('TemplateEngine', () => {
+  const engine = new TemplateEngine({
+    resolvePartial: name => ({ signature: 'Regards, {{team.name}}', loop: '{{> loop}}' })[name]
+  });
+
+  test('should render variables and nested paths', () => {
+    assert.equal(
+      engine.render('Hello {{ user.name }}, you have {{count}} new {{noun}}{{empty}}', {
+        user: { name: 'Ana' },
+        count: 0,
+        noun: 'messages',
+        empty: null
+      }),
+      'Hello Ana, you have 0 new messages'
+    );
+  });
+
+  test('should escape only when asked and never for triple braces', () => {
+    const data = { name: '<b>"Tom" & \'Jerry\'</b>' };
+
+    assert.equal(engine.render('{{name}}', data), data.name);
+    assert.equal(engine.render('{{name}}', data, { escape: true }), '&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jerry&#39;&lt;/b&gt;');
+    assert.equal(engine.render('{{{name}}}', data, { escape: true }), data.name);
+    assert.equal(escapeHtml('a=`b`'), 'a&#61;&#96;b&#96;');
+  });
+
+  test('should render conditionals', () => {
+    const source = '{{#if premium}}Premium{{else}}Free{{/if}}{{#unless verified}} (unverified){{/unless}}';
+
+    assert.equal(engine.render(source, { premium: true, verified: true }), 'Premium');
+    assert.equal(engine.render(source, { premium: false }), 'Free (unverified)');
+    assert.equal(engine.render('{{#if items}}has items{{else}}none{{/if}}', { items: [] }), 'none');
+  });
+
+  test('should render loops over arrays and objects', () => {
+    const data = {
+      currency: '$',
+      items: [{ name: 'Pen', price: 2 }, { name: 'Ink', price: 5 }],
+      totals: { net: 7, tax: 1 }
+    };
+
+    assert.equal(
+      engine.render('{{#each items}}{{@index}}:{{name}} {{currency}}{{price}}{{#unless @last}}, {{/unless}}{{/each}}', data),
+      '0:Pen $2, 1:Ink $5'
+    );
+    assert.equal(engine.render('{{#each totals}}{{@key}}={{this}};{{/each}}', data), 'net=7;tax=1;');
+    assert.equal(engine.render('{{#each tags}}{{.}}{{else}}no tags{{/each}}', { tags: [] }), 'no tags');
+    assert.equal(
+      engine.render('{{#each rows}}{{#each this}}{{this}}{{/each}}|{{/each}}', { rows: [[1, 2], [3]] }),
+      '12|3|'
+    );
+  });
+
+  test('should render partials with the current data', () => {
+    assert.equal(engine.render('Thanks!\n{{> signature}}', { team: { name: 'Acme' } }), 'Thanks!\nRegards, Acme');
+    assert.throws(() => engine.render('{{> missing}}'), { code: 'TEMPLATE_NOT_FOUND', template: 'missing' });
+    assert.throws(() => engine.render('{{> loop}}'), /nested more than 10 deep/);
+  });
+
+  test('should reject missing variables', () => {
+    assert.throws(() => engine.render('Hi {{user.name}}', { user: {} }, { name: 'welcome' }), error => {
+      assert.ok(error instanceof TemplateError);
+      assert.equal(error.code, 'TEMPLATE_VARIABLE_MISSING');
+      assert.equal(error.variable, 'user.name');
+      assert.equal(error.template, 'welcome');
+      assert.match(error.message, /Missing template variable: user.name in "welcome"/);
+      return true;
+    });
+    assert.throws(() => engine.render('{{#each items}}{{/each}}', {}), { variable: 'items' });
+    assert.throws(() => engine.render('{{toString}}', {}), { code: 'TEMPLATE_VARIABLE_MISSING' });
+    assert.equal(engine.render('{{#if missing}}x{{/if}}', {}), '');
+  });
+
+  test('should report syntax errors', () => {
+    const cases = [
+      ['{{#if a}}', /unclosed \{\{#if\}\}/],
+      ['{{/if}}', /unexpected \{\{\/if\}\}/],
+      ['{{#if a}}{{/each}}', /unexpected \{\{\/each\}\}/],
+      ['{{else}}', /unexpected \{\{else\}\}/],
+      ['{{#if a}}{{else}}{{else}}{{/if}}', /unexpected \{\{else\}\}/],
+      ['{{#with a}}{{/with}}', /unknown block/],
+      ['{{#each}}{{/each}}', /needs a value/]
+    ];
+
+    for (const [source, message] of cases) {
+      assert.throws(() => engine.render(source, { a: true }), error => {
+        assert.equal(error.code, 'TEMPLATE_SYNTAX_ERROR');
+        assert.match(error.message, message);
+        return true;
+      });
+    }
+  });
+
+  test('should ignore comments and keep surrounding text', () => {
+    assert.equal(engine.render('a{{! note }}b {{#if x}}{{/if}}c', { x: 1 }), 'ab c');
+  });
+});
@@ -0,0 +1,236 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { TemplateStore } from '../src/TemplateStore.js';
+import { emailTemplates } from '../config/index.js';
+
+describe('TemplateStore', () => {
+  test('should render the configured emailTemplates', () => {
+    const store = new TemplateStore({ templates: emailTemplates });
+
+    const rendered = store.render('orderConfirmation', {
+      customerName: 'Ana',
+      orderNumber: 'A-100',
+      totalAmount: '$20',
+      deliveryDate: 'Monday',
+      trackingLink: 'https://example.com/track/A-100'
+    });
+
+    assert.equal(rendered.subject, 'Order Confirmation - A-100');
+    assert.match(rendered.body, /^Dear Ana,/);
+    assert.match(rendered.body, /Order Number: A-100/);
+    assert.deepEqual(store.list(), ['welcome', 'passwordReset', 'orderConfirmation']);
+  });
+
+  test('should apply layouts and escape only html', () => {
+    const store = new TemplateStore({
+      templates: {
+        notice: {
+          subject: 'Notice for {{name}}\r\nBcc: evil@example.com',
+          body: 'Hi {{name}}',
+          html: '<p>Hi {{name}}</p>',
+          layout: 'default'
+        }
+      },
+      partials: { footer: 'Acme Inc.' },
+      layouts: {
+        default: {
+          body: '{{{content}}}\n--\n{{> footer}}',
+          html: '<html><body>{{{content}}}<footer>{{> footer}}</footer></body></html>'
+        }
+      }
+    });
+
+    const rendered = store.render('notice', { name: 'Tom & <Jerry>' });
+    assert.equal(rendered.subject, 'Notice for Tom & <Jerry> Bcc: evil@example.com');
+    assert.equal(rendered.body, 'Hi Tom & <Jerry>\n--\nAcme Inc.');
+    assert.equal(rendered.html, '<html><body><p>Hi Tom &amp; &lt;Jerry&gt;</p><footer>Acme Inc.</footer></body></html>');
+  });
+
+  test('should reject unknown templates, layouts and invalid templates', async () => {
+    const store = new TemplateStore({ templates: { broken: { subject: 'Hi', layout: 'missing' } } });
+
+    assert.throws(() => store.render('nope'), { code: 'TEMPLATE_NOT_FOUND', template: 'nope' });
+    assert.throws(() => store.render('broken'), /Layout not found: missing/);
+    await assert.rejects(store.set('bad', { subject: '{{#if x}}' }), { code: 'TEMPLATE_SYNTAX_ERROR' });
+    await assert.rejects(store.set('bad', { body: 'No subject' }), /must have a subject/);
+    assert.equal(store.has('bad'), false);
+  });
+
+  test('should render template emails and let explicit fields win', () => {
+    const store = new TemplateStore({ templates: emailTemplates });
+    const plain = { to: 'a@example.com', subject: 'Hi', body: 'Plain' };
+
+    assert.deepEqual(store.renderEmail(plain), { email: plain, template: null });
+
+    const { email, template } = store.renderEmail({
+      to: 'a@example.com',
+      from: 'team@example.com',
+      subject: 'Custom subject',
+      template: 'passwordReset',
+      data: { resetLink: 'https://example.com/reset?token=abc&x=1' }
+    });
+    assert.deepEqual(template, { name: 'passwordReset', version: 1 });
+    assert.deepEqual(Object.keys(email).sort(), ['body', 'from', 'subject', 'to']);
+    assert.equal(email.subject, 'Custom subject');
+    assert.match(email.body, /https:\/\/example.com\/reset\?token=abc&x=1/);
+
+    assert.throws(() => store.renderEmail({ to: 'a@example.com', template: 'welcome', data: [] }), { field: 'data' });
+    assert.throws(() => store.renderEmail({ to: 'a@example.com', template: 42 }), { field: 'template' });
+    assert.throws(() => store.renderEmail({ to: 'a@example.com', template: 'welcome' }), {
+      code: 'TEMPLATE_VARIABLE_MISSING'
+    });
+  });
+
+  test('should load templates, partials and layouts from a directory', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'templates-'));
+
+    try {
+      await fs.mkdir(path.join(dir, 'invoice'));
+      await fs.mkdir(path.join(dir, 'partials'));
+      await fs.mkdir(path.join(dir, 'layouts', 'branded'), { recursive: true });
+      await fs.writeFile(path.join(dir, 'invoice', 'subject.txt'), 'Invoice {{number}}\n');
+      await fs.writeFile(path.join(dir, 'invoice', 'body.txt'), 'Total: {{total}}\n{{> signature}}');
+      await fs.writeFile(path.join(dir, 'invoice', 'html.html'), '<p>Total: {{total}}</p>');
+      await fs.writeFile(path.join(dir, 'invoice', 'template.json'), JSON.stringify({ layout: 'branded' }));
+      await fs.writeFile(path.join(dir, 'partials', 'signature.txt'), 'Billing team');
+      await fs.writeFile(path.join(dir, 'layouts', 'branded', 'html.html'), '<div class="brand">{{{content}}}</div>');
+
+      const store = new TemplateStore({ templates: emailTemplates, directory: dir });
+      assert.equal(await store.load(), 1);
+
+      const rendered = store.render('invoice', { number: 7, total: '$10' });
+      assert.deepEqual(rendered, {
+        subject: 'Invoice 7',
+        body: 'Total: $10\nBilling team',
+        html: '<div class="brand"><p>Total: $10</p></div>'
+      });
+      assert.ok(store.has('welcome'));
+
+      await fs.writeFile(path.join(dir, 'invoice', 'template.json'), '{');
+      await assert.rejects(store.load(), /invalid template.json/);
+      assert.equal(await new TemplateStore().load(), 0);
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should keep versions behind an active pointer', async () => {
+    const store = new TemplateStore({ templates: { promo: { subject: 'Sale', body: 'Save {{percent}}%' } } });
+
+    const draft = await store.set('promo', { subject: 'Big sale', body: 'Save {{percent}}% today' }, { activate: false });
+    assert.equal(draft.version, 2);
+    assert.ok(draft.createdAt instanceof Date);
+    assert.equal(store.get('promo').version, 1);
+    assert.equal(store.render('promo', { percent: 10 }).subject, 'Sale');
+    assert.equal(store.render('promo', { percent: 10 }, { version: 2 }).body, 'Save 10% today');
+
+    await store.activate('promo', '2');
+    assert.equal(store.renderEmail({ to: 'a@example.com', template: 'promo', data: { percent: 5 } }).email.subject, 'Big sale');
+    assert.deepEqual(store.info('promo'), {
+      name: 'promo',
+      tenant: null,
+      activeVersion: 2,
+      versions: [
+        { version: 1, createdAt: store.get('promo', 1).createdAt, active: false },
+        { version: 2, createdAt: draft.createdAt, active: true }
+      ]
+    });
+
+    // Pinning a version and rolling back
+    const pinned = store.renderEmail({ to: 'a@example.com', template: 'promo', templateVersion: 1, data: { percent: 5 } });
+    assert.deepEqual(pinned.template, { name: 'promo', version: 1 });
+    assert.equal(pinned.email.subject, 'Sale');
+    await store.activate('promo', 1);
+    assert.equal(store.get('promo').version, 1);
+
+    // Unchanged content is not stored again
+    assert.equal((await store.set('promo', { subject: 'Big sale', body: 'Save {{percent}}% today' })).version, 2);
+    assert.equal(store.info('promo').versions.length, 2);
+
+    assert.ok(store.has('promo', 2));
+    assert.equal(store.has('promo', 3), false);
+    assert.throws(() => store.get('promo', 3), { code: 'TEMPLATE_NOT_FOUND' });
+    await assert.rejects(store.activate('promo'), { code: 'VALIDATION_ERROR', field: 'version' });
+    await assert.rejects(store.activate('promo', 'latest'), { field: 'version' });
+  });
+
+  test('should preview templates with sample data', async () => {
+    const store = new TemplateStore({
+      templates: {
+        receipt: {
+          subject: 'Receipt {{number}}',
+          html: '<b>{{total}}</b>',
+          sampleData: { number: 'R-1', total: '<$10>' }
+        }
+      }
+    });
+
+    assert.deepEqual(store.preview('receipt'), {
+      template: 'receipt',
+      version: 1,
+      subject: 'Receipt R-1',
+      html: '<b>&lt;$10&gt;</b>'
+    });
+    assert.equal(store.preview('receipt', { number: 'R-2', total: 3 }).subject, 'Receipt R-2');
+    assert.throws(() => store.preview('receipt', {}), { code: 'TEMPLATE_VARIABLE_MISSING' });
+    assert.throws(() => store.preview('receipt', 'x'), { field: 'data' });
+    await assert.rejects(store.set('bad', { subject: 'Hi', sampleData: [] }), { field: 'sampleData' });
+  });
+
+  test('should keep tenant changes to the tenant', async () => {
+    const store = new TemplateStore({ templates: { promo: { subject: 'Sale', body: 'Save {{percent}}%' } } });
+
+    const own = await store.set('promo', { subject: 'Acme sale', body: 'Save {{percent}}%' }, { tenant: 'acme' });
+    assert.equal(own.version, 1);
+    assert.equal(store.render('promo', { percent: 5 }, { tenant: 'acme' }).subject, 'Acme sale');
+    assert.equal(store.render('promo', { percent: 5 }, { tenant: 'globex' }).subject, 'Sale');
+    assert.equal(store.render('promo', { percent: 5 }).subject, 'Sale');
+    assert.equal(store.renderEmail({ to: 'a@example.com', template: 'promo', data: { percent: 5 } }, { tenant: 'acme' }).email.subject, 'Acme sale');
+
+    await store.set('notice', { subject: 'Acme notice' }, { tenant: 'acme' });
+    assert.deepEqual(store.list({ tenant: 'acme' }), ['promo', 'notice']);
+    assert.deepEqual(store.list({ tenant: 'globex' }), ['promo']);
+    assert.equal(store.has('notice', undefined, { tenant: 'globex' }), false);
+    assert.equal(store.info('promo', { tenant: 'acme' }).tenant, 'acme');
+    assert.equal(store.info('promo', { tenant: 'globex' }).tenant, null);
+
+    // Tenants only activate versions of their own copy
+    assert.equal(store.has('promo', undefined, { tenant: 'globex', inherit: false }), false);
+    await assert.rejects(store.activate('promo', 1, { tenant: 'globex' }), { code: 'TEMPLATE_NOT_FOUND' });
+  });
+
+  test('should keep template versions across restarts', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'template-store-'));
+    const storage = { type: 'file', path: path.join(dir, 'templates.journal') };
+    const templates = { promo: { subject: 'Sale', body: 'Save {{percent}}%' } };
+
+    try {
+      const store = new TemplateStore({ templates, storage });
+      await store.init();
+      await store.set('promo', { subject: 'Big sale', body: 'Save {{percent}}% today' });
+      await store.set('promo', { subject: 'Acme sale' }, { tenant: 'acme' });
+      await store.activate('promo', 1);
+      await store.close();
+
+      const reopened = new TemplateStore({ templates, storage });
+      await reopened.init();
+      assert.equal(reopened.info('promo').activeVersion, 1);
+      assert.equal(reopened.info('promo').versions.length, 2);
+      assert.ok(reopened.get('promo', 2).createdAt instanceof Date);
+      assert.equal(reopened.get('promo', undefined, { tenant: 'acme' }).subject, 'Acme sale');
+      await reopened.close();
+
+      // A configured template changed since is added as a new active version
+      const updated = new TemplateStore({ templates: { promo: { subject: 'Winter sale' } }, storage });
+      await updated.init();
+      assert.equal(updated.get('promo').version, 3);
+      assert.equal(updated.get('promo').subject, 'Winter sale');
+      await updated.close();
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+});
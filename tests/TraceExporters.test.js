@@ -0,0 +1,132 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import http from 'http';
+import { Tracer, SPAN_KIND } from '../src/Tracer.js';
+import { InMemoryExporter, OtlpHttpExporter, createExporter } from '../src/TraceExporters.js';
+
+/**
+ * Local collector stub recording OTLP requests
+ */
+function startCollector(status = 200) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end('{}');
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/v1/traces`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+describe('TraceExporters', () => {
+  test('should keep a bounded number of spans in memory', () => {
+    const exporter = new InMemoryExporter({ limit: 2 });
+    const tracer = new Tracer({ exporter });
+
+    tracer.startSpan('one').end();
+    tracer.startSpan('two').end();
+    tracer.startSpan('three').end();
+
+    assert.deepEqual(exporter.getFinishedSpans().map(span => span.name), ['two', 'three']);
+    exporter.reset();
+    assert.equal(exporter.getFinishedSpans().length, 0);
+  });
+
+  test('should export OTLP/JSON batches to a collector', async () => {
+    const collector = await startCollector();
+    const exporter = new OtlpHttpExporter({
+      url: collector.url,
+      serviceName: 'email-test',
+      headers: { 'x-collector-key': 'secret' },
+      maxBatchSize: 2
+    });
+    const tracer = new Tracer({ exporter });
+
+    try {
+      const parent = tracer.startSpan('EmailService.sendEmail', { attributes: { 'email.tenant': 'acme' } });
+      const child = tracer.startSpan('EmailService.sendWithRetry', {
+        parent,
+        kind: SPAN_KIND.CLIENT,
+        attributes: { 'email.attempt': 1, 'email.retry.delay_ms': 12.5, 'email.ok': true }
+      });
+      child.recordException(new Error('Boom'));
+      child.end();
+      parent.end();
+      tracer.startSpan('third').end();
+
+      await tracer.shutdown();
+
+      assert.equal(collector.requests.length, 2);
+      const [first] = collector.requests;
+      assert.equal(first.url, '/v1/traces');
+      assert.equal(first.headers['x-collector-key'], 'secret');
+
+      const { resource, scopeSpans } = first.body.resourceSpans[0];
+      assert.deepEqual(resource.attributes, [{ key: 'service.name', value: { stringValue: 'email-test' } }]);
+
+      const [sent, sendEmail] = scopeSpans[0].spans;
+      assert.equal(sent.traceId, parent.traceId);
+      assert.equal(sent.parentSpanId, parent.spanId);
+      assert.equal(sent.kind, 3);
+      assert.match(sent.startTimeUnixNano, /^\d{19}$/);
+      assert.ok(BigInt(sent.endTimeUnixNano) >= BigInt(sent.startTimeUnixNano));
+      assert.deepEqual(sent.attributes, [
+        { key: 'email.attempt', value: { intValue: '1' } },
+        { key: 'email.retry.delay_ms', value: { doubleValue: 12.5 } },
+        { key: 'email.ok', value: { boolValue: true } }
+      ]);
+      assert.deepEqual(sent.status, { code: 2, message: 'Boom' });
+      assert.equal(sent.events[0].name, 'exception');
+      assert.equal(sendEmail.parentSpanId, undefined);
+      assert.deepEqual(sendEmail.status, { code: 0 });
+
+      assert.equal(collector.requests[1].body.resourceSpans[0].scopeSpans[0].spans[0].name, 'third');
+    } finally {
+      await collector.close();
+    }
+  });
+
+  test('should log and drop batches the collector rejects', async () => {
+    const collector = await startCollector(503);
+    const warnings = [];
+    const exporter = new OtlpHttpExporter({
+      url: collector.url,
+      logger: { warn: (message, data) => warnings.push(data) }
+    });
+    const tracer = new Tracer({ exporter });
+
+    try {
+      tracer.startSpan('send').end();
+      await tracer.shutdown();
+      tracer.startSpan('after shutdown').end();
+      await exporter.flush();
+
+      assert.equal(collector.requests.length, 1);
+      assert.equal(exporter.dropped, 1);
+      assert.match(warnings[0].error, /HTTP 503/);
+    } finally {
+      await collector.close();
+    }
+  });
+
+  test('should create exporters from configuration', async () => {
+    assert.ok(createExporter({ type: 'memory' }) instanceof InMemoryExporter);
+    const otlp = createExporter({ url: 'http://127.0.0.1:1/v1/traces' });
+    assert.ok(otlp instanceof OtlpHttpExporter);
+    await otlp.shutdown();
+    assert.throws(() => createExporter({ type: 'zipkin' }), /Unknown trace exporter type/);
+  });
+});
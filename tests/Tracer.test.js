@@ -0,0 +1,72 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { Tracer, SPAN_KIND, SPAN_STATUS } from '../src/Tracer.js';
+import { InMemoryExporter } from '../src/TraceExporters.js';
+
+describe('Tracer', () => {
+  test('should start spans in a new or given trace', () => {
+    const tracer = new Tracer();
+
+    const root = tracer.startSpan('root');
+    assert.match(root.traceId, /^[0-9a-f]{32}$/);
+    assert.match(root.spanId, /^[0-9a-f]{16}$/);
+    assert.equal(root.parentSpanId, null);
+    assert.equal(root.kind, SPAN_KIND.INTERNAL);
+
+    const child = tracer.startSpan('child', { parent: root, kind: SPAN_KIND.CLIENT });
+    assert.equal(child.traceId, root.traceId);
+    assert.equal(child.parentSpanId, root.spanId);
+
+    const remote = tracer.startSpan('remote', {
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      parentSpanId: '00f067aa0ba902b7'
+    });
+    assert.equal(remote.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.equal(remote.parentSpanId, '00f067aa0ba902b7');
+  });
+
+  test('should record attributes, events and status', () => {
+    const exporter = new InMemoryExporter();
+    const tracer = new Tracer({ exporter });
+
+    const span = tracer.startSpan('send', { attributes: { 'email.provider': 'A', skipped: undefined } });
+    span.setAttribute('email.attempt', 2).addEvent('retry', { delay: 10 });
+    span.recordException(Object.assign(new Error('Boom'), { code: 'PROVIDER_TRANSIENT' }));
+    span.end();
+    span.end();
+
+    const [finished] = exporter.getFinishedSpans();
+    assert.equal(exporter.getFinishedSpans().length, 1);
+    assert.deepEqual(finished.attributes, { 'email.provider': 'A', 'email.attempt': 2 });
+    assert.deepEqual(finished.events.map(event => event.name), ['retry', 'exception']);
+    assert.equal(finished.events[1].attributes['exception.type'], 'PROVIDER_TRANSIENT');
+    assert.deepEqual(finished.status, { code: SPAN_STATUS.ERROR, message: 'Boom' });
+    assert.ok(finished.duration >= 0);
+    assert.equal(finished.toJSON().name, 'send');
+  });
+
+  test('should set status from the outcome in withSpan', async () => {
+    const exporter = new InMemoryExporter();
+    const tracer = new Tracer({ exporter });
+
+    assert.equal(await tracer.withSpan('ok', {}, async span => span.spanId.length), 16);
+    await assert.rejects(tracer.withSpan('failed', {}, async () => {
+      throw new Error('Boom');
+    }), /Boom/);
+
+    assert.equal(exporter.getFinishedSpans('ok')[0].status.code, SPAN_STATUS.OK);
+    assert.equal(exporter.getFinishedSpans('failed')[0].status.code, SPAN_STATUS.ERROR);
+    assert.ok(exporter.getFinishedSpans().every(span => span.endTime !== null));
+  });
+
+  test('should keep going when the exporter fails', () => {
+    const warnings = [];
+    const tracer = new Tracer({
+      exporter: { export: () => { throw new Error('exporter down'); } },
+      logger: { warn: (message, data) => warnings.push(data.error) }
+    });
+
+    tracer.startSpan('send').end();
+    assert.deepEqual(warnings, ['exporter down']);
+  });
+});
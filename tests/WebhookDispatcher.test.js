@@ -0,0 +1,289 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import http from 'http';
+import crypto from 'crypto';
+import { WebhookDispatcher } from '../src/WebhookDispatcher.js';
+
+/**
+ * Start a webhook receiver answering with the given status codes in turn
+ * @param {Array<number>} statuses - Response status per request, the last one repeats
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+async function startReceiver(statuses = [200]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.statusCode = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function createDispatcher(options = {}) {
+  return new WebhookDispatcher({ logLevel: 'error', baseDelay: 5, maxDelay: 20, ...options });
+}
+
+describe('WebhookDispatcher', () => {
+  test('should deliver signed events', async () => {
+    const receiver = await startReceiver();
+    const dispatcher = createDispatcher();
+
+    try {
+      const subscription = dispatcher.subscribe({ url: receiver.url, events: ['sent'], secret: 'top-secret' });
+      assert.equal(subscription.secret, 'top-secret');
+
+      dispatcher.emit('sent', { id: 'item-1', messageId: 'msg-1' });
+      await dispatcher.flush();
+
+      assert.equal(receiver.requests.length, 1);
+      const { headers, body } = receiver.requests[0];
+      const payload = JSON.parse(body);
+      assert.equal(payload.event, 'sent');
+      assert.equal(payload.data.messageId, 'msg-1');
+      assert.equal(headers['x-webhook-event'], 'sent');
+      assert.equal(headers['x-webhook-id'], payload.id);
+
+      const expected = crypto.createHmac('sha256', 'top-secret')
+        .update(`${headers['x-webhook-timestamp']}.${body}`)
+        .digest('hex');
+      assert.equal(headers['x-webhook-signature'], `sha256=${expected}`);
+
+      const [delivery] = dispatcher.getDeliveries();
+      assert.equal(delivery.status, 'delivered');
+      assert.equal(delivery.attempts, 1);
+      assert.equal(delivery.history[0].statusCode, 200);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should only deliver subscribed events', async () => {
+    const receiver = await startReceiver();
+    const dispatcher = createDispatcher();
+
+    try {
+      dispatcher.subscribe({ url: receiver.url, events: ['failed'] });
+      const all = dispatcher.subscribe({ url: receiver.url });
+      assert.deepEqual(all.events, ['*']);
+
+      assert.equal(dispatcher.emit('sent', { id: 'item-1' }).length, 1);
+      assert.equal(dispatcher.emit('failed', { id: 'item-1' }).length, 2);
+      await dispatcher.flush();
+
+      assert.equal(receiver.requests.length, 3);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should only deliver a tenant its own events', async () => {
+    const receiver = await startReceiver();
+    const dispatcher = createDispatcher();
+
+    try {
+      const acme = dispatcher.subscribe({ url: receiver.url, tenant: 'acme' });
+      dispatcher.subscribe({ url: receiver.url, tenant: 'globex' });
+
+      assert.equal(dispatcher.emit('sent', { id: 'item-1', tenant: 'acme' }).length, 1);
+      assert.equal(dispatcher.emit('circuit-opened', { provider: 'Provider-A' }).length, 0);
+      await dispatcher.flush();
+
+      assert.equal(dispatcher.getDeliveries({ tenant: 'acme' })[0].subscriptionId, acme.id);
+      assert.equal(dispatcher.getDeliveries({ tenant: 'globex' }).length, 0);
+      assert.deepEqual(dispatcher.getSubscriptions({ tenant: 'acme' }).map(subscription => subscription.id), [acme.id]);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should retry failed deliveries with backoff', async () => {
+    const receiver = await startReceiver([500, 429, 200]);
+    const dispatcher = createDispatcher();
+
+    try {
+      dispatcher.subscribe({ url: receiver.url });
+      const [delivery] = dispatcher.emit('retrying', { id: 'item-1' });
+      await dispatcher.flush();
+
+      assert.equal(delivery.status, 'delivered');
+      assert.equal(delivery.attempts, 3);
+      assert.deepEqual(delivery.history.map(attempt => attempt.statusCode), [500, 429, 200]);
+      assert.equal(new Set(receiver.requests.map(request => request.headers['x-webhook-id'])).size, 1);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should give up after max attempts or a client error', async () => {
+    const failing = await startReceiver([503]);
+    const rejecting = await startReceiver([410]);
+    const dispatcher = createDispatcher({ maxAttempts: 3 });
+
+    try {
+      const down = dispatcher.subscribe({ url: failing.url });
+      const gone = dispatcher.subscribe({ url: rejecting.url });
+      dispatcher.emit('failed', { id: 'item-1' });
+      await dispatcher.flush();
+
+      const [downDelivery] = dispatcher.getDeliveries({ subscriptionId: down.id });
+      assert.equal(downDelivery.status, 'failed');
+      assert.equal(downDelivery.attempts, 3);
+
+      const [goneDelivery] = dispatcher.getDeliveries({ subscriptionId: gone.id });
+      assert.equal(goneDelivery.status, 'failed');
+      assert.equal(goneDelivery.attempts, 1);
+
+      assert.equal(dispatcher.getDeliveries({ status: 'failed' }).length, 2);
+    } finally {
+      await failing.close();
+      await rejecting.close();
+    }
+  });
+
+  test('should fail deliveries that are redirected', async () => {
+    const target = await startReceiver();
+    const redirecting = http.createServer((req, res) => {
+      res.writeHead(307, { location: target.url });
+      res.end();
+    });
+    await new Promise(resolve => redirecting.listen(0, '127.0.0.1', resolve));
+    const dispatcher = createDispatcher();
+
+    try {
+      dispatcher.subscribe({ url: `http://127.0.0.1:${redirecting.address().port}/hooks` });
+      const [delivery] = dispatcher.emit('sent', { id: 'item-1' });
+      await dispatcher.flush();
+
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.history[0].statusCode, 307);
+      assert.equal(target.requests.length, 0);
+    } finally {
+      await new Promise(resolve => redirecting.close(resolve));
+      await target.close();
+    }
+  });
+
+  test('should retry when the receiver is unreachable', async () => {
+    const receiver = await startReceiver();
+    const url = receiver.url;
+    await receiver.close();
+
+    const dispatcher = createDispatcher({ maxAttempts: 2 });
+    dispatcher.subscribe({ url });
+    const [delivery] = dispatcher.emit('sent', { id: 'item-1' });
+    await dispatcher.flush();
+
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 2);
+    assert.ok(delivery.history[0].error);
+  });
+
+  test('should validate subscriptions', () => {
+    const dispatcher = createDispatcher();
+
+    assert.throws(() => dispatcher.subscribe({ url: 'not a url' }), error => error.field === 'url');
+    assert.throws(() => dispatcher.subscribe({ url: 'ftp://example.com' }), error => error.field === 'url');
+    assert.throws(
+      () => dispatcher.subscribe({ url: 'https://example.com', events: ['opened'] }),
+      error => error.code === 'VALIDATION_ERROR' && error.field === 'events'
+    );
+  });
+
+  test('should reject private and loopback targets', async () => {
+    const hosts = { localhost: '127.0.0.1', 'hooks.example.com': '93.184.215.14', 'internal.example.com': '10.0.0.5', 'v6.example.com': 'fd00::1' };
+    const dispatcher = createDispatcher({
+      allowedHosts: ['Billing.Internal'],
+      lookup: async hostname => {
+        if (hostname === 'billing.internal') {
+          return [{ address: '10.0.0.9', family: 4 }];
+        }
+        if (!hosts[hostname]) {
+          throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND' });
+        }
+        return [{ address: hosts[hostname], family: hosts[hostname].includes(':') ? 6 : 4 }];
+      }
+    });
+
+    await dispatcher.checkTarget('https://hooks.example.com/email');
+    await dispatcher.checkTarget('https://8.8.8.8/email');
+    await dispatcher.checkTarget('http://billing.internal/hooks');
+
+    for (const url of [
+      'http://127.0.0.1:8080/hooks',
+      'http://localhost:8080/hooks',
+      'http://[::1]/hooks',
+      'http://[::ffff:127.0.0.1]/hooks',
+      'http://2130706433/hooks',
+      'http://169.254.169.254/latest/meta-data',
+      'http://192.168.1.10/hooks',
+      'https://internal.example.com/hooks',
+      'https://v6.example.com/hooks',
+      'https://unknown.example.com/hooks',
+      'ftp://hooks.example.com'
+    ]) {
+      await assert.rejects(dispatcher.checkTarget(url), error => error.code === 'VALIDATION_ERROR' && error.field === 'url', url);
+    }
+  });
+
+  test('should hide secrets and support unsubscribing', () => {
+    const dispatcher = createDispatcher();
+    const subscription = dispatcher.subscribe({ url: 'https://example.com/hooks' });
+
+    assert.equal(subscription.secret.length, 64);
+    assert.equal(dispatcher.getSubscription(subscription.id).secret, undefined);
+    assert.equal(dispatcher.getSubscriptions()[0].secret, undefined);
+
+    assert.equal(dispatcher.unsubscribe(subscription.id), true);
+    assert.equal(dispatcher.unsubscribe(subscription.id), false);
+    assert.equal(dispatcher.getSubscription(subscription.id), null);
+  });
+
+  test('should bound the delivery log', async () => {
+    const receiver = await startReceiver();
+    const dispatcher = createDispatcher({ logSize: 2 });
+
+    try {
+      dispatcher.subscribe({ url: receiver.url });
+      dispatcher.emit('queued', { id: 'item-1' });
+      dispatcher.emit('queued', { id: 'item-2' });
+      dispatcher.emit('queued', { id: 'item-3' });
+      await dispatcher.flush();
+
+      const deliveries = dispatcher.getDeliveries();
+      assert.deepEqual(deliveries.map(delivery => delivery.payload.data.id), ['item-3', 'item-2']);
+      assert.equal(dispatcher.getDeliveries({ limit: 1 }).length, 1);
+    } finally {
+      await receiver.close();
+    }
+  });
+
+  test('should abandon pending retries on close', async () => {
+    const receiver = await startReceiver([503]);
+    const dispatcher = createDispatcher({ baseDelay: 60000, maxDelay: 60000 });
+
+    try {
+      dispatcher.subscribe({ url: receiver.url });
+      const [delivery] = dispatcher.emit('sent', { id: 'item-1' });
+      while (!delivery.nextAttempt) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      await dispatcher.close();
+      assert.equal(delivery.status, 'failed');
+      assert.equal(delivery.attempts, 1);
+      assert.deepEqual(dispatcher.emit('sent', { id: 'item-2' }), []);
+    } finally {
+      await receiver.close();
+    }
+  });
+});
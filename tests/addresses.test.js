@@ -0,0 +1,147 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import {
+  parseAddress,
+  parseAddressList,
+  formatAddress,
+  parseRecipients,
+  listRecipients
+} from '../src/addresses.js';
+import { InvalidAddressError, ValidationError } from '../src/errors.js';
+
+describe('addresses', () => {
+  test('should parse bare addresses and display names', () => {
+    assert.deepEqual(parseAddress('ana@example.com'), { name: null, address: 'ana@example.com' });
+    assert.deepEqual(parseAddress('Ana Lima <ana@Example.COM>'), { name: 'Ana Lima', address: 'ana@example.com' });
+    assert.deepEqual(parseAddress('"Lima, Ana" <ana@example.com>'), { name: 'Lima, Ana', address: 'ana@example.com' });
+    assert.deepEqual(parseAddress({ name: 'Ana "A" Lima', address: 'ana@example.com' }), {
+      name: 'Ana "A" Lima',
+      address: 'ana@example.com'
+    });
+  });
+
+  test('should parse quoted local parts, IDN domains and domain literals', () => {
+    assert.equal(parseAddress('"ana lima"@example.com').address, '"ana lima"@example.com');
+    assert.equal(parseAddress('"ana"@example.com').address, 'ana@example.com');
+    assert.equal(parseAddress('"a\\"b"@example.com').address, '"a\\"b"@example.com');
+    assert.equal(parseAddress('ana@münchen.de').address, 'ana@xn--mnchen-3ya.de');
+    assert.equal(parseAddress('ana@[192.0.2.1]').address, 'ana@[192.0.2.1]');
+    assert.equal(parseAddress('ana@[IPv6:2001:db8::1]').address, 'ana@[IPv6:2001:db8::1]');
+  });
+
+  test('should parse address lists, arrays, comments and groups', () => {
+    const list = parseAddressList('"Lima, Ana" <ana@example.com>, bo@example.com (Bo), team: cy@example.com;');
+    assert.deepEqual(list.map(mailbox => mailbox.address), ['ana@example.com', 'bo@example.com', 'cy@example.com']);
+    assert.equal(list[0].name, 'Lima, Ana');
+
+    const array = parseAddressList(['ana@example.com, bo@example.com', { address: 'cy@example.com' }]);
+    assert.deepEqual(array.map(mailbox => mailbox.address), ['ana@example.com', 'bo@example.com', 'cy@example.com']);
+
+    assert.deepEqual(parseAddressList('undisclosed-recipients:;'), []);
+  });
+
+  test('should reject invalid addresses', () => {
+    for (const value of [
+      'invalid-email',
+      '@example.com',
+      'ana@',
+      'ana..lima@example.com',
+      'ana@localhost',
+      'ana@192.0.2.1',
+      'ana@exa_mple.com',
+      'jösé@example.com',
+      `${'a'.repeat(65)}@example.com`,
+      'ana@[300.0.0.1]',
+      'Ana <ana@example.com',
+      ''
+    ]) {
+      assert.throws(() => parseAddress(value, 'to'), InvalidAddressError, value);
+    }
+  });
+
+  test('should reject line breaks before they can split into headers', () => {
+    assert.throws(
+      () => parseAddress('a@example.com\r\nBcc: b@example.com'),
+      error => error.field === 'from' && error.addresses[0].message === 'must not contain line breaks'
+    );
+  });
+
+  test('should report every invalid address with its position', () => {
+    assert.throws(
+      () => parseAddressList(['ana@example.com', 'bad', 42, 'bo@'], 'cc'),
+      error => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.code, 'VALIDATION_ERROR');
+        assert.equal(error.field, 'cc');
+        assert.match(error.message, /^Invalid email address format: cc\[1\] "bad" is missing "@" \(and 2 more\)/);
+        assert.deepEqual(error.addresses.map(({ field, value }) => [field, value]), [
+          ['cc[1]', 'bad'],
+          ['cc[2]', 42],
+          ['cc[3]', 'bo@']
+        ]);
+        return true;
+      }
+    );
+  });
+
+  test('should format addresses, quoting names when needed', () => {
+    assert.equal(formatAddress({ name: null, address: 'ana@example.com' }), 'ana@example.com');
+    assert.equal(formatAddress({ name: 'Ana Lima', address: 'ana@example.com' }), 'Ana Lima <ana@example.com>');
+    assert.equal(formatAddress({ name: 'Lima, Ana', address: 'ana@example.com' }), '"Lima, Ana" <ana@example.com>');
+    assert.equal(formatAddress({ name: 'Say "hi"', address: 'ana@example.com' }), '"Say \\"hi\\"" <ana@example.com>');
+
+    const formatted = formatAddress(parseAddress('"Lima, Ana" <ana@example.com>'));
+    assert.deepEqual(parseAddress(formatted), { name: 'Lima, Ana', address: 'ana@example.com' });
+  });
+
+  test('should normalize the address fields of an email', () => {
+    const normalized = parseRecipients({
+      to: ['Ana <ana@example.com>', { name: 'Bo', address: 'bo@example.com' }],
+      cc: 'cy@example.com',
+      bcc: [],
+      replyTo: { address: 'support@example.com' },
+      from: '"Acme, Inc." <noreply@acme.com>',
+      subject: 'Ignored'
+    });
+
+    assert.deepEqual(normalized, {
+      to: 'Ana <ana@example.com>, Bo <bo@example.com>',
+      cc: 'cy@example.com',
+      replyTo: 'support@example.com',
+      from: '"Acme, Inc." <noreply@acme.com>'
+    });
+  });
+
+  test('should collect invalid addresses across fields', () => {
+    assert.throws(
+      () => parseRecipients({ to: 'ana@example.com, bad', cc: ['bo@example.com'], bcc: 'cy@', from: 'nobody' }),
+      error => {
+        assert.deepEqual(error.addresses.map(({ field }) => field), ['to[1]', 'bcc', 'from']);
+        assert.equal(error.field, 'to');
+        return true;
+      }
+    );
+  });
+
+  test('should require a to address', () => {
+    assert.throws(() => parseRecipients({ to: [] }), /Email to is required/);
+    assert.throws(() => parseRecipients({ cc: 'ana@example.com' }), /Email to is required/);
+  });
+
+  test('should limit the number of recipients', () => {
+    const email = { to: ['a@example.com', 'b@example.com'], cc: 'c@example.com', bcc: 'd@example.com', replyTo: 'e@example.com' };
+
+    assert.doesNotThrow(() => parseRecipients(email, { maxRecipients: 4 }));
+    assert.throws(
+      () => parseRecipients(email, { maxRecipients: 3 }),
+      error => error instanceof ValidationError && /Too many recipients: 4, at most 3/.test(error.message)
+    );
+  });
+
+  test('should list envelope recipients without duplicates', () => {
+    assert.deepEqual(
+      listRecipients({ to: 'ana@example.com, Ana <ana@example.com>', cc: 'bo@example.com', bcc: ['cy@example.com'], replyTo: 'x@example.com' }),
+      ['ana@example.com', 'bo@example.com', 'cy@example.com']
+    );
+  });
+});
@@ -0,0 +1,1077 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { createApp } from '../src/app.js';
+import { EmailService } from '../src/EmailService.js';
+import { EmailQueue } from '../src/EmailQueue.js';
+import { ApiKeyAuth } from '../src/ApiKeyAuth.js';
+import { WebhookDispatcher } from '../src/WebhookDispatcher.js';
+import { EmailMetrics } from '../src/EmailMetrics.js';
+import { Logger } from '../src/Logger.js';
+import { MemoryTransport } from '../src/LogTransports.js';
+import { BounceProcessor } from '../src/BounceProcessor.js';
+
+const validEmail = {
+  to: 'test@example.com',
+  from: 'sender@example.com',
+  subject: 'Test Subject',
+  body: 'Test Body'
+};
+
+/**
+ * Start the app on a random port
+ * @param {Object} serviceOptions - EmailService options
+ * @param {Object|Function} appOptions - Extra createApp options, or a function of { emailService, emailQueue } returning them
+ * @returns {Promise<Object>} - { request, emailService, emailQueue, close }
+ */
+async function startApp(serviceOptions = {}, appOptions = {}) {
+  const emailService = new EmailService({
+    providers: [{ name: 'Provider-A', failureRate: 0, latency: 1 }],
+    logLevel: 'error',
+    baseDelay: 1,
+    ...serviceOptions
+  });
+  const emailQueue = new EmailQueue({ emailService, logLevel: 'error' });
+  const extraOptions = typeof appOptions === 'function' ? appOptions({ emailService, emailQueue }) : appOptions;
+  const app = createApp({ emailService, emailQueue, ...extraOptions });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, body, headers = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: typeof body === 'string' ? body : body && JSON.stringify(body)
+    });
+    const contentType = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: contentType.includes('application/json') ? await response.json() : await response.text()
+    };
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await emailQueue.close();
+  };
+
+  return { request, emailService, emailQueue, close };
+}
+
+describe('HTTP API', () => {
+  test('should send an email', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const response = await request('POST', '/emails', validEmail);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, true);
+      assert.equal(response.body.provider, 'Provider-A');
+      assert.ok(response.body.messageId);
+
+      const legacy = await request('POST', '/send-email', validEmail);
+      assert.equal(legacy.status, 200);
+      assert.equal(legacy.body.success, true);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should pass send options through', async () => {
+    const { request, emailService, close } = await startApp();
+
+    try {
+      let received;
+      emailService.sendEmail = async (email, options) => {
+        const { logger, traceId, ...rest } = options;
+        received = { email, options: rest, logger, traceId };
+        return { success: true, provider: 'Provider-A', messageId: 'msg-1', timestamp: new Date() };
+      };
+
+      await request('POST', '/emails', { ...validEmail, options: { idempotencyKey: 'key-1' } });
+      assert.deepEqual(received.email, validEmail);
+      assert.deepEqual(received.options, { idempotencyKey: 'key-1' });
+      assert.ok(received.logger.context.requestId);
+      assert.equal(received.logger.context.traceId, received.traceId);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should return 422 for invalid emails', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const response = await request('POST', '/emails', { ...validEmail, to: 'not-an-email' });
+      assert.equal(response.status, 422);
+      assert.equal(response.body.success, false);
+      assert.equal(response.body.error.code, 'VALIDATION_ERROR');
+      assert.match(response.body.error.message, /Invalid email address/);
+
+      const queued = await request('POST', '/queue', { to: 'test@example.com' });
+      assert.equal(queued.status, 422);
+      assert.equal(queued.body.error.code, 'VALIDATION_ERROR');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should return 429 when rate limited', async () => {
+    const { request, close } = await startApp({ rateLimit: 1 });
+
+    try {
+      assert.equal((await request('POST', '/emails', validEmail)).status, 200);
+
+      const response = await request('POST', '/emails', { ...validEmail, subject: 'Another Subject' });
+      assert.equal(response.status, 429);
+      assert.equal(response.body.error.code, 'RATE_LIMIT_EXCEEDED');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should return 502 when all providers fail', async () => {
+    const { request, close } = await startApp({
+      providers: [{ name: 'Provider-A', failureRate: 1, latency: 1 }],
+      maxRetries: 1
+    });
+
+    try {
+      const response = await request('POST', '/emails', validEmail);
+      assert.equal(response.status, 502);
+      assert.equal(response.body.error.code, 'ALL_PROVIDERS_FAILED');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should return 400 for malformed JSON', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const response = await request('POST', '/emails', '{"to":');
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error.code, 'INVALID_JSON');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should enqueue, get, list and cancel queue items', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const queued = await request('POST', '/queue', {
+        ...validEmail,
+        options: { priority: 5, sendAt: Date.now() + 60000 }
+      });
+      assert.equal(queued.status, 202);
+      assert.equal(queued.body.item.status, 'pending');
+      assert.equal(queued.body.item.priority, 5);
+      const { id } = queued.body.item;
+
+      const item = await request('GET', `/queue/${id}`);
+      assert.equal(item.status, 200);
+      assert.equal(item.body.item.id, id);
+      assert.equal(item.body.item.email.to, validEmail.to);
+
+      const list = await request('GET', '/queue?status=pending&limit=10');
+      assert.equal(list.status, 200);
+      assert.deepEqual(list.body.items.map(listed => listed.id), [id]);
+      assert.equal(list.body.stats.pending, 1);
+
+      const badLimit = await request('GET', '/queue?limit=zero');
+      assert.equal(badLimit.status, 422);
+
+      const cancelled = await request('DELETE', `/queue/${id}`);
+      assert.equal(cancelled.status, 200);
+      assert.equal(cancelled.body.item.status, 'cancelled');
+
+      const again = await request('DELETE', `/queue/${id}`);
+      assert.equal(again.status, 409);
+      assert.equal(again.body.error.code, 'QUEUE_ITEM_NOT_CANCELLABLE');
+
+      assert.equal((await request('GET', '/queue?status=pending')).body.items.length, 0);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should return 404 for unknown queue items and routes', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const item = await request('GET', '/queue/missing');
+      assert.equal(item.status, 404);
+      assert.equal(item.body.error.code, 'NOT_FOUND');
+
+      assert.equal((await request('DELETE', '/queue/missing')).status, 404);
+      assert.equal((await request('GET', '/nope')).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should report service status', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const response = await request('GET', '/status');
+      assert.equal(response.status, 200);
+      assert.equal(response.body.service.providers.length, 1);
+      assert.equal(response.body.service.providers[0].circuitBreaker.state, 'CLOSED');
+      assert.equal(typeof response.body.service.rateLimiter.remaining, 'number');
+      assert.equal(response.body.queue.queueSize, 0);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should report provider health', async () => {
+    const { request, emailService, close } = await startApp({
+      providers: [
+        { name: 'Provider-A', failureRate: 0, latency: 1 },
+        { name: 'Provider-B', failureRate: 0, latency: 1 }
+      ]
+    });
+
+    try {
+      const healthy = await request('GET', '/health/providers');
+      assert.equal(healthy.status, 200);
+      assert.deepEqual(healthy.body.providers.map(provider => provider.healthy), [true, true]);
+
+      emailService.providers.forEach(provider => provider.setHealth(false));
+      const unhealthy = await request('GET', '/health/providers');
+      assert.equal(unhealthy.status, 503);
+      assert.equal(unhealthy.body.success, false);
+      assert.equal(unhealthy.body.providers[0].circuitBreaker.state, 'CLOSED');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should answer 409 while a send with the same idempotency key is in flight', async () => {
+    const { request, emailService, close } = await startApp({ idempotencyWaitTimeout: 0 });
+
+    try {
+      const now = Date.now();
+      await emailService.idempotencyStore.acquire({
+        key: 'order-1', tenant: null, status: 'in-flight', owner: 'other', result: null, createdAt: now, expiresAt: now + 60000
+      });
+
+      const response = await request('POST', '/emails', { ...validEmail, options: { idempotencyKey: 'order-1' } });
+      assert.equal(response.status, 409);
+      assert.equal(response.body.error.code, 'IDEMPOTENCY_IN_PROGRESS');
+      assert.equal((await request('GET', '/emails/idempotency/order-1')).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should map the Idempotency-Key header onto the send', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const sent = await request('POST', '/emails', validEmail, { 'idempotency-key': 'order-1' });
+      assert.equal(sent.status, 200);
+      const repeated = await request('POST', '/emails', validEmail, { 'idempotency-key': 'order-1' });
+      assert.equal(repeated.body.messageId, sent.body.messageId);
+      assert.equal((await request('GET', '/emails/idempotency/order-1')).body.record.messageId, sent.body.messageId);
+
+      const body = await request('POST', '/emails', { ...validEmail, options: { idempotencyKey: 'order-1' } }, { 'idempotency-key': 'order-1' });
+      assert.equal(body.body.messageId, sent.body.messageId);
+
+      const mismatch = await request('POST', '/emails', { ...validEmail, body: 'Other' }, { 'idempotency-key': 'order-1' });
+      assert.equal(mismatch.status, 422);
+      assert.equal(mismatch.body.error.code, 'IDEMPOTENCY_KEY_MISMATCH');
+
+      const differ = await request('POST', '/emails', { ...validEmail, options: { idempotencyKey: 'order-2' } }, { 'idempotency-key': 'order-1' });
+      assert.equal(differ.status, 422);
+      assert.equal(differ.body.error.field, 'idempotencyKey');
+      assert.equal((await request('POST', '/emails', validEmail, { 'idempotency-key': ' ' })).status, 422);
+      assert.equal((await request('POST', '/emails', validEmail, { 'idempotency-key': 'x'.repeat(256) })).status, 422);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should replay the rejection of a send with the same Idempotency-Key', async () => {
+    const { request, emailService, close } = await startApp({
+      providers: [{ name: 'Provider-A', failureRate: 1, failureType: 'permanent', latency: 1 }]
+    });
+
+    try {
+      const rejected = await request('POST', '/emails', validEmail, { 'idempotency-key': 'order-1' });
+      assert.equal(rejected.status, 422);
+      assert.equal(rejected.body.error.code, 'PROVIDER_PERMANENT');
+      assert.equal(rejected.body.error.replayed, undefined);
+
+      emailService.providers[0].failureRate = 0;
+      const replayed = await request('POST', '/emails', validEmail, { 'idempotency-key': 'order-1' });
+      assert.equal(replayed.status, 422);
+      assert.equal(replayed.body.error.message, rejected.body.error.message);
+      assert.equal(replayed.body.error.provider, 'Provider-A');
+      assert.equal(replayed.body.error.replayed, true);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API authentication', () => {
+  const auth = () => new ApiKeyAuth({
+    tenants: [
+      { id: 'acme', key: 'acme-key', allowedFromDomains: ['acme.com'], defaultFrom: 'noreply@acme.com', rateLimit: 2 },
+      { id: 'globex', key: 'globex-key' }
+    ]
+  });
+  const acme = { authorization: 'Bearer acme-key' };
+  const globex = { 'x-api-key': 'globex-key' };
+
+  test('should require an API key', async () => {
+    const { request, close } = await startApp({}, { auth: auth() });
+
+    try {
+      assert.equal((await request('GET', '/')).status, 200);
+
+      const missing = await request('POST', '/emails', validEmail);
+      assert.equal(missing.status, 401);
+      assert.equal(missing.body.error.code, 'UNAUTHORIZED');
+
+      const wrong = await request('GET', '/status', undefined, { authorization: 'Bearer nope' });
+      assert.equal(wrong.status, 401);
+
+      assert.equal((await request('GET', '/status', undefined, acme)).status, 200);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should restrict sender domains', async () => {
+    const { request, emailService, close } = await startApp({}, { auth: auth() });
+
+    try {
+      let sent;
+      emailService.sendEmail = async (email, options) => {
+        sent = { email, options };
+        return { success: true, provider: 'Provider-A', messageId: 'msg-1', timestamp: new Date() };
+      };
+
+      const forbidden = await request('POST', '/emails', validEmail, acme);
+      assert.equal(forbidden.status, 403);
+      assert.equal(forbidden.body.error.code, 'SENDER_NOT_ALLOWED');
+
+      const { from, ...withoutFrom } = validEmail;
+      const defaulted = await request('POST', '/emails', { ...withoutFrom, options: { tenant: 'globex' } }, acme);
+      assert.equal(defaulted.status, 200);
+      assert.equal(sent.email.from, 'noreply@acme.com');
+      assert.equal(sent.options.tenant, 'acme');
+
+      assert.equal((await request('POST', '/emails', validEmail, globex)).status, 200);
+      assert.equal(sent.options.tenant, 'globex');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should give each tenant its own rate limit bucket', async () => {
+    const { request, close } = await startApp({ rateLimit: 100 }, { auth: auth() });
+
+    try {
+      const email = subject => ({ ...validEmail, from: 'billing@acme.com', subject });
+
+      assert.equal((await request('POST', '/emails', email('1'), acme)).status, 200);
+      assert.equal((await request('POST', '/emails', email('2'), acme)).status, 200);
+      assert.equal((await request('POST', '/emails', email('3'), acme)).status, 429);
+
+      assert.equal((await request('POST', '/emails', validEmail, globex)).status, 200);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should only show a tenant its own queue items and idempotency records', async () => {
+    const { request, close } = await startApp({}, { auth: auth() });
+
+    try {
+      const queued = await request('POST', '/queue', {
+        ...validEmail,
+        from: 'billing@acme.com',
+        options: { sendAt: Date.now() + 60000 }
+      }, acme);
+      assert.equal(queued.status, 202);
+      assert.equal(queued.body.item.tenant, 'acme');
+      const { id } = queued.body.item;
+
+      assert.equal((await request('GET', `/queue/${id}`, undefined, acme)).status, 200);
+      assert.equal((await request('GET', `/queue/${id}`, undefined, globex)).status, 404);
+      assert.equal((await request('DELETE', `/queue/${id}`, undefined, globex)).status, 404);
+      assert.equal((await request('GET', '/queue', undefined, globex)).body.items.length, 0);
+      assert.equal((await request('GET', '/queue', undefined, acme)).body.items.length, 1);
+      assert.equal((await request('GET', '/status', undefined, globex)).body.queue.queueSize, 0);
+
+      const sent = await request('POST', '/emails', {
+        ...validEmail,
+        from: 'billing@acme.com',
+        options: { idempotencyKey: 'order-1' }
+      }, acme);
+      assert.equal(sent.status, 200);
+
+      const record = await request('GET', '/emails/idempotency/order-1', undefined, acme);
+      assert.equal(record.status, 200);
+      assert.equal(record.body.record.messageId, sent.body.messageId);
+      assert.equal((await request('GET', '/emails/idempotency/order-1', undefined, globex)).status, 404);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API webhooks', () => {
+  test('should manage webhook subscriptions per tenant', async () => {
+    const auth = new ApiKeyAuth({ tenants: [{ id: 'acme', key: 'acme-key' }, { id: 'globex', key: 'globex-key' }] });
+    const webhooks = new WebhookDispatcher({ logLevel: 'error', lookup: async () => [{ address: '93.184.215.14', family: 4 }] });
+    const { request, close } = await startApp({}, { auth, webhooks });
+    const acme = { authorization: 'Bearer acme-key' };
+    const globex = { authorization: 'Bearer globex-key' };
+
+    try {
+      const created = await request('POST', '/webhooks', {
+        url: 'https://hooks.example.com/email',
+        events: ['sent', 'failed'],
+        tenant: 'globex'
+      }, acme);
+      assert.equal(created.status, 201);
+      assert.equal(created.body.subscription.tenant, 'acme');
+      assert.ok(created.body.subscription.secret);
+      const { id } = created.body.subscription;
+
+      const invalid = await request('POST', '/webhooks', { url: 'https://hooks.example.com', events: ['opened'] }, acme);
+      assert.equal(invalid.status, 422);
+      assert.equal(invalid.body.error.field, 'events');
+
+      const listed = await request('GET', '/webhooks', undefined, acme);
+      assert.deepEqual(listed.body.subscriptions.map(subscription => subscription.id), [id]);
+      assert.equal(listed.body.subscriptions[0].secret, undefined);
+      assert.equal((await request('GET', '/webhooks', undefined, globex)).body.subscriptions.length, 0);
+
+      const deliveries = await request('GET', '/webhooks/deliveries', undefined, acme);
+      assert.equal(deliveries.status, 200);
+      assert.deepEqual(deliveries.body.deliveries, []);
+
+      assert.equal((await request('DELETE', `/webhooks/${id}`, undefined, globex)).status, 404);
+      assert.equal((await request('DELETE', `/webhooks/${id}`, undefined, acme)).status, 200);
+      assert.equal(webhooks.getSubscriptions().length, 0);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should reject webhook URLs in private networks', async () => {
+    const auth = new ApiKeyAuth({ tenants: [{ id: 'acme', key: 'acme-key' }] });
+    const webhooks = new WebhookDispatcher({ logLevel: 'error', lookup: async () => [{ address: '10.0.0.5', family: 4 }] });
+    const { request, close } = await startApp({}, { auth, webhooks });
+    const acme = { authorization: 'Bearer acme-key' };
+
+    try {
+      for (const url of ['http://127.0.0.1:3000/admin', 'http://169.254.169.254/latest/meta-data', 'https://internal.example.com/hooks']) {
+        const response = await request('POST', '/webhooks', { url }, acme);
+        assert.equal(response.status, 422);
+        assert.equal(response.body.error.field, 'url');
+      }
+      assert.equal(webhooks.getSubscriptions().length, 0);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API metrics', () => {
+  test('should serve Prometheus metrics', async () => {
+    const auth = new ApiKeyAuth({ tenants: [{ id: 'acme', key: 'acme-key' }] });
+    const { request, emailService, close } = await startApp({}, ({ emailService, emailQueue }) => ({
+      auth,
+      metrics: new EmailMetrics({ emailService, emailQueue }),
+      metricsToken: 'scrape-token'
+    }));
+
+    try {
+      await emailService.sendEmail(validEmail);
+
+      assert.equal((await request('GET', '/metrics')).status, 401);
+      assert.equal((await request('GET', '/metrics', undefined, { authorization: 'Bearer acme-key' })).status, 401);
+
+      const response = await request('GET', '/metrics', undefined, { authorization: 'Bearer scrape-token' });
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/plain;/);
+      assert.match(response.headers.get('content-type'), /version=0\.0\.4/);
+      assert.match(response.body, /^email_provider_sends_total\{provider="Provider-A",outcome="success"\} 1$/m);
+      assert.match(response.body, /^email_queue_depth\{status="pending"\} 0$/m);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API logging', () => {
+  test('should assign request IDs and bind them to request logs', async () => {
+    const transport = new MemoryTransport();
+    const logger = new Logger({ level: 'debug', transports: [transport] });
+    const auth = new ApiKeyAuth({ tenants: [{ id: 'acme', key: 'acme-key' }] });
+    const { request, close } = await startApp({}, { auth, logger });
+
+    try {
+      const generated = await request('GET', '/status', undefined, { 'x-api-key': 'acme-key' });
+      assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+
+      const response = await request('POST', '/emails', validEmail, { 'x-api-key': 'acme-key', 'x-request-id': 'req-123' });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('x-request-id'), 'req-123');
+
+      const sent = transport.find({ message: 'Email sent successfully', requestId: 'req-123' });
+      assert.equal(sent.length, 1);
+      assert.equal(sent[0].tenant, 'acme');
+
+      const completed = transport.find({ message: 'Request completed', requestId: 'req-123' });
+      assert.equal(completed[0].status, 200);
+      assert.equal(completed[0].path, '/emails');
+
+      const rejected = await request('GET', '/status', undefined, { 'x-request-id': 'bad id; forged' });
+      assert.notEqual(rejected.headers.get('x-request-id'), 'bad id; forged');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should join the caller trace from traceparent', async () => {
+    const transport = new MemoryTransport();
+    const logger = new Logger({ transports: [transport] });
+    const { request, emailQueue, close } = await startApp({}, { logger });
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const traceparent = `00-${traceId}-00f067aa0ba902b7-01`;
+
+    try {
+      const sent = await request('POST', '/emails', validEmail, { traceparent });
+      assert.equal(sent.body.traceId, traceId);
+      assert.match(sent.headers.get('traceparent'), new RegExp(`^00-${traceId}-[0-9a-f]{16}-01$`));
+      assert.notEqual(sent.headers.get('traceparent'), traceparent);
+      assert.equal(transport.find({ message: 'Email sent successfully' })[0].traceId, traceId);
+
+      const queued = await request('POST', '/queue', { ...validEmail, subject: 'Queued' }, { traceparent });
+      assert.equal(queued.body.item.traceId, traceId);
+      assert.equal(emailQueue.getQueueItem(queued.body.item.id).traceId, traceId);
+
+      const invalid = await request('POST', '/emails', { ...validEmail, to: 'not-an-email' }, { traceparent: 'garbage' });
+      assert.equal(invalid.status, 422);
+      assert.match(invalid.body.traceId, /^[0-9a-f]{32}$/);
+      assert.notEqual(invalid.body.traceId, traceId);
+      assert.ok(invalid.headers.get('traceparent').includes(invalid.body.traceId));
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API templates', () => {
+  const templates = { greeting: { subject: 'Hi {{name}}', body: 'Welcome, {{name}}!' } };
+
+  test('should send and queue template emails', async () => {
+    const { request, emailQueue, close } = await startApp({ templates });
+
+    try {
+      const email = { to: 'user@example.com', template: 'greeting', data: { name: 'Ana' } };
+
+      const sent = await request('POST', '/emails', email);
+      assert.equal(sent.status, 200);
+      assert.equal(sent.body.success, true);
+      assert.deepEqual(sent.body.template, { name: 'greeting', version: 1 });
+
+      const queued = await request('POST', '/queue', email);
+      assert.equal(queued.status, 202);
+      assert.equal(queued.body.item.email.subject, 'Hi Ana');
+      assert.deepEqual(queued.body.item.template, { name: 'greeting', version: 1 });
+      const item = emailQueue.queue.find(queueItem => queueItem.id === queued.body.item.id);
+      assert.equal(item.email.body, 'Welcome, Ana!');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should return 422 for template errors', async () => {
+    const { request, close } = await startApp({ templates });
+
+    try {
+      const missing = await request('POST', '/emails', { to: 'user@example.com', template: 'greeting' });
+      assert.equal(missing.status, 422);
+      assert.equal(missing.body.error.code, 'TEMPLATE_VARIABLE_MISSING');
+      assert.equal(missing.body.error.variable, 'name');
+
+      const unknown = await request('POST', '/queue', { to: 'user@example.com', template: 'unknown' });
+      assert.equal(unknown.status, 422);
+      assert.equal(unknown.body.error.code, 'TEMPLATE_NOT_FOUND');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should manage template versions', async () => {
+    const { request, close } = await startApp({ templates });
+
+    try {
+      const list = await request('GET', '/templates');
+      assert.deepEqual(list.body.templates.map(template => template.name), ['greeting']);
+
+      const created = await request('POST', '/templates/greeting/versions', {
+        subject: 'Hello {{name}}',
+        body: 'Good to see you, {{name}}',
+        activate: false
+      });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.version.version, 2);
+      assert.equal(created.body.template.activeVersion, 1);
+
+      const fetched = await request('GET', '/templates/greeting/versions/2');
+      assert.equal(fetched.body.version.subject, 'Hello {{name}}');
+
+      const activated = await request('PUT', '/templates/greeting/active', { version: 2 });
+      assert.equal(activated.body.template.activeVersion, 2);
+
+      const sent = await request('POST', '/emails', { to: 'user@example.com', template: 'greeting', data: { name: 'Ana' } });
+      assert.deepEqual(sent.body.template, { name: 'greeting', version: 2 });
+
+      const invalid = await request('POST', '/templates/greeting/versions', { subject: '{{#if x}}' });
+      assert.equal(invalid.status, 422);
+      assert.equal(invalid.body.error.code, 'TEMPLATE_SYNTAX_ERROR');
+
+      const badVersion = await request('PUT', '/templates/greeting/active', { version: 9 });
+      assert.equal(badVersion.status, 422);
+      assert.equal(badVersion.body.error.code, 'TEMPLATE_NOT_FOUND');
+
+      assert.equal((await request('GET', '/templates/unknown')).status, 404);
+      assert.equal((await request('GET', '/templates/greeting/versions/9')).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should preview templates without sending', async () => {
+    const { request, emailService, close } = await startApp({
+      templates: { ...templates, promo: { subject: 'Save {{percent}}%', body: 'Until {{date}}', sampleData: { percent: 20, date: 'Friday' } } }
+    });
+
+    try {
+      emailService.sendEmail = async () => assert.fail('preview must not send');
+
+      const sample = await request('POST', '/templates/promo/preview', {});
+      assert.equal(sample.status, 200);
+      assert.deepEqual(sample.body.preview, { template: 'promo', version: 1, subject: 'Save 20%', body: 'Until Friday' });
+
+      const custom = await request('POST', '/templates/greeting/preview', { data: { name: 'Bo' }, version: 1 });
+      assert.equal(custom.body.preview.subject, 'Hi Bo');
+
+      const missing = await request('POST', '/templates/greeting/preview', {});
+      assert.equal(missing.status, 422);
+      assert.equal(missing.body.error.variable, 'name');
+
+      assert.equal((await request('POST', '/templates/unknown/preview', {})).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should keep template changes to the tenant that made them', async () => {
+    const auth = new ApiKeyAuth({ tenants: [{ id: 'acme', key: 'acme-key' }, { id: 'globex', key: 'globex-key' }] });
+    const { request, close } = await startApp({ templates }, { auth });
+    const acme = { authorization: 'Bearer acme-key' };
+    const globex = { authorization: 'Bearer globex-key' };
+    const email = { to: 'user@example.com', template: 'greeting', data: { name: 'Ana' } };
+
+    try {
+      const created = await request('POST', '/templates/greeting/versions', { subject: 'Acme says hi {{name}}' }, acme);
+      assert.equal(created.status, 201);
+      assert.equal(created.body.version.version, 1);
+      assert.equal(created.body.template.tenant, 'acme');
+
+      const acmePreview = await request('POST', '/templates/greeting/preview', { data: { name: 'Ana' } }, acme);
+      assert.equal(acmePreview.body.preview.subject, 'Acme says hi Ana');
+      const globexPreview = await request('POST', '/templates/greeting/preview', { data: { name: 'Ana' } }, globex);
+      assert.equal(globexPreview.body.preview.subject, 'Hi Ana');
+
+      const queued = await request('POST', '/queue', email, globex);
+      assert.equal(queued.body.item.email.subject, 'Hi Ana');
+
+      const globexTemplate = await request('GET', '/templates/greeting', undefined, globex);
+      assert.equal(globexTemplate.body.template.tenant, null);
+      assert.equal((await request('PUT', '/templates/greeting/active', { version: 1 }, globex)).status, 404);
+      assert.equal((await request('PUT', '/templates/greeting/active', { version: 1 }, acme)).status, 200);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API attachments', () => {
+  test('should send html emails with base64 attachments', async () => {
+    const { request, emailService, close } = await startApp();
+
+    try {
+      let received;
+      emailService.providers[0].sendEmail = async email => {
+        received = email;
+        return { success: true, provider: 'Provider-A', messageId: 'msg-1', timestamp: new Date() };
+      };
+
+      const response = await request('POST', '/emails', {
+        to: 'user@example.com',
+        subject: 'Invoice',
+        html: '<p>Attached</p>',
+        attachments: [{ filename: 'invoice.pdf', content: Buffer.from('%PDF').toString('base64'), encoding: 'base64' }]
+      });
+      assert.equal(response.status, 200);
+      assert.equal(received.attachments[0].contentType, 'application/pdf');
+      assert.deepEqual(received.attachments[0].content, Buffer.from('%PDF'));
+    } finally {
+      await close();
+    }
+  });
+
+  test('should reject file paths and oversized messages', async () => {
+    const { request, close } = await startApp({ maxMessageSize: 2048 }, { maxRequestSize: 4096 });
+
+    try {
+      const email = { to: 'user@example.com', subject: 'Files', body: 'Attached' };
+
+      const file = await request('POST', '/emails', { ...email, attachments: [{ path: '/etc/passwd' }] });
+      assert.equal(file.status, 422);
+      assert.equal(file.body.error.field, 'attachments');
+
+      const queued = await request('POST', '/queue', { ...email, attachments: [{ path: '/etc/passwd' }] });
+      assert.equal(queued.status, 422);
+
+      const large = await request('POST', '/emails', { ...email, attachments: [{ content: 'x'.repeat(2000) }] });
+      assert.equal(large.status, 413);
+      assert.equal(large.body.error.code, 'MESSAGE_TOO_LARGE');
+      assert.equal(large.body.error.limit, 2048);
+
+      const huge = await request('POST', '/emails', { ...email, attachments: [{ content: 'x'.repeat(5000) }] });
+      assert.equal(huge.status, 413);
+      assert.equal(huge.body.error.code, 'REQUEST_TOO_LARGE');
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API recipients', () => {
+  test('should send to several recipients and list every invalid one', async () => {
+    const { request, emailService, close } = await startApp();
+
+    try {
+      let received;
+      emailService.providers[0].sendEmail = async email => {
+        received = email;
+        return { success: true, provider: 'Provider-A', messageId: 'msg-1', timestamp: new Date() };
+      };
+
+      const response = await request('POST', '/emails', {
+        ...validEmail,
+        to: ['Ana <ana@example.com>', 'bo@example.com'],
+        cc: [{ name: 'Cy', address: 'cy@example.com' }]
+      });
+      assert.equal(response.status, 200);
+      assert.equal(received.to, 'Ana <ana@example.com>, bo@example.com');
+      assert.equal(received.cc, 'Cy <cy@example.com>');
+
+      const invalid = await request('POST', '/queue', { ...validEmail, to: ['ana@example.com', 'bad'], bcc: 'x@' });
+      assert.equal(invalid.status, 422);
+      assert.equal(invalid.body.error.field, 'to');
+      assert.deepEqual(invalid.body.error.addresses.map(({ field }) => field), ['to[1]', 'bcc']);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API tags and metadata', () => {
+  test('should filter queue items by tag and metadata', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const reset = await request('POST', '/queue', {
+        ...validEmail,
+        tags: ['password-reset'],
+        metadata: { userId: 42 },
+        listUnsubscribe: 'https://example.com/unsubscribe'
+      });
+      assert.equal(reset.status, 202);
+      assert.deepEqual(reset.body.item.tags, ['password-reset']);
+      assert.deepEqual(reset.body.item.metadata, { userId: 42 });
+
+      await request('POST', '/queue', { ...validEmail, tags: ['password-reset'], metadata: { userId: 7 } });
+      await request('POST', '/queue', { ...validEmail, tags: ['newsletter', 'weekly'], metadata: { userId: 42 } });
+
+      const found = await request('GET', '/queue?tag=password-reset&metadata.userId=42');
+      assert.deepEqual(found.body.items.map(item => item.id), [reset.body.item.id]);
+
+      const tagged = await request('GET', '/queue?tag=newsletter&tag=weekly');
+      assert.equal(tagged.body.items.length, 1);
+      assert.equal((await request('GET', '/queue?metadata.userId=42')).body.items.length, 2);
+
+      const invalid = await request('POST', '/emails', { ...validEmail, headers: { 'X-Bad': 'a\r\nb' } });
+      assert.equal(invalid.status, 422);
+      assert.equal(invalid.body.error.field, 'headers');
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API suppressions', () => {
+  test('should add, show, list and remove suppressed addresses', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const added = await request('POST', '/suppressions', { address: 'Ana <ANA@example.com>', reason: 'hard-bounce' });
+      assert.equal(added.status, 201);
+      assert.equal(added.body.entry.address, 'ana@example.com');
+      assert.equal(added.body.entry.source, 'api');
+      await request('POST', '/suppressions', { address: 'bo@example.com', reason: 'unsubscribe' });
+
+      const shown = await request('GET', '/suppressions/ana@example.com');
+      assert.equal(shown.body.entry.reason, 'hard-bounce');
+
+      const listed = await request('GET', '/suppressions?reason=unsubscribe');
+      assert.deepEqual(listed.body.entries.map(entry => entry.address), ['bo@example.com']);
+      assert.equal((await request('GET', '/suppressions?reason=bored')).status, 422);
+
+      const invalid = await request('POST', '/suppressions', { address: 'nope', reason: 'manual' });
+      assert.equal(invalid.status, 422);
+      assert.equal(invalid.body.error.field, 'address');
+
+      assert.equal((await request('DELETE', '/suppressions/bo@example.com')).status, 200);
+      const missing = await request('DELETE', '/suppressions/bo@example.com');
+      assert.equal(missing.status, 404);
+      assert.equal((await request('GET', '/suppressions/bo@example.com')).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should refuse sends to suppressed addresses', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      await request('POST', '/suppressions', { address: validEmail.to, reason: 'complaint' });
+
+      const refused = await request('POST', '/emails', validEmail);
+      assert.equal(refused.status, 422);
+      assert.equal(refused.body.error.code, 'SUPPRESSED');
+      assert.deepEqual(refused.body.error.suppressed, [{ address: validEmail.to, reason: 'complaint' }]);
+
+      const partial = await request('POST', '/emails', { ...validEmail, cc: 'other@example.com' });
+      assert.equal(partial.status, 200);
+      assert.deepEqual(partial.body.suppressed, [{ address: validEmail.to, reason: 'complaint' }]);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should import and export CSV and JSON', async () => {
+    const { request, close } = await startApp();
+
+    try {
+      const json = await request('POST', '/suppressions/import', {
+        entries: ['ana@example.com', { address: 'bad' }],
+        reason: 'hard-bounce'
+      });
+      assert.equal(json.body.imported, 1);
+      assert.equal(json.body.errors[0].index, 1);
+
+      const csv = await request(
+        'POST',
+        '/suppressions/import',
+        'address,reason,source\nbo@example.com,complaint,provider-a\n',
+        { 'content-type': 'text/csv' }
+      );
+      assert.equal(csv.body.imported, 1);
+
+      const exported = await request('GET', '/suppressions/export?format=csv');
+      assert.match(exported.headers.get('content-type'), /^text\/csv/);
+      assert.match(exported.body, /^address,reason,source,tenant,createdAt\n/);
+      assert.match(exported.body, /bo@example\.com,complaint,provider-a,,/);
+      assert.match(exported.body, /ana@example\.com,hard-bounce,import,,/);
+
+      const asJson = await request('GET', '/suppressions/export');
+      assert.equal(asJson.body.entries.length, 2);
+      assert.equal((await request('GET', '/suppressions/export?format=xml')).status, 422);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should keep tenant entries separate', async () => {
+    const auth = new ApiKeyAuth({ tenants: [{ id: 'acme', key: 'acme-key' }, { id: 'globex', key: 'globex-key' }] });
+    const { request, close } = await startApp({}, { auth });
+    const acme = { authorization: 'Bearer acme-key' };
+    const globex = { authorization: 'Bearer globex-key' };
+
+    try {
+      await request('POST', '/suppressions', { address: validEmail.to, reason: 'unsubscribe' }, acme);
+      await request('POST', '/suppressions/import', { entries: [{ address: 'x@example.com', tenant: 'globex' }] }, acme);
+
+      assert.equal((await request('GET', '/suppressions', undefined, acme)).body.entries.length, 2);
+      assert.equal((await request('GET', '/suppressions', undefined, globex)).body.entries.length, 0);
+      assert.equal((await request('GET', `/suppressions/${validEmail.to}`, undefined, globex)).status, 404);
+
+      assert.equal((await request('POST', '/emails', validEmail, acme)).body.error.code, 'SUPPRESSED');
+      assert.equal((await request('POST', '/emails', validEmail, globex)).status, 200);
+      assert.equal((await request('POST', '/emails', { ...validEmail, category: 'transactional' }, acme)).status, 200);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API inbound feedback', () => {
+  const withBounces = (options = {}) => ({ emailService }) => ({
+    bounces: new BounceProcessor({ emailService, logLevel: 'error' }),
+    ...options
+  });
+
+  test('should accept DSN messages and link them to the send', async () => {
+    const { request, emailService, close } = await startApp({}, withBounces());
+
+    try {
+      const sent = await request('POST', '/emails', validEmail);
+      const dsn = [
+        'Content-Type: multipart/report; report-type=delivery-status; boundary=b',
+        '',
+        '--b',
+        'Content-Type: message/delivery-status',
+        '',
+        'Reporting-MTA: dns; mx.example.net',
+        '',
+        `Final-Recipient: rfc822; ${validEmail.to}`,
+        'Action: failed',
+        'Status: 5.1.1',
+        '',
+        '--b',
+        'Content-Type: text/rfc822-headers',
+        '',
+        `Message-ID: <${sent.body.messageId}>`,
+        '--b--'
+      ].join('\r\n');
+
+      const response = await request('POST', '/inbound/dsn', dsn, { 'content-type': 'message/rfc822' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.events[0].type, 'hard-bounce');
+      assert.equal(response.body.events[0].linked, true);
+      assert.equal(response.body.events[0].traceId, sent.body.traceId);
+      assert.equal((await emailService.suppressions.get(validEmail.to)).reason, 'hard-bounce');
+
+      const notReport = await request('POST', '/inbound/dsn', 'Subject: hi\r\n\r\nhello', { 'content-type': 'text/plain' });
+      assert.equal(notReport.status, 422);
+    } finally {
+      await close();
+    }
+  });
+
+  test('should accept provider webhooks, including SNS text bodies', async () => {
+    const { request, emailService, close } = await startApp({}, withBounces());
+
+    try {
+      const notification = {
+        notificationType: 'Complaint',
+        complaint: { complainedRecipients: [{ emailAddress: 'bo@example.com' }] },
+        mail: { messageId: 'ses-1' }
+      };
+      const sns = JSON.stringify({ Type: 'Notification', Message: JSON.stringify(notification) });
+      const response = await request('POST', '/inbound/ses', sns, { 'content-type': 'text/plain; charset=UTF-8' });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.events[0].type, 'complaint');
+      assert.equal((await emailService.suppressions.get('bo@example.com')).source, 'ses');
+
+      const unknown = await request('POST', '/inbound/carrier-pigeon', {});
+      assert.equal(unknown.status, 422);
+      assert.equal(unknown.body.error.field, 'format');
+
+      const invalid = await request('POST', '/inbound/ses', '{', { 'content-type': 'text/plain' });
+      assert.equal(invalid.body.error.code, 'INVALID_JSON');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should require the inbound token but not an API key', async () => {
+    const auth = new ApiKeyAuth({ tenants: [{ id: 'acme', key: 'acme-key' }] });
+    const { request, close } = await startApp({}, withBounces({ auth, inboundToken: 'inbound-secret' }));
+    const bounce = { type: 'bounce', recipient: 'ana@example.com' };
+
+    try {
+      assert.equal((await request('POST', '/inbound/generic', bounce)).status, 401);
+      assert.equal((await request('POST', '/inbound/generic?token=wrong', bounce)).status, 401);
+      assert.equal((await request('POST', '/inbound/generic?token=inbound-secret', bounce)).status, 200);
+      assert.equal(
+        (await request('POST', '/inbound/generic', bounce, { authorization: 'Bearer inbound-secret' })).status,
+        200
+      );
+      assert.equal((await request('POST', '/inbound/generic', bounce, { authorization: 'Bearer acme-key' })).status, 401);
+    } finally {
+      await close();
+    }
+  });
+});
+
+describe('HTTP API messages', () => {
+  const auth = () => new ApiKeyAuth({ tenants: [{ id: 'acme', key: 'acme-key' }, { id: 'globex', key: 'globex-key' }] });
+  const acme = { authorization: 'Bearer acme-key' };
+  const globex = { authorization: 'Bearer globex-key' };
+
+  test('should report the delivery status of a message', async () => {
+    const { request, close } = await startApp({}, ({ emailService }) => ({
+      bounces: new BounceProcessor({ emailService, logLevel: 'error' })
+    }));
+
+    try {
+      const sent = await request('POST', '/emails', validEmail);
+      await request('POST', '/inbound/generic', { type: 'delivery', recipient: validEmail.to, messageId: sent.body.messageId });
+
+      const response = await request('GET', `/messages/${sent.body.messageId}`);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.message.status, 'delivered');
+      assert.deepEqual(response.body.message.recipientStatus, { [validEmail.to]: 'delivered' });
+      assert.equal(response.body.message.traceId, sent.body.traceId);
+      assert.deepEqual(response.body.message.history.map(event => event.status), ['accepted', 'sent', 'delivered']);
+
+      const missing = await request('GET', '/messages/unknown');
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.error.code, 'NOT_FOUND');
+    } finally {
+      await close();
+    }
+  });
+
+  test('should list the messages sent to a recipient', async () => {
+    const { request, close } = await startApp({}, { auth: auth() });
+
+    try {
+      const first = await request('POST', '/emails', validEmail, acme);
+      await request('POST', '/emails', { ...validEmail, to: 'other@example.com' }, acme);
+      await request('POST', '/emails', validEmail, globex);
+
+      const response = await request('GET', `/messages?recipient=${validEmail.to}`, undefined, acme);
+      assert.equal(response.status, 200);
+      assert.deepEqual(response.body.messages.map(message => message.messageId), [first.body.messageId]);
+
+      assert.equal((await request('GET', `/messages/${first.body.messageId}`, undefined, globex)).status, 404);
+      assert.equal((await request('GET', '/messages?status=sent', undefined, acme)).body.messages.length, 2);
+      assert.equal((await request('GET', '/messages?status=lost', undefined, acme)).status, 422);
+      assert.equal((await request('GET', '/messages?limit=0', undefined, acme)).status, 422);
+    } finally {
+      await close();
+    }
+  });
+});
@@ -0,0 +1,223 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { parseDsn, parseWebhook } from '../src/bounces.js';
+import { ValidationError } from '../src/errors.js';
+
+const dsn = [
+  'From: MAILER-DAEMON@mx.example.net',
+  'To: noreply@acme.com',
+  'Subject: Undelivered Mail Returned to Sender',
+  'MIME-Version: 1.0',
+  'Content-Type: multipart/report; report-type=delivery-status;',
+  '  boundary="BOUNDARY"',
+  '',
+  'This is a MIME-encapsulated message.',
+  '',
+  '--BOUNDARY',
+  'Content-Type: text/plain',
+  '',
+  'Your message could not be delivered.',
+  '',
+  '--BOUNDARY',
+  'Content-Type: message/delivery-status',
+  '',
+  'Reporting-MTA: dns; mx.example.net',
+  'Arrival-Date: Mon, 19 Oct 2026 10:00:00 +0000',
+  '',
+  'Final-Recipient: rfc822; ana@example.com',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Diagnostic-Code: smtp; 550 5.1.1 <ana@example.com>: Recipient',
+  '  address rejected: User unknown',
+  '',
+  'Final-Recipient: rfc822;bo@example.com',
+  'Action: delayed',
+  'Status: 4.2.2',
+  '',
+  'Final-Recipient: rfc822; cy@example.com',
+  'Action: delivered',
+  'Status: 2.0.0',
+  '',
+  '--BOUNDARY',
+  'Content-Type: text/rfc822-headers',
+  '',
+  'From: noreply@acme.com',
+  'To: ana@example.com, bo@example.com, cy@example.com',
+  'Message-ID: <1b4e28ba-2fa1@acme.com>',
+  'Subject: Welcome',
+  '',
+  '--BOUNDARY--',
+  ''
+].join('\r\n');
+
+const arf = [
+  'Content-Type: multipart/report; report-type=feedback-report; boundary="part"',
+  '',
+  '--part',
+  'Content-Type: text/plain',
+  '',
+  'This is an abuse report.',
+  '--part',
+  'Content-Type: message/feedback-report',
+  '',
+  'Feedback-Type: abuse',
+  'Version: 1',
+  'Original-Rcpt-To: <dee@example.com>',
+  'Arrival-Date: Tue, 20 Oct 2026 08:00:00 +0000',
+  '--part',
+  'Content-Type: message/rfc822',
+  '',
+  'From: news@acme.com',
+  'To: dee@example.com',
+  'Message-ID: <news-42@acme.com>',
+  '',
+  'Spring sale!',
+  '--part--'
+].join('\n');
+
+describe('bounces', () => {
+  test('should parse delivery status notifications', () => {
+    const events = parseDsn(dsn);
+
+    assert.equal(events.length, 3);
+    assert.deepEqual(events[0], {
+      type: 'hard-bounce',
+      recipient: 'ana@example.com',
+      messageId: '1b4e28ba-2fa1@acme.com',
+      status: '5.1.1',
+      diagnostic: '550 5.1.1 <ana@example.com>: Recipient address rejected: User unknown',
+      source: 'dsn',
+      timestamp: new Date('2026-10-19T10:00:00Z')
+    });
+    assert.equal(events[1].type, 'soft-bounce');
+    assert.equal(events[1].recipient, 'bo@example.com');
+    assert.equal(events[1].status, '4.2.2');
+    assert.deepEqual([events[2].type, events[2].recipient], ['delivered', 'cy@example.com']);
+  });
+
+  test('should read the original message ID from a returned message', () => {
+    const returned = dsn
+      .replace('Content-Type: text/rfc822-headers', 'Content-Type: message/rfc822\r\nContent-Transfer-Encoding: 7bit')
+      .replace('Subject: Welcome\r\n', 'Subject: Welcome\r\n\r\nMessage-ID: <not-a-header@acme.com>\r\n');
+
+    assert.equal(parseDsn(returned)[0].messageId, '1b4e28ba-2fa1@acme.com');
+  });
+
+  test('should parse abuse reports as complaints', () => {
+    const [event] = parseDsn(arf);
+
+    assert.equal(event.type, 'complaint');
+    assert.equal(event.recipient, 'dee@example.com');
+    assert.equal(event.messageId, 'news-42@acme.com');
+    assert.equal(event.diagnostic, 'abuse');
+    assert.equal(event.source, 'arf');
+    assert.deepEqual(parseDsn(arf.replace('Feedback-Type: abuse', 'Feedback-Type: not-spam')), []);
+  });
+
+  test('should reject messages without a report', () => {
+    assert.throws(() => parseDsn('Subject: Hello\n\nNot a bounce'), error => error instanceof ValidationError && error.field === 'message');
+    assert.throws(() => parseDsn(dsn.replace('message/delivery-status', 'text/plain')), /no delivery status part/);
+  });
+
+  test('should parse generic webhook events', () => {
+    const events = parseWebhook('generic', [
+      { type: 'bounce', bounceType: 'hard', recipient: 'ana@example.com', messageId: 'msg-1', status: '5.1.1' },
+      { type: 'bounce', bounceType: 'soft', email: 'bo@example.com', messageId: 'msg-1' },
+      { type: 'complaint', recipient: 'cy@example.com', timestamp: '2026-10-19T10:00:00Z' },
+      { type: 'delivery', recipient: 'dee@example.com', messageId: 'msg-2' },
+      { type: 'open', recipient: 'dee@example.com', messageId: 'msg-2' }
+    ]);
+
+    assert.deepEqual(events.map(({ type, recipient }) => [type, recipient]), [
+      ['hard-bounce', 'ana@example.com'],
+      ['soft-bounce', 'bo@example.com'],
+      ['complaint', 'cy@example.com'],
+      ['delivered', 'dee@example.com'],
+      ['opened', 'dee@example.com']
+    ]);
+    assert.equal(events[2].messageId, null);
+    assert.equal(events[0].source, 'webhook');
+    assert.throws(() => parseWebhook('generic', { type: 'click', recipient: 'ana@example.com' }), /Unknown feedback type/);
+    assert.throws(() => parseWebhook('generic', { type: 'bounce' }), error => error.field === 'recipient');
+  });
+
+  test('should parse SES notifications wrapped in SNS', () => {
+    const bounce = {
+      notificationType: 'Bounce',
+      bounce: {
+        bounceType: 'Permanent',
+        bouncedRecipients: [{ emailAddress: 'ana@example.com', status: '5.1.1', diagnosticCode: 'smtp; 550 User unknown' }],
+        timestamp: '2026-10-19T10:00:00.000Z'
+      },
+      mail: { messageId: 'ses-1' }
+    };
+    const [event] = parseWebhook('ses', { Type: 'Notification', Message: JSON.stringify(bounce) });
+    assert.equal(event.type, 'hard-bounce');
+    assert.equal(event.messageId, 'ses-1');
+    assert.equal(event.source, 'ses');
+
+    const transient = parseWebhook('ses', { ...bounce, bounce: { ...bounce.bounce, bounceType: 'Transient' } });
+    assert.equal(transient[0].type, 'soft-bounce');
+
+    const complaint = parseWebhook('ses', {
+      eventType: 'Complaint',
+      complaint: { complainedRecipients: [{ emailAddress: 'bo@example.com' }], complaintFeedbackType: 'abuse' },
+      mail: { messageId: 'ses-2' }
+    });
+    assert.equal(complaint[0].type, 'complaint');
+    const delivery = parseWebhook('ses', {
+      eventType: 'Delivery',
+      delivery: { recipients: ['ana@example.com'], smtpResponse: '250 OK', timestamp: '2026-10-19T10:00:01.000Z' },
+      mail: { messageId: 'ses-3', destination: ['ana@example.com', 'bo@example.com'] }
+    });
+    assert.deepEqual(delivery.map(({ type, recipient, status }) => [type, recipient, status]), [['delivered', 'ana@example.com', '250 OK']]);
+    const open = parseWebhook('ses', { eventType: 'Open', open: {}, mail: { messageId: 'ses-3', destination: ['bo@example.com'] } });
+    assert.equal(open[0].type, 'opened');
+    assert.deepEqual(parseWebhook('ses', { eventType: 'Send', mail: { messageId: 'ses-3' } }), []);
+    assert.deepEqual(parseWebhook('ses', { Type: 'SubscriptionConfirmation', SubscribeURL: 'https://sns.example' }), []);
+  });
+
+  test('should parse SendGrid, Mailgun and Postmark payloads', () => {
+    const sendgrid = parseWebhook('sendgrid', [
+      { event: 'bounce', type: 'bounce', email: 'ana@example.com', sg_message_id: 'sg-1.filter0001', status: '5.1.1', timestamp: 1792400000 },
+      { event: 'bounce', type: 'blocked', email: 'bo@example.com', sg_message_id: 'sg-1.filter0001' },
+      { event: 'spamreport', email: 'cy@example.com', sg_message_id: 'sg-2.filter0002' },
+      { event: 'delivered', email: 'dee@example.com', sg_message_id: 'sg-3.filter0003' },
+      { event: 'click', email: 'dee@example.com', sg_message_id: 'sg-3.filter0003' }
+    ]);
+    assert.deepEqual(sendgrid.map(({ type, messageId }) => [type, messageId]), [
+      ['hard-bounce', 'sg-1'],
+      ['soft-bounce', 'sg-1'],
+      ['complaint', 'sg-2'],
+      ['delivered', 'sg-3']
+    ]);
+    assert.equal(sendgrid[0].timestamp.getTime(), 1792400000 * 1000);
+
+    const [mailgun] = parseWebhook('mailgun', {
+      signature: {},
+      'event-data': {
+        event: 'failed',
+        severity: 'permanent',
+        recipient: 'ana@example.com',
+        message: { headers: { 'message-id': 'mg-1@acme.com' } },
+        'delivery-status': { code: 550, description: 'No such user' }
+      }
+    });
+    assert.deepEqual([mailgun.type, mailgun.messageId, mailgun.status], ['hard-bounce', 'mg-1@acme.com', 550]);
+
+    const [postmark] = parseWebhook('postmark', { RecordType: 'Bounce', Type: 'SoftBounce', Email: 'bo@example.com', MessageID: 'pm-1' });
+    assert.equal(postmark.type, 'soft-bounce');
+    const [spam] = parseWebhook('postmark', { RecordType: 'SpamComplaint', Email: 'cy@example.com', MessageID: 'pm-2' });
+    assert.equal(spam.type, 'complaint');
+    const [opened] = parseWebhook('postmark', { RecordType: 'Open', Recipient: 'cy@example.com', MessageID: 'pm-3' });
+    assert.deepEqual([opened.type, opened.recipient], ['opened', 'cy@example.com']);
+    const [mailgunDelivered] = parseWebhook('mailgun', { 'event-data': { event: 'delivered', recipient: 'ana@example.com' } });
+    assert.equal(mailgunDelivered.type, 'delivered');
+  });
+
+  test('should reject unknown formats and malformed payloads', () => {
+    assert.throws(() => parseWebhook('carrier-pigeon', {}), error => error.field === 'format');
+    assert.throws(() => parseWebhook('toString', {}), error => error.field === 'format');
+    assert.throws(() => parseWebhook('ses', { Type: 'Notification', Message: '{' }), error => error.field === 'payload');
+  });
+});
@@ -0,0 +1,140 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import {
+  ProviderError,
+  TransientProviderError,
+  PermanentProviderError,
+  ThrottledError,
+  ValidationError,
+  TemplateError,
+  MessageTooLargeError,
+  InvalidAddressError,
+  SuppressedError,
+  IdempotencyInProgressError,
+  IdempotencyKeyMismatchError,
+  isPermanentError
+} from '../src/errors.js';
+
+describe('errors', () => {
+  test('should create transient errors', () => {
+    const error = new TransientProviderError('Timed out', { provider: 'A', statusCode: 503 });
+
+    assert.ok(error instanceof ProviderError);
+    assert.ok(error instanceof Error);
+    assert.equal(error.name, 'TransientProviderError');
+    assert.equal(error.code, 'PROVIDER_TRANSIENT');
+    assert.equal(error.provider, 'A');
+    assert.equal(error.statusCode, 503);
+    assert.equal(error.retryable, true);
+    assert.equal(error.permanent, false);
+  });
+
+  test('should create permanent errors', () => {
+    const error = new PermanentProviderError('User unknown', { responseCode: 550 });
+
+    assert.equal(error.code, 'PROVIDER_PERMANENT');
+    assert.equal(error.responseCode, 550);
+    assert.equal(error.retryable, false);
+    assert.equal(error.permanent, true);
+  });
+
+  test('should create throttled errors with retry-after', () => {
+    const error = new ThrottledError('Slow down', { retryAfter: 2000 });
+
+    assert.equal(error.code, 'PROVIDER_THROTTLED');
+    assert.equal(error.retryAfter, 2000);
+    assert.equal(error.retryable, true);
+    assert.equal(new ThrottledError('Slow down').retryAfter, null);
+  });
+
+  test('should keep the cause', () => {
+    const cause = new Error('ECONNRESET');
+    const error = new TransientProviderError('Request failed', { cause });
+    assert.equal(error.cause, cause);
+  });
+
+  test('should create validation errors', () => {
+    const error = new ValidationError('Email to is required', { field: 'to' });
+
+    assert.equal(error.code, 'VALIDATION_ERROR');
+    assert.equal(error.field, 'to');
+    assert.equal(error.permanent, true);
+  });
+
+  test('should detect permanent errors', () => {
+    assert.equal(isPermanentError(new PermanentProviderError('Rejected')), true);
+    assert.equal(isPermanentError(new ValidationError('Invalid')), true);
+    assert.equal(isPermanentError(new TransientProviderError('Down')), false);
+    assert.equal(isPermanentError(new ThrottledError('Slow down')), false);
+    assert.equal(isPermanentError(new Error('Untyped')), false);
+    assert.equal(isPermanentError(null), false);
+  });
+
+  test('should create template errors', () => {
+    const error = new TemplateError('Missing template variable: name', {
+      code: 'TEMPLATE_VARIABLE_MISSING',
+      template: 'welcome',
+      variable: 'name'
+    });
+
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.code, 'TEMPLATE_VARIABLE_MISSING');
+    assert.equal(error.field, 'template');
+    assert.equal(error.template, 'welcome');
+    assert.equal(error.variable, 'name');
+    assert.equal(isPermanentError(error), true);
+  });
+
+  test('should create message too large errors', () => {
+    const error = new MessageTooLargeError('Message is too large', { size: 20, limit: 10 });
+
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.code, 'MESSAGE_TOO_LARGE');
+    assert.equal(error.size, 20);
+    assert.equal(error.limit, 10);
+    assert.equal(error.field, null);
+    assert.equal(isPermanentError(error), true);
+  });
+
+  test('should create invalid address errors', () => {
+    const addresses = [{ field: 'to[1]', value: 'bad', message: 'is missing "@"' }];
+    const error = new InvalidAddressError('Invalid email address format', { field: 'to', addresses });
+
+    assert.ok(error instanceof ValidationError);
+    assert.equal(error.code, 'VALIDATION_ERROR');
+    assert.equal(error.field, 'to');
+    assert.deepEqual(error.addresses, addresses);
+    assert.equal(isPermanentError(error), true);
+  });
+
+  test('should create suppressed errors', () => {
+    const suppressed = [{ address: 'ana@example.com', reason: 'hard-bounce' }];
+    const error = new SuppressedError('Every recipient is suppressed', { suppressed });
+
+    assert.equal(error.name, 'SuppressedError');
+    assert.equal(error.code, 'SUPPRESSED');
+    assert.deepEqual(error.suppressed, suppressed);
+    assert.equal(error.retryable, false);
+    assert.equal(isPermanentError(error), true);
+  });
+
+  test('should create idempotency in progress errors', () => {
+    const error = new IdempotencyInProgressError('Still sending', { idempotencyKey: 'order-1' });
+
+    assert.equal(error.name, 'IdempotencyInProgressError');
+    assert.equal(error.code, 'IDEMPOTENCY_IN_PROGRESS');
+    assert.equal(error.idempotencyKey, 'order-1');
+    assert.equal(error.retryable, true);
+    assert.equal(isPermanentError(error), false);
+  });
+
+  test('should create idempotency key mismatch errors', () => {
+    const error = new IdempotencyKeyMismatchError('Different email', { idempotencyKey: 'order-1' });
+
+    assert.equal(error.name, 'IdempotencyKeyMismatchError');
+    assert.equal(error.code, 'IDEMPOTENCY_KEY_MISMATCH');
+    assert.equal(error.idempotencyKey, 'order-1');
+    assert.equal(error.retryable, false);
+    assert.equal(isPermanentError(error), true);
+  });
+});
@@ -0,0 +1,47 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import { normalizeTags, validateMetadata, matchesLabels } from '../src/metadata.js';
+import { ValidationError } from '../src/errors.js';
+
+describe('metadata', () => {
+  test('should normalize tags', () => {
+    assert.equal(normalizeTags(undefined), undefined);
+    assert.deepEqual(normalizeTags('password-reset'), ['password-reset']);
+    assert.deepEqual(normalizeTags(['password-reset', 'auth:v2', 'password-reset']), ['password-reset', 'auth:v2']);
+  });
+
+  test('should reject malformed tags', () => {
+    for (const tags of [{ tag: 'x' }, [''], ['has space'], ['-leading'], [42], ['x'.repeat(65)]]) {
+      assert.throws(() => normalizeTags(tags), error => error instanceof ValidationError && error.field === 'tags');
+    }
+    assert.throws(() => normalizeTags(Array.from({ length: 11 }, (_, index) => `tag-${index}`)), /At most 10 tags/);
+  });
+
+  test('should validate metadata', () => {
+    const metadata = { userId: '42', attempt: 2, vip: false, note: null };
+    assert.equal(validateMetadata(metadata), metadata);
+    assert.equal(validateMetadata(undefined), undefined);
+
+    for (const invalid of ['x', ['a'], { nested: { a: 1 } }, { list: [1] }, { nan: NaN }, { '': 'empty key' }]) {
+      assert.throws(() => validateMetadata(invalid), error => error instanceof ValidationError && error.field === 'metadata');
+    }
+    assert.throws(() => validateMetadata({ blob: 'x'.repeat(3000) }), /the limit is 2048/);
+    assert.throws(
+      () => validateMetadata(Object.fromEntries(Array.from({ length: 21 }, (_, index) => [`k${index}`, index]))),
+      /At most 20 metadata keys/
+    );
+  });
+
+  test('should match tags and metadata filters', () => {
+    const email = { tags: ['password-reset', 'transactional'], metadata: { userId: 42, plan: 'pro' } };
+
+    assert.equal(matchesLabels(email, {}), true);
+    assert.equal(matchesLabels(email, { tag: 'password-reset' }), true);
+    assert.equal(matchesLabels(email, { tag: ['password-reset', 'transactional'] }), true);
+    assert.equal(matchesLabels(email, { tag: ['password-reset', 'marketing'] }), false);
+    assert.equal(matchesLabels(email, { tag: 'password-reset', metadata: { userId: '42' } }), true);
+    assert.equal(matchesLabels(email, { metadata: { userId: '43' } }), false);
+    assert.equal(matchesLabels(email, { metadata: { missing: 'undefined' } }), false);
+    assert.equal(matchesLabels({ to: 'a@example.com' }, { tag: 'password-reset' }), false);
+  });
+});
@@ -0,0 +1,65 @@
+import { strict as assert } from 'assert';
+import { test, describe } from 'node:test';
+import {
+  generateTraceId,
+  generateSpanId,
+  isValidTraceId,
+  parseTraceparent,
+  formatTraceparent,
+  resolveTraceId
+} from '../src/traceContext.js';
+import { ValidationError } from '../src/errors.js';
+
+describe('traceContext', () => {
+  test('should generate trace and span IDs', () => {
+    assert.match(generateTraceId(), /^[0-9a-f]{32}$/);
+    assert.match(generateSpanId(), /^[0-9a-f]{16}$/);
+    assert.notEqual(generateTraceId(), generateTraceId());
+  });
+
+  test('should validate trace IDs', () => {
+    assert.equal(isValidTraceId('4bf92f3577b34da6a3ce929d0e0e4736'), true);
+    assert.equal(isValidTraceId('0'.repeat(32)), false);
+    assert.equal(isValidTraceId('4BF92F3577B34DA6A3CE929D0E0E4736'), false);
+    assert.equal(isValidTraceId('abc'), false);
+    assert.equal(isValidTraceId(undefined), false);
+  });
+
+  test('should parse traceparent headers', () => {
+    assert.deepEqual(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'), {
+      version: '00',
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      parentId: '00f067aa0ba902b7',
+      flags: '01'
+    });
+    assert.equal(parseTraceparent('00-4BF92F3577B34DA6A3CE929D0E0E4736-00F067AA0BA902B7-00').traceId,
+      '4bf92f3577b34da6a3ce929d0e0e4736');
+  });
+
+  test('should reject invalid traceparent headers', () => {
+    assert.equal(parseTraceparent(undefined), null);
+    assert.equal(parseTraceparent('garbage'), null);
+    assert.equal(parseTraceparent(`00-${'0'.repeat(32)}-00f067aa0ba902b7-01`), null);
+    assert.equal(parseTraceparent(`00-4bf92f3577b34da6a3ce929d0e0e4736-${'0'.repeat(16)}-01`), null);
+    assert.equal(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'), null);
+  });
+
+  test('should format traceparent headers', () => {
+    assert.equal(
+      formatTraceparent('4bf92f3577b34da6a3ce929d0e0e4736', '00f067aa0ba902b7'),
+      '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'
+    );
+    const parsed = parseTraceparent(formatTraceparent('4bf92f3577b34da6a3ce929d0e0e4736'));
+    assert.equal(parsed.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+  });
+
+  test('should resolve trace IDs', () => {
+    assert.equal(resolveTraceId('4bf92f3577b34da6a3ce929d0e0e4736'), '4bf92f3577b34da6a3ce929d0e0e4736');
+    assert.match(resolveTraceId(), /^[0-9a-f]{32}$/);
+    assert.throws(() => resolveTraceId('order-123'), error => {
+      assert.ok(error instanceof ValidationError);
+      assert.equal(error.field, 'traceId');
+      return true;
+    });
+  });
+});